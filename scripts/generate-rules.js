@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+// Regenerates the schema validator functions in firestore.rules from
+// src/firestore-utils/schemas.js.
+//
+//   node scripts/generate-rules.js          rewrite the generated region
+//   node scripts/generate-rules.js --check  exit 1 if it is out of date
+
+import { readFileSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { RULES_SCHEMAS } from '../src/firestore-utils/schemas.js';
+import { renderGeneratedRegion, replaceGeneratedRegion } from '../src/guardrails/rules-from-schema.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const rulesPath = join(__dirname, '..', 'firestore.rules');
+
+const check = process.argv.includes('--check');
+const current = readFileSync(rulesPath, 'utf-8');
+const next = replaceGeneratedRegion(current, renderGeneratedRegion(RULES_SCHEMAS));
+
+if (check) {
+  if (next !== current) {
+    console.error('✗ firestore.rules is out of date with src/firestore-utils/schemas.js.');
+    console.error('  Run `npm run rules:generate` and commit the result.');
+    process.exit(1);
+  }
+  console.log('✓ firestore.rules schema validators are up to date');
+} else if (next === current) {
+  console.log('✓ firestore.rules schema validators already up to date');
+} else {
+  writeFileSync(rulesPath, next);
+  console.log('✓ Regenerated schema validators in firestore.rules');
+}
@@ -0,0 +1,151 @@
+// Demo content for `npm run seed` (scripts/seed-emulators.js). Kept apart
+// from the network code so src/_tests_/seed-data.test.js can check it against
+// the schemas and rules the app enforces.
+
+import { keywordsFor } from '../src/firestore-utils/keywords.js';
+
+// Must match EMULATOR_PROJECT_ID in src/firebase.ts.
+export const EMULATOR_PROJECT_ID = 'demo-secureagentbase';
+
+// Sign-in accounts created in the Auth emulator. Local only.
+export const SEED_USERS = [
+  {
+    key: 'admin',
+    email: 'admin@example.com',
+    password: 'password123',
+    displayName: 'Ada Admin',
+    bio: 'Runs this demo. Signed in as me you can see /admin.',
+    role: 'admin',
+  },
+  {
+    key: 'member',
+    email: 'member@example.com',
+    password: 'password123',
+    displayName: 'Sam Member',
+    bio: 'An everyday member with no special roles.',
+  },
+];
+
+const POSTS = [
+  {
+    id: 'welcome',
+    author: 'admin',
+    title: 'Welcome to the local emulator',
+    content: 'Everything here lives in the **Firestore emulator**. Sign in as `member@example.com` or `admin@example.com` (password `password123`) and try posting, replying and voting.',
+  },
+  {
+    id: 'markdown-tips',
+    author: 'member',
+    title: 'Markdown tips for posts',
+    content: 'Posts support Markdown:\n\n- *emphasis* and **bold**\n- `inline code`\n- [links](https://firebase.google.com/docs/emulator-suite)\n\nThe compose page has a preview tab.',
+  },
+  {
+    id: 'reset-data',
+    author: 'member',
+    title: 'How do I reset the demo data?',
+    content: 'Run `npm run seed` again. It clears the emulators and loads this content from scratch.',
+  },
+];
+
+// parent is the id of an earlier reply on the same post.
+const REPLIES = [
+  { id: 'welcome-1', post: 'welcome', author: 'member', content: 'Thanks! Nice to have a sandbox.' },
+  { id: 'welcome-2', post: 'welcome', author: 'admin', content: 'Anything you break here stays local.', parent: 'welcome-1' },
+  { id: 'reset-1', post: 'reset-data', author: 'admin', content: 'Exactly that. Accounts are recreated too, with new uids.' },
+];
+
+const TASKS = [
+  { title: 'Read the README', priority: 'high', tags: ['onboarding'], dueIn: -1, completed: false },
+  { title: 'Try drag-to-reorder', priority: 'medium', tags: ['demo'], dueIn: 2, completed: false },
+  { title: 'Open the admin panel', priority: 'low', tags: ['demo', 'admin'], dueIn: null, completed: true },
+];
+
+const FLAGS = {
+  default_flag: { enabled: true, rolloutPercentage: 100 },
+  beta_dashboard: { enabled: true, rolloutPercentage: 50 },
+  new_editor: { enabled: true, rolloutPercentage: 100, variants: ['control', 'treatment'] },
+};
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const day = (date) => date.toISOString().slice(0, 10);
+
+// Every document to write, as [path, data]. uids maps SEED_USERS keys to the
+// uids the Auth emulator handed out.
+export const buildSeed = (uids, now = new Date()) => {
+  const users = Object.fromEntries(SEED_USERS.map((user) => [user.key, user]));
+  const ago = (minutes) => new Date(now.getTime() - minutes * MINUTE);
+  // The audit fields safeAdd() writes; ownership checks read createdBy.
+  const audit = (uid, at) => ({ createdBy: uid, updatedBy: uid, createdAt: at, updatedAt: at });
+  const author = (key) => ({ authorId: uids[key], authorName: users[key].displayName });
+  const docs = [];
+
+  for (const user of SEED_USERS) {
+    docs.push([`users/${uids[user.key]}`, { displayName: user.displayName, bio: user.bio, avatarUrl: '' }]);
+    if (user.role) docs.push([`admins/${uids[user.key]}`, { role: user.role, email: user.email }]);
+  }
+
+  POSTS.forEach((post, i) => {
+    const replyCount = REPLIES.filter((reply) => reply.post === post.id).length;
+    docs.push([`posts/${post.id}`, {
+      title: post.title,
+      content: post.content,
+      ...author(post.author),
+      replyCount,
+      score: 0,
+      keywords: keywordsFor(post.title, post.content),
+      images: [],
+      ...audit(uids[post.author], ago((POSTS.length - i) * 60)),
+    }]);
+  });
+
+  REPLIES.forEach((reply, i) => {
+    const parent = REPLIES.find((r) => r.id === reply.parent);
+    docs.push([`replies/${reply.id}`, {
+      postId: reply.post,
+      content: reply.content,
+      ...author(reply.author),
+      depth: parent ? 1 : 0,
+      ...(parent ? { parentReplyId: parent.id } : {}),
+      score: 0,
+      ...audit(uids[reply.author], ago(30 - i)),
+    }]);
+  });
+
+  TASKS.forEach((task, i) => {
+    docs.push([`tasks/seed-task-${i + 1}`, {
+      title: task.title,
+      completed: task.completed,
+      dueDate: task.dueIn === null ? '' : day(new Date(now.getTime() + task.dueIn * DAY)),
+      priority: task.priority,
+      tags: task.tags,
+      order: i,
+      userId: uids.admin,
+      ...audit(uids.admin, ago(10 - i)),
+    }]);
+  });
+
+  for (const [name, flag] of Object.entries(FLAGS)) {
+    docs.push([`featureFlags/${name}`, flag]);
+  }
+
+  return docs;
+};
+
+// A JavaScript value as a Firestore REST API Value.
+export const toValue = (value) => {
+  if (value === null || value === undefined) return { nullValue: null };
+  if (value instanceof Date) return { timestampValue: value.toISOString() };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toValue) } };
+  switch (typeof value) {
+    case 'string': return { stringValue: value };
+    case 'boolean': return { booleanValue: value };
+    case 'number': return Number.isInteger(value) ? { integerValue: String(value) } : { doubleValue: value };
+    case 'object': return { mapValue: { fields: toFields(value) } };
+    default: throw new Error(`Cannot store ${typeof value} in Firestore`);
+  }
+};
+
+export const toFields = (data) =>
+  Object.fromEntries(Object.entries(data).map(([key, value]) => [key, toValue(value)]));
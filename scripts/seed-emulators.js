@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+// Clears the local emulators and loads the demo content in seed-data.js.
+// Start them first with `npm run emulators`; re-run to reset.
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { EMULATOR_PROJECT_ID, SEED_USERS, buildSeed, toFields } from './seed-data.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function success(...args) {
+  log(colors.green, '✓', ...args);
+}
+
+function error(...args) {
+  log(colors.red, '✗', ...args);
+}
+
+function info(...args) {
+  log(colors.cyan, '→', ...args);
+}
+
+const { emulators } = JSON.parse(readFileSync(join(__dirname, '..', 'firebase.json'), 'utf8'));
+const authHost = process.env.FIREBASE_AUTH_EMULATOR_HOST || `127.0.0.1:${emulators.auth.port}`;
+const firestoreHost = process.env.FIRESTORE_EMULATOR_HOST || `127.0.0.1:${emulators.firestore.port}`;
+const documents = `projects/${EMULATOR_PROJECT_ID}/databases/(default)/documents`;
+
+async function request(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    // The emulator treats the token "owner" as an admin: writes skip
+    // firestore.rules, as they would from the Admin SDK.
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer owner' },
+    body: body && JSON.stringify(body),
+  });
+  if (!res.ok) throw new Error(`${method} ${url} → ${res.status} ${await res.text()}`);
+  return res.json();
+}
+
+async function reset() {
+  await request('DELETE', `http://${firestoreHost}/emulator/v1/${documents}`);
+  await request('DELETE', `http://${authHost}/emulator/v1/projects/${EMULATOR_PROJECT_ID}/accounts`);
+  success('Cleared Firestore and Auth emulators');
+}
+
+async function createUsers() {
+  const uids = {};
+  for (const user of SEED_USERS) {
+    const { localId } = await request(
+      'POST',
+      `http://${authHost}/identitytoolkit.googleapis.com/v1/accounts:signUp?key=demo-api-key`,
+      // Verified, as firestore.rules requires before posting (isVerified).
+      { email: user.email, password: user.password, displayName: user.displayName, emailVerified: true, returnSecureToken: true },
+    );
+    uids[user.key] = localId;
+    success(`User ${user.email} / ${user.password}${user.role ? ` (${user.role})` : ''}`);
+  }
+  return uids;
+}
+
+async function writeDocs(uids) {
+  const docs = buildSeed(uids);
+  for (const [path, data] of docs) {
+    await request('PATCH', `http://${firestoreHost}/v1/${documents}/${path}`, { fields: toFields(data) });
+  }
+  success(`Wrote ${docs.length} documents`);
+}
+
+try {
+  info(`Seeding ${EMULATOR_PROJECT_ID} (auth ${authHost}, firestore ${firestoreHost})`);
+  await reset();
+  await writeDocs(await createUsers());
+  info('Run `npm run dev` and sign in with one of the accounts above');
+} catch (err) {
+  error(err.cause?.code === 'ECONNREFUSED' ? 'Emulators are not running. Start them with `npm run emulators`.' : err.message);
+  process.exit(1);
+}
@@ -215,7 +215,7 @@ rm -rf src/framework/infra-setup/
 rm -rf src/admin/
 rm -rf cli/
 rm -rf tests/e2e/wizard.spec.js
-rm -rf src/_tests_/WizardSteps.test.jsx src/_tests_/create-app.test.tsx src/_tests_/StepHeader.test.jsx src/_tests_/api.test.ts src/_tests_/crypto.test.ts src/_tests_/scripts.test.ts
+rm -rf src/_tests_/WizardSteps.test.jsx src/_tests_/create-app.test.tsx src/_tests_/StepHeader.test.jsx src/_tests_/api.test.ts src/_tests_/crypto.test.ts src/_tests_/scripts.test.ts src/_tests_/schemas.test.js src/_tests_/wizard-progress.test.js src/_tests_/useRole.test.js
 rm -f WIZARD_DEV_NOTES.md
 
 # Fix App.tsx: remove wizard/admin imports and routes
@@ -225,20 +225,22 @@ if [ -f src/App.tsx ]; then
   sed -i "/import CreateApp from '.\\/create-app';/d" src/App.tsx
   sed -i "/import AdminPanel from '.\\/admin\\/AdminPanel';/d" src/App.tsx
   # Remove Route elements for /infra-setup, /create-app, /admin/*
-  sed -i '/<Route path="\\/infra-setup".*\\/>/d' src/App.tsx
-  sed -i '/<Route path="\\/create-app".*\\/>/d' src/App.tsx
-  sed -i '/<Route path="\\/admin/d' src/App.tsx
+  sed -i '/{\/\* Infra-setup lives outside/,/\*\/}/d' src/App.tsx
+  sed -i '/<Route path="\/infra-setup"/,/^[[:space:]]*} \/>/d' src/App.tsx
+  sed -i '/<Route path="\/create-app".*\/>/d' src/App.tsx
+  sed -i '/<Route path="\/admin/d' src/App.tsx
   # Clean up orphaned {isAppMode && ()} blocks left behind after Route deletion
-  perl -i -0pe 's/\\{isAppMode && \\(\\s*\\n\\s*\\)\\}//gs' src/App.tsx
+  perl -i -0pe 's/\{isAppMode && \(\s*\)\}//gs' src/App.tsx
   echo "App.tsx cleaned of wizard/admin references"
 fi
 
-# Fix navigation-bar.tsx: remove admin link and useIsAdmin import
+# Fix navigation-bar.tsx: remove admin link and usePermission import
 if [ -f src/navigation-bar.tsx ]; then
-  sed -i "/import { useIsAdmin } from '.\\/admin\\/useIsAdmin';/d" src/navigation-bar.tsx
-  sed -i "/const { isAdmin } = useIsAdmin(db);/d" src/navigation-bar.tsx
-  # Delete from {isAdmin && to the next closing )} on its own line
-  sed -i '/{isAdmin &&/,/^[[:space:]]*)}/d' src/navigation-bar.tsx
+  sed -i "/import { usePermission } from '.\\/admin\\/useRole';/d" src/navigation-bar.tsx
+  sed -i "/import { PERMISSIONS } from '.\\/guardrails\\/roles';/d" src/navigation-bar.tsx
+  sed -i "/const { allowed: canViewAdmin } = usePermission(db, PERMISSIONS.VIEW_ADMIN);/d" src/navigation-bar.tsx
+  # Delete from {canViewAdmin && to the next closing )} on its own line
+  sed -i '/{canViewAdmin &&/,/^[[:space:]]*)}/d' src/navigation-bar.tsx
   echo "navigation-bar.tsx cleaned of admin references"
 fi
 
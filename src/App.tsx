@@ -6,13 +6,16 @@ import { useAuth } from './firestore-utils/auth-context';
 import Post from './post';
 import ComposePost from './compose-post';
 import ComposeReply from './compose-reply';
+import UserPage from './user-page';
 import EnvironmentBanner from './environment-banner';
+import OfflineBanner from './offline-banner';
 import About from './about';
 import Privacy from './privacy';
 import Terms from './terms';
 import NavigationBar from './navigation-bar';
 import Login from './login';
 import Signup from './signup';
+import VerifyEmail from './verify-email';
 import Profile from './profile';
 import InfraSetup from './infra-setup';
 import CreateApp from './create-app';
@@ -20,7 +23,7 @@ import CreateApp from './create-app';
 import { Dashboard, Tasks } from './template';
 import AdminPanel from './admin/AdminPanel';
 import { NotificationProvider } from './firestore-utils/notification-context';
-import { RequireAuth, RedirectIfAuthed } from './components/ProtectedRoute';
+import { RequireAuth, RequireVerified, RedirectIfAuthed } from './components/ProtectedRoute';
 import { StagingGate } from './guardrails/StagingGate';
 
 const isAppMode = import.meta.env.VITE_APP_MODE === 'true';
@@ -34,6 +37,7 @@ const RootLayout: React.FC<RootLayoutProps> = ({ db }) => {
   return (
     <>
       <EnvironmentBanner />
+      <OfflineBanner />
       <NavigationBar db={db} />
       <div className="pt-24 min-h-[calc(100vh-10rem)]">
         <Outlet />
@@ -57,6 +61,7 @@ const StandaloneLayout: React.FC<RootLayoutProps & { children: React.ReactNode }
   return (
     <>
       <EnvironmentBanner />
+      <OfflineBanner />
       <NavigationBar db={db} />
       <div className="pt-24 min-h-[calc(100vh-10rem)]">
         {children}
@@ -74,7 +79,7 @@ const StandaloneLayout: React.FC<RootLayoutProps & { children: React.ReactNode }
   );
 };
 
-const HomePage: React.FC = () => {
+const HomePage: React.FC<{ db: Firestore }> = ({ db }) => {
   const { loading } = useAuth();
   
   if (loading) {
@@ -88,7 +93,7 @@ const HomePage: React.FC = () => {
   if (isAppMode) {
     return <LandingPage />;
   }
-  return <Dashboard />;
+  return <Dashboard db={db} />;
 };
 
 interface AppProps {
@@ -104,7 +109,7 @@ const App: React.FC<AppProps> = ({ db }) => {
           <Route path="/login" element={<RedirectIfAuthed><Login /></RedirectIfAuthed>} />
           <Route path="/signup" element={<RedirectIfAuthed><Signup /></RedirectIfAuthed>} />
           <Route element={<StagingGate db={db}><RootLayout db={db} /></StagingGate>}>
-            <Route path="/" element={<HomePage />} />
+            <Route path="/" element={<HomePage db={db} />} />
             {isAppMode ? (
               <>
                 {/* The template repo (this deployment) must not accept user
@@ -113,20 +118,24 @@ const App: React.FC<AppProps> = ({ db }) => {
                 <Route path="/post" element={<Navigate to="/" replace />} />
                 <Route path="/compose-post" element={<Navigate to="/" replace />} />
                 <Route path="/compose-reply" element={<Navigate to="/" replace />} />
+                <Route path="/u/:uid" element={<Navigate to="/" replace />} />
               </>
             ) : (
               <>
                 {/* Copied apps (template mode) get the posts feature:
                     create a post, view it, reply. */}
                 <Route path="/post" element={<Post db={db}/>} />
-                <Route path="/compose-post" element={<RequireAuth><ComposePost db={db} /></RequireAuth>} />
-                <Route path="/compose-reply" element={<RequireAuth><ComposeReply db={db} /></RequireAuth>} />
+                <Route path="/compose-post" element={<RequireVerified><ComposePost db={db} /></RequireVerified>} />
+                <Route path="/compose-reply" element={<RequireVerified><ComposeReply db={db} /></RequireVerified>} />
+                {/* Profiles in users/ are readable by signed-in users only. */}
+                <Route path="/u/:uid" element={<RequireAuth><UserPage db={db} /></RequireAuth>} />
               </>
             )}
             <Route path="/about" element={<About/>} />
           <Route path="/privacy" element={<Privacy />} />
             <Route path="/terms" element={<Terms />} />
             <Route path="/profile" element={<RequireAuth><Profile db={db} /></RequireAuth>} />
+            <Route path="/verify-email" element={<RequireAuth><VerifyEmail /></RequireAuth>} />
             {isAppMode && (
               <Route path="/create-app" element={<RequireAuth><CreateApp db={db} /></RequireAuth>} />
             )}
@@ -146,6 +155,8 @@ const App: React.FC<AppProps> = ({ db }) => {
           <Route path="/admin" element={<StagingGate db={db}><AdminPanel db={db} /></StagingGate>} />
           <Route path="/admin/feature-flags" element={<StagingGate db={db}><AdminPanel db={db} /></StagingGate>} />
           <Route path="/admin/limits" element={<StagingGate db={db}><AdminPanel db={db} /></StagingGate>} />
+          <Route path="/admin/members" element={<StagingGate db={db}><AdminPanel db={db} /></StagingGate>} />
+          <Route path="/admin/reports" element={<StagingGate db={db}><AdminPanel db={db} /></StagingGate>} />
         </Routes>
       </BrowserRouter>
     </NotificationProvider>
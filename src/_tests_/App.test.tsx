@@ -5,7 +5,12 @@ import App from '../App';
 const mockAuthUser = vi.hoisted(() => ({ user: null as any }));
 
 vi.mock('../firestore-utils/auth-context', () => ({
-  useAuth: () => ({ loading: false, user: mockAuthUser.user }),
+  useAuth: () => ({
+    loading: false,
+    user: mockAuthUser.user,
+    isVerified: !!mockAuthUser.user?.emailVerified,
+    reloadUser: async () => {},
+  }),
 }));
 
 vi.mock('../firestore-utils/notification-context', () => ({
@@ -114,13 +119,22 @@ describe('App', () => {
     it.each(['/compose-post', '/compose-reply'])(
       'renders the compose form at %s when signed in',
       (path) => {
-        mockAuthUser.user = { uid: 'user-1' };
+        mockAuthUser.user = { uid: 'user-1', emailVerified: true };
         window.history.pushState({}, '', path);
         render(<App db={{} as any} auth={{} as any} />);
         expect(screen.getByText(/Compose (Post|Reply) Page/)).toBeInTheDocument();
         mockAuthUser.user = null;
       }
     );
+
+    it('asks an unverified user to verify their email before composing', () => {
+      mockAuthUser.user = { uid: 'user-1', email: 'a@b.com', emailVerified: false };
+      window.history.pushState({}, '', '/compose-post');
+      render(<App db={{} as any} auth={{} as any} />);
+      expect(screen.getByRole('heading', { name: 'Verify your email' })).toBeInTheDocument();
+      expect(window.location.search).toBe('?returnUrl=%2Fcompose-post');
+      mockAuthUser.user = null;
+    });
   });
 
   describe('app mode (template repo — posts blocked)', () => {
@@ -0,0 +1,55 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { InfiniteList } from '../components/InfiniteList';
+
+const items = [{ id: 'a', label: 'Alpha' }, { id: 'b', label: 'Beta' }];
+
+const renderList = (props: Partial<Parameters<typeof InfiniteList<typeof items[number]>>[0]> = {}) => {
+  const onLoadMore = vi.fn();
+  render(
+    <InfiniteList
+      items={items}
+      getKey={item => item.id}
+      renderItem={item => <span>{item.label}</span>}
+      hasMore
+      loadingMore={false}
+      onLoadMore={onLoadMore}
+      {...props}
+    />
+  );
+  return onLoadMore;
+};
+
+describe('InfiniteList', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('renders every item and a load more button while there is more', () => {
+    const onLoadMore = renderList();
+    expect(screen.getByText('Alpha')).toBeInTheDocument();
+    expect(screen.getByText('Beta')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Load more'));
+    expect(onLoadMore).toHaveBeenCalledTimes(1);
+  });
+
+  it('hides the button at the end of the list', () => {
+    renderList({ hasMore: false });
+    expect(screen.queryByText('Load more')).not.toBeInTheDocument();
+  });
+
+  it('loads the next page when the end of the list scrolls into view', () => {
+    let trigger: (entries: { isIntersecting: boolean }[]) => void = () => {};
+    const disconnect = vi.fn();
+    vi.stubGlobal('IntersectionObserver', vi.fn(function (this: unknown, callback: typeof trigger) {
+      trigger = callback;
+      return { observe: vi.fn(), disconnect };
+    }));
+
+    const onLoadMore = renderList();
+    trigger([{ isIntersecting: false }]);
+    expect(onLoadMore).not.toHaveBeenCalled();
+    trigger([{ isIntersecting: true }]);
+    expect(onLoadMore).toHaveBeenCalledTimes(1);
+  });
+});
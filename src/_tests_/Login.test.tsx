@@ -20,6 +20,7 @@ beforeEach(() => {
   mockUseAuth.mockReturnValue({
     signIn: vi.fn(),
     signInWithGoogle: vi.fn(),
+    isSignInLink: vi.fn(() => false),
   });
 });
 
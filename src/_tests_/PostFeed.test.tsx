@@ -0,0 +1,120 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router';
+import PostFeed from '../components/PostFeed';
+
+const mockGetPosts = vi.fn();
+const mockSearchPosts = vi.fn();
+const mockNavigate = vi.fn();
+
+vi.mock('../firestore-utils/post-storage', () => ({
+  getPosts: (...args: unknown[]) => mockGetPosts(...args),
+  searchPosts: (...args: unknown[]) => mockSearchPosts(...args),
+}));
+
+vi.mock('react-router', async () => {
+  const actual = await vi.importActual('react-router');
+  return {
+    ...actual,
+    useNavigate: () => mockNavigate,
+  };
+});
+
+const post = (id: string, title: string, content = 'Body') => ({
+  id, title, content, authorId: 'u1', authorName: 'Author', replyCount: 2, score: 0, createdAt: new Date('2024-01-01'),
+});
+
+const renderFeed = () =>
+  render(
+    <MemoryRouter>
+      <PostFeed db={{} as never} />
+    </MemoryRouter>
+  );
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  mockGetPosts.mockResolvedValue({ items: [post('p1', 'First post'), post('p2', 'Second post')], nextCursor: null });
+  mockSearchPosts.mockResolvedValue([]);
+});
+
+describe('PostFeed', () => {
+  it('lists recent posts and opens one on click', async () => {
+    renderFeed();
+    fireEvent.click(await screen.findByText('First post'));
+    expect(mockNavigate).toHaveBeenCalledWith('/post?id=p1');
+    expect(screen.getByText('Second post')).toBeInTheDocument();
+  });
+
+  it('previews Markdown content without live links inside the card', async () => {
+    mockGetPosts.mockResolvedValue({ items: [post('p1', 'Styled', 'Read **this** and [docs](https://example.com)')], nextCursor: null });
+    renderFeed();
+    expect((await screen.findByText('this')).tagName).toBe('STRONG');
+    expect(screen.getByText('docs')).toBeInTheDocument();
+    expect(screen.queryByRole('link')).not.toBeInTheDocument();
+  });
+
+  it('leaves out posts a moderator has hidden', async () => {
+    mockGetPosts.mockResolvedValue({ items: [post('p1', 'Shown post'), { ...post('p2', 'Hidden post'), hidden: true }], nextCursor: null });
+    renderFeed();
+    expect(await screen.findByText('Shown post')).toBeInTheDocument();
+    expect(screen.queryByText('Hidden post')).not.toBeInTheDocument();
+  });
+
+  it('loads the next page of posts', async () => {
+    mockGetPosts
+      .mockResolvedValueOnce({ items: [post('p1', 'First post')], nextCursor: 'cursor-1' })
+      .mockResolvedValueOnce({ items: [post('p2', 'Older post')], nextCursor: null });
+    renderFeed();
+    fireEvent.click(await screen.findByText('Load more'));
+    expect(await screen.findByText('Older post')).toBeInTheDocument();
+    expect(mockGetPosts).toHaveBeenLastCalledWith({}, { cursor: 'cursor-1', sort: 'new' });
+  });
+
+  it('switches between newest and top scored posts', async () => {
+    renderFeed();
+    await screen.findByText('First post');
+    expect(mockGetPosts).toHaveBeenCalledWith({}, { sort: 'new' });
+
+    mockGetPosts.mockResolvedValue({ items: [{ ...post('p9', 'Best post'), score: 12 }], nextCursor: null });
+    fireEvent.click(screen.getByText('Top'));
+    expect(await screen.findByText('Best post')).toBeInTheDocument();
+    expect(screen.getByText('Top posts')).toBeInTheDocument();
+    expect(screen.getByLabelText('Score')).toHaveTextContent('12');
+    expect(mockGetPosts).toHaveBeenLastCalledWith({}, { sort: 'top' });
+  });
+
+  it('searches once typing pauses and highlights the matches', async () => {
+    mockSearchPosts.mockResolvedValue([post('p3', 'React hooks guide', 'Using hooks well')]);
+    renderFeed();
+    await screen.findByText('First post');
+
+    const input = screen.getByLabelText('Search posts');
+    fireEvent.change(input, { target: { value: 'hoo' } });
+    fireEvent.change(input, { target: { value: 'hooks' } });
+
+    await waitFor(() => expect(screen.getAllByText('hooks', { selector: 'mark' })).toHaveLength(2));
+    expect(mockSearchPosts).toHaveBeenCalledTimes(1);
+    expect(mockSearchPosts).toHaveBeenCalledWith({}, 'hooks');
+    expect(screen.queryByText('First post')).not.toBeInTheDocument();
+  });
+
+  it('says when nothing matches and returns to the feed when cleared', async () => {
+    renderFeed();
+    await screen.findByText('First post');
+    const input = screen.getByLabelText('Search posts');
+
+    fireEvent.change(input, { target: { value: 'missing' } });
+    expect(await screen.findByText(/No posts match/)).toBeInTheDocument();
+
+    fireEvent.change(input, { target: { value: '' } });
+    expect(screen.getByText('First post')).toBeInTheDocument();
+  });
+
+  it('shows an error when search fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockSearchPosts.mockRejectedValue(new Error('index missing'));
+    renderFeed();
+    fireEvent.change(screen.getByLabelText('Search posts'), { target: { value: 'react' } });
+    expect(await screen.findByText('Search failed')).toBeInTheDocument();
+  });
+});
@@ -1,7 +1,7 @@
 import { describe, it, expect, vi } from 'vitest';
 import { render, screen } from '@testing-library/react';
-import { MemoryRouter, Routes, Route } from 'react-router';
-import { RequireAuth, RedirectIfAuthed } from '../components/ProtectedRoute';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router';
+import { RequireAuth, RequireVerified, RedirectIfAuthed } from '../components/ProtectedRoute';
 
 const mockUseAuth = vi.fn();
 vi.mock('../firestore-utils/auth-context', () => ({
@@ -21,6 +21,11 @@ vi.mock('../firestore-utils/auth-context', () => ({
 // tests mount at '/' and RedirectIfAuthed tests mount at '/login' — same
 // mounting decisions as App.tsx routes).
 // `initialEntry` is where the test starts.
+const VerifyPage = () => {
+  const location = useLocation();
+  return <div>Verify Page {location.search}</div>;
+};
+
 const renderInRouter = (slot, opts = {}) => {
   const { atPath = '/', initialEntry = atPath } = opts;
   return render(
@@ -30,6 +35,7 @@ const renderInRouter = (slot, opts = {}) => {
         <Route path="/infra-setup" element={<div>Navigated to infra-setup</div>} />
         <Route path="/login" element={<div>Login Page</div>} />
         <Route path="/profile" element={<div>Profile Page</div>} />
+        <Route path="/verify-email" element={<VerifyPage />} />
       </Routes>
     </MemoryRouter>
   );
@@ -57,6 +63,33 @@ describe('RequireAuth', () => {
   });
 });
 
+describe('RequireVerified', () => {
+  it('renders children for a verified user', () => {
+    mockUseAuth.mockReturnValue({ user: { uid: 'u1' }, isVerified: true, loading: false });
+    renderInRouter(<RequireVerified><div>Compose</div></RequireVerified>);
+    expect(screen.getByText('Compose')).toBeInTheDocument();
+  });
+
+  it('sends an unverified user to /verify-email with a returnUrl', () => {
+    mockUseAuth.mockReturnValue({ user: { uid: 'u1' }, isVerified: false, loading: false });
+    renderInRouter(<RequireVerified><div>Compose</div></RequireVerified>, { atPath: '/compose-post', initialEntry: '/compose-post?x=1' });
+    expect(screen.queryByText('Compose')).not.toBeInTheDocument();
+    expect(screen.getByText('Verify Page ?returnUrl=%2Fcompose-post%3Fx%3D1')).toBeInTheDocument();
+  });
+
+  it('lets a guest through to draft', () => {
+    mockUseAuth.mockReturnValue({ user: { uid: 'g1', isAnonymous: true }, isGuest: true, isVerified: false, loading: false });
+    renderInRouter(<RequireVerified><div>Compose</div></RequireVerified>);
+    expect(screen.getByText('Compose')).toBeInTheDocument();
+  });
+
+  it('redirects to /login when nobody is signed in', () => {
+    mockUseAuth.mockReturnValue({ user: null, isVerified: false, loading: false });
+    renderInRouter(<RequireVerified><div>Compose</div></RequireVerified>);
+    expect(screen.getByText('Login Page')).toBeInTheDocument();
+  });
+});
+
 describe('RedirectIfAuthed', () => {
   it('shows loading spinner when auth is loading', () => {
     mockUseAuth.mockReturnValue({ user: null, loading: true });
@@ -87,4 +120,10 @@ describe('RedirectIfAuthed', () => {
     renderInRouter(<RedirectIfAuthed><div>Public Content</div></RedirectIfAuthed>, { atPath: '/login' });
     expect(screen.getByText('Public Content')).toBeInTheDocument();
   });
+
+  it('renders children for a guest, who signs up from there', () => {
+    mockUseAuth.mockReturnValue({ user: { isAnonymous: true }, loading: false });
+    renderInRouter(<RedirectIfAuthed><div>Public Content</div></RedirectIfAuthed>, { atPath: '/login' });
+    expect(screen.getByText('Public Content')).toBeInTheDocument();
+  });
 });
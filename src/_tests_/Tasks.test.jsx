@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { getDocs, startAfter, orderBy } from 'firebase/firestore';
 import Tasks from '../template/pages/Tasks';
 
 const mockUseAuth = vi.fn();
@@ -13,6 +14,7 @@ vi.mock('firebase/firestore', () => ({
   where: vi.fn(() => ({ _mock: 'where' })),
   orderBy: vi.fn(() => ({ _mock: 'orderBy' })),
   limit: vi.fn(() => ({ _mock: 'limit' })),
+  startAfter: vi.fn(() => ({ _mock: 'startAfter' })),
   getDocs: vi.fn(() => Promise.resolve({
     docs: [],
     empty: true,
@@ -22,16 +24,41 @@ vi.mock('firebase/firestore', () => ({
   updateDoc: vi.fn(),
   deleteDoc: vi.fn(),
   doc: vi.fn(() => ({ _mock: 'doc' })),
+  onSnapshot: vi.fn(() => () => {}),
   serverTimestamp: vi.fn(() => new Date()),
 }));
 
+const mockSafeCreate = vi.fn();
+const mockSafeUpdate = vi.fn();
+const mockSafeDelete = vi.fn();
+vi.mock('../guardrails/safe-firestore', async (importOriginal) => ({
+  ...(await importOriginal()),
+  safeCreate: (...args) => mockSafeCreate(...args),
+  safeUpdate: (...args) => mockSafeUpdate(...args),
+  safeDelete: (...args) => mockSafeDelete(...args),
+}));
+
 const mockDb = { _fake: 'firestore' };
+const USER = { uid: 'abc', email: 'u@t.com' };
+
+const taskDoc = (id, data) => ({ id, data: () => ({ completed: false, userId: 'abc', ...data }) });
+
+// Signs in and serves one page of tasks.
+const withTasks = (docs) => {
+  mockUseAuth.mockReturnValue({ user: USER });
+  getDocs.mockResolvedValueOnce({ docs });
+};
+
+const titles = () => screen.getAllByTestId(/^task-/).map((row) => row.querySelector('span').textContent);
 
 const renderTasks = () =>
   render(<Tasks db={mockDb} />);
 
 beforeEach(() => {
   mockUseAuth.mockReset();
+  mockSafeCreate.mockReset();
+  mockSafeUpdate.mockReset().mockResolvedValue(undefined);
+  mockSafeDelete.mockReset().mockResolvedValue(undefined);
 });
 
 describe('Tasks', () => {
@@ -59,4 +86,152 @@ describe('Tasks', () => {
     const emptyMsg = await screen.findByText('No tasks yet. Add one above!');
     expect(emptyMsg).toBeInTheDocument();
   });
+
+  it('loads the next page of tasks after the last one shown', async () => {
+    mockUseAuth.mockReturnValue({ user: { uid: 'abc', email: 'u@t.com' } });
+    const task = (i) => ({ id: `t${i}`, data: () => ({ title: `Task ${i}`, completed: false, userId: 'abc' }) });
+    const firstPage = Array.from({ length: 50 }, (_, i) => task(i));
+    getDocs
+      .mockResolvedValueOnce({ docs: firstPage })
+      .mockResolvedValueOnce({ docs: [task(50)] });
+
+    renderTasks();
+    fireEvent.click(await screen.findByText('Load more'));
+    expect(await screen.findByText('Task 50')).toBeInTheDocument();
+    expect(startAfter).toHaveBeenCalledWith(firstPage[49]);
+    expect(screen.queryByText('Load more')).not.toBeInTheDocument();
+  });
+
+  it('lists tasks in their saved order, including ones saved before ordering existed', async () => {
+    const legacy = { toDate: () => new Date('2020-01-01') };
+    withTasks([
+      taskDoc('t2', { title: 'Second', order: 2 }),
+      taskDoc('t0', { title: 'Legacy', createdAt: legacy }),
+      taskDoc('t1', { title: 'First', order: 1 }),
+    ]);
+    renderTasks();
+    await screen.findByText('Legacy');
+    expect(titles()).toEqual(['Legacy', 'First', 'Second']);
+    expect(orderBy).toHaveBeenCalledWith('createdAt', 'desc');
+  });
+
+  it('adds a task with a due date, priority and tags at the top without reloading', async () => {
+    withTasks([taskDoc('t1', { title: 'Existing', order: 5 })]);
+    mockSafeCreate.mockResolvedValue('t2');
+    renderTasks();
+    await screen.findByText('Existing');
+    getDocs.mockClear();
+
+    fireEvent.change(screen.getByPlaceholderText('Add a new task...'), { target: { value: 'Ship it' } });
+    fireEvent.change(screen.getByLabelText('Due date'), { target: { value: '2030-01-15' } });
+    fireEvent.change(screen.getByLabelText('Priority'), { target: { value: 'high' } });
+    fireEvent.change(screen.getByLabelText('Tags'), { target: { value: 'Work, urgent, work' } });
+    fireEvent.click(screen.getByText('Add'));
+
+    await screen.findByText('Ship it');
+    expect(mockSafeCreate).toHaveBeenCalledWith(mockDb, 'tasks', {
+      title: 'Ship it', completed: false, dueDate: '2030-01-15', priority: 'high', tags: ['work', 'urgent'], order: 4, userId: 'abc',
+    }, 'abc', expect.objectContaining({ rateLimit: 'add-task' }));
+    expect(titles()).toEqual(['Ship it', 'Existing']);
+    expect(screen.getByText('#urgent')).toBeInTheDocument();
+    expect(getDocs).not.toHaveBeenCalled();
+  });
+
+  it('filters by active, completed and overdue', async () => {
+    withTasks([
+      taskDoc('t1', { title: 'Late', dueDate: '2000-01-01', order: 1 }),
+      taskDoc('t2', { title: 'Later', dueDate: '2999-01-01', order: 2 }),
+      taskDoc('t3', { title: 'Done', completed: true, dueDate: '2000-01-01', order: 3 }),
+    ]);
+    renderTasks();
+    await screen.findByText('Late');
+
+    fireEvent.click(screen.getByRole('tab', { name: 'Active' }));
+    expect(titles()).toEqual(['Late', 'Later']);
+    fireEvent.click(screen.getByRole('tab', { name: 'Completed' }));
+    expect(titles()).toEqual(['Done']);
+    fireEvent.click(screen.getByRole('tab', { name: 'Overdue' }));
+    expect(titles()).toEqual(['Late']);
+    expect(screen.getByText('Overdue · 2000-01-01')).toBeInTheDocument();
+  });
+
+  it('toggles optimistically and rolls back when the write fails', async () => {
+    withTasks([taskDoc('t1', { title: 'Flip', order: 1 })]);
+    let fail;
+    mockSafeUpdate.mockReturnValue(new Promise((_, reject) => { fail = reject; }));
+    renderTasks();
+    fireEvent.click(await screen.findByLabelText('Mark Flip as done'));
+
+    expect(screen.getByLabelText('Mark Flip as not done')).toBeInTheDocument();
+    fail(new Error('offline'));
+    expect(await screen.findByText('Failed to update task')).toBeInTheDocument();
+    expect(screen.getByLabelText('Mark Flip as done')).toBeInTheDocument();
+  });
+
+  it('saves only the moved task\'s order when reordering', async () => {
+    withTasks([
+      taskDoc('t1', { title: 'A', order: 1 }),
+      taskDoc('t2', { title: 'B', order: 2 }),
+      taskDoc('t3', { title: 'C', order: 3 }),
+    ]);
+    renderTasks();
+    await screen.findByText('A');
+
+    fireEvent.click(screen.getByLabelText('Move C up'));
+    expect(titles()).toEqual(['A', 'C', 'B']);
+    expect(mockSafeUpdate).toHaveBeenCalledWith(mockDb, 'tasks', 't3', { order: 1.5 }, 'abc', expect.objectContaining({ ownerField: 'userId' }));
+
+    fireEvent.dragStart(screen.getByTestId('task-t1'));
+    fireEvent.drop(screen.getByTestId('task-t2'));
+    await waitFor(() => expect(titles()).toEqual(['C', 'B', 'A']));
+    expect(mockSafeUpdate).toHaveBeenLastCalledWith(mockDb, 'tasks', 't1', { order: 3 }, 'abc', expect.anything());
+  });
+
+  it('marks a task pending until its write is confirmed', async () => {
+    withTasks([taskDoc('t1', { title: 'Slow', order: 1 })]);
+    let confirm;
+    mockSafeUpdate.mockReturnValue(new Promise((resolve) => { confirm = resolve; }));
+    renderTasks();
+    fireEvent.click(await screen.findByLabelText('Mark Slow as done'));
+
+    expect(screen.getByText('Pending sync')).toBeInTheDocument();
+    confirm();
+    await waitFor(() => expect(screen.queryByText('Pending sync')).not.toBeInTheDocument());
+  });
+
+  it('undoes only the change that failed', async () => {
+    withTasks([taskDoc('t1', { title: 'Flaky', order: 1 }), taskDoc('t2', { title: 'Done with', order: 2 })]);
+    let fail;
+    mockSafeUpdate.mockReturnValueOnce(new Promise((_, reject) => { fail = reject; }));
+    renderTasks();
+    fireEvent.click(await screen.findByLabelText('Mark Flaky as done'));
+    fireEvent.click(screen.getByLabelText('Delete Done with'));
+    await waitFor(() => expect(mockSafeDelete).toHaveBeenCalled());
+
+    fail(new Error('offline write rejected'));
+    expect(await screen.findByText('Failed to update task')).toBeInTheDocument();
+    expect(titles()).toEqual(['Flaky']);
+    expect(screen.getByLabelText('Mark Flaky as done')).toBeInTheDocument();
+  });
+
+  it('holds back new tasks while offline', async () => {
+    withTasks([]);
+    const onLine = vi.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+    renderTasks();
+    await screen.findByText('No tasks yet. Add one above!');
+    fireEvent.change(screen.getByPlaceholderText('Add a new task...'), { target: { value: 'Later' } });
+
+    expect(screen.getByText('Add').closest('button')).toBeDisabled();
+    expect(screen.getByText(/New tasks need a connection/)).toBeInTheDocument();
+    onLine.mockRestore();
+  });
+
+  it('removes a task straight away', async () => {
+    withTasks([taskDoc('t1', { title: 'Gone', order: 1 })]);
+    renderTasks();
+    fireEvent.click(await screen.findByLabelText('Delete Gone'));
+    expect(screen.queryByText('Gone')).not.toBeInTheDocument();
+    expect(screen.getByText('No tasks yet. Add one above!')).toBeInTheDocument();
+    expect(mockSafeDelete).toHaveBeenCalledWith(mockDb, 'tasks', 't1', 'abc', expect.objectContaining({ requireOwnership: true }));
+  });
 });
@@ -0,0 +1,121 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { Firestore } from 'firebase/firestore';
+import type { User } from 'firebase/auth';
+
+type Row = { id: string; data: Record<string, unknown> };
+
+const stored: Record<string, Row[]> = {};
+const singles: Record<string, Record<string, unknown> | undefined> = {};
+const calls: string[] = [];
+
+const mockDeletePost = vi.fn(async (_db: unknown, postId: string) => { calls.push(`post ${postId}`); });
+const mockDeleteReply = vi.fn(async (_db: unknown, postId: string, replyId: string) => { calls.push(`reply ${replyId} on ${postId}`); });
+const mockSafeDelete = vi.fn(async (_db: unknown, coll: string, docId: string) => { calls.push(`${coll}/${docId}`); });
+const mockClearOperatorSecrets = vi.fn(() => { calls.push('secrets'); });
+const mockDeleteUser = vi.fn(async () => { calls.push('auth user'); });
+
+vi.mock('firebase/firestore', () => ({
+  collection: (_db: unknown, name: string) => name,
+  where: (field: string, _op: string, value: string) => ({ field, value }),
+  query: (name: string, filter: { field: string; value: string }) => ({ name, filter }),
+  getDocs: async ({ name, filter }: { name: string; filter: { field: string; value: string } }) => ({
+    docs: (stored[name] || [])
+      .filter(row => row.data[filter.field] === filter.value)
+      .map(row => ({ id: row.id, data: () => row.data })),
+  }),
+  doc: (_db: unknown, name: string, id: string) => `${name}/${id}`,
+  getDoc: async (path: string) => ({ exists: () => !!singles[path], data: () => singles[path] }),
+}));
+
+vi.mock('firebase/auth', () => ({ deleteUser: mockDeleteUser }));
+vi.mock('../guardrails/safe-firestore', () => ({ safeDelete: mockSafeDelete }));
+vi.mock('../guardrails/secret-storage', () => ({ clearOperatorSecrets: mockClearOperatorSecrets }));
+vi.mock('../firestore-utils/post-storage', () => ({ deletePost: mockDeletePost, deleteReply: mockDeleteReply }));
+
+const mockDb = {} as Firestore;
+const user = { uid: 'u1', email: 'u1@example.com', metadata: { lastSignInTime: new Date().toUTCString() } } as User;
+const when = new Date('2026-01-02T03:04:05.000Z');
+const timestamp = { toDate: () => when, seconds: 1, nanoseconds: 0 };
+
+describe('account-data', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    calls.length = 0;
+    Object.assign(stored, {
+      posts: [
+        { id: 'p1', data: { title: 'Mine', authorId: 'u1', createdAt: timestamp } },
+        { id: 'p2', data: { title: 'Theirs', authorId: 'u2' } },
+      ],
+      replies: [{ id: 'r1', data: { content: 'Hi', postId: 'p2', authorId: 'u1' } }],
+      tasks: [{ id: 't1', data: { title: 'Task', userId: 'u1', completed: false } }],
+      user_apps: [{ id: 'u1_app', data: { app_name: 'app', user_id: 'u1' } }],
+      reports: [{ id: 'rep1', data: { targetId: 'p2', reason: 'spam', createdBy: 'u1' } }],
+    });
+    Object.assign(singles, {
+      'users/u1': { displayName: 'Una', bio: '' },
+      'userPreferences/u1': { beta_enabled: true },
+      'infra_configs/u1': undefined,
+    });
+  });
+
+  it('gathers the user\'s documents from every collection, with dates as ISO strings', async () => {
+    const { exportMyData } = await import('../firestore-utils/account-data');
+    const data = await exportMyData(mockDb, user);
+
+    expect(data.uid).toBe('u1');
+    expect(data.email).toBe('u1@example.com');
+    expect(data.collections).toEqual({
+      posts: [{ id: 'p1', title: 'Mine', authorId: 'u1', createdAt: '2026-01-02T03:04:05.000Z' }],
+      replies: [{ id: 'r1', content: 'Hi', postId: 'p2', authorId: 'u1' }],
+      tasks: [{ id: 't1', title: 'Task', userId: 'u1', completed: false }],
+      user_apps: [{ id: 'u1_app', app_name: 'app', user_id: 'u1' }],
+      reports: [{ id: 'rep1', targetId: 'p2', reason: 'spam', createdBy: 'u1' }],
+      users: { displayName: 'Una', bio: '' },
+      userPreferences: { beta_enabled: true },
+      infra_configs: null,
+    });
+  });
+
+  it('names the file after the user and the day', async () => {
+    const { exportFileName } = await import('../firestore-utils/account-data');
+    expect(exportFileName('u1', when)).toBe('my-data-u1-2026-01-02.json');
+  });
+
+  it('deletes posts, then replies elsewhere, then the rest, and the Auth user last', async () => {
+    const { deleteMyAccount } = await import('../firestore-utils/account-data');
+    localStorage.setItem('beta_enabled_u1', 'true');
+
+    await deleteMyAccount(mockDb, user);
+
+    expect(calls).toEqual([
+      'post p1',
+      'reply r1 on p2',
+      'tasks/t1',
+      'user_apps/u1_app',
+      'users/u1',
+      'userPreferences/u1',
+      'infra_configs/u1',
+      'secrets',
+      'auth user',
+    ]);
+    expect(mockDeletePost).toHaveBeenCalledWith(mockDb, 'p1', 'u1');
+    expect(mockDeleteUser).toHaveBeenCalledWith(user);
+    expect(localStorage.getItem('beta_enabled_u1')).toBeNull();
+  });
+
+  it('deletes nothing unless the user signed in recently', async () => {
+    const { deleteMyAccount } = await import('../firestore-utils/account-data');
+    const stale = { ...user, metadata: { lastSignInTime: new Date(Date.now() - 10 * 60 * 1000).toUTCString() } } as User;
+
+    await expect(deleteMyAccount(mockDb, stale)).rejects.toMatchObject({ code: 'auth/requires-recent-login' });
+    expect(calls).toEqual([]);
+  });
+
+  it('stops before the Auth user when a delete fails', async () => {
+    const { deleteMyAccount } = await import('../firestore-utils/account-data');
+    mockSafeDelete.mockRejectedValueOnce(new Error('permission-denied'));
+
+    await expect(deleteMyAccount(mockDb, user)).rejects.toThrow('permission-denied');
+    expect(mockDeleteUser).not.toHaveBeenCalled();
+  });
+});
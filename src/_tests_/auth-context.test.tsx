@@ -1,17 +1,33 @@
-import { describe, it, expect, vi } from 'vitest';
-import { render, screen } from '@testing-library/react';
-import { AuthProvider, useAuth } from '../firestore-utils/auth-context';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, act } from '@testing-library/react';
+import * as firebaseAuth from 'firebase/auth';
+import { AuthProvider, useAuth, EMAIL_LINK_STORAGE_KEY } from '../firestore-utils/auth-context';
+import type { AuthContextType } from '../types';
 
 vi.mock('firebase/auth', () => ({
   onAuthStateChanged: vi.fn((auth, cb) => {
     cb(null);
     return vi.fn();
   }),
-  signInWithEmailAndPassword: vi.fn(),
+  signInWithEmailAndPassword: vi.fn(async () => ({ user: {} })),
   signOut: vi.fn(),
   createUserWithEmailAndPassword: vi.fn(),
   signInWithPopup: vi.fn(),
-  GoogleAuthProvider: vi.fn(() => ({})),
+  signInWithCredential: vi.fn(),
+  signInAnonymously: vi.fn(),
+  sendSignInLinkToEmail: vi.fn(),
+  sendPasswordResetEmail: vi.fn(),
+  sendEmailVerification: vi.fn(),
+  isSignInWithEmailLink: vi.fn(),
+  signInWithEmailLink: vi.fn(),
+  linkWithPopup: vi.fn(),
+  linkWithCredential: vi.fn(),
+  GoogleAuthProvider: Object.assign(class { providerId = 'google.com'; }, { credentialFromError: vi.fn() }),
+  GithubAuthProvider: Object.assign(class { providerId = 'github.com'; }, { credentialFromError: vi.fn() }),
+  EmailAuthProvider: {
+    credential: vi.fn((email, password) => ({ email, password })),
+    credentialWithLink: vi.fn((email, link) => ({ email, link })),
+  },
 }));
 
 const TestConsumer = () => {
@@ -77,3 +93,189 @@ describe('AuthProvider', () => {
     expect(onAuthStateChanged).toHaveBeenCalledWith({}, expect.any(Function));
   });
 });
+
+describe('AuthProvider sign-in methods', () => {
+  const member = { uid: 'member-uid', isAnonymous: false };
+  const guest = { uid: 'guest-uid', isAnonymous: true };
+  let auth: { currentUser: unknown };
+  let ctx: AuthContextType;
+
+  const Capture = () => {
+    ctx = useAuth();
+    return null;
+  };
+
+  const renderProvider = () => render(
+    <AuthProvider auth={auth as any}>
+      <Capture />
+    </AuthProvider>
+  );
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    auth = { currentUser: null };
+    vi.mocked(firebaseAuth.signInWithPopup).mockResolvedValue({ user: member } as any);
+    vi.mocked(firebaseAuth.linkWithPopup).mockResolvedValue({ user: guest } as any);
+    vi.mocked(firebaseAuth.signInWithEmailAndPassword).mockResolvedValue({ user: member } as any);
+    vi.mocked(firebaseAuth.signInWithEmailLink).mockResolvedValue({ user: member } as any);
+    vi.mocked(firebaseAuth.linkWithCredential).mockResolvedValue({ user: guest } as any);
+  });
+
+  it('signs in with a GitHub popup', async () => {
+    renderProvider();
+    await ctx.signInWithGitHub();
+    expect(firebaseAuth.signInWithPopup).toHaveBeenCalledWith(auth, expect.objectContaining({ providerId: 'github.com' }));
+  });
+
+  it('signs in anonymously as a guest', async () => {
+    renderProvider();
+    await ctx.signInAsGuest();
+    expect(firebaseAuth.signInAnonymously).toHaveBeenCalledWith(auth);
+  });
+
+  it('links a provider to a guest instead of replacing them', async () => {
+    auth.currentUser = guest;
+    renderProvider();
+    await act(() => ctx.signInWithGoogle());
+    expect(firebaseAuth.linkWithPopup).toHaveBeenCalledWith(guest, expect.objectContaining({ providerId: 'google.com' }));
+    expect(firebaseAuth.signInWithPopup).not.toHaveBeenCalled();
+  });
+
+  it('links an email and password to a guest on sign up', async () => {
+    auth.currentUser = guest;
+    renderProvider();
+    await act(() => ctx.signUp('a@b.com', 'secret1'));
+    expect(firebaseAuth.linkWithCredential).toHaveBeenCalledWith(guest, { email: 'a@b.com', password: 'secret1' });
+    expect(firebaseAuth.createUserWithEmailAndPassword).not.toHaveBeenCalled();
+  });
+
+  it('sends a verification email on sign up, and signs up even if that fails', async () => {
+    const created = { uid: 'new-uid', isAnonymous: false };
+    vi.mocked(firebaseAuth.createUserWithEmailAndPassword).mockResolvedValue({ user: created } as any);
+    vi.mocked(firebaseAuth.sendEmailVerification).mockRejectedValueOnce(new Error('quota'));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    renderProvider();
+    await act(() => ctx.signUp('a@b.com', 'secret1'));
+    expect(firebaseAuth.sendEmailVerification).toHaveBeenCalledWith(created, {
+      url: `${window.location.origin}/verify-email`,
+    });
+  });
+
+  it('sends a password reset email that returns to /login', async () => {
+    renderProvider();
+    await ctx.resetPassword('a@b.com');
+    expect(firebaseAuth.sendPasswordResetEmail).toHaveBeenCalledWith(auth, 'a@b.com', {
+      url: `${window.location.origin}/login`,
+    });
+  });
+
+  it('resends the verification email to the signed-in user', async () => {
+    auth.currentUser = member;
+    renderProvider();
+    await ctx.sendVerificationEmail('/compose-post');
+    expect(firebaseAuth.sendEmailVerification).toHaveBeenCalledWith(member, {
+      url: `${window.location.origin}/verify-email?returnUrl=%2Fcompose-post`,
+    });
+  });
+
+  it('reloads the user and refreshes their token so the rules see email_verified', async () => {
+    const current = { ...member, reload: vi.fn(), getIdToken: vi.fn() };
+    auth.currentUser = current;
+    renderProvider();
+    await act(() => ctx.reloadUser());
+    expect(current.reload).toHaveBeenCalled();
+    expect(current.getIdToken).toHaveBeenCalledWith(true);
+  });
+
+  it('counts only registered users with a confirmed email as verified', () => {
+    const states = [
+      [{ isAnonymous: false, emailVerified: true }, true],
+      [{ isAnonymous: false, emailVerified: false }, false],
+      [{ isAnonymous: true, emailVerified: false }, false],
+      [null, false],
+    ];
+    for (const [user, verified] of states) {
+      vi.mocked(firebaseAuth.onAuthStateChanged).mockImplementationOnce((_auth, cb: any) => {
+        cb(user);
+        return vi.fn();
+      });
+      const { unmount } = renderProvider();
+      expect(ctx.isVerified).toBe(verified);
+      unmount();
+    }
+  });
+
+  it('switches a guest to the account a provider already belongs to', async () => {
+    auth.currentUser = guest;
+    const credential = { providerId: 'github.com' };
+    vi.mocked(firebaseAuth.linkWithPopup).mockRejectedValue({ code: 'auth/credential-already-in-use' });
+    vi.mocked(firebaseAuth.GithubAuthProvider.credentialFromError).mockReturnValue(credential as any);
+    vi.mocked(firebaseAuth.signInWithCredential).mockResolvedValue({ user: member } as any);
+    renderProvider();
+    await act(() => ctx.signInWithGitHub());
+    expect(firebaseAuth.signInWithCredential).toHaveBeenCalledWith(auth, credential);
+  });
+
+  it('links a refused credential after signing in the original way', async () => {
+    const credential = { providerId: 'github.com' };
+    vi.mocked(firebaseAuth.signInWithPopup).mockRejectedValue({
+      code: 'auth/account-exists-with-different-credential',
+      customData: { email: 'a@b.com' },
+    });
+    vi.mocked(firebaseAuth.GithubAuthProvider.credentialFromError).mockReturnValue(credential as any);
+    renderProvider();
+
+    await expect(ctx.signInWithGitHub()).rejects.toThrow(
+      'a@b.com already has an account that uses a different sign-in method. Sign in that way and GitHub will be linked to it.'
+    );
+    expect(firebaseAuth.linkWithCredential).not.toHaveBeenCalled();
+
+    await act(() => ctx.signIn('a@b.com', 'secret1'));
+    expect(firebaseAuth.linkWithCredential).toHaveBeenCalledWith(member, credential);
+
+    await act(() => ctx.signIn('a@b.com', 'secret1'));
+    expect(firebaseAuth.linkWithCredential).toHaveBeenCalledTimes(1);
+  });
+
+  it('rethrows other popup errors unchanged', async () => {
+    const error = { code: 'auth/popup-closed-by-user' };
+    vi.mocked(firebaseAuth.signInWithPopup).mockRejectedValue(error);
+    renderProvider();
+    await expect(ctx.signInWithGitHub()).rejects.toBe(error);
+  });
+
+  it('sends a sign-in link back to /login and remembers the email', async () => {
+    renderProvider();
+    await ctx.sendSignInLink('a@b.com', '/tasks');
+    expect(firebaseAuth.sendSignInLinkToEmail).toHaveBeenCalledWith(auth, 'a@b.com', {
+      url: `${window.location.origin}/login?returnUrl=%2Ftasks`,
+      handleCodeInApp: true,
+    });
+    expect(localStorage.getItem(EMAIL_LINK_STORAGE_KEY)).toBe('a@b.com');
+  });
+
+  it('completes a sign-in link with the remembered email', async () => {
+    localStorage.setItem(EMAIL_LINK_STORAGE_KEY, 'a@b.com');
+    renderProvider();
+    let done = false;
+    await act(async () => { done = await ctx.completeSignInLink('https://app/login?oobCode=x'); });
+    expect(done).toBe(true);
+    expect(firebaseAuth.signInWithEmailLink).toHaveBeenCalledWith(auth, 'a@b.com', 'https://app/login?oobCode=x');
+    expect(localStorage.getItem(EMAIL_LINK_STORAGE_KEY)).toBeNull();
+  });
+
+  it('needs the email to complete a link opened in another browser', async () => {
+    renderProvider();
+    await expect(ctx.completeSignInLink('https://app/login?oobCode=x')).resolves.toBe(false);
+    expect(firebaseAuth.signInWithEmailLink).not.toHaveBeenCalled();
+  });
+
+  it('links a sign-in link to a guest', async () => {
+    auth.currentUser = guest;
+    renderProvider();
+    await act(() => ctx.completeSignInLink('https://app/login?oobCode=x', 'a@b.com'));
+    expect(firebaseAuth.linkWithCredential).toHaveBeenCalledWith(guest, { email: 'a@b.com', link: 'https://app/login?oobCode=x' });
+    expect(firebaseAuth.signInWithEmailLink).not.toHaveBeenCalled();
+  });
+});
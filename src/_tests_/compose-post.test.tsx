@@ -4,12 +4,24 @@ import { MemoryRouter } from 'react-router';
 import ComposePost from '../compose-post';
 
 const mockCreatePost = vi.fn();
+const mockAttachImages = vi.fn();
+const mockUploadPostImage = vi.fn();
 const mockNavigate = vi.fn();
 const mockUseAuth = vi.fn();
 const mockRateLimit = { check: vi.fn(() => true), resetIn: 0 };
 
 vi.mock('../firestore-utils/post-storage', () => ({
   createPost: (...args: unknown[]) => mockCreatePost(...args),
+  attachImages: (...args: unknown[]) => mockAttachImages(...args),
+}));
+
+vi.mock('../firestore-utils/post-images', async () => ({
+  ...await vi.importActual('../firestore-utils/post-images'),
+  uploadPostImage: (...args: unknown[]) => mockUploadPostImage(...args),
+}));
+
+vi.mock('../firestore-utils/useProfile', () => ({
+  useOwnProfile: () => ({ profile: { uid: 'u1', displayName: 'Tester', bio: '' }, loading: false, error: null }),
 }));
 
 vi.mock('../firestore-utils/auth-context', () => ({
@@ -37,6 +49,7 @@ const renderComposePost = () =>
 
 beforeEach(() => {
   vi.clearAllMocks();
+  sessionStorage.clear();
   mockUseAuth.mockReturnValue({ user: { uid: 'u1', email: 'test@example.com' } });
 });
 
@@ -57,6 +70,68 @@ describe('ComposePost', () => {
     expect(screen.getByRole('button', { name: 'Publish Post' })).toBeInTheDocument();
   });
 
+  it('says which profile name the post will carry', () => {
+    renderComposePost();
+    expect(screen.getByText('Tester')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Edit profile' })).toHaveAttribute('href', '/profile');
+    expect(screen.queryByText('test@example.com')).not.toBeInTheDocument();
+  });
+
+  it('lets a guest draft, and publish once they link an account', async () => {
+    const signInWithGitHub = vi.fn().mockResolvedValue(undefined);
+    mockUseAuth.mockReturnValue({
+      user: { uid: 'g1', isAnonymous: true }, isGuest: true, signInWithGitHub, signInWithGoogle: vi.fn(),
+    });
+    const { rerender } = renderComposePost();
+    fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'Draft title' } });
+    expect(screen.getByRole('button', { name: 'Publish Post' })).toBeDisabled();
+    expect(screen.queryByText('Tester')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Continue with GitHub'));
+    await waitFor(() => expect(signInWithGitHub).toHaveBeenCalled());
+
+    // Linking keeps the uid; the context re-renders with isGuest false.
+    mockUseAuth.mockReturnValue({ user: { uid: 'g1', isAnonymous: false }, isGuest: false });
+    rerender(
+      <MemoryRouter>
+        <ComposePost db={{} as never} />
+      </MemoryRouter>
+    );
+    expect(screen.getByLabelText(/title/i)).toHaveValue('Draft title');
+    expect(screen.getByRole('button', { name: 'Publish Post' })).toBeEnabled();
+  });
+
+  it('keeps a guest draft when they leave to sign up, until it is published', async () => {
+    mockUseAuth.mockReturnValue({ user: { uid: 'g1', isAnonymous: true }, isGuest: true });
+    const { unmount } = renderComposePost();
+    fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'Draft title' } });
+    fireEvent.change(screen.getByLabelText(/content/i), { target: { value: 'Draft body' } });
+    unmount();
+
+    mockUseAuth.mockReturnValue({ user: { uid: 'g1', isAnonymous: false }, isGuest: false });
+    mockCreatePost.mockResolvedValue('post-123');
+    const { unmount: leave } = renderComposePost();
+    expect(screen.getByLabelText(/title/i)).toHaveValue('Draft title');
+    expect(screen.getByLabelText(/content/i)).toHaveValue('Draft body');
+    fireEvent.click(screen.getByRole('button', { name: 'Publish Post' }));
+    await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/post?id=post-123'));
+    leave();
+
+    renderComposePost();
+    expect(screen.getByLabelText(/title/i)).toHaveValue('');
+  });
+
+  it('previews the content as rendered Markdown and switches back to editing', () => {
+    renderComposePost();
+    fireEvent.change(screen.getByLabelText(/content/i), { target: { value: 'Run **this**:\n\n```\nnpm test\n```' } });
+    fireEvent.click(screen.getByRole('tab', { name: 'Preview' }));
+    expect(screen.queryByRole('textbox', { name: /content/i })).not.toBeInTheDocument();
+    expect(screen.getByText('this').tagName).toBe('STRONG');
+    expect(screen.getByText('npm test').closest('pre')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('tab', { name: 'Write' }));
+    expect(screen.getByLabelText(/content/i)).toHaveValue('Run **this**:\n\n```\nnpm test\n```');
+  });
+
   it('shows error on submit with empty fields', async () => {
     renderComposePost();
     const form = screen.getByRole('button', { name: 'Publish Post' }).closest('form');
@@ -77,8 +152,6 @@ describe('ComposePost', () => {
       expect(mockCreatePost).toHaveBeenCalledWith({}, {
         title: 'My Title',
         content: 'My content',
-        authorId: 'u1',
-        authorName: 'test@example.com',
       }, 'u1');
       expect(mockNavigate).toHaveBeenCalledWith('/post?id=post-123');
     });
@@ -104,6 +177,72 @@ describe('ComposePost', () => {
     expect(screen.getByRole('button', { name: 'Publishing...' })).toBeInTheDocument();
   });
 
+  describe('images', () => {
+    const png = (name: string) => new File(['x'], name, { type: 'image/png' });
+
+    const fillIn = () => {
+      fireEvent.change(screen.getByLabelText(/title/i), { target: { value: 'Title' } });
+      fireEvent.change(screen.getByLabelText(/content/i), { target: { value: 'Content' } });
+    };
+
+    it('lists picked images and lets them be removed', () => {
+      renderComposePost();
+      fireEvent.change(screen.getByLabelText('Add images'), { target: { files: [png('a.png'), png('b.png')] } });
+      expect(screen.getByText('a.png')).toBeInTheDocument();
+      fireEvent.click(screen.getByRole('button', { name: 'Remove a.png' }));
+      expect(screen.queryByText('a.png')).not.toBeInTheDocument();
+      expect(screen.getByText('b.png')).toBeInTheDocument();
+    });
+
+    it('refuses files that are not images, and more than four', () => {
+      renderComposePost();
+      fireEvent.change(screen.getByLabelText('Add images'), { target: { files: [new File(['x'], 'notes.txt', { type: 'text/plain' })] } });
+      expect(screen.getByText(/notes.txt is not a PNG/)).toBeInTheDocument();
+      fireEvent.change(screen.getByLabelText('Add images'), { target: { files: ['1', '2', '3', '4', '5'].map(n => png(`${n}.png`)) } });
+      expect(screen.getByText('A post can have at most 4 images')).toBeInTheDocument();
+      expect(screen.queryByText('1.png')).not.toBeInTheDocument();
+    });
+
+    it('uploads after the post is created, showing progress, then attaches them', async () => {
+      mockCreatePost.mockResolvedValue('post-123');
+      let finish: (path: string) => void = () => {};
+      mockUploadPostImage.mockImplementation((_db, _postId, _slot, _file, _uid, onProgress) => {
+        onProgress(0.5);
+        return new Promise(resolve => { finish = resolve; });
+      });
+      renderComposePost();
+      fillIn();
+      fireEvent.change(screen.getByLabelText('Add images'), { target: { files: [png('a.png')] } });
+      fireEvent.click(screen.getByRole('button', { name: 'Publish Post' }));
+
+      const bar = await screen.findByRole('progressbar', { name: 'Uploading a.png' });
+      expect(bar).toHaveAttribute('aria-valuenow', '50');
+      expect(mockUploadPostImage).toHaveBeenCalledWith({}, 'post-123', 0, expect.any(File), 'u1', expect.any(Function));
+      expect(mockNavigate).not.toHaveBeenCalled();
+
+      finish('posts/post-123/u1/a.png');
+      await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/post?id=post-123'));
+      expect(mockAttachImages).toHaveBeenCalledWith({}, 'post-123', ['posts/post-123/u1/a.png'], 'u1');
+    });
+
+    it('keeps the uploads that worked and says how many failed', async () => {
+      mockCreatePost.mockResolvedValue('post-123');
+      mockUploadPostImage
+        .mockResolvedValueOnce('posts/post-123/u1/a.png')
+        .mockRejectedValueOnce(new Error('storage/unauthorized'));
+      renderComposePost();
+      fillIn();
+      fireEvent.change(screen.getByLabelText('Add images'), { target: { files: [png('a.png'), png('b.png')] } });
+      fireEvent.click(screen.getByRole('button', { name: 'Publish Post' }));
+
+      expect(await screen.findByText('Your post was published, but 1 of 2 images could not be uploaded.')).toBeInTheDocument();
+      expect(mockAttachImages).toHaveBeenCalledWith({}, 'post-123', ['posts/post-123/u1/a.png'], 'u1');
+      expect(screen.getByRole('button', { name: 'Publish Post' })).toBeDisabled();
+      fireEvent.click(screen.getByRole('button', { name: 'View post' }));
+      expect(mockNavigate).toHaveBeenCalledWith('/post?id=post-123');
+    });
+  });
+
   it('navigates back on cancel', () => {
     renderComposePost();
     fireEvent.click(screen.getByText('Cancel'));
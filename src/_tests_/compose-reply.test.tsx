@@ -4,6 +4,7 @@ import { MemoryRouter } from 'react-router';
 import ComposeReply from '../compose-reply';
 
 const mockGetPost = vi.fn();
+const mockGetReply = vi.fn();
 const mockAddReply = vi.fn();
 const mockNavigate = vi.fn();
 const mockUseAuth = vi.fn();
@@ -11,9 +12,14 @@ const mockRateLimit = { check: vi.fn(() => true), resetIn: 0 };
 
 vi.mock('../firestore-utils/post-storage', () => ({
   getPost: (...args: unknown[]) => mockGetPost(...args),
+  getReply: (...args: unknown[]) => mockGetReply(...args),
   addReply: (...args: unknown[]) => mockAddReply(...args),
 }));
 
+vi.mock('../firestore-utils/useProfile', () => ({
+  useOwnProfile: () => ({ profile: { uid: 'u2', displayName: 'Replyer', bio: '' }, loading: false, error: null }),
+}));
+
 vi.mock('../firestore-utils/auth-context', () => ({
   useAuth: () => mockUseAuth(),
 }));
@@ -41,6 +47,7 @@ const renderComposeReply = (search = '?id=post-1') =>
 
 beforeEach(() => {
   vi.clearAllMocks();
+  sessionStorage.clear();
   mockUseAuth.mockReturnValue({ user: { uid: 'u2', email: 'replyer@example.com' } });
   mockGetPost.mockResolvedValue(mockPost);
   mockAddReply.mockResolvedValue('reply-1');
@@ -102,15 +109,47 @@ describe('ComposeReply', () => {
     fireEvent.change(screen.getByLabelText(/write your reply/i), { target: { value: 'Nice post!' } });
     fireEvent.click(screen.getByRole('button', { name: 'Submit Reply' }));
     await waitFor(() => {
-      expect(mockAddReply).toHaveBeenCalledWith({}, 'post-1', {
-        content: 'Nice post!',
-        authorId: 'u2',
-        authorName: 'replyer@example.com',
-      }, 'u2');
+      expect(mockAddReply).toHaveBeenCalledWith({}, 'post-1', 'Nice post!', 'u2', undefined);
       expect(mockNavigate).toHaveBeenCalledWith('/post?id=post-1');
     });
   });
 
+  it('keeps an unsent reply for its own post only', async () => {
+    const { unmount } = renderComposeReply();
+    fireEvent.change(await screen.findByLabelText(/write your reply/i), { target: { value: 'Half a thought' } });
+    unmount();
+
+    const { unmount: leave } = renderComposeReply('?id=post-2');
+    expect(await screen.findByLabelText(/write your reply/i)).toHaveValue('');
+    leave();
+
+    renderComposeReply();
+    expect(await screen.findByLabelText(/write your reply/i)).toHaveValue('Half a thought');
+  });
+
+  it('answers a reply when given a parent', async () => {
+    mockGetReply.mockResolvedValue({ id: 'r1', postId: 'post-1', content: 'Parent words', authorName: 'Bob', depth: 0 });
+    renderComposeReply('?id=post-1&parent=r1');
+    await waitFor(() => {
+      expect(screen.getByText('Bob wrote:')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Parent words')).toBeInTheDocument();
+    expect(mockGetReply).toHaveBeenCalledWith({}, 'r1');
+    fireEvent.change(screen.getByLabelText(/write your reply/i), { target: { value: 'Agreed' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Submit Reply' }));
+    await waitFor(() => {
+      expect(mockAddReply).toHaveBeenCalledWith({}, 'post-1', 'Agreed', 'u2', 'r1');
+    });
+  });
+
+  it('shows reply not found when the parent is gone or on another post', async () => {
+    mockGetReply.mockResolvedValue({ id: 'r1', postId: 'post-9', content: 'Elsewhere', authorName: 'Bob', depth: 0 });
+    renderComposeReply('?id=post-1&parent=r1');
+    await waitFor(() => {
+      expect(screen.getByText('Reply not found')).toBeInTheDocument();
+    });
+  });
+
   it('shows error on addReply failure', async () => {
     mockAddReply.mockRejectedValue(new Error('db fail'));
     renderComposeReply();
@@ -0,0 +1,122 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { Firestore } from 'firebase/firestore';
+import { defineCollection } from '../guardrails/define-collection';
+
+const mockSafeCreate = vi.fn((..._args: unknown[]) => Promise.resolve('new-id'));
+const mockSafeUpdate = vi.fn((..._args: unknown[]) => Promise.resolve());
+const mockSafeDelete = vi.fn((..._args: unknown[]) => Promise.resolve());
+const mockSafeQuery = vi.fn((..._args: unknown[]) => Promise.resolve([]));
+const mockSafeQueryPage = vi.fn((..._args: unknown[]) => Promise.resolve({ items: [], nextCursor: null }));
+const mockSafeVote = vi.fn((..._args: unknown[]) => Promise.resolve(1));
+const mockOnSnapshot = vi.fn((..._args: unknown[]) => () => {});
+const mockWhere = vi.fn((...args: unknown[]) => ({ where: args }));
+
+vi.mock('../guardrails/safe-firestore', () => ({
+  safeCreate: (...args: unknown[]) => mockSafeCreate(...args),
+  safeUpdate: (...args: unknown[]) => mockSafeUpdate(...args),
+  safeDelete: (...args: unknown[]) => mockSafeDelete(...args),
+  safeQuery: (...args: unknown[]) => mockSafeQuery(...args),
+  safeQueryPage: (...args: unknown[]) => mockSafeQueryPage(...args),
+  safeVote: (...args: unknown[]) => mockSafeVote(...args),
+}));
+
+vi.mock('firebase/firestore', () => ({
+  collection: vi.fn(() => 'collection-ref'),
+  query: vi.fn((ref) => ref),
+  where: (...args: unknown[]) => mockWhere(...args),
+  orderBy: vi.fn(),
+  limit: vi.fn(),
+  onSnapshot: (...args: unknown[]) => mockOnSnapshot(...args),
+}));
+
+const db = {} as Firestore;
+
+interface Note {
+  title: string;
+  done?: boolean;
+}
+
+const notes = defineCollection<Note>('notes', {
+  title: { type: 'string', required: true, maxLength: 10, label: 'Title' },
+  done: { type: 'boolean', label: 'Done' },
+}, { ownerField: 'userId', rateLimit: 'add-note' });
+
+describe('defineCollection', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('derives allowed fields from the schema plus the owner field', () => {
+    expect(notes.allowFields).toEqual(['title', 'done', 'userId']);
+    expect(defineCollection('posts', { title: {} }).allowFields).toEqual(['title']);
+  });
+
+  it('validates and stamps the owner field on create', async () => {
+    await expect(notes.create(db, { title: 'Hello' }, 'user-1')).resolves.toBe('new-id');
+    expect(mockSafeCreate).toHaveBeenCalledWith(db, 'notes', { title: 'Hello', userId: 'user-1' }, 'user-1', {
+      allowFields: notes.allowFields,
+      rateLimit: 'add-note',
+    });
+  });
+
+  it('passes a counter increment through to the create', async () => {
+    const increment = { collection: 'boards', docId: 'b1', field: 'noteCount' };
+    await notes.create(db, { title: 'Hello' }, 'user-1', { increment });
+    expect(mockSafeCreate.mock.calls[0][4]).toMatchObject({ increment });
+  });
+
+  it('rejects an invalid create before writing', async () => {
+    await expect(notes.create(db, { title: '' }, 'user-1')).rejects.toThrow('Title is required');
+    expect(mockSafeCreate).not.toHaveBeenCalled();
+  });
+
+  it('validates only the fields an update carries', async () => {
+    await notes.update(db, 'n1', { done: true }, 'user-1');
+    expect(mockSafeUpdate).toHaveBeenCalledWith(db, 'notes', 'n1', { done: true }, 'user-1', {
+      allowFields: ['title', 'done'],
+      ownerField: 'userId',
+      requireOwnership: true,
+    });
+    await expect(notes.update(db, 'n1', { title: 'Far too long a title' }, 'user-1')).rejects.toThrow(/at most 10/);
+  });
+
+  it('checks ownership on the declared owner field when deleting', async () => {
+    await notes.remove(db, 'n1', 'user-1');
+    expect(mockSafeDelete).toHaveBeenCalledWith(db, 'notes', 'n1', 'user-1', { ownerField: 'userId', requireOwnership: true });
+  });
+
+  it('passes history, counter decrements and cascades through to the write', async () => {
+    const history = { action: 'update' as const, before: { title: 'Old' }, after: { title: 'New' }, collection: 'revisions' };
+    await notes.update(db, 'n1', { title: 'New' }, 'user-1', { history });
+    expect(mockSafeUpdate.mock.calls[0][5]).toMatchObject({ history });
+
+    const decrement = { collection: 'boards', docId: 'b1', field: 'noteCount' };
+    const cascade = [{ subcollection: 'revisions' }];
+    await notes.remove(db, 'n1', 'user-1', { decrement, cascade });
+    expect(mockSafeDelete.mock.calls[0][4]).toMatchObject({ decrement, cascade, requireOwnership: true });
+  });
+
+  it('votes with the owner field as the author', async () => {
+    await expect(notes.vote(db, 'n1', -1, 'user-2')).resolves.toBe(1);
+    expect(mockSafeVote).toHaveBeenCalledWith(db, 'notes', 'n1', -1, 'user-2', { ownerField: 'userId' });
+  });
+
+  it('scopes queries to the owner field', async () => {
+    await notes.query(db, 'user-1', { maxResults: 5 });
+    expect(mockSafeQuery).toHaveBeenCalledWith(db, 'notes', 'user-1', { maxResults: 5, ownerField: 'userId' });
+  });
+
+  it('pages queries on the owner field', async () => {
+    await notes.queryPage(db, 'user-1', { pageSize: 20, cursor: null });
+    expect(mockSafeQueryPage).toHaveBeenCalledWith(db, 'notes', 'user-1', { pageSize: 20, cursor: null, ownerField: 'userId' });
+  });
+
+  it('subscribes to the owner\'s documents', () => {
+    const onChange = vi.fn();
+    notes.subscribe(db, 'user-1', onChange);
+    expect(mockWhere).toHaveBeenCalledWith('userId', '==', 'user-1');
+    const onNext = mockOnSnapshot.mock.calls[0][1] as (snap: unknown) => void;
+    onNext({ docs: [{ id: 'n1', data: () => ({ title: 'Hi', userId: 'user-1' }) }] });
+    expect(onChange).toHaveBeenCalledWith([{ id: 'n1', title: 'Hi', userId: 'user-1' }]);
+  });
+});
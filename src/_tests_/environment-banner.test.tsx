@@ -4,12 +4,12 @@ import EnvironmentBanner from '../environment-banner';
 
 const originalLocation = window.location;
 
-vi.mock('../firebase', () => ({
-  getFirebaseApp: vi.fn(),
-}));
+const mockFirebase = vi.hoisted(() => ({ usingEmulators: false, EMULATOR_PROJECT_ID: 'demo-project' }));
+vi.mock('../firebase', () => mockFirebase);
 
 afterEach(() => {
   vi.unstubAllEnvs();
+  mockFirebase.usingEmulators = false;
 });
 
 const setHostname = (hostname: string) => {
@@ -20,6 +20,15 @@ const setHostname = (hostname: string) => {
 };
 
 describe('EnvironmentBanner', () => {
+  it('shows EMULATOR banner when connected to the local emulators', () => {
+    vi.stubEnv('VITE_APP_VERSION', 'dev');
+    mockFirebase.usingEmulators = true;
+    setHostname('localhost');
+    render(<EnvironmentBanner />);
+    expect(screen.getByText(/^EMULATOR \| DB: demo-project/)).toBeInTheDocument();
+    expect(screen.queryByText(/LOCALHOST/)).not.toBeInTheDocument();
+  });
+
   it('shows LOCALHOST banner on localhost', () => {
     vi.stubEnv('VITE_APP_VERSION', 'dev');
     vi.stubEnv('VITE_FIREBASE_PROJECT_ID', 'my-project');
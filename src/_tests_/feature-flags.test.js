@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateFlag, rolloutBucket, hashString, flagState, describeFlagState } from '../guardrails/feature-flags';
+
+const USER = { uid: 'user-1', email: 'Alice@Example.com', environment: 'staging' };
+
+describe('hashString', () => {
+  it('is stable for the same input', () => {
+    expect(hashString('beta:user-1')).toBe(hashString('beta:user-1'));
+  });
+
+  it('spreads buckets across 0-99', () => {
+    const buckets = new Set(Array.from({ length: 200 }, (_, i) => rolloutBucket('beta', `user-${i}`)));
+    expect(Math.min(...buckets)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...buckets)).toBeLessThan(100);
+    expect(buckets.size).toBeGreaterThan(50);
+  });
+});
+
+describe('evaluateFlag', () => {
+  it('returns the default when the flag does not exist', () => {
+    expect(evaluateFlag('beta', null, { ...USER, defaultValue: true }))
+      .toEqual({ enabled: true, variant: null, reason: 'default' });
+  });
+
+  it('treats a legacy { enabled } flag as fully on', () => {
+    expect(evaluateFlag('beta', { enabled: true }, USER))
+      .toEqual({ enabled: true, variant: null, reason: 'enabled' });
+  });
+
+  it('uses the default when the flag does not set enabled', () => {
+    expect(evaluateFlag('beta', { rolloutPercentage: 100 }, { ...USER, defaultValue: true }).enabled).toBe(true);
+    expect(evaluateFlag('beta', { rolloutPercentage: 100 }, USER))
+      .toEqual({ enabled: false, variant: null, reason: 'disabled' });
+  });
+
+  it('can be scoped to development', () => {
+    const flag = { enabled: true, environments: ['development'] };
+    expect(evaluateFlag('beta', flag, { ...USER, environment: 'development' }).enabled).toBe(true);
+    expect(evaluateFlag('beta', flag, USER).reason).toBe('environment');
+  });
+
+  it('is off when disabled even for allowed users', () => {
+    const result = evaluateFlag('beta', { enabled: false, allow: ['user-1'] }, USER);
+    expect(result).toEqual({ enabled: false, variant: null, reason: 'disabled' });
+  });
+
+  it('is off outside the listed environments', () => {
+    const result = evaluateFlag('beta', { enabled: true, environments: ['production'] }, USER);
+    expect(result.reason).toBe('environment');
+    expect(result.enabled).toBe(false);
+  });
+
+  it('deny wins over allow', () => {
+    const result = evaluateFlag('beta', { enabled: true, allow: ['user-1'], deny: ['user-1'] }, USER);
+    expect(result.reason).toBe('denied');
+  });
+
+  it('matches allow entries by email case-insensitively', () => {
+    const result = evaluateFlag('beta', { enabled: true, rolloutPercentage: 0, allow: ['alice@example.com'] }, USER);
+    expect(result).toMatchObject({ enabled: true, reason: 'allowed' });
+  });
+
+  it('includes a user whose bucket is under the rollout percentage', () => {
+    const bucket = rolloutBucket('beta', 'user-1');
+    expect(evaluateFlag('beta', { enabled: true, rolloutPercentage: bucket + 1 }, USER))
+      .toMatchObject({ enabled: true, reason: 'rollout' });
+    expect(evaluateFlag('beta', { enabled: true, rolloutPercentage: bucket }, USER))
+      .toMatchObject({ enabled: false, reason: 'rollout' });
+  });
+
+  it('keeps signed-out visitors out of partial rollouts', () => {
+    expect(evaluateFlag('beta', { enabled: true, rolloutPercentage: 99 }, { environment: 'staging' }).enabled)
+      .toBe(false);
+  });
+
+  it('assigns the same variant to the same user every time', () => {
+    const flag = { enabled: true, variants: ['control', 'treatment'] };
+    const first = evaluateFlag('beta', flag, USER).variant;
+    expect(['control', 'treatment']).toContain(first);
+    expect(evaluateFlag('beta', flag, USER).variant).toBe(first);
+  });
+
+  it('gives no variant when the flag is off', () => {
+    const flag = { enabled: true, variants: ['a', 'b'], deny: ['user-1'] };
+    expect(evaluateFlag('beta', flag, USER).variant).toBeNull();
+  });
+});
+
+describe('flagState', () => {
+  it('fills in defaults for a legacy flag', () => {
+    expect(flagState({ enabled: true, createdBy: 'user-1' })).toEqual({
+      enabled: true, rolloutPercentage: 100, allow: [], deny: [], environments: [], variants: [],
+    });
+  });
+
+  it('returns null for a missing flag', () => {
+    expect(flagState(null)).toBeNull();
+  });
+});
+
+describe('describeFlagState', () => {
+  it('summarises the targeting', () => {
+    const state = flagState({ enabled: true, rolloutPercentage: 25, environments: ['staging'], deny: ['user-2'] });
+    expect(describeFlagState(state)).toBe('ON · 25% rollout · staging only · 1 denied');
+  });
+
+  it('describes a deleted flag', () => {
+    expect(describeFlagState(null)).toBe('Deleted');
+  });
+});
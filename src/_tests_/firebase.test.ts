@@ -1,15 +1,36 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 
+import { connectFirestoreEmulator } from 'firebase/firestore';
+import { connectAuthEmulator } from 'firebase/auth';
+import { connectStorageEmulator } from 'firebase/storage';
+
 vi.mock('firebase/app', () => ({
   initializeApp: vi.fn(() => ({ _mock: 'app' })),
 }));
+vi.mock('firebase/auth', () => ({
+  getAuth: vi.fn(() => ({ _mock: 'auth' })),
+  connectAuthEmulator: vi.fn(),
+}));
+vi.mock('firebase/storage', () => ({
+  getStorage: vi.fn(() => ({ _mock: 'storage' })),
+  connectStorageEmulator: vi.fn(),
+}));
+vi.mock('firebase/app-check', () => ({
+  initializeAppCheck: vi.fn(),
+  ReCaptchaV3Provider: vi.fn(),
+}));
 vi.mock('firebase/firestore', () => ({
+  connectFirestoreEmulator: vi.fn(),
   getFirestore: vi.fn(() => ({ _mock: 'firestore' })),
+  initializeFirestore: vi.fn((_app, settings) => ({ _mock: 'persistent-firestore', settings })),
+  persistentLocalCache: vi.fn((settings) => ({ kind: 'persistent', ...settings })),
+  persistentMultipleTabManager: vi.fn(() => ({ kind: 'multi-tab' })),
 }));
 
 beforeEach(() => {
   vi.unstubAllEnvs();
   vi.resetModules();
+  vi.clearAllMocks();
 });
 
 describe('firebase config suffix selection', () => {
@@ -29,8 +50,9 @@ describe('firebase config suffix selection', () => {
     expect(firebaseConfig.measurementId).toBe('G-XXXXX');
   });
 
-  it('uses STAGING suffix when VITE_APP_ENV is "development"', async () => {
+  it('uses STAGING suffix when VITE_APP_ENV is "development" with the emulators off', async () => {
     vi.stubEnv('VITE_APP_ENV', 'development');
+    vi.stubEnv('VITE_USE_FIREBASE_EMULATOR', 'false');
     vi.stubEnv('VITE_FIREBASE_API_KEY_STAGING', 'pk-stg');
     vi.stubEnv('VITE_FIREBASE_AUTH_DOMAIN_STAGING', 'stg.firebaseapp.com');
     vi.stubEnv('VITE_FIREBASE_PROJECT_ID_STAGING', 'stg-project');
@@ -70,7 +92,7 @@ describe('firebase config suffix selection', () => {
   });
 
   it('measurementId is undefined in STAGING suffix', async () => {
-    vi.stubEnv('VITE_APP_ENV', 'development');
+    vi.stubEnv('VITE_APP_ENV', 'staging');
     vi.stubEnv('VITE_FIREBASE_API_KEY_STAGING', 'k');
     vi.stubEnv('VITE_FIREBASE_AUTH_DOMAIN_STAGING', 'd');
     vi.stubEnv('VITE_FIREBASE_PROJECT_ID_STAGING', 'p');
@@ -83,9 +105,51 @@ describe('firebase config suffix selection', () => {
   });
 });
 
+describe('emulator mode', () => {
+  it('is on for development and uses the demo project without any config', async () => {
+    vi.stubEnv('VITE_APP_ENV', 'development');
+    const mod = await import('../firebase');
+    expect(mod.usingEmulators).toBe(true);
+    expect(mod.firebaseConfig.projectId).toBe('demo-secureagentbase');
+    expect(mod.firebaseConfig.apiKey).toBe('demo-api-key');
+  });
+
+  it('connects Firestore, Auth and Storage to the firebase.json ports', async () => {
+    vi.stubEnv('VITE_APP_ENV', 'development');
+    const mod = await import('../firebase');
+    const db = mod.getFirebaseDb();
+    const auth = mod.getFirebaseAuth();
+    expect(connectFirestoreEmulator).toHaveBeenCalledWith(db, '127.0.0.1', 8080);
+    expect(connectAuthEmulator).toHaveBeenCalledWith(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+    expect(connectStorageEmulator).toHaveBeenCalledWith({ _mock: 'storage' }, '127.0.0.1', 9199);
+
+    const { readFileSync } = await import('fs');
+    const ports = JSON.parse(readFileSync('firebase.json', 'utf8')).emulators;
+    expect(mod.EMULATOR_PORTS).toEqual({ auth: ports.auth.port, firestore: ports.firestore.port, storage: ports.storage.port });
+  });
+
+  it('follows VITE_USE_FIREBASE_EMULATOR over the environment', async () => {
+    vi.stubEnv('VITE_APP_ENV', 'staging');
+    vi.stubEnv('VITE_USE_FIREBASE_EMULATOR', 'true');
+    const mod = await import('../firebase');
+    expect(mod.usingEmulators).toBe(true);
+  });
+
+  it('stays off for staging and production', async () => {
+    vi.stubEnv('VITE_APP_ENV', 'production');
+    const mod = await import('../firebase');
+    mod.getFirebaseDb();
+    mod.getFirebaseAuth();
+    expect(mod.usingEmulators).toBe(false);
+    expect(connectFirestoreEmulator).not.toHaveBeenCalled();
+    expect(connectAuthEmulator).not.toHaveBeenCalled();
+    expect(connectStorageEmulator).not.toHaveBeenCalled();
+  });
+});
+
 describe('getFirebaseApp / getFirebaseDb', () => {
   beforeEach(() => {
-    vi.stubEnv('VITE_APP_ENV', 'development');
+    vi.stubEnv('VITE_APP_ENV', 'staging');
     vi.stubEnv('VITE_FIREBASE_API_KEY_STAGING', 'k');
     vi.stubEnv('VITE_FIREBASE_AUTH_DOMAIN_STAGING', 'd');
     vi.stubEnv('VITE_FIREBASE_PROJECT_ID_STAGING', 'p');
@@ -105,5 +169,16 @@ describe('getFirebaseApp / getFirebaseDb', () => {
     const mod = await import('../firebase');
     const db = mod.getFirebaseDb();
     expect(db).toEqual({ _mock: 'firestore' });
+    expect(mod.persistenceEnabled).toBe(false);
+  });
+
+  it('uses a multi-tab IndexedDB cache when VITE_FIRESTORE_PERSISTENCE is "true"', async () => {
+    vi.stubEnv('VITE_FIRESTORE_PERSISTENCE', 'true');
+    const mod = await import('../firebase');
+    expect(mod.persistenceEnabled).toBe(true);
+    expect(mod.getFirebaseDb()).toEqual({
+      _mock: 'persistent-firestore',
+      settings: { localCache: { kind: 'persistent', tabManager: { kind: 'multi-tab' } } },
+    });
   });
 });
@@ -1,10 +1,25 @@
 import { describe, it, expect, beforeAll, afterAll } from 'vitest';
 import { readFileSync } from 'fs';
+import firebase from 'firebase/compat/app';
+import 'firebase/compat/firestore';
+import { POST_SCHEMA, REPLY_SCHEMA, MAX_REPLY_DEPTH, MAX_POST_IMAGES } from '../firestore-utils/schemas';
 
 const RULES_PATH = 'firestore.rules';
 const PROJECT_ID = 'test-project';
 const UID_ALICE = 'alice-uid';
 const UID_BOB = 'bob-uid';
+const UID_GUEST = 'guest-uid';
+
+// users/{uid} profiles seeded for everyone who writes posts or replies below;
+// matchesProfile() requires authorName to match.
+const PROFILES = {
+  [UID_ALICE]: 'Alice',
+  [UID_BOB]: 'Bob',
+  'carol-uid': 'Carol',
+  'dana-uid': 'Dana',
+  'erin-uid': 'Erin',
+  [UID_GUEST]: 'Guest',
+};
 
 let testEnv;
 let assertSucceeds;
@@ -22,6 +37,10 @@ beforeAll(async () => {
       projectId: PROJECT_ID,
       firestore: { rules },
     });
+    await testEnv.withSecurityRulesDisabled(async (ctx) => {
+      await Promise.all(Object.entries(PROFILES).map(([uid, displayName]) =>
+        ctx.firestore().collection('users').doc(uid).set({ displayName })));
+    });
   } catch (err) {
     console.warn('Firestore emulator not available — skipping rules tests.');
     console.warn('Install Firebase CLI emulator and run: npm run test:rules');
@@ -36,10 +55,52 @@ afterAll(async () => {
 
 const getDb = (uid) => {
   if (!isReady()) return null;
-  return uid ? testEnv.authenticatedContext(uid).firestore()
+  return uid ? testEnv.authenticatedContext(uid, { email_verified: true }).firestore()
     : testEnv.unauthenticatedContext().firestore();
 };
 
+// Signed up with a password and not yet through the verification email.
+const getUnverifiedDb = (uid) => testEnv.authenticatedContext(uid, { email_verified: false }).firestore();
+
+// Signed in with signInAnonymously().
+const getGuestDb = () => testEnv.authenticatedContext(UID_GUEST, {
+  firebase: { sign_in_provider: 'anonymous' },
+}).firestore();
+
+// Seeds admins/{uid} with the rules off — the same as an owner granting it.
+// No role at all stands in for a legacy admins doc.
+const seedRole = (uid, role) => testEnv.withSecurityRulesDisabled(async (ctx) => {
+  await ctx.firestore().collection('admins').doc(uid).set(role ? { role } : {});
+});
+
+const clearRole = (uid) => testEnv.withSecurityRulesDisabled(async (ctx) => {
+  await ctx.firestore().collection('admins').doc(uid).delete();
+});
+
+const RATE_LIMITED = { posts: 'create-post', replies: 'add-reply', tasks: 'add-task', reports: 'report-content' };
+
+const counterRef = (db, uid, action) =>
+  db.collection('rateLimitCounters').doc(uid).collection('actions').doc(action);
+
+// Mirrors safeCreate's rateLimit option: the document and the counter bump
+// commit in one transaction, the counter naming the document, which is what
+// withinRateLimit() checks for.
+// `also(tx, db, ref)` adds writes to the same transaction.
+const addLimited = async (uid, collectionName, data, also, db = getDb(uid)) => {
+  const counter = counterRef(db, uid, RATE_LIMITED[collectionName]);
+  const ref = db.collection(collectionName).doc();
+  const now = firebase.firestore.FieldValue.serverTimestamp();
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(counter);
+    tx.set(counter, snap.exists
+      ? { count: snap.data().count + 1, windowStart: snap.data().windowStart, updatedAt: now, lastCreated: ref.id }
+      : { count: 1, windowStart: now, updatedAt: now, lastCreated: ref.id });
+    tx.set(ref, data);
+    if (also) also(tx, db, ref);
+  });
+  return ref;
+};
+
 describe('firestore.rules', () => {
   describe('posts collection', () => {
     it('allows unauthenticated read', async () => {
@@ -50,7 +111,7 @@ describe('firestore.rules', () => {
     it('allows authenticated create with valid data', async () => {
       if (!isReady()) return;
       await assertSucceeds(
-        getDb(UID_ALICE).collection('posts').add({
+        addLimited(UID_ALICE, 'posts', {
           title: 'My Post', content: 'Some content',
           authorId: UID_ALICE, authorName: 'Alice',
         })
@@ -60,13 +121,33 @@ describe('firestore.rules', () => {
     it('denies create with mismatched authorId', async () => {
       if (!isReady()) return;
       await assertFails(
-        getDb(UID_ALICE).collection('posts').add({
+        addLimited(UID_ALICE, 'posts', {
           title: 'Fake Post', content: 'Impersonating',
           authorId: UID_BOB, authorName: 'Bob',
         })
       );
     });
 
+    it('denies create by a user whose email is not verified', async () => {
+      if (!isReady()) return;
+      await assertFails(
+        addLimited(UID_ALICE, 'posts', {
+          title: 'Unverified Post', content: 'Not yet',
+          authorId: UID_ALICE, authorName: 'Alice',
+        }, undefined, getUnverifiedDb(UID_ALICE))
+      );
+    });
+
+    it('denies create by a guest', async () => {
+      if (!isReady()) return;
+      await assertFails(
+        addLimited(UID_GUEST, 'posts', {
+          title: 'Guest Post', content: 'Not yet',
+          authorId: UID_GUEST, authorName: 'Guest',
+        }, undefined, getGuestDb())
+      );
+    });
+
     it('denies unauthenticated create', async () => {
       if (!isReady()) return;
       await assertFails(
@@ -79,7 +160,7 @@ describe('firestore.rules', () => {
 
     it('denies update by non-author', async () => {
       if (!isReady()) return;
-      const ref = await getDb(UID_ALICE).collection('posts').add({
+      const ref = await addLimited(UID_ALICE, 'posts', {
         title: 'Alice Post', content: 'By Alice',
         authorId: UID_ALICE, authorName: 'Alice',
       });
@@ -91,7 +172,7 @@ describe('firestore.rules', () => {
     it('allows update by author', async () => {
       if (!isReady()) return;
       const aliceDb = getDb(UID_ALICE);
-      const ref = await aliceDb.collection('posts').add({
+      const ref = await addLimited(UID_ALICE, 'posts', {
         title: 'Alice Post', content: 'By Alice',
         authorId: UID_ALICE, authorName: 'Alice',
       });
@@ -102,7 +183,7 @@ describe('firestore.rules', () => {
 
     it('denies delete by non-author', async () => {
       if (!isReady()) return;
-      const ref = await getDb(UID_ALICE).collection('posts').add({
+      const ref = await addLimited(UID_ALICE, 'posts', {
         title: 'Alice Post', content: 'By Alice',
         authorId: UID_ALICE, authorName: 'Alice',
       });
@@ -114,7 +195,7 @@ describe('firestore.rules', () => {
     it('allows delete by author', async () => {
       if (!isReady()) return;
       const aliceDb = getDb(UID_ALICE);
-      const ref = await aliceDb.collection('posts').add({
+      const ref = await addLimited(UID_ALICE, 'posts', {
         title: 'Alice Post', content: 'By Alice',
         authorId: UID_ALICE, authorName: 'Alice',
       });
@@ -124,7 +205,7 @@ describe('firestore.rules', () => {
     it('denies create with empty title', async () => {
       if (!isReady()) return;
       await assertFails(
-        getDb(UID_ALICE).collection('posts').add({
+        addLimited(UID_ALICE, 'posts', {
           title: '', content: 'Some content',
           authorId: UID_ALICE, authorName: 'Alice',
         })
@@ -134,7 +215,7 @@ describe('firestore.rules', () => {
     it('denies create with title over 200 chars', async () => {
       if (!isReady()) return;
       await assertFails(
-        getDb(UID_ALICE).collection('posts').add({
+        addLimited(UID_ALICE, 'posts', {
           title: 'x'.repeat(201), content: 'Some content',
           authorId: UID_ALICE, authorName: 'Alice',
         })
@@ -144,7 +225,7 @@ describe('firestore.rules', () => {
     it('denies create with content over 3000 chars', async () => {
       if (!isReady()) return;
       await assertFails(
-        getDb(UID_ALICE).collection('posts').add({
+        addLimited(UID_ALICE, 'posts', {
           title: 'Valid Title', content: 'x'.repeat(3001),
           authorId: UID_ALICE, authorName: 'Alice',
         })
@@ -154,19 +235,77 @@ describe('firestore.rules', () => {
     it('denies create with missing fields', async () => {
       if (!isReady()) return;
       await assertFails(
-        getDb(UID_ALICE).collection('posts').add({
+        addLimited(UID_ALICE, 'posts', {
           title: 'Missing fields', authorId: UID_ALICE,
         })
       );
     });
   });
 
+  describe('generated schema validators', () => {
+    const validPost = () => ({
+      title: 'My Post', content: 'Some content', authorId: UID_ALICE, authorName: 'Alice',
+    });
+
+    // authorName has to match the author's profile, so its limit is
+    // PROFILE_SCHEMA's and is covered under users.
+    const limitedFields = Object.entries(POST_SCHEMA).filter(([field, rules]) => rules.maxLength != null && field !== 'authorName');
+
+    it.each(limitedFields)('accepts %s at exactly its maxLength', async (field, rules) => {
+      if (!isReady()) return;
+      await assertSucceeds(addLimited(UID_ALICE, 'posts', { ...validPost(), [field]: 'x'.repeat(rules.maxLength) }));
+    });
+
+    it.each(limitedFields)('denies %s one character over its maxLength', async (field, rules) => {
+      if (!isReady()) return;
+      await assertFails(addLimited(UID_ALICE, 'posts', { ...validPost(), [field]: 'x'.repeat(rules.maxLength + 1) }));
+    });
+
+    it('denies a negative replyCount', async () => {
+      if (!isReady()) return;
+      await assertFails(addLimited(UID_ALICE, 'posts', { ...validPost(), replyCount: -1 }));
+    });
+
+    it('denies a non-string authorPhoto', async () => {
+      if (!isReady()) return;
+      await assertFails(addLimited(UID_ALICE, 'posts', { ...validPost(), authorPhoto: 42 }));
+    });
+
+    it('lets the author attach up to MAX_POST_IMAGES images', async () => {
+      if (!isReady()) return;
+      const ref = await addLimited(UID_ALICE, 'posts', validPost());
+      const paths = (n) => Array.from({ length: n }, (_, i) => `posts/${ref.id}/${UID_ALICE}/${i}.png`);
+      const posts = getDb(UID_ALICE).collection('posts');
+      await assertSucceeds(posts.doc(ref.id).update({ images: paths(MAX_POST_IMAGES) }));
+      await assertFails(posts.doc(ref.id).update({ images: paths(MAX_POST_IMAGES + 1) }));
+      await assertFails(getDb(UID_BOB).collection('posts').doc(ref.id).update({ images: paths(1) }));
+    });
+
+    it('denies an update that breaks the schema', async () => {
+      if (!isReady()) return;
+      const ref = await addLimited(UID_ALICE, 'posts', validPost());
+      await assertFails(
+        getDb(UID_ALICE).collection('posts').doc(ref.id)
+          .update({ title: 'x'.repeat(POST_SCHEMA.title.maxLength + 1) })
+      );
+    });
+
+    it('denies a reply over the REPLY_SCHEMA content limit', async () => {
+      if (!isReady()) return;
+      const post = await addLimited(UID_ALICE, 'posts', validPost());
+      await assertFails(addLimited(UID_ALICE, 'replies', {
+        content: 'x'.repeat(REPLY_SCHEMA.content.maxLength + 1),
+        postId: post.id, authorId: UID_ALICE, authorName: 'Alice',
+      }));
+    });
+  });
+
   describe('replies collection', () => {
     let testPostId;
 
     beforeAll(async () => {
       if (!isReady()) return;
-      const ref = await getDb(UID_ALICE).collection('posts').add({
+      const ref = await addLimited(UID_ALICE, 'posts', {
         title: 'Parent Post', content: 'Parent content',
         authorId: UID_ALICE, authorName: 'Alice',
       });
@@ -181,17 +320,37 @@ describe('firestore.rules', () => {
     it('allows authenticated create with valid data', async () => {
       if (!isReady()) return;
       await assertSucceeds(
-        getDb(UID_BOB).collection('replies').add({
+        addLimited(UID_BOB, 'replies', {
           content: 'Nice post!', postId: testPostId,
           authorId: UID_BOB, authorName: 'Bob',
         })
       );
     });
 
+    it('denies create by a user whose email is not verified', async () => {
+      if (!isReady()) return;
+      await assertFails(
+        addLimited(UID_BOB, 'replies', {
+          content: 'Unverified reply', postId: testPostId,
+          authorId: UID_BOB, authorName: 'Bob',
+        }, undefined, getUnverifiedDb(UID_BOB))
+      );
+    });
+
+    it('denies create by a guest', async () => {
+      if (!isReady()) return;
+      await assertFails(
+        addLimited(UID_GUEST, 'replies', {
+          content: 'Guest reply', postId: testPostId,
+          authorId: UID_GUEST, authorName: 'Guest',
+        }, undefined, getGuestDb())
+      );
+    });
+
     it('denies create with mismatched authorId', async () => {
       if (!isReady()) return;
       await assertFails(
-        getDb(UID_ALICE).collection('replies').add({
+        addLimited(UID_ALICE, 'replies', {
           content: 'Impersonating Bob', postId: testPostId,
           authorId: UID_BOB, authorName: 'Bob',
         })
@@ -201,7 +360,7 @@ describe('firestore.rules', () => {
     it('denies create with non-existent parent post', async () => {
       if (!isReady()) return;
       await assertFails(
-        getDb(UID_BOB).collection('replies').add({
+        addLimited(UID_BOB, 'replies', {
           content: 'Reply to nowhere', postId: 'nonexistent-post',
           authorId: UID_BOB, authorName: 'Bob',
         })
@@ -221,7 +380,7 @@ describe('firestore.rules', () => {
     it('denies create with content over 2000 chars', async () => {
       if (!isReady()) return;
       await assertFails(
-        getDb(UID_BOB).collection('replies').add({
+        addLimited(UID_BOB, 'replies', {
           content: 'x'.repeat(2001), postId: testPostId,
           authorId: UID_BOB, authorName: 'Bob',
         })
@@ -230,7 +389,7 @@ describe('firestore.rules', () => {
 
     it('denies update by non-author', async () => {
       if (!isReady()) return;
-      const ref = await getDb(UID_BOB).collection('replies').add({
+      const ref = await addLimited(UID_BOB, 'replies', {
         content: 'Bob reply', postId: testPostId,
         authorId: UID_BOB, authorName: 'Bob',
       });
@@ -242,7 +401,7 @@ describe('firestore.rules', () => {
     it('allows update by author', async () => {
       if (!isReady()) return;
       const bobDb = getDb(UID_BOB);
-      const ref = await bobDb.collection('replies').add({
+      const ref = await addLimited(UID_BOB, 'replies', {
         content: 'Bob reply', postId: testPostId,
         authorId: UID_BOB, authorName: 'Bob',
       });
@@ -252,6 +411,540 @@ describe('firestore.rules', () => {
     });
   });
 
+  describe('moderation', () => {
+    const UID_MOD = 'mod-uid';
+    let postId;
+    let replyId;
+    const report = (uid, overrides = {}, db) => addLimited(uid, 'reports', {
+      targetType: 'posts', targetId: postId, postId, reason: 'spam', details: '', status: 'open', createdBy: uid,
+      ...overrides,
+    }, undefined, db);
+    const hide = (uid, collectionName, id, hidden = true) => getDb(uid).collection(collectionName).doc(id)
+      .update({ hidden, updatedBy: uid, updatedAt: firebase.firestore.FieldValue.serverTimestamp() });
+
+    beforeAll(async () => {
+      if (!isReady()) return;
+      await seedRole(UID_MOD, 'admin');
+      postId = (await addLimited(UID_ALICE, 'posts', {
+        title: 'Reported Post', content: 'Questionable', authorId: UID_ALICE, authorName: 'Alice',
+      })).id;
+      replyId = (await addLimited(UID_BOB, 'replies', {
+        content: 'Questionable reply', postId, depth: 0, authorId: UID_BOB, authorName: 'Bob',
+      })).id;
+    });
+
+    afterAll(async () => {
+      if (isReady()) await clearRole(UID_MOD);
+    });
+
+    it('lets any registered user report existing content', async () => {
+      if (!isReady()) return;
+      await assertSucceeds(report(UID_BOB));
+      await assertSucceeds(report(UID_ALICE, { targetType: 'replies', targetId: replyId }));
+    });
+
+    it('denies reports from guests, whose uids are free to make', async () => {
+      if (!isReady()) return;
+      await assertFails(report(UID_GUEST, {}, getGuestDb()));
+    });
+
+    it('denies reports that start closed, name someone else, or point at nothing', async () => {
+      if (!isReady()) return;
+      await assertFails(report(UID_BOB, { status: 'dismissed' }));
+      await assertFails(report(UID_BOB, { createdBy: UID_ALICE }));
+      await assertFails(report(UID_BOB, { targetId: 'no-such-post' }));
+      await assertFails(report(UID_BOB, { reason: 'boring' }));
+    });
+
+    it('lets reporters read only their own reports', async () => {
+      if (!isReady()) return;
+      await report(UID_BOB);
+      await assertSucceeds(getDb(UID_BOB).collection('reports').where('createdBy', '==', UID_BOB).get());
+      await assertFails(getDb(UID_BOB).collection('reports').where('createdBy', '==', UID_ALICE).get());
+    });
+
+    it('keeps the queue to moderators', async () => {
+      if (!isReady()) return;
+      await assertFails(getDb(UID_BOB).collection('reports').get());
+      await assertSucceeds(getDb(UID_MOD).collection('reports').where('status', '==', 'open').get());
+    });
+
+    it('lets moderators close a report with the action taken, once', async () => {
+      if (!isReady()) return;
+      const ref = await report(UID_BOB);
+      const close = (uid, status) => getDb(uid).collection('reports').doc(ref.id)
+        .update({ status, updatedBy: uid, updatedAt: firebase.firestore.FieldValue.serverTimestamp() });
+      await assertFails(close(UID_BOB, 'dismissed'));
+      await assertFails(close(UID_MOD, 'open'));
+      await assertSucceeds(close(UID_MOD, 'dismissed'));
+      await assertFails(close(UID_MOD, 'hidden'));
+    });
+
+    it('lets only moderators hide and restore', async () => {
+      if (!isReady()) return;
+      await assertFails(hide(UID_ALICE, 'posts', postId));
+      await assertFails(hide(UID_BOB, 'replies', replyId));
+      await assertSucceeds(hide(UID_MOD, 'posts', postId));
+      await assertSucceeds(hide(UID_MOD, 'replies', replyId));
+      await assertSucceeds(hide(UID_MOD, 'posts', postId, false));
+    });
+
+    it('denies a hide that changes anything else', async () => {
+      if (!isReady()) return;
+      await assertFails(getDb(UID_MOD).collection('posts').doc(postId).update({
+        hidden: true, title: 'Rewritten', updatedBy: UID_MOD, updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      }));
+    });
+
+    it('denies creating content already hidden, and authors unhiding their own', async () => {
+      if (!isReady()) return;
+      await assertFails(addLimited(UID_BOB, 'posts', {
+        title: 'Sneaky', content: 'Hidden from the start', authorId: UID_BOB, authorName: 'Bob', hidden: true,
+      }));
+      await assertFails(getDb(UID_BOB).collection('replies').doc(replyId).update({ hidden: false }));
+    });
+
+    it('lets moderators delete content they do not own', async () => {
+      if (!isReady()) return;
+      const ref = await addLimited(UID_BOB, 'posts', {
+        title: 'Spam', content: 'Spam spam', authorId: UID_BOB, authorName: 'Bob',
+      });
+      await assertFails(getDb(UID_ALICE).collection('posts').doc(ref.id).delete());
+      await assertSucceeds(getDb(UID_MOD).collection('posts').doc(ref.id).delete());
+    });
+  });
+
+  describe('reply threads', () => {
+    let postId;
+    let rootId;
+    const answer = (parentReplyId, depth, inPost = postId) => addLimited(UID_BOB, 'replies', {
+      content: 'Answer', postId: inPost, parentReplyId, depth,
+      authorId: UID_BOB, authorName: 'Bob',
+    });
+
+    beforeAll(async () => {
+      if (!isReady()) return;
+      postId = (await addLimited(UID_ALICE, 'posts', {
+        title: 'Thread Post', content: 'Thread content',
+        authorId: UID_ALICE, authorName: 'Alice',
+      })).id;
+      rootId = (await addLimited(UID_ALICE, 'replies', {
+        content: 'Root', postId, depth: 0, authorId: UID_ALICE, authorName: 'Alice',
+      })).id;
+    });
+
+    it('allows an answer one level below its parent', async () => {
+      if (!isReady()) return;
+      await assertSucceeds(answer(rootId, 1));
+    });
+
+    it('denies a depth that skips or repeats a level', async () => {
+      if (!isReady()) return;
+      await assertFails(answer(rootId, 0));
+      await assertFails(answer(rootId, 2));
+    });
+
+    it('denies a top-level reply claiming depth', async () => {
+      if (!isReady()) return;
+      await assertFails(answer(null, 1));
+    });
+
+    it('denies a parent that is missing or on another post', async () => {
+      if (!isReady()) return;
+      await assertFails(answer('no-such-reply', 1));
+      const otherPost = (await addLimited(UID_ALICE, 'posts', {
+        title: 'Other', content: 'Other content', authorId: UID_ALICE, authorName: 'Alice',
+      })).id;
+      await assertFails(answer(rootId, 1, otherPost));
+    });
+
+    it('denies going past MAX_REPLY_DEPTH', async () => {
+      if (!isReady()) return;
+      let parent = rootId;
+      for (let depth = 1; depth <= MAX_REPLY_DEPTH; depth++) {
+        parent = (await answer(parent, depth)).id;
+      }
+      await assertFails(answer(parent, MAX_REPLY_DEPTH + 1));
+    });
+
+    it('denies moving a reply to another thread', async () => {
+      if (!isReady()) return;
+      const ref = await answer(rootId, 1);
+      await assertFails(getDb(UID_BOB).collection('replies').doc(ref.id).update({ parentReplyId: null, depth: 0 }));
+    });
+  });
+
+  describe('reply counts', () => {
+    const UID_DANA = 'dana-uid';
+    const UID_ERIN = 'erin-uid';
+    // Mirrors safeCreate's increment option: the post names the new reply.
+    const bump = (postId, by = 1, named) => (tx, db, ref) =>
+      tx.update(db.collection('posts').doc(postId), {
+        replyCount: firebase.firestore.FieldValue.increment(by), lastAdded: named ?? ref.id,
+      });
+    const reply = (postId, uid) => ({ content: 'Counted', postId, authorId: uid, authorName: PROFILES[uid] });
+    let postId;
+
+    beforeAll(async () => {
+      if (!isReady()) return;
+      const ref = await addLimited(UID_ALICE, 'posts', {
+        title: 'Counted Post', content: 'Count my replies',
+        authorId: UID_ALICE, authorName: 'Alice', replyCount: 0,
+      });
+      postId = ref.id;
+    });
+
+    it('lets any user add one to replyCount together with their reply', async () => {
+      if (!isReady()) return;
+      await assertSucceeds(addLimited(UID_DANA, 'replies', reply(postId, UID_DANA), bump(postId)));
+    });
+
+    it('denies a bump of more than one', async () => {
+      if (!isReady()) return;
+      await assertFails(addLimited(UID_DANA, 'replies', reply(postId, UID_DANA), bump(postId, 2)));
+    });
+
+    it('denies a bump without a reply', async () => {
+      if (!isReady()) return;
+      await assertFails(
+        getDb(UID_DANA).collection('posts').doc(postId)
+          .update({ replyCount: firebase.firestore.FieldValue.increment(1) })
+      );
+    });
+
+    it('denies a bump naming a reply that already existed', async () => {
+      if (!isReady()) return;
+      const earlier = await addLimited(UID_DANA, 'replies', reply(postId, UID_DANA), bump(postId));
+      await assertFails(addLimited(UID_DANA, 'replies', reply(postId, UID_DANA), bump(postId, 1, earlier.id)));
+    });
+
+    it('denies bumping a post the new reply does not belong to', async () => {
+      if (!isReady()) return;
+      const other = await addLimited(UID_ALICE, 'posts', {
+        title: 'Other Post', content: 'Not this one', authorId: UID_ALICE, authorName: 'Alice', replyCount: 0,
+      });
+      await assertFails(addLimited(UID_DANA, 'replies', reply(other.id, UID_DANA), bump(postId)));
+    });
+
+    it('denies changing other fields alongside the bump', async () => {
+      if (!isReady()) return;
+      await assertFails(addLimited(UID_DANA, 'replies', reply(postId, UID_DANA), (tx, db) =>
+        tx.update(db.collection('posts').doc(postId), {
+          replyCount: firebase.firestore.FieldValue.increment(1), title: 'Hijacked',
+        })
+      ));
+    });
+
+    const correct = (uid, count) =>
+      getDb(uid).collection('posts').doc(postId).update({
+        replyCount: count, updatedBy: uid, updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      });
+
+    it('lets a moderator correct a drifted count', async () => {
+      if (!isReady()) return;
+      await seedRole(UID_ERIN, 'admin');
+      await assertSucceeds(correct(UID_ERIN, 7));
+      await assertFails(correct(UID_ERIN, -1));
+      await clearRole(UID_ERIN);
+    });
+
+    it('denies a count correction by a non-moderator', async () => {
+      if (!isReady()) return;
+      await seedRole(UID_ERIN, 'editor');
+      await assertFails(correct(UID_ERIN, 3));
+      await clearRole(UID_ERIN);
+    });
+
+    it('denies the post author setting replyCount', async () => {
+      if (!isReady()) return;
+      await assertFails(correct(UID_ALICE, 99));
+      await assertFails(getDb(UID_ALICE).collection('posts').doc(postId).update({ content: 'Edited', replyCount: 99 }));
+    });
+
+    // Mirrors safeDelete's decrement option.
+    const removeReply = (uid, replyId, named = replyId) => {
+      const db = getDb(uid);
+      const batch = db.batch();
+      batch.delete(db.collection('replies').doc(replyId));
+      batch.update(db.collection('posts').doc(postId), {
+        replyCount: firebase.firestore.FieldValue.increment(-1), lastRemoved: named,
+      });
+      return batch.commit();
+    };
+
+    it('lets a reply author take one off replyCount while deleting their reply', async () => {
+      if (!isReady()) return;
+      const ref = await addLimited(UID_DANA, 'replies', reply(postId, UID_DANA), bump(postId));
+      await assertSucceeds(removeReply(UID_DANA, ref.id));
+    });
+
+    it('denies a decrement that names a reply the commit does not delete', async () => {
+      if (!isReady()) return;
+      const kept = await addLimited(UID_DANA, 'replies', reply(postId, UID_DANA), bump(postId));
+      await assertFails(
+        getDb(UID_DANA).collection('posts').doc(postId).update({
+          replyCount: firebase.firestore.FieldValue.increment(-1), lastRemoved: kept.id,
+        })
+      );
+    });
+  });
+
+  describe('votes', () => {
+    const UID_GUS = 'gus-uid';
+    let postId;
+
+    beforeAll(async () => {
+      if (!isReady()) return;
+      const ref = await addLimited(UID_ALICE, 'posts', {
+        title: 'Vote on me', content: 'Up or down', authorId: UID_ALICE, authorName: 'Alice', score: 0,
+      });
+      postId = ref.id;
+    });
+
+    // Mirrors safeVote: the vote doc and the score move in one commit.
+    const castVote = (uid, value, delta = value, db = getDb(uid)) => {
+      const batch = db.batch();
+      const post = db.collection('posts').doc(postId);
+      batch.set(post.collection('votes').doc(uid), {
+        value, updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      });
+      batch.update(post, { score: firebase.firestore.FieldValue.increment(delta) });
+      return batch.commit();
+    };
+
+    it('lets a user vote once, moving the score by the vote', async () => {
+      if (!isReady()) return;
+      await assertSucceeds(castVote(UID_GUS, 1));
+      await assertFails(castVote(UID_GUS, 1));
+      await assertSucceeds(castVote(UID_GUS, -1, -2));
+    });
+
+    it('denies votes from guests, whose uids are free to make', async () => {
+      if (!isReady()) return;
+      await assertFails(castVote(UID_GUEST, 1, 1, getGuestDb()));
+    });
+
+    it('denies a score change that does not match the vote', async () => {
+      if (!isReady()) return;
+      await assertFails(castVote(UID_BOB, 1, 5));
+      await assertFails(
+        getDb(UID_BOB).collection('posts').doc(postId).update({ score: firebase.firestore.FieldValue.increment(1) })
+      );
+    });
+
+    it('denies voting on your own post or as someone else', async () => {
+      if (!isReady()) return;
+      await assertFails(castVote(UID_ALICE, 1));
+      const db = getDb(UID_BOB);
+      await assertFails(db.collection('posts').doc(postId).collection('votes').doc(UID_GUS).set({
+        value: 1, updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      }));
+    });
+
+    it('denies posts created with a score', async () => {
+      if (!isReady()) return;
+      await assertFails(addLimited(UID_BOB, 'posts', {
+        title: 'Pre-scored', content: 'Cheating', authorId: UID_BOB, authorName: 'Bob', score: 100,
+      }));
+    });
+
+    it('lets the post author remove votes only in the commit that deletes the post', async () => {
+      if (!isReady()) return;
+      const db = getDb(UID_ALICE);
+      const post = db.collection('posts').doc(postId);
+      await assertFails(post.collection('votes').doc(UID_GUS).delete());
+      const batch = db.batch();
+      batch.delete(post.collection('votes').doc(UID_GUS));
+      batch.delete(post);
+      await assertSucceeds(batch.commit());
+    });
+  });
+
+  describe('edits and deletes', () => {
+    const UID_FRAN = 'fran-uid';
+    let postId;
+    let replyId;
+
+    beforeAll(async () => {
+      if (!isReady()) return;
+      const post = await addLimited(UID_ALICE, 'posts', {
+        title: 'Editable', content: 'First draft', authorId: UID_ALICE, authorName: 'Alice',
+      });
+      postId = post.id;
+      const replyRef = await addLimited(UID_BOB, 'replies', {
+        content: 'A reply', postId, authorId: UID_BOB, authorName: 'Bob',
+      });
+      replyId = replyRef.id;
+    });
+
+    const revision = (uid) => ({
+      action: 'update',
+      before: { title: 'Editable', content: 'First draft' },
+      after: { title: 'Editable', content: 'Second draft' },
+      actor: uid,
+      createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+    });
+
+    it('lets the author record a revision with the edit', async () => {
+      if (!isReady()) return;
+      const db = getDb(UID_ALICE);
+      const batch = db.batch();
+      const post = db.collection('posts').doc(postId);
+      batch.update(post, { content: 'Second draft', edited: true });
+      batch.set(post.collection('revisions').doc(), revision(UID_ALICE));
+      await assertSucceeds(batch.commit());
+    });
+
+    it('denies revisions from anyone but the author, and changes to them', async () => {
+      if (!isReady()) return;
+      const revisions = (uid) => getDb(uid).collection('posts').doc(postId).collection('revisions');
+      await assertFails(revisions(UID_BOB).add(revision(UID_BOB)));
+      const ref = await revisions(UID_ALICE).add(revision(UID_ALICE));
+      await assertFails(revisions(UID_ALICE).doc(ref.id).update({ action: 'revert' }));
+    });
+
+    it('denies moving a reply to another post', async () => {
+      if (!isReady()) return;
+      await assertFails(getDb(UID_BOB).collection('replies').doc(replyId).update({ postId: 'elsewhere' }));
+    });
+
+    it('lets a reply author remove votes on it only together with the reply', async () => {
+      if (!isReady()) return;
+      const reply = await addLimited(UID_BOB, 'replies', {
+        content: 'Vote on me', postId, authorId: UID_BOB, authorName: 'Bob', score: 0,
+      });
+      const fran = getDb(UID_FRAN);
+      const voted = fran.batch();
+      voted.set(fran.collection('replies').doc(reply.id).collection('votes').doc(UID_FRAN), {
+        value: 1, updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      });
+      voted.update(fran.collection('replies').doc(reply.id), { score: firebase.firestore.FieldValue.increment(1) });
+      await voted.commit();
+
+      const db = getDb(UID_BOB);
+      const vote = db.collection('replies').doc(reply.id).collection('votes').doc(UID_FRAN);
+      await assertFails(vote.delete());
+      const batch = db.batch();
+      batch.delete(vote);
+      batch.delete(db.collection('replies').doc(reply.id));
+      await assertSucceeds(batch.commit());
+    });
+
+    it('lets the post author remove other users\' replies only in the commit that deletes the post', async () => {
+      if (!isReady()) return;
+      await assertFails(getDb(UID_FRAN).collection('replies').doc(replyId).delete());
+      await assertFails(getDb(UID_ALICE).collection('replies').doc(replyId).delete());
+      const db = getDb(UID_ALICE);
+      const batch = db.batch();
+      batch.delete(db.collection('replies').doc(replyId));
+      batch.delete(db.collection('posts').doc(postId));
+      await assertSucceeds(batch.commit());
+    });
+  });
+
+  describe('rate limits', () => {
+    const UID_CAROL = 'carol-uid';
+
+    it('denies a post create that does not bump the counter', async () => {
+      if (!isReady()) return;
+      await assertFails(
+        getDb(UID_CAROL).collection('posts').add({
+          title: 'Unmetered', content: 'Skips the counter',
+          authorId: UID_CAROL, authorName: 'Carol',
+        })
+      );
+    });
+
+    it('denies a post create once the window is full', async () => {
+      if (!isReady()) return;
+      await testEnv.withSecurityRulesDisabled(async (ctx) => {
+        await counterRef(ctx.firestore(), UID_CAROL, 'create-post').set({
+          count: 10,
+          windowStart: firebase.firestore.FieldValue.serverTimestamp(),
+          updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+      await assertFails(
+        addLimited(UID_CAROL, 'posts', {
+          title: 'One too many', content: 'Over the limit',
+          authorId: UID_CAROL, authorName: 'Carol',
+        })
+      );
+    });
+
+    it('denies a second create riding on one counter bump', async () => {
+      if (!isReady()) return;
+      const db = getDb(UID_CAROL);
+      const post = { title: 'Twice', content: 'One bump', authorId: UID_CAROL, authorName: 'Carol' };
+      await assertFails(addLimited(UID_CAROL, 'posts', post, (tx) => {
+        tx.set(db.collection('posts').doc(), post);
+      }, db));
+    });
+
+    it('denies resetting a window that is still open', async () => {
+      if (!isReady()) return;
+      const now = firebase.firestore.FieldValue.serverTimestamp();
+      await assertFails(
+        counterRef(getDb(UID_CAROL), UID_CAROL, 'create-post').set({ count: 1, windowStart: now, updatedAt: now })
+      );
+    });
+
+    it('denies writing another users counter', async () => {
+      if (!isReady()) return;
+      const now = firebase.firestore.FieldValue.serverTimestamp();
+      await assertFails(
+        counterRef(getDb(UID_CAROL), UID_BOB, 'add-reply').set({ count: 1, windowStart: now, updatedAt: now })
+      );
+    });
+
+    it('denies reading another users counter', async () => {
+      if (!isReady()) return;
+      await assertFails(counterRef(getDb(UID_BOB), UID_CAROL, 'create-post').get());
+    });
+  });
+
+  describe('rateLimits collection', () => {
+    const UID_ADMIN = 'dana-uid';
+
+    beforeAll(async () => {
+      if (!isReady()) return;
+      await seedRole(UID_ADMIN, 'admin');
+    });
+
+    it('allows authenticated read', async () => {
+      if (!isReady()) return;
+      await assertSucceeds(getDb(UID_BOB).collection('rateLimits').get());
+    });
+
+    it('denies non-admin write', async () => {
+      if (!isReady()) return;
+      await assertFails(
+        getDb(UID_BOB).collection('rateLimits').doc('add-task').set({ max: 1000, windowSeconds: 60 })
+      );
+    });
+
+    it('allows admin to save a valid override', async () => {
+      if (!isReady()) return;
+      await assertSucceeds(
+        getDb(UID_ADMIN).collection('rateLimits').doc('create-app').set({
+          max: 3, windowSeconds: 120, exemptRoles: ['admin'],
+        })
+      );
+    });
+
+    it('denies an override with a non-positive max', async () => {
+      if (!isReady()) return;
+      await assertFails(
+        getDb(UID_ADMIN).collection('rateLimits').doc('create-app').set({ max: 0, windowSeconds: 60 })
+      );
+    });
+
+    it('allows admin to delete an override', async () => {
+      if (!isReady()) return;
+      await assertSucceeds(getDb(UID_ADMIN).collection('rateLimits').doc('create-app').delete());
+    });
+  });
+
   describe('users collection', () => {
     it('denies unauthenticated read', async () => {
       if (!isReady()) return;
@@ -276,6 +969,37 @@ describe('firestore.rules', () => {
         getDb(UID_ALICE).collection('users').doc(UID_BOB).set({ displayName: 'Hacked Bob' })
       );
     });
+
+    it('denies profiles that break PROFILE_SCHEMA', async () => {
+      if (!isReady()) return;
+      const own = getDb(UID_ALICE).collection('users').doc(UID_ALICE);
+      await assertFails(own.set({ displayName: '' }));
+      await assertFails(own.set({ displayName: 'Alice', avatarUrl: 'javascript:alert(1)' }));
+      await assertFails(own.set({ displayName: 'Alice', bio: 'x'.repeat(301) }));
+    });
+
+    describe('author fields on posts and replies', () => {
+      const UID_HAL = 'hal-uid';
+      const post = (fields) => ({ title: 'Mine', content: 'By me', authorId: UID_HAL, ...fields });
+
+      it('requires a profile, and a name and avatar that match it', async () => {
+        if (!isReady()) return;
+        await assertFails(addLimited(UID_HAL, 'posts', post({ authorName: 'Hal' })));
+        await getDb(UID_HAL).collection('users').doc(UID_HAL).set({ displayName: 'Hal', avatarUrl: 'https://img/hal.png' });
+        await assertFails(addLimited(UID_HAL, 'posts', post({ authorName: 'Alice', authorPhoto: 'https://img/hal.png' })));
+        await assertFails(addLimited(UID_HAL, 'posts', post({ authorName: 'Hal' })));
+        await assertSucceeds(addLimited(UID_HAL, 'posts', post({ authorName: 'Hal', authorPhoto: 'https://img/hal.png' })));
+      });
+
+      it('denies authors renaming a post or reply afterwards', async () => {
+        if (!isReady()) return;
+        const author = { authorId: UID_HAL, authorName: 'Hal', authorPhoto: 'https://img/hal.png' };
+        const ref = await addLimited(UID_HAL, 'posts', { title: 'Named', content: 'Once', ...author });
+        await assertFails(getDb(UID_HAL).collection('posts').doc(ref.id).update({ authorName: 'Someone else' }));
+        const reply = await addLimited(UID_HAL, 'replies', { content: 'Hi', postId: ref.id, ...author });
+        await assertFails(getDb(UID_HAL).collection('replies').doc(reply.id).update({ authorPhoto: 'https://img/x.png' }));
+      });
+    });
   });
 
   describe('infra_configs collection', () => {
@@ -298,9 +1022,19 @@ describe('firestore.rules', () => {
   });
 
   describe('admins collection', () => {
-    it('allows authenticated read', async () => {
+    it('lets a user read only their own membership', async () => {
+      if (!isReady()) return;
+      await clearRole(UID_ALICE);
+      await assertSucceeds(getDb(UID_ALICE).collection('admins').doc(UID_ALICE).get());
+      await assertFails(getDb(UID_ALICE).collection('admins').doc(UID_BOB).get());
+      await assertFails(getDb(UID_ALICE).collection('admins').get());
+    });
+
+    it('lets staff list every member', async () => {
       if (!isReady()) return;
+      await seedRole(UID_ALICE, 'viewer');
       await assertSucceeds(getDb(UID_ALICE).collection('admins').get());
+      await clearRole(UID_ALICE);
     });
 
     it('denies any write (self-admin grant)', async () => {
@@ -316,6 +1050,61 @@ describe('firestore.rules', () => {
         getDb().collection('admins').doc(UID_ALICE).set({ role: 'admin' })
       );
     });
+
+    const grant = (uid, target, role) =>
+      getDb(uid).collection('admins').doc(target).set({
+        role, email: '', createdBy: uid, updatedBy: uid,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      });
+
+    it('allows an owner to grant any role', async () => {
+      if (!isReady()) return;
+      await seedRole(UID_ALICE, 'owner');
+      await assertSucceeds(grant(UID_ALICE, UID_BOB, 'admin'));
+    });
+
+    it('lets an admin grant editor but not admin', async () => {
+      if (!isReady()) return;
+      await seedRole(UID_ALICE, 'admin');
+      await assertSucceeds(grant(UID_ALICE, UID_BOB, 'editor'));
+      await assertFails(grant(UID_ALICE, UID_BOB, 'admin'));
+    });
+
+    it('denies an admin demoting an owner', async () => {
+      if (!isReady()) return;
+      await seedRole(UID_ALICE, 'admin');
+      await seedRole(UID_BOB, 'owner');
+      await assertFails(grant(UID_ALICE, UID_BOB, 'viewer'));
+      await assertFails(getDb(UID_ALICE).collection('admins').doc(UID_BOB).delete());
+    });
+
+    it('denies changing your own role', async () => {
+      if (!isReady()) return;
+      await seedRole(UID_ALICE, 'admin');
+      await assertFails(grant(UID_ALICE, UID_ALICE, 'owner'));
+      await assertFails(getDb(UID_ALICE).collection('admins').doc(UID_ALICE).delete());
+    });
+
+    it('denies grants from editors', async () => {
+      if (!isReady()) return;
+      await seedRole(UID_ALICE, 'editor');
+      await assertFails(grant(UID_ALICE, UID_BOB, 'viewer'));
+    });
+
+    it('denies unknown roles and extra fields', async () => {
+      if (!isReady()) return;
+      await seedRole(UID_ALICE, 'owner');
+      await assertFails(grant(UID_ALICE, UID_BOB, 'superuser'));
+      await assertFails(getDb(UID_ALICE).collection('admins').doc(UID_BOB).set({ role: 'viewer', updatedBy: UID_ALICE, isRoot: true }));
+    });
+
+    it('allows an owner to revoke a role', async () => {
+      if (!isReady()) return;
+      await seedRole(UID_ALICE, 'owner');
+      await seedRole(UID_BOB, 'admin');
+      await assertSucceeds(getDb(UID_ALICE).collection('admins').doc(UID_BOB).delete());
+    });
   });
 
   describe('projects collection', () => {
@@ -355,7 +1144,7 @@ describe('firestore.rules', () => {
 
     it('allows user to create their own task', async () => {
       if (!isReady()) return;
-      const ref = await getDb(UID_ALICE).collection('tasks').add({
+      const ref = await addLimited(UID_ALICE, 'tasks', {
         title: 'My Task', userId: UID_ALICE,
       });
       expect(ref.id).toBeTruthy();
@@ -363,11 +1152,34 @@ describe('firestore.rules', () => {
 
     it('denies user from reading another users task', async () => {
       if (!isReady()) return;
-      const ref = await getDb(UID_ALICE).collection('tasks').add({
+      const ref = await addLimited(UID_ALICE, 'tasks', {
         title: 'Alice Task', userId: UID_ALICE,
       });
       await assertFails(getDb(UID_BOB).collection('tasks').doc(ref.id).get());
     });
+
+    it('checks due date, priority and tags against TASK_SCHEMA', async () => {
+      if (!isReady()) return;
+      await assertSucceeds(addLimited(UID_ALICE, 'tasks', {
+        title: 'Full task', userId: UID_ALICE, completed: false,
+        dueDate: '2030-01-15', priority: 'high', tags: ['work'], order: 1,
+      }));
+      await assertFails(addLimited(UID_ALICE, 'tasks', { title: 'Bad date', userId: UID_ALICE, dueDate: 'tomorrow' }));
+      await assertFails(addLimited(UID_ALICE, 'tasks', { title: 'Bad priority', userId: UID_ALICE, priority: 'urgent' }));
+      await assertFails(addLimited(UID_ALICE, 'tasks', {
+        title: 'Too many tags', userId: UID_ALICE, tags: Array.from({ length: 11 }, (_, i) => `t${i}`),
+      }));
+    });
+
+    it('lets the owner reorder and edit a task but not hand it to someone else', async () => {
+      if (!isReady()) return;
+      const ref = await addLimited(UID_ALICE, 'tasks', { title: 'Mine', userId: UID_ALICE, order: 1 });
+      const doc = getDb(UID_ALICE).collection('tasks').doc(ref.id);
+      await assertSucceeds(doc.update({ order: 0.5, completed: true }));
+      await assertFails(doc.update({ priority: 'someday' }));
+      await assertFails(doc.update({ userId: UID_BOB }));
+      await assertFails(getDb(UID_BOB).collection('tasks').doc(ref.id).update({ order: 2 }));
+    });
   });
 
   describe('featureFlags collection', () => {
@@ -385,12 +1197,94 @@ describe('firestore.rules', () => {
 
     it('allows admin write', async () => {
       if (!isReady()) return;
-      const adminDb = getDb(UID_ALICE);
-      await adminDb.collection('admins').doc(UID_ALICE).set({ role: 'admin' });
+      await seedRole(UID_ALICE, 'admin');
+      await assertSucceeds(
+        getDb(UID_ALICE).collection('featureFlags').doc('test-flag').set({ enabled: true })
+      );
+    });
+
+    it('allows an editor to write but not a viewer', async () => {
+      if (!isReady()) return;
+      await seedRole(UID_ALICE, 'editor');
+      await seedRole(UID_BOB, 'viewer');
+      await assertSucceeds(
+        getDb(UID_ALICE).collection('featureFlags').doc('test-flag').set({ enabled: true })
+      );
+      await assertFails(
+        getDb(UID_BOB).collection('featureFlags').doc('test-flag').set({ enabled: false })
+      );
+      await clearRole(UID_BOB);
+    });
+
+    it('denies a legacy admins doc without a role', async () => {
+      if (!isReady()) return;
+      await seedRole(UID_ALICE, undefined);
+      await assertFails(
+        getDb(UID_ALICE).collection('featureFlags').doc('test-flag').set({ enabled: true })
+      );
+    });
+
+    it('allows admin to save rollout targeting', async () => {
+      if (!isReady()) return;
+      await seedRole(UID_ALICE, 'admin');
       await assertSucceeds(
-        adminDb.collection('featureFlags').doc('test-flag').set({ enabled: true })
+        getDb(UID_ALICE).collection('featureFlags').doc('rollout-flag').set({
+          enabled: true, rolloutPercentage: 25, allow: [UID_BOB], deny: [],
+          environments: ['staging'], variants: ['control', 'treatment'],
+        })
       );
     });
+
+    it('denies a rollout percentage above 100', async () => {
+      if (!isReady()) return;
+      await assertFails(
+        getDb(UID_ALICE).collection('featureFlags').doc('rollout-flag').set({
+          enabled: true, rolloutPercentage: 150,
+        })
+      );
+    });
+  });
+
+  describe('featureFlags history', () => {
+    const seedAdmin = () => seedRole(UID_ALICE, 'admin');
+
+    const historyRef = (uid) => getDb(uid).collection('featureFlags').doc('beta').collection('history');
+
+    const entry = (uid) => ({
+      action: 'toggle',
+      before: { enabled: false },
+      after: { enabled: true },
+      actor: uid,
+      createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+    });
+
+    it('allows an admin to append an entry', async () => {
+      if (!isReady()) return;
+      await seedAdmin();
+      await assertSucceeds(historyRef(UID_ALICE).add(entry(UID_ALICE)));
+    });
+
+    it('denies an entry attributed to someone else', async () => {
+      if (!isReady()) return;
+      await seedAdmin();
+      await assertFails(historyRef(UID_ALICE).add(entry(UID_BOB)));
+    });
+
+    it('denies non-admin reads and writes', async () => {
+      if (!isReady()) return;
+      await assertFails(historyRef(UID_BOB).get());
+      await assertFails(historyRef(UID_BOB).add(entry(UID_BOB)));
+    });
+
+    it('keeps entries immutable', async () => {
+      if (!isReady()) return;
+      await seedAdmin();
+      await testEnv.withSecurityRulesDisabled(async (ctx) => {
+        await ctx.firestore().collection('featureFlags').doc('beta').collection('history').doc('e1').set({ action: 'toggle' });
+      });
+      await assertFails(historyRef(UID_ALICE).doc('e1').update({ action: 'revert' }));
+      await assertFails(historyRef(UID_ALICE).doc('e1').delete());
+    });
   });
 
   describe('userPreferences collection', () => {
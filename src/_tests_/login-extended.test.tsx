@@ -5,6 +5,12 @@ import Login from '../login';
 
 const mockSignIn = vi.fn();
 const mockSignInWithGoogle = vi.fn();
+const mockSignInWithGitHub = vi.fn();
+const mockSignInAsGuest = vi.fn();
+const mockSendSignInLink = vi.fn();
+const mockIsSignInLink = vi.fn();
+const mockCompleteSignInLink = vi.fn();
+const mockResetPassword = vi.fn();
 const mockNavigate = vi.fn();
 const mockUseAuth = vi.fn();
 
@@ -30,9 +36,17 @@ const renderLogin = (search = '') =>
 beforeEach(() => {
   vi.clearAllMocks();
   mockUseAuth.mockReturnValue({
+    isGuest: false,
     signIn: mockSignIn,
     signInWithGoogle: mockSignInWithGoogle,
+    signInWithGitHub: mockSignInWithGitHub,
+    signInAsGuest: mockSignInAsGuest,
+    sendSignInLink: mockSendSignInLink,
+    isSignInLink: mockIsSignInLink,
+    completeSignInLink: mockCompleteSignInLink,
+    resetPassword: mockResetPassword,
   });
+  mockIsSignInLink.mockReturnValue(false);
 });
 
 describe('Login extended', () => {
@@ -115,4 +129,93 @@ describe('Login extended', () => {
       expect(mockNavigate).toHaveBeenCalledWith('/profile');
     });
   });
+
+  it('signs in with GitHub and follows returnUrl', async () => {
+    mockSignInWithGitHub.mockResolvedValue(undefined);
+    renderLogin('?returnUrl=/tasks');
+    fireEvent.click(screen.getByText(/sign in with github/i));
+    await waitFor(() => {
+      expect(mockNavigate).toHaveBeenCalledWith('/tasks');
+    });
+  });
+
+  it('shows the account-exists message from a GitHub sign in', async () => {
+    mockSignInWithGitHub.mockRejectedValue(new Error('a@b.com already has an account that uses a different sign-in method.'));
+    renderLogin();
+    fireEvent.click(screen.getByText(/sign in with github/i));
+    expect(await screen.findByText(/already has an account/)).toBeInTheDocument();
+    expect(mockNavigate).not.toHaveBeenCalled();
+  });
+
+  it('emails a sign-in link that returns to returnUrl', async () => {
+    mockSendSignInLink.mockResolvedValue(undefined);
+    renderLogin('?returnUrl=/tasks');
+    fireEvent.change(screen.getByLabelText(/email/i), { target: { value: ' a@b.com ' } });
+    fireEvent.click(screen.getByText(/email me a sign-in link/i));
+    expect(await screen.findByText('Check a@b.com for a sign-in link.')).toBeInTheDocument();
+    expect(mockSendSignInLink).toHaveBeenCalledWith('a@b.com', '/tasks');
+  });
+
+  it('asks for an email before sending a sign-in link', () => {
+    renderLogin();
+    fireEvent.click(screen.getByText(/email me a sign-in link/i));
+    expect(screen.getByText('Enter your email to get a sign-in link')).toBeInTheDocument();
+    expect(mockSendSignInLink).not.toHaveBeenCalled();
+  });
+
+  it('finishes an email-link sign in on arrival', async () => {
+    mockIsSignInLink.mockReturnValue(true);
+    mockCompleteSignInLink.mockResolvedValue(true);
+    renderLogin('?returnUrl=/tasks');
+    await waitFor(() => {
+      expect(mockNavigate).toHaveBeenCalledWith('/tasks');
+    });
+    expect(mockCompleteSignInLink).toHaveBeenCalledWith(window.location.href, undefined);
+  });
+
+  it('asks for the email when the link was opened in another browser', async () => {
+    mockIsSignInLink.mockReturnValue(true);
+    mockCompleteSignInLink.mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+    renderLogin();
+    expect(await screen.findByText('Enter the email address the sign-in link was sent to.')).toBeInTheDocument();
+    expect(screen.queryByLabelText(/password/i)).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText(/email/i), { target: { value: 'a@b.com' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Finish signing in' }));
+    await waitFor(() => {
+      expect(mockNavigate).toHaveBeenCalledWith('/');
+    });
+    expect(mockCompleteSignInLink).toHaveBeenLastCalledWith(window.location.href, 'a@b.com');
+  });
+
+  it('continues as a guest', async () => {
+    mockSignInAsGuest.mockResolvedValue(undefined);
+    renderLogin('?returnUrl=/compose-post');
+    fireEvent.click(screen.getByText('Continue as guest'));
+    await waitFor(() => {
+      expect(mockNavigate).toHaveBeenCalledWith('/compose-post');
+    });
+  });
+
+  it('does not offer guest sign in to a guest', () => {
+    mockUseAuth.mockReturnValue({ ...mockUseAuth(), isGuest: true });
+    renderLogin();
+    expect(screen.queryByText('Continue as guest')).not.toBeInTheDocument();
+  });
+
+  it('sends a password reset email for the address entered', async () => {
+    mockResetPassword.mockResolvedValue(undefined);
+    renderLogin();
+    fireEvent.change(screen.getByLabelText(/email/i), { target: { value: 'a@b.com' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Forgot password?' }));
+    expect(await screen.findByText('If a@b.com has an account, a link to reset its password is on the way.')).toBeInTheDocument();
+    expect(mockResetPassword).toHaveBeenCalledWith('a@b.com');
+  });
+
+  it('asks for an email before sending a password reset', () => {
+    renderLogin();
+    fireEvent.click(screen.getByRole('button', { name: 'Forgot password?' }));
+    expect(screen.getByText('Enter your email to reset your password')).toBeInTheDocument();
+    expect(mockResetPassword).not.toHaveBeenCalled();
+  });
 });
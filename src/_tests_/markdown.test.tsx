@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { parseMarkdown, parseInline, markdownToText } from '../firestore-utils/markdown';
+import { Markdown } from '../components/Markdown';
+
+describe('markdown', () => {
+  it('splits paragraphs on blank lines and keeps single line breaks', () => {
+    expect(parseMarkdown('One\ntwo\n\nThree')).toEqual([
+      { type: 'paragraph', lines: [[{ type: 'text', text: 'One' }], [{ type: 'text', text: 'two' }]] },
+      { type: 'paragraph', lines: [[{ type: 'text', text: 'Three' }]] },
+    ]);
+  });
+
+  it('keeps fenced code verbatim, including markup and tags', () => {
+    expect(parseMarkdown('```js\nconst a = <b>*x*</b>;\n\nreturn a;\n```\nAfter')).toEqual([
+      { type: 'code', lang: 'js', text: 'const a = <b>*x*</b>;\n\nreturn a;' },
+      { type: 'paragraph', lines: [[{ type: 'text', text: 'After' }]] },
+    ]);
+    expect(parseMarkdown('~~~\nunclosed')).toEqual([{ type: 'code', lang: '', text: 'unclosed' }]);
+  });
+
+  it('parses bullet and numbered lists, with wrapped items', () => {
+    expect(parseMarkdown('- one\n  more\n* two\n\n3. three\n4) four')).toEqual([
+      { type: 'list', ordered: false, start: 1, items: [[{ type: 'text', text: 'one more' }], [{ type: 'text', text: 'two' }]] },
+      { type: 'list', ordered: true, start: 3, items: [[{ type: 'text', text: 'three' }], [{ type: 'text', text: 'four' }]] },
+    ]);
+  });
+
+  it('parses inline code, emphasis and links', () => {
+    expect(parseInline('Use `a*b` with **bold _and_ em** [docs](https://example.com)')).toEqual([
+      { type: 'text', text: 'Use ' },
+      { type: 'code', text: 'a*b' },
+      { type: 'text', text: ' with ' },
+      { type: 'strong', children: [{ type: 'text', text: 'bold ' }, { type: 'em', children: [{ type: 'text', text: 'and' }] }, { type: 'text', text: ' em' }] },
+      { type: 'text', text: ' ' },
+      { type: 'link', href: 'https://example.com', children: [{ type: 'text', text: 'docs' }] },
+    ]);
+    expect(parseInline('snake_case_name')).toEqual([{ type: 'text', text: 'snake_case_name' }]);
+  });
+
+  it('drops links to unsafe schemes but keeps their text', () => {
+    expect(parseInline('[click](javascript:alert(1))')).toEqual([{ type: 'text', text: 'click' }]);
+    expect(parseInline('[x](data:text/html,hi)')).toEqual([{ type: 'text', text: 'x' }]);
+  });
+
+  it('allows balanced parentheses in link URLs', () => {
+    expect(parseInline('[wiki](https://en.wikipedia.org/wiki/Tree_(graph_theory))')).toEqual([
+      { type: 'link', href: 'https://en.wikipedia.org/wiki/Tree_(graph_theory)', children: [{ type: 'text', text: 'wiki' }] },
+    ]);
+  });
+
+  it('strips HTML outside code', () => {
+    expect(parseInline('a<script>alert(1)</script>b <img src=x onerror="y_z"> `<i>kept</i>`')).toEqual([
+      { type: 'text', text: 'aalert(1)b  ' },
+      { type: 'code', text: '<i>kept</i>' },
+    ]);
+    expect(parseMarkdown('<div>\n\n</div>')).toEqual([]);
+  });
+
+  it('flattens content to plain text', () => {
+    expect(markdownToText('# Intro with **bold**\n\n- [link](https://x.io)\n\n```\ncode\n```')).toBe('# Intro with bold\n\nlink\n\ncode');
+  });
+
+  describe('<Markdown>', () => {
+    it('renders code blocks, lists and safe links', () => {
+      const { container } = render(<Markdown source={'Hi [site](https://example.com)\n\n- a\n- b\n\n```\n<b>x</b>\n```'} />);
+      const link = screen.getByRole('link', { name: 'site' });
+      expect(link).toHaveAttribute('href', 'https://example.com');
+      expect(link).toHaveAttribute('rel', 'noopener nofollow');
+      expect(screen.getAllByRole('listitem')).toHaveLength(2);
+      expect(container.querySelector('pre code')).toHaveTextContent('<b>x</b>');
+      expect(container.querySelector('b')).toBeNull();
+    });
+
+    it('never creates elements from HTML in the source', () => {
+      const { container } = render(<Markdown source={'<img src=x onerror="alert(1)"><script>bad()</script>Text'} />);
+      expect(container.querySelector('img, script')).toBeNull();
+      expect(container).toHaveTextContent('bad()Text');
+    });
+
+    it('renders links as text in previews', () => {
+      render(<Markdown source="[site](https://example.com)" preview />);
+      expect(screen.queryByRole('link')).not.toBeInTheDocument();
+      expect(screen.getByText('site')).toBeInTheDocument();
+    });
+  });
+});
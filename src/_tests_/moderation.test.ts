@@ -0,0 +1,142 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { Firestore } from 'firebase/firestore';
+import type { Report } from '../types';
+
+const mockCollection = vi.fn((_db: unknown, name: string) => name);
+const mockDoc = vi.fn();
+const mockGetDocs = vi.fn();
+const mockUpdateDoc = vi.fn();
+const mockQuery = vi.fn((...args: unknown[]) => args);
+const mockWhere = vi.fn((...args: unknown[]) => ['where', ...args]);
+const mockOrderBy = vi.fn((...args: unknown[]) => ['orderBy', ...args]);
+const mockLimit = vi.fn((n: number) => ['limit', n]);
+const mockServerTimestamp = vi.fn(() => 'now');
+const mockTxGet = vi.fn();
+const mockTxSet = vi.fn();
+const mockRunTransaction = vi.fn((_db, fn) => fn({ get: mockTxGet, set: mockTxSet }));
+const mockSetHidden = vi.fn();
+const mockDeletePost = vi.fn();
+const mockDeleteReply = vi.fn();
+
+vi.mock('firebase/firestore', () => ({
+  collection: mockCollection,
+  doc: mockDoc,
+  getDocs: mockGetDocs,
+  updateDoc: mockUpdateDoc,
+  query: mockQuery,
+  where: mockWhere,
+  orderBy: mockOrderBy,
+  limit: mockLimit,
+  serverTimestamp: mockServerTimestamp,
+  runTransaction: mockRunTransaction,
+}));
+
+vi.mock('../firestore-utils/post-storage', () => ({
+  setHidden: (...args: unknown[]) => mockSetHidden(...args),
+  deletePost: (...args: unknown[]) => mockDeletePost(...args),
+  deleteReply: (...args: unknown[]) => mockDeleteReply(...args),
+}));
+
+const mockDb = {} as Firestore;
+const MODERATOR = 'mod-uid';
+
+const report = (overrides: Partial<Report> = {}): Report => ({
+  id: 'report-1',
+  targetType: 'replies',
+  targetId: 'reply-1',
+  postId: 'post-1',
+  reason: 'spam',
+  details: '',
+  status: 'open',
+  createdBy: 'reporter',
+  createdAt: new Date('2024-01-01'),
+  ...overrides,
+});
+
+const openReports = (...ids: string[]) => ({ docs: ids.map(id => ({ id })) });
+
+describe('moderation', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockDoc.mockImplementation((...args: unknown[]) => (args.length === 1 ? { id: 'new-report' } : args.slice(1).join('/')));
+    mockTxGet.mockResolvedValue({ exists: () => false, data: () => ({}) });
+    mockGetDocs.mockResolvedValue(openReports());
+  });
+
+  it('files an open report under the report-content rate limit', async () => {
+    const { reportContent } = await import('../firestore-utils/moderation');
+    const id = await reportContent(mockDb, { targetType: 'posts', targetId: 'post-1', postId: 'post-1' }, 'harassment', '  rude  ', 'reporter');
+    expect(id).toBe('new-report');
+    expect(mockDoc).toHaveBeenCalledWith(mockDb, 'rateLimitCounters', 'reporter', 'actions', 'report-content');
+    expect(mockTxSet).toHaveBeenCalledWith({ id: 'new-report' }, expect.objectContaining({
+      targetType: 'posts', targetId: 'post-1', postId: 'post-1', reason: 'harassment', details: 'rude', status: 'open', createdBy: 'reporter',
+    }));
+  });
+
+  it('rejects reasons outside REPORT_REASONS', async () => {
+    const { reportContent } = await import('../firestore-utils/moderation');
+    await expect(reportContent(mockDb, { targetType: 'posts', targetId: 'p', postId: 'p' }, 'boring' as never, '', 'reporter'))
+      .rejects.toThrow();
+    expect(mockRunTransaction).not.toHaveBeenCalled();
+  });
+
+  it('reads open reports oldest first', async () => {
+    const { getOpenReports } = await import('../firestore-utils/moderation');
+    mockGetDocs.mockResolvedValue({
+      docs: [{ id: 'r1', data: () => ({ ...report(), createdAt: { toDate: () => new Date('2024-02-02') } }) }],
+    });
+    const reports = await getOpenReports(mockDb);
+    expect(mockWhere).toHaveBeenCalledWith('status', '==', 'open');
+    expect(mockOrderBy).toHaveBeenCalledWith('createdAt', 'asc');
+    expect(reports).toEqual([expect.objectContaining({ id: 'r1', targetId: 'reply-1', createdAt: new Date('2024-02-02') })]);
+  });
+
+  it('hides the item and closes every open report on it', async () => {
+    const { moderate } = await import('../firestore-utils/moderation');
+    mockGetDocs.mockResolvedValue(openReports('report-1', 'report-2'));
+    expect(await moderate(mockDb, report(), 'hide', MODERATOR)).toBe('hidden');
+    expect(mockSetHidden).toHaveBeenCalledWith(mockDb, 'replies', 'reply-1', true, MODERATOR);
+    expect(mockWhere).toHaveBeenCalledWith('targetId', '==', 'reply-1');
+    expect(mockUpdateDoc).toHaveBeenCalledTimes(2);
+    expect(mockUpdateDoc).toHaveBeenCalledWith('reports/report-2', { status: 'hidden', updatedBy: MODERATOR, updatedAt: 'now' });
+  });
+
+  it('restores hidden items', async () => {
+    const { moderate } = await import('../firestore-utils/moderation');
+    await moderate(mockDb, report({ targetType: 'posts', targetId: 'post-1' }), 'restore', MODERATOR);
+    expect(mockSetHidden).toHaveBeenCalledWith(mockDb, 'posts', 'post-1', false, MODERATOR);
+  });
+
+  it('deletes as a moderator', async () => {
+    const { moderate } = await import('../firestore-utils/moderation');
+    await moderate(mockDb, report(), 'delete', MODERATOR);
+    expect(mockDeleteReply).toHaveBeenCalledWith(mockDb, 'post-1', 'reply-1', MODERATOR, { moderator: true });
+    await moderate(mockDb, report({ targetType: 'posts', targetId: 'post-1' }), 'delete', MODERATOR);
+    expect(mockDeletePost).toHaveBeenCalledWith(mockDb, 'post-1', MODERATOR, { moderator: true });
+  });
+
+  it('closes reports on a deleted post\'s replies along with the post\'s own', async () => {
+    const { moderate } = await import('../firestore-utils/moderation');
+    mockGetDocs.mockResolvedValue(openReports('report-1', 'reply-report'));
+    await moderate(mockDb, report({ targetType: 'posts', targetId: 'post-1' }), 'delete', MODERATOR);
+    expect(mockWhere).toHaveBeenCalledWith('postId', '==', 'post-1');
+    expect(mockWhere).not.toHaveBeenCalledWith('targetId', '==', 'post-1');
+    expect(mockUpdateDoc).toHaveBeenCalledWith('reports/reply-report', { status: 'deleted', updatedBy: MODERATOR, updatedAt: 'now' });
+  });
+
+  it('dismisses without touching the item', async () => {
+    const { moderate } = await import('../firestore-utils/moderation');
+    mockGetDocs.mockResolvedValue(openReports('report-1'));
+    expect(await moderate(mockDb, report(), 'dismiss', MODERATOR)).toBe('dismissed');
+    expect(mockSetHidden).not.toHaveBeenCalled();
+    expect(mockDeleteReply).not.toHaveBeenCalled();
+    expect(mockUpdateDoc).toHaveBeenCalledWith('reports/report-1', expect.objectContaining({ status: 'dismissed' }));
+  });
+
+  it('leaves the reports open when the action fails', async () => {
+    const { moderate } = await import('../firestore-utils/moderation');
+    mockSetHidden.mockRejectedValueOnce(new Error('permission-denied'));
+    await expect(moderate(mockDb, report(), 'hide', MODERATOR)).rejects.toThrow('permission-denied');
+    expect(mockUpdateDoc).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, act } from '@testing-library/react';
+import OfflineBanner from '../offline-banner';
+
+const mockFirebase = vi.hoisted(() => ({ persistenceEnabled: false }));
+vi.mock('../firebase', () => mockFirebase);
+
+const goOnline = (online: boolean) => {
+  vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(online);
+  act(() => { window.dispatchEvent(new Event(online ? 'online' : 'offline')); });
+};
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  mockFirebase.persistenceEnabled = false;
+});
+
+describe('OfflineBanner', () => {
+  it('renders nothing while online', () => {
+    const { container } = render(<OfflineBanner />);
+    expect(container.innerHTML).toBe('');
+  });
+
+  it('appears when the connection drops and goes when it is back', () => {
+    render(<OfflineBanner />);
+    goOnline(false);
+    expect(screen.getByRole('status')).toHaveTextContent('You are offline');
+    expect(screen.getByRole('status')).toHaveTextContent('keep this tab open');
+
+    goOnline(true);
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+
+  it('says changes are kept on the device when persistence is on', () => {
+    mockFirebase.persistenceEnabled = true;
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    render(<OfflineBanner />);
+    expect(screen.getByRole('status')).toHaveTextContent('saved on this device');
+  });
+});
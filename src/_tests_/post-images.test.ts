@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { Firestore } from 'firebase/firestore';
+
+type Listing = { items: string[]; prefixes: string[] };
+
+const mockGetStorage = vi.fn(() => 'bucket');
+const mockRef = vi.fn((_storage: unknown, path: string) => ({ fullPath: path }));
+const mockUploadBytesResumable = vi.fn();
+const mockGetDownloadURL = vi.fn();
+const mockDeleteObject = vi.fn();
+const mockListAll = vi.fn();
+
+vi.mock('firebase/storage', () => ({
+  getStorage: mockGetStorage,
+  ref: mockRef,
+  uploadBytesResumable: mockUploadBytesResumable,
+  getDownloadURL: mockGetDownloadURL,
+  deleteObject: mockDeleteObject,
+  listAll: mockListAll,
+}));
+
+const mockDb = { app: 'app' } as unknown as Firestore;
+const USER_ID = 'u1';
+
+const image = (name: string, size = 1024, type = 'image/png') => {
+  const file = new File(['x'], name, { type });
+  Object.defineProperty(file, 'size', { value: size });
+  return file;
+};
+
+// An upload task that reports the given byte counts, then finishes or fails.
+const task = (sent: number[], total: number, error?: Error) => ({
+  on: (_event: string, next: (s: object) => void, fail: (e: Error) => void, done: () => void) => {
+    sent.forEach(bytesTransferred => next({ bytesTransferred, totalBytes: total }));
+    if (error) fail(error);
+    else done();
+  },
+});
+
+describe('post-images', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('accepts PNG, JPEG, GIF and WebP up to the size limit', async () => {
+    const { imageError, MAX_IMAGE_BYTES } = await import('../firestore-utils/post-images');
+    expect(imageError(image('a.png'))).toBeNull();
+    expect(imageError(image('b.webp', MAX_IMAGE_BYTES, 'image/webp'))).toBeNull();
+    expect(imageError(image('c.png', MAX_IMAGE_BYTES + 1))).toMatch('c.png is larger than 5 MB');
+    expect(imageError(image('d.svg', 10, 'image/svg+xml'))).toMatch('not a PNG');
+  });
+
+  it('uploads into the author\'s folder of the post and reports progress', async () => {
+    const { uploadPostImage } = await import('../firestore-utils/post-images');
+    mockUploadBytesResumable.mockReturnValue(task([0, 512, 1024], 1024));
+    const onProgress = vi.fn();
+    const file = image('My photo (1).png');
+
+    const path = await uploadPostImage(mockDb, 'post-1', 2, file, USER_ID, onProgress);
+
+    expect(mockGetStorage).toHaveBeenCalledWith('app');
+    expect(path).toBe('posts/post-1/u1/2');
+    expect(mockUploadBytesResumable).toHaveBeenCalledWith({ fullPath: path }, file, { contentType: 'image/png' });
+    expect(onProgress.mock.calls.map(([fraction]) => fraction)).toEqual([0, 0.5, 1]);
+  });
+
+  it('rejects files the rules would refuse without uploading', async () => {
+    const { uploadPostImage } = await import('../firestore-utils/post-images');
+    await expect(uploadPostImage(mockDb, 'post-1', 0, image('x.pdf', 10, 'application/pdf'), USER_ID)).rejects.toThrow('not a PNG');
+    await expect(uploadPostImage(mockDb, 'post-1', 4, image('a.png'), USER_ID)).rejects.toThrow('at most 4 images');
+    expect(mockUploadBytesResumable).not.toHaveBeenCalled();
+  });
+
+  it('passes on upload failures', async () => {
+    const { uploadPostImage } = await import('../firestore-utils/post-images');
+    mockUploadBytesResumable.mockReturnValue(task([], 1024, new Error('storage/unauthorized')));
+    await expect(uploadPostImage(mockDb, 'post-1', 0, image('a.png'), USER_ID)).rejects.toThrow('storage/unauthorized');
+  });
+
+  it('resolves download URLs', async () => {
+    const { getImageUrl } = await import('../firestore-utils/post-images');
+    mockGetDownloadURL.mockResolvedValue('https://files/a.png');
+    expect(await getImageUrl(mockDb, 'posts/post-1/u1/a.png')).toBe('https://files/a.png');
+    expect(mockRef).toHaveBeenCalledWith('bucket', 'posts/post-1/u1/a.png');
+  });
+
+  it('deletes everything under the post, in every uploader\'s folder', async () => {
+    const { deletePostImages } = await import('../firestore-utils/post-images');
+    const tree: Record<string, Listing> = {
+      'posts/post-1': { items: [], prefixes: ['posts/post-1/u1', 'posts/post-1/u2'] },
+      'posts/post-1/u1': { items: ['posts/post-1/u1/a.png', 'posts/post-1/u1/b.png'], prefixes: [] },
+      'posts/post-1/u2': { items: ['posts/post-1/u2/c.png'], prefixes: [] },
+    };
+    const at = (path: string) => ({ fullPath: path });
+    mockListAll.mockImplementation(async ({ fullPath }: { fullPath: string }) => ({
+      items: tree[fullPath].items.map(at),
+      prefixes: tree[fullPath].prefixes.map(at),
+    }));
+
+    await deletePostImages(mockDb, 'post-1');
+
+    expect(mockDeleteObject.mock.calls.map(([item]) => item.fullPath).sort()).toEqual([
+      'posts/post-1/u1/a.png',
+      'posts/post-1/u1/b.png',
+      'posts/post-1/u2/c.png',
+    ]);
+  });
+});
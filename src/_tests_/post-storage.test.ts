@@ -14,6 +14,18 @@ const mockWhere = vi.fn();
 const mockServerTimestamp = vi.fn(() => new Date('2024-01-01'));
 const mockUpdateDoc = vi.fn();
 const mockDeleteDoc = vi.fn();
+const mockTxGet = vi.fn();
+const mockTxSet = vi.fn();
+const mockOnSnapshot = vi.fn();
+const mockStartAfter = vi.fn();
+const mockTxUpdate = vi.fn();
+const mockGetCountFromServer = vi.fn();
+const mockBatchSet = vi.fn();
+const mockBatchUpdate = vi.fn();
+const mockBatchDelete = vi.fn();
+const mockBatchCommit = vi.fn();
+const mockWriteBatch = vi.fn(() => ({ set: mockBatchSet, update: mockBatchUpdate, delete: mockBatchDelete, commit: mockBatchCommit }));
+const mockRunTransaction = vi.fn((_db, fn) => fn({ get: mockTxGet, set: mockTxSet, update: mockTxUpdate }));
 
 vi.mock('firebase/firestore', () => ({
   collection: mockCollection,
@@ -29,6 +41,24 @@ vi.mock('firebase/firestore', () => ({
   serverTimestamp: mockServerTimestamp,
   updateDoc: mockUpdateDoc,
   deleteDoc: mockDeleteDoc,
+  runTransaction: mockRunTransaction,
+  onSnapshot: mockOnSnapshot,
+  startAfter: mockStartAfter,
+  increment: (n: number) => ({ increment: n }),
+  getCountFromServer: mockGetCountFromServer,
+  writeBatch: mockWriteBatch,
+}));
+
+const mockDeletePostImages = vi.fn();
+const mockGetProfile = vi.fn();
+
+vi.mock('../firestore-utils/profiles', async () => ({
+  ...await vi.importActual('../firestore-utils/profiles'),
+  getProfile: (...args: unknown[]) => mockGetProfile(...args),
+}));
+
+vi.mock('../firestore-utils/post-images', () => ({
+  deletePostImages: (...args: unknown[]) => mockDeletePostImages(...args),
 }));
 
 const mockDb = {} as Firestore;
@@ -50,26 +80,54 @@ describe('post-storage', () => {
     mockGetDoc.mockResolvedValue({ exists: () => false, data: () => ({}), id: 'doc-id' });
     mockCollection.mockReturnValue('posts-collection');
     mockDoc.mockReturnValue('post-doc-ref');
+    mockGetProfile.mockResolvedValue({ uid: USER_ID, displayName: 'User', bio: '' });
     mockQuery.mockReturnValue('query-ref');
+    mockTxGet.mockResolvedValue({ exists: () => false, data: () => ({}) });
   });
 
   describe('createPost', () => {
-    it('creates a post and returns its id', async () => {
+    it('creates a post and bumps the create-post counter in one transaction', async () => {
       const { createPost } = await import('../firestore-utils/post-storage');
-      const postData = { title: 'Test', content: 'Body', authorId: 'u1', authorName: 'User' };
+      mockDoc.mockImplementation((...args: unknown[]) => (args.length === 1 ? { id: 'new-post-id' } : 'counter-ref'));
+      const postData = { title: 'Test post', content: 'Body of the post' };
       const result = await createPost(mockDb, postData, USER_ID);
       expect(result).toBe('new-post-id');
-      expect(mockAddDoc).toHaveBeenCalledWith('posts-collection', {
-        title: 'Test',
-        content: 'Body',
-        authorId: 'u1',
+      expect(mockDoc).toHaveBeenCalledWith(mockDb, 'rateLimitCounters', USER_ID, 'actions', 'create-post');
+      expect(mockTxSet).toHaveBeenCalledWith('counter-ref', {
+        count: 1,
+        windowStart: mockServerTimestamp(),
+        updatedAt: mockServerTimestamp(),
+        lastCreated: 'new-post-id',
+      });
+      expect(mockGetProfile).toHaveBeenCalledWith(mockDb, USER_ID);
+      expect(mockTxSet).toHaveBeenCalledWith({ id: 'new-post-id' }, {
+        title: 'Test post',
+        content: 'Body of the post',
+        authorId: USER_ID,
         authorName: 'User',
+        score: 0,
+        keywords: ['test', 'post', 'body'],
         createdBy: USER_ID,
         updatedBy: USER_ID,
         createdAt: mockServerTimestamp(),
         updatedAt: mockServerTimestamp(),
       });
     });
+
+    it('signs the post with the profile\'s avatar, and needs a profile', async () => {
+      const { createPost } = await import('../firestore-utils/post-storage');
+      mockDoc.mockImplementation((...args: unknown[]) => (args.length === 1 ? { id: 'new-post-id' } : 'counter-ref'));
+      mockGetProfile.mockResolvedValueOnce({ uid: USER_ID, displayName: 'Pat', bio: '', avatarUrl: 'https://img/pat.png' });
+      await createPost(mockDb, { title: 'T', content: 'C' }, USER_ID);
+      expect(mockTxSet).toHaveBeenCalledWith({ id: 'new-post-id' }, expect.objectContaining({
+        authorId: USER_ID, authorName: 'Pat', authorPhoto: 'https://img/pat.png',
+      }));
+
+      mockTxSet.mockClear();
+      mockGetProfile.mockResolvedValueOnce(null);
+      await expect(createPost(mockDb, { title: 'T', content: 'C' }, USER_ID)).rejects.toThrow('Set up your profile');
+      expect(mockTxSet).not.toHaveBeenCalled();
+    });
   });
 
   describe('getPost', () => {
@@ -96,6 +154,11 @@ describe('post-storage', () => {
         authorId: 'u1',
         authorName: 'User',
         replyCount: 3,
+        score: 0,
+        edited: false,
+        hidden: false,
+        images: [],
+        pending: false,
         createdAt,
       });
       expect(mockDoc).toHaveBeenCalledWith(mockDb, 'posts', 'post-1');
@@ -124,101 +187,333 @@ describe('post-storage', () => {
           makeDocSnap('p2', { title: 'Second', content: 'B', authorId: 'u2', authorName: 'V', replyCount: 0, createdAt: { toDate: () => date2 } }),
         ],
       });
-      const result = await getPosts(mockDb, 10);
-      expect(result).toHaveLength(2);
-      expect(result[0].id).toBe('p1');
-      expect(result[0].createdAt).toBe(date1);
-      expect(result[1].id).toBe('p2');
+      const { items, nextCursor } = await getPosts(mockDb, { pageSize: 10 });
+      expect(items).toHaveLength(2);
+      expect(items[0].id).toBe('p1');
+      expect(items[0].createdAt).toBe(date1);
+      expect(items[1].id).toBe('p2');
+      expect(nextCursor).toBeNull();
       expect(mockQuery).toHaveBeenCalled();
       expect(mockOrderBy).toHaveBeenCalledWith('createdAt', 'desc');
       expect(mockLimit).toHaveBeenCalledWith(10);
     });
 
-    it('uses default limit of 50', async () => {
+    it('uses a default page size of 20', async () => {
       const { getPosts } = await import('../firestore-utils/post-storage');
       await getPosts(mockDb);
-      expect(mockLimit).toHaveBeenCalledWith(50);
+      expect(mockLimit).toHaveBeenCalledWith(20);
+      expect(mockStartAfter).not.toHaveBeenCalled();
+    });
+
+    it('returns the last document as the cursor for a full page and starts after it', async () => {
+      const { getPosts } = await import('../firestore-utils/post-storage');
+      const last = makeDocSnap('p2', { title: 'Second', content: 'B', authorId: 'u2', authorName: 'V' });
+      mockGetDocs.mockResolvedValue({ docs: [makeDocSnap('p1', { title: 'First', content: 'A', authorId: 'u1', authorName: 'U' }), last] });
+      const first = await getPosts(mockDb, { pageSize: 2 });
+      expect(first.nextCursor).toBe(last);
+
+      await getPosts(mockDb, { pageSize: 2, cursor: first.nextCursor });
+      expect(mockStartAfter).toHaveBeenCalledWith(last);
+    });
+
+    it('orders by score, then newest, for the top sort', async () => {
+      const { getPosts } = await import('../firestore-utils/post-storage');
+      await getPosts(mockDb, { sort: 'top' });
+      expect(mockOrderBy.mock.calls).toEqual([['score', 'desc'], ['createdAt', 'desc']]);
+    });
+  });
+
+  describe('voting', () => {
+    it('votes through the collection with the post or reply as target', async () => {
+      const { vote } = await import('../firestore-utils/post-storage');
+      mockDoc.mockImplementation((...args: unknown[]) => args.slice(1).join('/'));
+      mockTxGet.mockImplementation(async (ref: string) => (ref.includes('/votes/')
+        ? { exists: () => false }
+        : { exists: () => true, data: () => ({ createdBy: 'author', score: 2 }) }));
+      await expect(vote(mockDb, 'replies', 'r1', 1, USER_ID)).resolves.toBe(3);
+      expect(mockTxSet).toHaveBeenCalledWith('replies/r1/votes/test-user-id', { value: 1, updatedAt: mockServerTimestamp() });
+      expect(mockTxUpdate).toHaveBeenCalledWith('replies/r1', { score: { increment: 1 } });
+    });
+
+    it('reads the user\'s votes on each document', async () => {
+      const { getMyVotes } = await import('../firestore-utils/post-storage');
+      mockDoc.mockImplementation((...args: unknown[]) => args.slice(1).join('/'));
+      mockGetDoc.mockImplementation(async (ref: string) => (ref === 'replies/r2/votes/test-user-id'
+        ? { exists: () => true, data: () => ({ value: -1 }) }
+        : { exists: () => false }));
+      await expect(getMyVotes(mockDb, 'replies', ['r1', 'r2'], USER_ID)).resolves.toEqual({ r2: -1 });
     });
   });
 
   describe('searchPosts', () => {
-    it('queries with title range filter', async () => {
+    it('matches any query word against the keywords index and ranks the hits', async () => {
       const { searchPosts } = await import('../firestore-utils/post-storage');
-      mockGetDocs.mockResolvedValue({ docs: [] });
-      const result = await searchPosts(mockDb, 'test');
-      expect(result).toEqual([]);
-      expect(mockWhere).toHaveBeenCalledWith('title', '>=', 'test');
-      expect(mockWhere).toHaveBeenCalledWith('title', '<=', 'test\uf8ff');
-      expect(mockOrderBy).toHaveBeenCalledWith('title');
-      expect(mockLimit).toHaveBeenCalledWith(20);
+      mockGetDocs.mockResolvedValue({
+        docs: [
+          makeDocSnap('body', { title: 'Weekly notes', content: 'Some react tips', createdAt: { toDate: () => new Date('2024-02-01') } }),
+          makeDocSnap('title', { title: 'React hooks', content: 'All about hooks', createdAt: { toDate: () => new Date('2024-01-01') } }),
+        ],
+      });
+      const result = await searchPosts(mockDb, 'The React hooks');
+      expect(mockWhere).toHaveBeenCalledWith('keywords', 'array-contains-any', ['react', 'hooks']);
+      expect(mockLimit).toHaveBeenCalledWith(50);
+      expect(result.map(post => post.id)).toEqual(['title', 'body']);
+    });
+
+    it('does not query when the search has no usable words', async () => {
+      const { searchPosts } = await import('../firestore-utils/post-storage');
+      expect(await searchPosts(mockDb, 'the a !')).toEqual([]);
+      expect(mockGetDocs).not.toHaveBeenCalled();
     });
   });
 
   describe('addReply', () => {
-    it('adds a reply and increments replyCount on post', async () => {
+    it('creates the reply and increments replyCount in the same transaction', async () => {
       const { addReply } = await import('../firestore-utils/post-storage');
-      mockAddDoc.mockResolvedValue({ id: 'reply-1' });
-      mockGetDoc.mockResolvedValue({
-        exists: () => true,
-        data: () => ({ replyCount: 2 }),
-      });
-      const result = await addReply(mockDb, 'post-1', {
-        content: 'My reply',
-        authorId: 'u1',
-        authorName: 'User',
-      }, USER_ID);
+      mockDoc.mockImplementation((...args: unknown[]) => (args.length === 1 ? { id: 'reply-1' } : args.slice(1).join('/')));
+      const result = await addReply(mockDb, 'post-1', 'My reply', USER_ID);
       expect(result).toBe('reply-1');
-      expect(mockAddDoc).toHaveBeenCalledWith('posts-collection', {
+      expect(mockDoc).toHaveBeenCalledWith(mockDb, 'rateLimitCounters', USER_ID, 'actions', 'add-reply');
+      expect(mockTxSet).toHaveBeenCalledWith({ id: 'reply-1' }, {
         content: 'My reply',
-        authorId: 'u1',
+        authorId: USER_ID,
         authorName: 'User',
         postId: 'post-1',
+        depth: 0,
+        score: 0,
         createdBy: USER_ID,
         updatedBy: USER_ID,
         createdAt: mockServerTimestamp(),
         updatedAt: mockServerTimestamp(),
       });
-      expect(mockUpdateDoc).toHaveBeenCalledWith('post-doc-ref', {
-        replyCount: 3,
+      expect(mockTxUpdate).toHaveBeenCalledWith('posts/post-1', { replyCount: { increment: 1 }, lastAdded: 'reply-1' });
+    });
+
+    it('never reads the current count, so concurrent replies cannot overwrite each other', async () => {
+      const { addReply } = await import('../firestore-utils/post-storage');
+      mockDoc.mockImplementation((...args: unknown[]) => (args.length === 1 ? { id: 'reply-2' } : args.slice(1).join('/')));
+      await addReply(mockDb, 'post-1', 'Reply', USER_ID);
+      expect(mockGetDoc).not.toHaveBeenCalled();
+      expect(mockUpdateDoc).not.toHaveBeenCalled();
+    });
+
+    it('nests an answer one level below the reply it answers', async () => {
+      const { addReply } = await import('../firestore-utils/post-storage');
+      mockDoc.mockImplementation((...args: unknown[]) => (args.length === 1 ? { id: 'reply-3' } : args.slice(1).join('/')));
+      mockGetDoc.mockResolvedValue({ exists: () => true, id: 'reply-1', data: () => ({ postId: 'post-1', depth: 1 }) });
+      await addReply(mockDb, 'post-1', 'Answer', USER_ID, 'reply-1');
+      expect(mockTxSet).toHaveBeenCalledWith({ id: 'reply-3' }, expect.objectContaining({ parentReplyId: 'reply-1', depth: 2 }));
+    });
+
+    it('rejects parents that are missing, on another post, or already at the depth limit', async () => {
+      const { addReply } = await import('../firestore-utils/post-storage');
+      const { MAX_REPLY_DEPTH } = await import('../firestore-utils/schemas');
+      const reply = 'Answer';
+
+      await expect(addReply(mockDb, 'post-1', reply, USER_ID, 'gone')).rejects.toThrow('no longer exists');
+      mockGetDoc.mockResolvedValue({ exists: () => true, id: 'reply-1', data: () => ({ postId: 'post-2', depth: 0 }) });
+      await expect(addReply(mockDb, 'post-1', reply, USER_ID, 'reply-1')).rejects.toThrow('no longer exists');
+      mockGetDoc.mockResolvedValue({ exists: () => true, id: 'reply-1', data: () => ({ postId: 'post-1', depth: MAX_REPLY_DEPTH }) });
+      await expect(addReply(mockDb, 'post-1', reply, USER_ID, 'reply-1')).rejects.toThrow('nested too deeply');
+      expect(mockTxSet).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('by author', () => {
+    it('pages through a user\'s posts and replies, newest first', async () => {
+      const { getPostsByAuthor, getRepliesByAuthor } = await import('../firestore-utils/post-storage');
+      mockCollection.mockImplementation((_db: unknown, name: string) => name);
+      mockGetDocs.mockResolvedValue({ docs: [makeDocSnap('p1', { title: 'Mine', content: 'C', authorId: 'u9', authorName: 'Nine' })] });
+
+      const page = await getPostsByAuthor(mockDb, 'u9', { pageSize: 1 });
+      expect(mockCollection).toHaveBeenCalledWith(mockDb, 'posts');
+      expect(mockWhere).toHaveBeenCalledWith('authorId', '==', 'u9');
+      expect(mockOrderBy).toHaveBeenCalledWith('createdAt', 'desc');
+      expect(page.items.map(post => post.title)).toEqual(['Mine']);
+      expect(page.nextCursor).not.toBeNull();
+
+      await getRepliesByAuthor(mockDb, 'u9');
+      expect(mockCollection).toHaveBeenCalledWith(mockDb, 'replies');
+    });
+  });
+
+  describe('buildReplyTree', () => {
+    const reply = (id: string, parentReplyId: string | null = null) => ({
+      id, parentReplyId, postId: 'post-1', content: id, authorId: 'u1', authorName: 'U',
+      createdAt: new Date(), depth: parentReplyId ? 1 : 0, edited: false, score: 0,
+    });
+
+    it('hangs answers under their parents in the order they arrive', async () => {
+      const { buildReplyTree } = await import('../firestore-utils/post-storage');
+      const tree = buildReplyTree([reply('a'), reply('b'), reply('a1', 'a'), reply('a2', 'a'), reply('a1x', 'a1')]);
+      expect(tree.map(node => node.reply.id)).toEqual(['a', 'b']);
+      expect(tree[0].children.map(node => node.reply.id)).toEqual(['a1', 'a2']);
+      expect(tree[0].children[0].children.map(node => node.reply.id)).toEqual(['a1x']);
+    });
+
+    it('shows answers to deleted or unloaded replies at the top level', async () => {
+      const { buildReplyTree } = await import('../firestore-utils/post-storage');
+      const tree = buildReplyTree([reply('a'), reply('orphan', 'missing')]);
+      expect(tree.map(node => node.reply.id)).toEqual(['a', 'orphan']);
+    });
+  });
+
+  describe('editing', () => {
+    const stored = (data: Record<string, unknown>) => ({ exists: () => true, id: 'doc-1', data: () => data });
+
+    beforeEach(() => {
+      mockDoc.mockImplementation((...args: unknown[]) => (typeof args[0] === 'string' ? `${args[0]}/new` : args.slice(1).join('/')));
+      mockCollection.mockImplementation((parent: unknown, name: string) => (typeof parent === 'string' ? `${parent}/${name}` : name));
+    });
+
+    it('updatePost rewrites keywords, marks the post edited and keeps the old text as a revision', async () => {
+      const { updatePost } = await import('../firestore-utils/post-storage');
+      mockGetDoc.mockResolvedValue(stored({ title: 'Old title', content: 'Old body', authorId: USER_ID, createdBy: USER_ID }));
+      await updatePost(mockDb, 'post-1', { title: 'New title', content: 'Fresh words' }, USER_ID);
+
+      expect(mockBatchUpdate).toHaveBeenCalledWith('posts/post-1', {
+        title: 'New title',
+        content: 'Fresh words',
+        keywords: ['new', 'title', 'fresh', 'words'],
+        edited: true,
         updatedBy: USER_ID,
         updatedAt: mockServerTimestamp(),
       });
+      expect(mockBatchSet).toHaveBeenCalledWith('posts/post-1/revisions/new', {
+        action: 'update',
+        before: { title: 'Old title', content: 'Old body' },
+        after: { title: 'New title', content: 'Fresh words' },
+        actor: USER_ID,
+        createdAt: mockServerTimestamp(),
+      });
+      expect(mockBatchCommit).toHaveBeenCalledTimes(1);
     });
 
-    it('handles replyCount when post has no replyCount field', async () => {
-      const { addReply } = await import('../firestore-utils/post-storage');
-      mockAddDoc.mockResolvedValue({ id: 'reply-1' });
-      mockGetDoc.mockResolvedValue({
-        exists: () => true,
-        data: () => ({}),
+    it('updatePost refuses someone else\'s post and invalid edits', async () => {
+      const { updatePost } = await import('../firestore-utils/post-storage');
+      mockGetDoc.mockResolvedValue(stored({ title: 'T', content: 'C', createdBy: 'someone-else' }));
+      await expect(updatePost(mockDb, 'post-1', { title: 'Mine now', content: 'C' }, USER_ID)).rejects.toThrow(/permission/);
+      await expect(updatePost(mockDb, 'post-1', { title: '', content: 'C' }, USER_ID)).rejects.toThrow('Title is required');
+      expect(mockBatchCommit).not.toHaveBeenCalled();
+    });
+
+    it('updatePost reports a missing post', async () => {
+      const { updatePost } = await import('../firestore-utils/post-storage');
+      await expect(updatePost(mockDb, 'gone', { title: 'T', content: 'C' }, USER_ID)).rejects.toThrow('Post not found');
+    });
+
+    it('deletePost removes replies, their revisions and the post\'s revisions with the post', async () => {
+      const { deletePost } = await import('../firestore-utils/post-storage');
+      mockDoc.mockImplementation((...args: unknown[]) => ({ id: args[args.length - 1], path: args.slice(1).join('/') }));
+      mockGetDoc.mockResolvedValue(stored({ createdBy: USER_ID }));
+      mockGetDocs.mockResolvedValueOnce({ docs: [{ ref: { id: 'r1', path: 'replies/r1' } }] })
+        .mockResolvedValue({ docs: [] });
+      await deletePost(mockDb, 'post-1', USER_ID);
+
+      expect(mockDeletePostImages).toHaveBeenCalledWith(mockDb, 'post-1');
+      expect(mockWhere).toHaveBeenCalledWith('postId', '==', 'post-1');
+      expect(mockBatchDelete).toHaveBeenCalledWith({ id: 'r1', path: 'replies/r1' });
+      expect(mockBatchDelete).toHaveBeenCalledWith({ id: 'post-1', path: 'posts/post-1' });
+      expect(mockBatchCommit).toHaveBeenCalledTimes(1);
+    });
+
+    it('deletePost keeps the post when its images cannot be removed', async () => {
+      const { deletePost } = await import('../firestore-utils/post-storage');
+      mockDeletePostImages.mockRejectedValueOnce(new Error('storage/unauthorized'));
+      await expect(deletePost(mockDb, 'post-1', USER_ID)).rejects.toThrow('storage/unauthorized');
+      expect(mockDeleteDoc).not.toHaveBeenCalled();
+    });
+
+    it('attachImages records the uploaded paths without marking the post edited', async () => {
+      const { attachImages } = await import('../firestore-utils/post-storage');
+      mockGetDoc.mockResolvedValue(stored({ authorId: USER_ID, createdBy: USER_ID }));
+      await attachImages(mockDb, 'post-1', ['posts/post-1/u/a.png'], USER_ID);
+      expect(mockUpdateDoc).toHaveBeenCalledWith('posts/post-1', {
+        images: ['posts/post-1/u/a.png'],
+        updatedBy: USER_ID,
+        updatedAt: mockServerTimestamp(),
       });
-      const result = await addReply(mockDb, 'post-1', {
-        content: 'Reply',
-        authorId: 'u1',
-        authorName: 'U',
-      }, USER_ID);
-      expect(result).toBe('reply-1');
+      await expect(attachImages(mockDb, 'post-1', ['1', '2', '3', '4', '5'], USER_ID)).rejects.toThrow('at most 4 images');
+    });
+
+    it('updateReply keeps the old content as a revision', async () => {
+      const { updateReply } = await import('../firestore-utils/post-storage');
+      mockGetDoc.mockResolvedValue(stored({ content: 'Old', postId: 'post-1', createdBy: USER_ID }));
+      await updateReply(mockDb, 'reply-1', 'New', USER_ID);
+      expect(mockBatchUpdate).toHaveBeenCalledWith('replies/reply-1', expect.objectContaining({ content: 'New', edited: true }));
+      expect(mockBatchSet).toHaveBeenCalledWith('replies/reply-1/revisions/new', expect.objectContaining({
+        before: { content: 'Old' },
+        after: { content: 'New' },
+      }));
+    });
+
+    it('deleteReply takes one off replyCount in the same batch', async () => {
+      const { deleteReply } = await import('../firestore-utils/post-storage');
+      mockGetDoc.mockResolvedValue(stored({ createdBy: USER_ID }));
+      await deleteReply(mockDb, 'post-1', 'reply-1', USER_ID);
+      expect(mockBatchDelete).toHaveBeenCalledWith('replies/reply-1');
+      expect(mockBatchUpdate).toHaveBeenCalledWith('posts/post-1', { replyCount: { increment: -1 }, lastRemoved: 'reply-1' });
+      expect(mockBatchCommit).toHaveBeenCalledTimes(1);
+    });
+
+    it('lets moderators delete without owning the content', async () => {
+      const { deleteReply } = await import('../firestore-utils/post-storage');
+      mockGetDoc.mockResolvedValue(stored({ createdBy: 'someone-else' }));
+      await expect(deleteReply(mockDb, 'post-1', 'reply-1', USER_ID)).rejects.toThrow('permission');
+      await deleteReply(mockDb, 'post-1', 'reply-1', USER_ID, { moderator: true });
+      expect(mockBatchDelete).toHaveBeenCalledWith('replies/reply-1');
+    });
+
+    it('setHidden writes only the hidden flag, for any owner', async () => {
+      const { setHidden } = await import('../firestore-utils/post-storage');
+      await setHidden(mockDb, 'posts', 'post-1', true, USER_ID);
+      expect(mockGetDoc).not.toHaveBeenCalled();
+      expect(mockUpdateDoc).toHaveBeenCalledWith('posts/post-1', { hidden: true, updatedBy: USER_ID, updatedAt: mockServerTimestamp() });
+    });
+  });
+
+  describe('reconcileReplyCount', () => {
+    const storedPost = (replyCount?: number) => ({
+      exists: () => true,
+      id: 'post-1',
+      data: () => ({ title: 'T', content: 'C', authorId: 'u1', authorName: 'U', replyCount }),
+    });
+
+    it('rewrites a drifted count with the number of replies', async () => {
+      const { reconcileReplyCount } = await import('../firestore-utils/post-storage');
+      mockGetDoc.mockResolvedValue(storedPost(2));
+      mockGetCountFromServer.mockResolvedValue({ data: () => ({ count: 5 }) });
+      await expect(reconcileReplyCount(mockDb, 'post-1', USER_ID)).resolves.toEqual({ postId: 'post-1', before: 2, after: 5 });
+      expect(mockWhere).toHaveBeenCalledWith('postId', '==', 'post-1');
       expect(mockUpdateDoc).toHaveBeenCalledWith('post-doc-ref', {
-        replyCount: 1,
+        replyCount: 5,
         updatedBy: USER_ID,
         updatedAt: mockServerTimestamp(),
       });
     });
 
-    it('does not update post if post does not exist', async () => {
-      const { addReply } = await import('../firestore-utils/post-storage');
-      mockAddDoc.mockResolvedValue({ id: 'reply-2' });
-      mockGetDoc.mockResolvedValue({
-        exists: () => false,
-        data: () => ({}),
-      });
-      await addReply(mockDb, 'post-missing', {
-        content: 'Reply',
-        authorId: 'u1',
-        authorName: 'U',
-      }, USER_ID);
+    it('leaves a correct count alone', async () => {
+      const { reconcileReplyCount } = await import('../firestore-utils/post-storage');
+      mockGetDoc.mockResolvedValue(storedPost(undefined));
+      mockGetCountFromServer.mockResolvedValue({ data: () => ({ count: 0 }) });
+      await expect(reconcileReplyCount(mockDb, 'post-1', USER_ID)).resolves.toBeNull();
       expect(mockUpdateDoc).not.toHaveBeenCalled();
     });
+
+    it('reconcileReplyCounts walks every page of posts', async () => {
+      const { reconcileReplyCounts } = await import('../firestore-utils/post-storage');
+      const post = (id: string, replyCount: number) => makeDocSnap(id, { title: id, content: 'C', authorId: 'u1', authorName: 'U', replyCount });
+      mockGetDocs
+        .mockResolvedValueOnce({ docs: [post('p1', 1), post('p2', 4)] })
+        .mockResolvedValueOnce({ docs: [post('p3', 0)] });
+      mockGetCountFromServer.mockResolvedValue({ data: () => ({ count: 1 }) });
+      const fixes = await reconcileReplyCounts(mockDb, USER_ID, 2);
+      expect(fixes).toEqual([
+        { postId: 'p2', before: 4, after: 1 },
+        { postId: 'p3', before: 0, after: 1 },
+      ]);
+      expect(mockGetDocs).toHaveBeenCalledTimes(2);
+    });
   });
 
   describe('getReplies', () => {
@@ -232,7 +527,7 @@ describe('post-storage', () => {
           makeDocSnap('r2', { postId: 'post-1', content: 'Second', authorId: 'u2', authorName: 'V', createdAt: { toDate: () => date2 } }),
         ],
       });
-      const result = await getReplies(mockDb, 'post-1');
+      const { items: result } = await getReplies(mockDb, 'post-1');
       expect(result).toHaveLength(2);
       expect(result[0].id).toBe('r1');
       expect(result[0].createdAt).toBe(date1);
@@ -241,4 +536,75 @@ describe('post-storage', () => {
       expect(mockOrderBy).toHaveBeenCalledWith('createdAt', 'asc');
     });
   });
+
+  describe('subscriptions', () => {
+    it('subscribePosts maps each snapshot and returns the unsubscribe function', async () => {
+      const { subscribePosts } = await import('../firestore-utils/post-storage');
+      const unsubscribe = vi.fn();
+      mockOnSnapshot.mockReturnValue(unsubscribe);
+      const onChange = vi.fn();
+      expect(subscribePosts(mockDb, onChange, undefined, 10)).toBe(unsubscribe);
+      expect(mockOnSnapshot).toHaveBeenCalledWith('query-ref', { includeMetadataChanges: true }, expect.any(Function), expect.any(Function));
+      expect(mockLimit).toHaveBeenCalledWith(10);
+
+      const next = mockOnSnapshot.mock.calls[0][2];
+      next({ docs: [makeDocSnap('p1', { title: 'T', content: 'C', authorId: 'u1', authorName: 'U' })] });
+      expect(onChange).toHaveBeenCalledWith([expect.objectContaining({ id: 'p1', title: 'T', replyCount: 0 })]);
+    });
+
+    it('subscribePost reports null once the post is deleted', async () => {
+      const { subscribePost } = await import('../firestore-utils/post-storage');
+      const onChange = vi.fn();
+      subscribePost(mockDb, 'post-1', onChange);
+      expect(mockDoc).toHaveBeenCalledWith(mockDb, 'posts', 'post-1');
+
+      const next = mockOnSnapshot.mock.calls[0][2];
+      next({ exists: () => false, id: 'post-1', data: () => undefined });
+      expect(onChange).toHaveBeenCalledWith(null);
+    });
+
+    it('marks a post pending until the server confirms the write', async () => {
+      const { subscribePost } = await import('../firestore-utils/post-storage');
+      const onChange = vi.fn();
+      subscribePost(mockDb, 'post-1', onChange);
+      expect(mockOnSnapshot.mock.calls[0][1]).toEqual({ includeMetadataChanges: true });
+
+      const next = mockOnSnapshot.mock.calls[0][2];
+      const snap = (hasPendingWrites: boolean) => ({
+        ...makeDocSnap('post-1', { title: 'T', content: 'C', authorId: 'u1', authorName: 'U' }),
+        exists: () => true,
+        metadata: { hasPendingWrites, fromCache: hasPendingWrites },
+      });
+      next(snap(true));
+      expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ pending: true }));
+      next(snap(false));
+      expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ pending: false }));
+    });
+
+    it('subscribeReplies delivers one page with its next cursor', async () => {
+      const { subscribeReplies } = await import('../firestore-utils/post-storage');
+      const onChange = vi.fn();
+      subscribeReplies(mockDb, 'post-1', onChange, undefined, { pageSize: 1, cursor: 'prev' as never });
+      expect(mockStartAfter).toHaveBeenCalledWith('prev');
+      expect(mockLimit).toHaveBeenCalledWith(1);
+
+      const reply = makeDocSnap('r1', { postId: 'post-1', content: 'Hi', authorId: 'u1', authorName: 'U' });
+      mockOnSnapshot.mock.calls[0][2]({ docs: [reply] });
+      expect(onChange).toHaveBeenCalledWith([expect.objectContaining({ id: 'r1' })], reply);
+    });
+
+    it('subscribeReplies scopes to the post and forwards errors', async () => {
+      const { subscribeReplies } = await import('../firestore-utils/post-storage');
+      const onChange = vi.fn();
+      const onError = vi.fn();
+      subscribeReplies(mockDb, 'post-1', onChange, onError);
+      expect(mockWhere).toHaveBeenCalledWith('postId', '==', 'post-1');
+      expect(mockOrderBy).toHaveBeenCalledWith('createdAt', 'asc');
+
+      const error = new Error('permission-denied');
+      mockOnSnapshot.mock.calls[0][3](error);
+      expect(onError).toHaveBeenCalledWith(error);
+      expect(onChange).not.toHaveBeenCalled();
+    });
+  });
 });
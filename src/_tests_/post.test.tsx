@@ -1,15 +1,60 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
 import { MemoryRouter } from 'react-router';
 import Post from '../post';
 
 const mockGetPost = vi.fn();
 const mockGetReplies = vi.fn();
 const mockNavigate = vi.fn();
+const mockUnsubscribe = vi.fn();
+const mockUpdatePost = vi.fn();
+const mockDeletePost = vi.fn();
+const mockUpdateReply = vi.fn();
+const mockDeleteReply = vi.fn();
+const mockVote = vi.fn();
+const mockGetMyVotes = vi.fn();
+const mockReportContent = vi.fn();
+const mockGetImageUrl = vi.fn();
+const mockUseAuth = vi.fn();
+const mockRateLimit = { check: vi.fn(() => true), resetIn: 0 };
+let pushReplies: (replies: unknown[]) => void = () => {};
 
-vi.mock('../firestore-utils/post-storage', () => ({
-  getPost: (...args: unknown[]) => mockGetPost(...args),
-  getReplies: (...args: unknown[]) => mockGetReplies(...args),
+// Each subscription delivers the mocked fetch result as its first snapshot.
+vi.mock('../firestore-utils/post-storage', async () => ({
+  buildReplyTree: (await vi.importActual<typeof import('../firestore-utils/post-storage')>('../firestore-utils/post-storage')).buildReplyTree,
+  subscribePost: (db: unknown, postId: string, onChange: (post: unknown) => void, onError: (e: Error) => void) => {
+    mockGetPost(db, postId).then(onChange, onError);
+    return mockUnsubscribe;
+  },
+  subscribeReplies: (db: unknown, postId: string, onChange: (replies: unknown[]) => void, onError: (e: Error) => void) => {
+    pushReplies = onChange;
+    mockGetReplies(db, postId).then(onChange, onError);
+    return mockUnsubscribe;
+  },
+  updatePost: (...args: unknown[]) => mockUpdatePost(...args),
+  deletePost: (...args: unknown[]) => mockDeletePost(...args),
+  updateReply: (...args: unknown[]) => mockUpdateReply(...args),
+  deleteReply: (...args: unknown[]) => mockDeleteReply(...args),
+  vote: (...args: unknown[]) => mockVote(...args),
+  getMyVotes: (...args: unknown[]) => mockGetMyVotes(...args),
+  PAGE_SIZE: 20,
+}));
+
+vi.mock('../firestore-utils/moderation', () => ({
+  reportContent: (...args: unknown[]) => mockReportContent(...args),
+}));
+
+vi.mock('../firestore-utils/post-images', async () => ({
+  ...await vi.importActual('../firestore-utils/post-images'),
+  getImageUrl: (...args: unknown[]) => mockGetImageUrl(...args),
+}));
+
+vi.mock('../firestore-utils/auth-context', () => ({
+  useAuth: () => mockUseAuth(),
+}));
+
+vi.mock('../guardrails/useRateLimit', () => ({
+  useRateLimit: () => mockRateLimit,
 }));
 
 vi.mock('react-router', async () => {
@@ -34,6 +79,7 @@ const mockPost = {
   authorId: 'u1',
   authorName: 'Alice',
   replyCount: 3,
+  score: 5,
   createdAt: new Date('2024-06-15'),
 };
 
@@ -41,6 +87,14 @@ beforeEach(() => {
   vi.clearAllMocks();
   mockGetPost.mockResolvedValue(mockPost);
   mockGetReplies.mockResolvedValue([]);
+  mockUseAuth.mockReturnValue({ user: null });
+  mockUpdatePost.mockResolvedValue(undefined);
+  mockDeletePost.mockResolvedValue(undefined);
+  mockUpdateReply.mockResolvedValue(undefined);
+  mockDeleteReply.mockResolvedValue(undefined);
+  mockVote.mockResolvedValue(0);
+  mockGetMyVotes.mockResolvedValue({});
+  mockReportContent.mockResolvedValue('report-1');
 });
 
 describe('Post', () => {
@@ -82,6 +136,40 @@ describe('Post', () => {
     });
   });
 
+  it('links the author to their profile page', async () => {
+    renderPost();
+    expect(await screen.findByRole('link', { name: 'Alice' })).toHaveAttribute('href', '/u/u1');
+  });
+
+  it('renders the post and replies as Markdown', async () => {
+    mockGetPost.mockResolvedValue({ ...mockPost, content: 'See [docs](https://example.com) and `npm test`' });
+    mockGetReplies.mockResolvedValue([
+      { id: 'r1', postId: 'post-1', content: '- one\n- two', authorId: 'u2', authorName: 'Bob', createdAt: new Date('2024-06-16') },
+    ]);
+    renderPost();
+    await waitFor(() => {
+      expect(screen.getByRole('link', { name: 'docs' })).toHaveAttribute('rel', 'noopener nofollow');
+    });
+    expect(screen.getByText('npm test').tagName).toBe('CODE');
+    expect(screen.getAllByRole('listitem')).toHaveLength(2);
+  });
+
+  it('shows the post\'s own images in a gallery, skipping any that fail to load', async () => {
+    mockGetPost.mockResolvedValue({
+      ...mockPost,
+      images: ['posts/post-1/u1/a.png', 'posts/post-1/u1/gone.png', 'posts/other/u1/b.png'],
+    });
+    mockGetImageUrl.mockImplementation(async (_db, path: string) => {
+      if (path.includes('gone')) throw new Error('storage/object-not-found');
+      return `https://files/${path}`;
+    });
+    renderPost();
+    const img = await screen.findByRole('img', { name: 'Image 1 of 1' });
+    expect(img).toHaveAttribute('src', 'https://files/posts/post-1/u1/a.png');
+    expect(img.closest('a')).toHaveAttribute('rel', 'noopener noreferrer');
+    expect(mockGetImageUrl).not.toHaveBeenCalledWith(expect.anything(), 'posts/other/u1/b.png');
+  });
+
   it('renders back button', async () => {
     renderPost();
     await waitFor(() => {
@@ -123,6 +211,128 @@ describe('Post', () => {
     expect(mockNavigate).toHaveBeenCalledWith('/compose-reply?id=post-1');
   });
 
+  it('shows replies from other viewers as they arrive', async () => {
+    renderPost();
+    await waitFor(() => {
+      expect(screen.getByText('0 Replies')).toBeInTheDocument();
+    });
+    act(() => {
+      pushReplies([{ id: 'r9', postId: 'post-1', content: 'Live reply', authorId: 'u4', authorName: 'Dana', createdAt: new Date('2024-06-18') }]);
+    });
+    expect(screen.getByText('Live reply')).toBeInTheDocument();
+    expect(screen.getByText('1 Reply')).toBeInTheDocument();
+  });
+
+  describe('threads', () => {
+    const thread = [
+      { id: 'r1', postId: 'post-1', content: 'Top reply', authorId: 'u2', authorName: 'Bob', depth: 0, parentReplyId: null, createdAt: new Date('2024-06-16') },
+      { id: 'r2', postId: 'post-1', content: 'Answer', authorId: 'u3', authorName: 'Charlie', depth: 1, parentReplyId: 'r1', createdAt: new Date('2024-06-17') },
+      { id: 'r3', postId: 'post-1', content: 'Deepest', authorId: 'u2', authorName: 'Bob', depth: 4, parentReplyId: 'r2', createdAt: new Date('2024-06-18') },
+    ];
+
+    it('nests answers under the reply they answer', async () => {
+      mockGetReplies.mockResolvedValue(thread);
+      renderPost();
+      await waitFor(() => {
+        expect(screen.getByText('Answer')).toBeInTheDocument();
+      });
+      const top = screen.getByText('Top reply').closest('.shadow-sm')!;
+      expect(top).toContainElement(screen.getByText('Answer'));
+      expect(top).toContainElement(screen.getByText('Deepest'));
+      expect(screen.getByText('3 Replies')).toBeInTheDocument();
+    });
+
+    it('links Reply to the composer, except at the depth limit', async () => {
+      mockGetReplies.mockResolvedValue(thread);
+      renderPost();
+      await waitFor(() => {
+        expect(screen.getByText('Answer')).toBeInTheDocument();
+      });
+      expect(screen.getAllByRole('button', { name: 'Reply' })).toHaveLength(2);
+      fireEvent.click(screen.getAllByRole('button', { name: 'Reply' })[1]);
+      expect(mockNavigate).toHaveBeenCalledWith('/compose-reply?id=post-1&parent=r2');
+    });
+
+    it('collapses and expands a thread', async () => {
+      mockGetReplies.mockResolvedValue(thread);
+      renderPost();
+      await waitFor(() => {
+        expect(screen.getByText('Answer')).toBeInTheDocument();
+      });
+      fireEvent.click(screen.getAllByText('Hide replies')[0]);
+      expect(screen.queryByText('Answer')).not.toBeInTheDocument();
+      expect(screen.queryByText('Deepest')).not.toBeInTheDocument();
+      fireEvent.click(screen.getByText('Show 2 more'));
+      expect(screen.getByText('Deepest')).toBeInTheDocument();
+    });
+  });
+
+  describe('moderation', () => {
+    it('reports someone else\'s post with a reason', async () => {
+      mockUseAuth.mockReturnValue({ user: { uid: 'u9', email: 'viewer@example.com' } });
+      renderPost();
+      fireEvent.click(await screen.findByLabelText('Report post'));
+      fireEvent.click(screen.getByLabelText('Harassment or abuse'));
+      fireEvent.change(screen.getByLabelText('Details'), { target: { value: 'Insults in the second paragraph' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Report' }));
+      await waitFor(() => {
+        expect(screen.getByText('Reported')).toBeInTheDocument();
+      });
+      expect(mockReportContent).toHaveBeenCalledWith(
+        {}, { targetType: 'posts', targetId: 'post-1', postId: 'post-1' }, 'harassment', 'Insults in the second paragraph', 'u9',
+      );
+    });
+
+    it('reports replies and keeps the form open when the report fails', async () => {
+      mockUseAuth.mockReturnValue({ user: { uid: 'u9', email: 'viewer@example.com' } });
+      mockGetReplies.mockResolvedValue([
+        { id: 'r1', postId: 'post-1', content: 'Buy now', authorId: 'u2', authorName: 'Bob', depth: 0, createdAt: new Date('2024-06-16') },
+      ]);
+      mockReportContent.mockRejectedValue(new Error('Rate limit reached'));
+      renderPost();
+      fireEvent.click(await screen.findByLabelText('Report reply'));
+      fireEvent.click(screen.getByRole('button', { name: 'Report' }));
+      await waitFor(() => {
+        expect(screen.getByText('Failed to send report. Please try again.')).toBeInTheDocument();
+      });
+      expect(mockReportContent).toHaveBeenCalledWith({}, { targetType: 'replies', targetId: 'r1', postId: 'post-1' }, 'spam', '', 'u9');
+      expect(screen.getByRole('form', { name: 'Report this reply' })).toBeInTheDocument();
+    });
+
+    it('does not offer to report your own content or when signed out', async () => {
+      renderPost();
+      await screen.findByText('Test Post');
+      expect(screen.queryByLabelText('Report post')).not.toBeInTheDocument();
+    });
+
+    it('shows a notice instead of a hidden post', async () => {
+      mockGetPost.mockResolvedValue({ ...mockPost, hidden: true });
+      renderPost();
+      expect(await screen.findByText('This post was hidden by a moderator')).toBeInTheDocument();
+      expect(screen.queryByText('This is the post content.')).not.toBeInTheDocument();
+    });
+
+    it('replaces hidden replies but keeps their answers', async () => {
+      mockGetReplies.mockResolvedValue([
+        { id: 'r1', postId: 'post-1', content: 'Abuse', authorId: 'u2', authorName: 'Bob', depth: 0, hidden: true, createdAt: new Date('2024-06-16') },
+        { id: 'r2', postId: 'post-1', content: 'Calm answer', authorId: 'u3', authorName: 'Cara', depth: 1, parentReplyId: 'r1', createdAt: new Date('2024-06-17') },
+      ]);
+      renderPost();
+      expect(await screen.findByText('This reply was hidden by a moderator.')).toBeInTheDocument();
+      expect(screen.queryByText('Abuse')).not.toBeInTheDocument();
+      expect(screen.getByText('Calm answer')).toBeInTheDocument();
+    });
+  });
+
+  it('unsubscribes on unmount', async () => {
+    const { unmount } = renderPost();
+    await waitFor(() => {
+      expect(screen.getByText('Test Post')).toBeInTheDocument();
+    });
+    unmount();
+    expect(mockUnsubscribe).toHaveBeenCalledTimes(2);
+  });
+
   it('shows back to posts button on error page', async () => {
     mockGetPost.mockResolvedValue(null);
     renderPost();
@@ -132,4 +342,145 @@ describe('Post', () => {
     fireEvent.click(screen.getByText('Back to posts'));
     expect(mockNavigate).toHaveBeenCalledWith('/');
   });
+
+  describe('voting', () => {
+    const reply = { id: 'r1', postId: 'post-1', content: 'A reply', authorId: 'u1', authorName: 'Alice', score: -2, createdAt: new Date('2024-06-16') };
+
+    beforeEach(() => {
+      mockUseAuth.mockReturnValue({ user: { uid: 'u2' } });
+      mockGetReplies.mockResolvedValue([reply]);
+    });
+
+    it('shows scores and the user\'s existing votes', async () => {
+      mockGetMyVotes.mockImplementation(async (_db: unknown, target: string) => (target === 'posts' ? { 'post-1': 1 } : {}));
+      renderPost();
+      expect(await screen.findByLabelText('post score')).toHaveTextContent('5');
+      expect(screen.getByLabelText('reply score')).toHaveTextContent('-2');
+      await waitFor(() => expect(screen.getByLabelText('Upvote post')).toHaveAttribute('aria-pressed', 'true'));
+      expect(mockGetMyVotes).toHaveBeenCalledWith({}, 'replies', ['r1'], 'u2');
+    });
+
+    it('casts a vote and withdraws it with a second click', async () => {
+      renderPost();
+      fireEvent.click(await screen.findByLabelText('Downvote reply'));
+      await waitFor(() => expect(mockVote).toHaveBeenCalledWith({}, 'replies', 'r1', -1, 'u2'));
+      await waitFor(() => expect(screen.getByLabelText('Downvote reply')).toHaveAttribute('aria-pressed', 'true'));
+
+      fireEvent.click(screen.getByLabelText('Downvote reply'));
+      await waitFor(() => expect(mockVote).toHaveBeenLastCalledWith({}, 'replies', 'r1', 0, 'u2'));
+    });
+
+    it('does not let authors or signed-out users vote', async () => {
+      mockUseAuth.mockReturnValue({ user: { uid: 'u1' } });
+      const { unmount } = renderPost();
+      expect(await screen.findByLabelText('Upvote post')).toBeDisabled();
+      expect(screen.getByLabelText('Upvote reply')).toBeDisabled();
+      unmount();
+
+      mockUseAuth.mockReturnValue({ user: null });
+      renderPost();
+      expect(await screen.findByLabelText('Upvote reply')).toBeDisabled();
+    });
+
+    it('offers guests neither voting nor reporting', async () => {
+      mockUseAuth.mockReturnValue({ user: { uid: 'g1', isAnonymous: true }, isGuest: true });
+      renderPost();
+      expect(await screen.findByText('A reply')).toBeInTheDocument();
+      expect(screen.queryByLabelText('post score')).not.toBeInTheDocument();
+      expect(screen.queryByLabelText('reply score')).not.toBeInTheDocument();
+      expect(screen.queryByLabelText('Report post')).not.toBeInTheDocument();
+      expect(screen.queryByLabelText('Report reply')).not.toBeInTheDocument();
+    });
+
+    it('shows an error when the vote is refused', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      mockVote.mockRejectedValue(new Error('permission-denied'));
+      renderPost();
+      fireEvent.click(await screen.findByLabelText('Upvote post'));
+      expect(await screen.findByText('Failed to save vote. Please try again.')).toBeInTheDocument();
+    });
+  });
+
+  describe('editing', () => {
+    const myReply = { id: 'r1', postId: 'post-1', content: 'My reply', authorId: 'u1', authorName: 'Alice', createdAt: new Date('2024-06-16') };
+    const theirReply = { id: 'r2', postId: 'post-1', content: 'Their reply', authorId: 'u2', authorName: 'Bob', createdAt: new Date('2024-06-17') };
+
+    beforeEach(() => {
+      mockUseAuth.mockReturnValue({ user: { uid: 'u1', email: 'alice@example.com' } });
+      mockGetReplies.mockResolvedValue([myReply, theirReply]);
+    });
+
+    it('only offers edit and delete to the author', async () => {
+      mockUseAuth.mockReturnValue({ user: { uid: 'u2' } });
+      renderPost();
+      await screen.findByText('Test Post');
+      expect(screen.queryByLabelText('Edit post')).not.toBeInTheDocument();
+      expect(screen.getAllByLabelText('Edit reply')).toHaveLength(1);
+    });
+
+    it('saves an edited post', async () => {
+      renderPost();
+      fireEvent.click(await screen.findByLabelText('Edit post'));
+      fireEvent.change(screen.getByLabelText('Title'), { target: { value: ' New title ' } });
+      fireEvent.click(screen.getByText('Save'));
+      await waitFor(() => {
+        expect(mockUpdatePost).toHaveBeenCalledWith({}, 'post-1', { title: 'New title', content: 'This is the post content.' }, 'u1');
+      });
+      await waitFor(() => expect(screen.queryByLabelText('Title')).not.toBeInTheDocument());
+    });
+
+    it('marks edited posts and replies', async () => {
+      mockGetPost.mockResolvedValue({ ...mockPost, edited: true });
+      mockGetReplies.mockResolvedValue([{ ...theirReply, edited: true }]);
+      renderPost();
+      await screen.findByText('Test Post');
+      expect(screen.getAllByText('(edited)')).toHaveLength(2);
+    });
+
+    it('marks a post and reply not yet confirmed by the server', async () => {
+      mockGetPost.mockResolvedValue({ ...mockPost, pending: true });
+      mockGetReplies.mockResolvedValue([{ ...theirReply, pending: true }, { ...theirReply, id: 'reply-synced', pending: false }]);
+      renderPost();
+      await screen.findByText('Test Post');
+      expect(screen.getAllByText('Pending sync')).toHaveLength(2);
+    });
+
+    it('deletes the post after confirming and goes home', async () => {
+      vi.spyOn(window, 'confirm').mockReturnValue(true);
+      renderPost();
+      fireEvent.click(await screen.findByLabelText('Delete post'));
+      await waitFor(() => expect(mockDeletePost).toHaveBeenCalledWith({}, 'post-1', 'u1'));
+      await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/'));
+    });
+
+    it('does nothing when the delete is not confirmed', async () => {
+      vi.spyOn(window, 'confirm').mockReturnValue(false);
+      renderPost();
+      fireEvent.click(await screen.findByLabelText('Delete post'));
+      expect(mockDeletePost).not.toHaveBeenCalled();
+    });
+
+    it('edits and deletes the user\'s own reply', async () => {
+      vi.spyOn(window, 'confirm').mockReturnValue(true);
+      renderPost();
+      fireEvent.click(await screen.findByLabelText('Edit reply'));
+      fireEvent.change(screen.getByLabelText('Reply'), { target: { value: 'Fixed reply' } });
+      fireEvent.click(screen.getByText('Save'));
+      await waitFor(() => expect(mockUpdateReply).toHaveBeenCalledWith({}, 'r1', 'Fixed reply', 'u1'));
+
+      await waitFor(() => expect(screen.getByLabelText('Delete reply')).toBeInTheDocument());
+      fireEvent.click(screen.getByLabelText('Delete reply'));
+      await waitFor(() => expect(mockDeleteReply).toHaveBeenCalledWith({}, 'post-1', 'r1', 'u1'));
+    });
+
+    it('shows an error when saving fails', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      mockUpdatePost.mockRejectedValue(new Error('permission-denied'));
+      renderPost();
+      fireEvent.click(await screen.findByLabelText('Edit post'));
+      fireEvent.click(screen.getByText('Save'));
+      expect(await screen.findByText('Failed to save post. Please try again.')).toBeInTheDocument();
+      expect(screen.getByLabelText('Title')).toBeInTheDocument();
+    });
+  });
 });
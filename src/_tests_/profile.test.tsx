@@ -8,9 +8,25 @@ const mockSetUserBetaPreference = vi.fn();
 const mockNavigate = vi.fn();
 const mockLogout = vi.fn();
 const mockAddNotification = vi.fn();
+const mockEnsureProfile = vi.fn();
+const mockSaveProfile = vi.fn();
+const mockExportMyData = vi.fn();
+const mockDeleteMyAccount = vi.fn();
+const mockUser = { uid: 'u1', email: 'test@example.com' };
 
 vi.mock('../firestore-utils/auth-context', () => ({
-  useAuth: () => ({ user: { uid: 'u1', email: 'test@example.com' }, logout: mockLogout, loading: false }),
+  useAuth: () => ({ user: mockUser, logout: mockLogout, loading: false }),
+}));
+
+vi.mock('../firestore-utils/profiles', () => ({
+  ensureProfile: (...args: unknown[]) => mockEnsureProfile(...args),
+  saveProfile: (...args: unknown[]) => mockSaveProfile(...args),
+}));
+
+vi.mock('../firestore-utils/account-data', () => ({
+  exportMyData: (...args: unknown[]) => mockExportMyData(...args),
+  deleteMyAccount: (...args: unknown[]) => mockDeleteMyAccount(...args),
+  exportFileName: (uid: string) => `my-data-${uid}.json`,
 }));
 
 vi.mock('../firestore-utils/notification-context', () => ({
@@ -40,6 +56,7 @@ const renderProfile = () =>
 beforeEach(() => {
   vi.clearAllMocks();
   mockGetUserPreferences.mockResolvedValue({ beta_enabled: false });
+  mockEnsureProfile.mockResolvedValue({ uid: 'u1', displayName: 'test', bio: '' });
 });
 
 describe('Profile', () => {
@@ -142,6 +159,77 @@ describe('Profile', () => {
     });
   });
 
+  describe('public profile', () => {
+    it('creates the profile if needed and shows it for editing', async () => {
+      renderProfile();
+      expect(await screen.findByLabelText('Display name')).toHaveValue('test');
+      expect(mockEnsureProfile).toHaveBeenCalledWith({}, mockUser);
+      expect(screen.getByRole('link', { name: 'View public profile' })).toHaveAttribute('href', '/u/u1');
+    });
+
+    it('saves name, bio and avatar', async () => {
+      renderProfile();
+      fireEvent.change(await screen.findByLabelText('Display name'), { target: { value: 'Tess' } });
+      fireEvent.change(screen.getByLabelText('Bio'), { target: { value: 'Writes tests' } });
+      fireEvent.change(screen.getByLabelText('Avatar URL'), { target: { value: 'https://img/t.png' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Save profile' }));
+      expect(await screen.findByText('Profile saved.')).toBeInTheDocument();
+      expect(mockSaveProfile).toHaveBeenCalledWith({}, 'u1', { displayName: 'Tess', bio: 'Writes tests', avatarUrl: 'https://img/t.png' });
+    });
+
+    it('shows why a profile was refused', async () => {
+      mockSaveProfile.mockRejectedValue(new Error('Avatar must be an https:// image URL'));
+      renderProfile();
+      fireEvent.click(await screen.findByRole('button', { name: 'Save profile' }));
+      expect(await screen.findByText('Avatar must be an https:// image URL')).toBeInTheDocument();
+    });
+  });
+
+  describe('your data', () => {
+    it('downloads the export as a JSON file', async () => {
+      mockExportMyData.mockResolvedValue({ uid: 'u1', collections: {} });
+      const createObjectURL = vi.fn(() => 'blob:export');
+      const revokeObjectURL = vi.fn();
+      Object.assign(URL, { createObjectURL, revokeObjectURL });
+      const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+      renderProfile();
+      fireEvent.click(await screen.findByRole('button', { name: 'Download my data' }));
+
+      await waitFor(() => expect(click).toHaveBeenCalled());
+      expect(mockExportMyData).toHaveBeenCalledWith({}, mockUser);
+      expect((click.mock.contexts[0] as HTMLAnchorElement).download).toBe('my-data-u1.json');
+      expect(revokeObjectURL).toHaveBeenCalledWith('blob:export');
+      click.mockRestore();
+    });
+
+    it('deletes the account only after typing DELETE', async () => {
+      mockDeleteMyAccount.mockResolvedValue(undefined);
+      renderProfile();
+      fireEvent.click(await screen.findByRole('button', { name: 'Delete my account' }));
+
+      const confirm = screen.getByRole('button', { name: 'Delete permanently' });
+      expect(confirm).toBeDisabled();
+      fireEvent.change(screen.getByLabelText('Type DELETE to confirm'), { target: { value: 'DELETE' } });
+      fireEvent.click(confirm);
+
+      await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/'));
+      expect(mockDeleteMyAccount).toHaveBeenCalledWith({}, mockUser);
+      expect(mockAddNotification).toHaveBeenCalledWith('Your account has been deleted', 'success');
+    });
+
+    it('asks to sign in again when Firebase wants a recent login', async () => {
+      mockDeleteMyAccount.mockRejectedValue(Object.assign(new Error('stale'), { code: 'auth/requires-recent-login' }));
+      renderProfile();
+      fireEvent.click(await screen.findByRole('button', { name: 'Delete my account' }));
+      fireEvent.change(screen.getByLabelText('Type DELETE to confirm'), { target: { value: 'DELETE' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Delete permanently' }));
+
+      expect(await screen.findByRole('alert')).toHaveTextContent('sign back in and try again');
+      expect(mockNavigate).not.toHaveBeenCalled();
+    });
+  });
+
   it('shows notification on logout failure', async () => {
     mockLogout.mockRejectedValue(new Error('network error'));
     renderProfile();
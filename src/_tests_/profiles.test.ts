@@ -0,0 +1,89 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import type { Firestore } from 'firebase/firestore';
+import type { User } from 'firebase/auth';
+
+const mockDoc = vi.fn((_db: unknown, ...path: string[]) => path.join('/'));
+const mockGetDoc = vi.fn();
+const mockSafeSet = vi.fn();
+const mockSafeUpdate = vi.fn();
+
+vi.mock('firebase/firestore', () => ({
+  doc: mockDoc,
+  getDoc: mockGetDoc,
+}));
+
+vi.mock('../guardrails/safe-firestore', () => ({
+  safeSet: (...args: unknown[]) => mockSafeSet(...args),
+  safeUpdate: (...args: unknown[]) => mockSafeUpdate(...args),
+}));
+
+const mockDb = {} as Firestore;
+
+const stored = (data: Record<string, unknown> | null) => ({ exists: () => !!data, data: () => data });
+
+const user = (fields: Partial<User>) => ({ uid: 'u1', displayName: null, email: null, photoURL: null, ...fields }) as User;
+
+describe('profiles', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('reads users/{uid}, filling in a missing bio', async () => {
+    const { getProfile } = await import('../firestore-utils/profiles');
+    mockGetDoc.mockResolvedValue(stored({ displayName: 'Pat' }));
+    expect(await getProfile(mockDb, 'u1')).toEqual({ uid: 'u1', displayName: 'Pat', bio: '', avatarUrl: undefined });
+    expect(mockDoc).toHaveBeenCalledWith(mockDb, 'users', 'u1');
+
+    mockGetDoc.mockResolvedValue(stored(null));
+    expect(await getProfile(mockDb, 'u1')).toBeNull();
+  });
+
+  it('creates the profile with trimmed, validated fields only', async () => {
+    const { saveProfile } = await import('../firestore-utils/profiles');
+    mockGetDoc.mockResolvedValue(stored(null));
+    await saveProfile(mockDb, 'u1', { displayName: '  Pat  ', bio: ' Hi ', avatarUrl: '' });
+    expect(mockSafeSet).toHaveBeenCalledWith(mockDb, 'users', 'u1', { displayName: 'Pat', bio: 'Hi', avatarUrl: '' }, 'u1', {
+      allowFields: ['displayName', 'bio', 'avatarUrl'],
+    });
+    expect(mockSafeUpdate).not.toHaveBeenCalled();
+  });
+
+  it('updates an existing profile, leaving its createdAt alone', async () => {
+    const { saveProfile } = await import('../firestore-utils/profiles');
+    mockGetDoc.mockResolvedValue(stored({ displayName: 'Pat' }));
+    await saveProfile(mockDb, 'u1', { displayName: 'Pat Doe', bio: '', avatarUrl: '' });
+    expect(mockSafeUpdate).toHaveBeenCalledWith(mockDb, 'users', 'u1', { displayName: 'Pat Doe', bio: '', avatarUrl: '' }, 'u1', {
+      allowFields: ['displayName', 'bio', 'avatarUrl'],
+    });
+    expect(mockSafeSet).not.toHaveBeenCalled();
+  });
+
+  it('refuses blank names and non-https avatars', async () => {
+    const { saveProfile } = await import('../firestore-utils/profiles');
+    await expect(saveProfile(mockDb, 'u1', { displayName: '   ', bio: '' })).rejects.toThrow('Display name');
+    await expect(saveProfile(mockDb, 'u1', { displayName: 'Pat', bio: '', avatarUrl: 'javascript:alert(1)' }))
+      .rejects.toThrow('https://');
+    expect(mockSafeSet).not.toHaveBeenCalled();
+  });
+
+  it('starts from the provider name, else the email before the @, never the address', async () => {
+    const { defaultProfile } = await import('../firestore-utils/profiles');
+    expect(defaultProfile(user({ displayName: 'Pat Doe', photoURL: 'https://img/p.png' })))
+      .toEqual({ displayName: 'Pat Doe', bio: '', avatarUrl: 'https://img/p.png' });
+    expect(defaultProfile(user({ email: 'pat@example.com', photoURL: 'http://insecure/p.png' })))
+      .toEqual({ displayName: 'pat', bio: '', avatarUrl: undefined });
+    expect(defaultProfile(user({})).displayName).toBe('Member');
+  });
+
+  it('creates the profile on first use and reuses it after', async () => {
+    const { ensureProfile } = await import('../firestore-utils/profiles');
+    mockGetDoc.mockResolvedValue(stored(null));
+    expect(await ensureProfile(mockDb, user({ email: 'pat@example.com' })))
+      .toEqual({ uid: 'u1', displayName: 'pat', bio: '', avatarUrl: undefined });
+    expect(mockSafeSet).toHaveBeenCalledTimes(1);
+
+    mockGetDoc.mockResolvedValueOnce(stored({ displayName: 'Patricia', bio: 'Hello' }));
+    expect((await ensureProfile(mockDb, user({ email: 'pat@example.com' }))).displayName).toBe('Patricia');
+    expect(mockSafeSet).toHaveBeenCalledTimes(1);
+  });
+});
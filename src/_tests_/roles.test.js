@@ -0,0 +1,94 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { hasPermission, canGrant, grantRole, revokeRole, PERMISSIONS, ROLE_ALLOW_FIELDS } from '../guardrails/roles';
+
+const mockSafeSet = vi.fn(() => Promise.resolve('target'));
+const mockSafeDelete = vi.fn(() => Promise.resolve());
+
+vi.mock('../guardrails/safe-firestore', () => ({
+  safeSet: (...args) => mockSafeSet(...args),
+  safeDelete: (...args) => mockSafeDelete(...args),
+}));
+
+const db = {};
+const OWNER = { uid: 'owner-1', role: 'owner' };
+const ADMIN = { uid: 'admin-1', role: 'admin' };
+
+describe('hasPermission', () => {
+  it('grants each role its own permissions', () => {
+    expect(hasPermission('viewer', PERMISSIONS.VIEW_ADMIN)).toBe(true);
+    expect(hasPermission('viewer', PERMISSIONS.EDIT_FLAGS)).toBe(false);
+    expect(hasPermission('editor', PERMISSIONS.EDIT_FLAGS)).toBe(true);
+    expect(hasPermission('editor', PERMISSIONS.EDIT_LIMITS)).toBe(false);
+    expect(hasPermission('admin', PERMISSIONS.MANAGE_MEMBERS)).toBe(true);
+  });
+
+  it('denies unknown or missing roles', () => {
+    expect(hasPermission(null, PERMISSIONS.VIEW_ADMIN)).toBe(false);
+    expect(hasPermission('superuser', PERMISSIONS.VIEW_ADMIN)).toBe(false);
+  });
+});
+
+describe('canGrant', () => {
+  it('lets owners grant any role', () => {
+    expect(canGrant('owner', 'owner')).toBe(true);
+    expect(canGrant('owner', 'admin')).toBe(true);
+  });
+
+  it('limits admins to the roles below them', () => {
+    expect(canGrant('admin', 'editor')).toBe(true);
+    expect(canGrant('admin', 'viewer')).toBe(true);
+    expect(canGrant('admin', 'admin')).toBe(false);
+    expect(canGrant('admin', 'owner')).toBe(false);
+  });
+
+  it('denies editors and viewers', () => {
+    expect(canGrant('editor', 'viewer')).toBe(false);
+    expect(canGrant('viewer', 'viewer')).toBe(false);
+  });
+});
+
+describe('grantRole', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('writes the role through safeSet with the allowlist', async () => {
+    await grantRole(db, OWNER, { uid: 'user-2', email: 'b@example.com' }, 'admin');
+    expect(mockSafeSet).toHaveBeenCalledWith(
+      db, 'admins', 'user-2', { role: 'admin', email: 'b@example.com' }, 'owner-1', { allowFields: ROLE_ALLOW_FIELDS },
+    );
+  });
+
+  it('rejects changing your own role', async () => {
+    await expect(grantRole(db, ADMIN, { uid: 'admin-1' }, 'owner')).rejects.toThrow(/your own role/);
+    expect(mockSafeSet).not.toHaveBeenCalled();
+  });
+
+  it('rejects granting a role above the granter', async () => {
+    await expect(grantRole(db, ADMIN, { uid: 'user-2' }, 'admin')).rejects.toThrow(/cannot grant the admin role/);
+  });
+
+  it('rejects demoting a member the granter cannot manage', async () => {
+    await expect(grantRole(db, ADMIN, { uid: 'user-2', role: 'owner' }, 'viewer')).rejects.toThrow(/who is owner/);
+  });
+
+  it('rejects unknown roles', async () => {
+    await expect(grantRole(db, OWNER, { uid: 'user-2' }, 'superuser')).rejects.toThrow(/Unknown role/);
+  });
+});
+
+describe('revokeRole', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('deletes the membership', async () => {
+    await revokeRole(db, ADMIN, { uid: 'user-2', role: 'editor' });
+    expect(mockSafeDelete).toHaveBeenCalledWith(db, 'admins', 'user-2', 'admin-1');
+  });
+
+  it('rejects revoking a role the granter cannot manage', async () => {
+    await expect(revokeRole(db, ADMIN, { uid: 'user-2', role: 'admin' })).rejects.toThrow(/cannot revoke/);
+    expect(mockSafeDelete).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import {
+  schemaToRule,
+  renderGeneratedRegion,
+  replaceGeneratedRegion,
+  isRegionCurrent,
+  BEGIN_MARKER,
+  END_MARKER,
+} from '../guardrails/rules-from-schema';
+import { RULES_SCHEMAS } from '../firestore-utils/schemas';
+
+describe('schemaToRule', () => {
+  it('emits type and length checks for required strings', () => {
+    const rule = schemaToRule('isValidNote', {
+      title: { type: 'string', required: true, maxLength: 50 },
+    });
+    expect(rule).toContain('function isValidNote(data)');
+    expect(rule).toContain('data.title is string');
+    expect(rule).toContain('data.title.size() >= 1');
+    expect(rule).toContain('data.title.size() <= 50');
+  });
+
+  it('lets optional fields be missing, null or blank', () => {
+    const rule = schemaToRule('isValidNote', { note: { type: 'string', maxLength: 5 } });
+    expect(rule).toContain("(data.get('note', null) == null || data.note == '' || (data.note is string && data.note.size() <= 5))");
+  });
+
+  it('emits number bounds, booleans and oneOf', () => {
+    const rule = schemaToRule('isValidNote', {
+      rank: { type: 'number', required: true, min: 0, max: 10 },
+      done: { type: 'boolean', required: true },
+      status: { type: 'string', required: true, oneOf: ['open', "it's done"] },
+    });
+    expect(rule).toContain('data.rank is number');
+    expect(rule).toContain('data.rank >= 0');
+    expect(rule).toContain('data.rank <= 10');
+    expect(rule).toContain('data.done is bool');
+    expect(rule).toContain("data.status in ['open', 'it\\'s done']");
+  });
+
+  it('anchors patterns the way RegExp#test matches them', () => {
+    expect(schemaToRule('a', { slug: { required: true, pattern: /^[a-z]+$/ } }))
+      .toContain("data.slug.matches('([a-z]+)')");
+    expect(schemaToRule('b', { slug: { required: true, pattern: /abc/ } }))
+      .toContain("data.slug.matches('.*(abc).*')");
+  });
+
+  it('emits nested map checks, list sizes, timestamps and equality', () => {
+    const rule = schemaToRule('isValidNote', {
+      owner: { type: 'object', required: true, schema: { name: { type: 'string', required: true } } },
+      tags: { type: 'array', required: true, maxItems: 3 },
+      at: { type: 'timestamp', required: true },
+      password: { required: true },
+      confirm: { required: true, equals: 'password' },
+    });
+    expect(rule).toContain('data.owner is map');
+    expect(rule).toContain('data.owner.name is string');
+    expect(rule).toContain('data.tags.size() <= 3');
+    expect(rule).toContain('data.at is timestamp');
+    expect(rule).toContain('data.confirm == data.password');
+  });
+
+  it('refuses rules the rules language cannot check', () => {
+    expect(() => schemaToRule('isValidLink', { href: { type: 'url' } })).toThrow(/no rules equivalent/);
+    expect(() => schemaToRule('a', { tags: { type: 'array', items: { type: 'string' } } })).toThrow(/array item rules/);
+    expect(() => schemaToRule('b', { n: { type: 'number', custom: () => null } })).toThrow(/custom validator/);
+  });
+});
+
+describe('generated region', () => {
+  const rules = `before\n    ${BEGIN_MARKER}\n    stale\n    ${END_MARKER}\nafter`;
+
+  it('replaces only the marked region', () => {
+    const next = replaceGeneratedRegion(rules, renderGeneratedRegion({ isValidNote: { title: { required: true } } }));
+    expect(next.startsWith('before\n')).toBe(true);
+    expect(next.endsWith('\nafter')).toBe(true);
+    expect(next).toContain('function isValidNote(data)');
+    expect(next).not.toContain('stale');
+  });
+
+  it('throws when the markers are missing', () => {
+    expect(() => replaceGeneratedRegion('no markers', '')).toThrow(/no generated schema validator region/);
+  });
+
+  it('firestore.rules matches src/firestore-utils/schemas.js', () => {
+    const current = readFileSync('firestore.rules', 'utf8');
+    expect(isRegionCurrent(current, RULES_SCHEMAS)).toBe(true);
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { safeCreate, safeUpdate, safeDelete, safeQuery } from '../guardrails/safe-firestore';
+import { safeCreate, safeSet, safeUpdate, safeDelete, safeQuery, safeQueryPage, safeVote } from '../guardrails/safe-firestore';
 
 const mockAddDoc = vi.fn(() => ({ id: 'new-id' }));
 const mockUpdateDoc = vi.fn();
@@ -12,7 +12,19 @@ const mockQuery = vi.fn();
 const mockWhere = vi.fn();
 const mockOrderBy = vi.fn();
 const mockLimit = vi.fn();
+const mockStartAfter = vi.fn((cursor) => ({ startAfter: cursor }));
 const mockServerTimestamp = vi.fn(() => ({ type: 'timestamp' }));
+const mockTxGet = vi.fn();
+const mockTxSet = vi.fn();
+const mockTxUpdate = vi.fn();
+const mockRunTransaction = vi.fn((_db, fn) => fn({ get: mockTxGet, set: mockTxSet, update: mockTxUpdate }));
+const mockBatchSet = vi.fn();
+const mockBatchUpdate = vi.fn();
+const mockBatchDelete = vi.fn();
+const mockBatchCommit = vi.fn();
+const mockWriteBatch = vi.fn(() => ({
+  set: mockBatchSet, update: mockBatchUpdate, delete: mockBatchDelete, commit: mockBatchCommit,
+}));
 
 vi.mock('firebase/firestore', () => ({
   collection: (...args) => mockCollection(...args),
@@ -26,7 +38,12 @@ vi.mock('firebase/firestore', () => ({
   where: (...args) => mockWhere(...args),
   orderBy: (...args) => mockOrderBy(...args),
   limit: (...args) => mockLimit(...args),
+  startAfter: (...args) => mockStartAfter(...args),
   serverTimestamp: (...args) => mockServerTimestamp(...args),
+  increment: (n) => ({ increment: n }),
+  runTransaction: (...args) => mockRunTransaction(...args),
+  writeBatch: (...args) => mockWriteBatch(...args),
+  setDoc: vi.fn(),
 }));
 
 const db = {};
@@ -68,6 +85,101 @@ describe('safeCreate', () => {
   });
 });
 
+describe('safeCreate with rateLimit', () => {
+  const COUNTER = 'rateLimitCounters/user-1/actions/add-task';
+  const windowStart = { toMillis: () => Date.now() - 10000 };
+  let stored;
+
+  const snap = (data) => (data ? { exists: () => true, data: () => data } : { exists: () => false });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    stored = {};
+    mockDoc.mockImplementation((...args) => (args.length === 1 ? { id: 'new-id' } : args.slice(1).join('/')));
+    mockTxGet.mockImplementation(async (ref) => snap(stored[ref]));
+  });
+
+  it('starts a fresh window when no counter exists', async () => {
+    const id = await safeCreate(db, 'tasks', { title: 'Test' }, 'user-1', { rateLimit: 'add-task' });
+    expect(id).toBe('new-id');
+    expect(mockTxSet).toHaveBeenCalledWith(COUNTER, {
+      count: 1, windowStart: { type: 'timestamp' }, updatedAt: { type: 'timestamp' }, lastCreated: 'new-id',
+    });
+    expect(mockTxSet.mock.calls[1][1].title).toBe('Test');
+    expect(mockAddDoc).not.toHaveBeenCalled();
+  });
+
+  it('increments the counter inside an active window', async () => {
+    stored[COUNTER] = { count: 3, windowStart };
+    await safeCreate(db, 'tasks', { title: 'Test' }, 'user-1', { rateLimit: 'add-task' });
+    expect(mockTxSet).toHaveBeenCalledWith(COUNTER, {
+      count: 4, windowStart, updatedAt: { type: 'timestamp' }, lastCreated: 'new-id',
+    });
+  });
+
+  it('throws without writing when the window is full', async () => {
+    stored[COUNTER] = { count: 20, windowStart };
+    await expect(safeCreate(db, 'tasks', { title: 'Test' }, 'user-1', { rateLimit: 'add-task' }))
+      .rejects.toThrow(/Rate limit reached/);
+    expect(mockTxSet).not.toHaveBeenCalled();
+  });
+
+  it('uses the max from a rateLimits override', async () => {
+    stored['rateLimits/add-task'] = { max: 3, windowSeconds: 60 };
+    stored[COUNTER] = { count: 3, windowStart };
+    await expect(safeCreate(db, 'tasks', { title: 'Test' }, 'user-1', { rateLimit: 'add-task' }))
+      .rejects.toThrow(/Rate limit reached/);
+  });
+
+  it('lets an exempt role through a full window', async () => {
+    stored['rateLimits/add-task'] = { max: 3, windowSeconds: 60, exemptRoles: ['admin'] };
+    stored['admins/user-1'] = { role: 'admin' };
+    stored[COUNTER] = { count: 3, windowStart };
+    await safeCreate(db, 'tasks', { title: 'Test' }, 'user-1', { rateLimit: 'add-task' });
+    expect(mockTxSet).toHaveBeenCalledWith(COUNTER, {
+      count: 4, windowStart, updatedAt: { type: 'timestamp' }, lastCreated: 'new-id',
+    });
+  });
+
+  it('increments another document\'s counter in the same transaction', async () => {
+    await safeCreate(db, 'replies', { content: 'Hi' }, 'user-1', {
+      rateLimit: 'add-reply',
+      increment: { collection: 'posts', docId: 'post-1', field: 'replyCount' },
+    });
+    expect(mockTxUpdate).toHaveBeenCalledWith('posts/post-1', { replyCount: { increment: 1 }, lastAdded: 'new-id' });
+    expect(mockUpdateDoc).not.toHaveBeenCalled();
+  });
+
+  it('rejects a rate limit that belongs to another collection', async () => {
+    await expect(safeCreate(db, 'posts', { title: 'Test' }, 'user-1', { rateLimit: 'add-task' }))
+      .rejects.toThrow(/does not apply to posts/);
+  });
+});
+
+describe('safeCreate with increment', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockDoc.mockImplementation((...args) => (args.length === 1 ? { id: 'new-id' } : args.slice(1).join('/')));
+  });
+
+  it('writes the document and the increment in one batch', async () => {
+    const id = await safeCreate(db, 'replies', { content: 'Hi' }, 'user-1', {
+      increment: { collection: 'posts', docId: 'post-1', field: 'replyCount' },
+    });
+    expect(id).toBe('new-id');
+    expect(mockBatchSet.mock.calls[0][1].content).toBe('Hi');
+    expect(mockBatchUpdate).toHaveBeenCalledWith('posts/post-1', { replyCount: { increment: 1 }, lastAdded: 'new-id' });
+    expect(mockBatchCommit).toHaveBeenCalledTimes(1);
+    expect(mockAddDoc).not.toHaveBeenCalled();
+  });
+
+  it('rejects an incomplete increment', async () => {
+    await expect(safeCreate(db, 'replies', { content: 'Hi' }, 'user-1', { increment: { collection: 'posts' } }))
+      .rejects.toThrow(/increment needs/);
+    expect(mockBatchCommit).not.toHaveBeenCalled();
+  });
+});
+
 describe('safeUpdate', () => {
   beforeEach(() => {
     vi.clearAllMocks();
@@ -88,6 +200,12 @@ describe('safeUpdate', () => {
       .rejects.toThrow(/do not have permission/);
   });
 
+  it('checks ownership against ownerField when given', async () => {
+    mockGetDoc.mockResolvedValue({ exists: () => true, data: () => ({ createdBy: 'other-user', userId: 'user-1' }) });
+    await safeUpdate(db, 'tasks', 'doc-1', { completed: true }, 'user-1', { requireOwnership: true, ownerField: 'userId' });
+    expect(mockUpdateDoc).toHaveBeenCalledOnce();
+  });
+
   it('throws if document not found with requireOwnership', async () => {
     mockGetDoc.mockResolvedValue({ exists: () => false });
     await expect(safeUpdate(db, 'tasks', 'missing', {}, 'user-1', { requireOwnership: true }))
@@ -110,6 +228,173 @@ describe('safeDelete', () => {
     await expect(safeDelete(db, 'tasks', 'doc-1', 'user-1', { requireOwnership: true }))
       .rejects.toThrow(/do not have permission/);
   });
+
+  it('deletes and decrements a counter in one batch, naming the deleted document', async () => {
+    mockDoc.mockImplementation((...args) => args.slice(1).join('/'));
+    await safeDelete(db, 'replies', 'reply-1', 'user-1', {
+      decrement: { collection: 'posts', docId: 'post-1', field: 'replyCount' },
+    });
+    expect(mockDeleteDoc).not.toHaveBeenCalled();
+    expect(mockBatchDelete).toHaveBeenCalledWith('replies/reply-1');
+    expect(mockBatchUpdate).toHaveBeenCalledWith('posts/post-1', { replyCount: { increment: -1 }, lastRemoved: 'reply-1' });
+    expect(mockBatchCommit).toHaveBeenCalledOnce();
+  });
+
+  it('deletes dependents, and theirs, in the same commit as a document with few of them', async () => {
+    mockDoc.mockImplementation((...args) => ({ id: args[args.length - 1], path: args.slice(1).join('/') }));
+    mockCollection.mockImplementation((parent, name) => ({ path: parent.path ? `${parent.path}/${name}` : name }));
+    mockQuery.mockImplementation((source) => source.path ?? source);
+    const child = (path) => ({ ref: { id: path.split('/').pop(), path } });
+    const pending = {
+      replies: [child('replies/r1'), child('replies/r2')],
+      'replies/r1/revisions': [child('replies/r1/revisions/v1')],
+      'posts/post-1/revisions': [],
+    };
+    mockGetDocs.mockImplementation(async (path) => ({ docs: pending[path] ?? [] }));
+
+    await safeDelete(db, 'posts', 'post-1', 'user-1', {
+      cascade: [
+        { collection: 'replies', field: 'postId', cascade: [{ subcollection: 'revisions' }] },
+        { subcollection: 'revisions' },
+      ],
+    });
+
+    expect(mockWhere).toHaveBeenCalledWith('postId', '==', 'post-1');
+    expect(mockBatchDelete.mock.calls.map(([ref]) => ref.path)).toEqual([
+      'replies/r1/revisions/v1', 'replies/r1', 'replies/r2', 'posts/post-1',
+    ]);
+    expect(mockBatchCommit).toHaveBeenCalledOnce();
+    expect(mockDeleteDoc).not.toHaveBeenCalled();
+    mockGetDocs.mockImplementation(() => ({ docs: [] }));
+    mockQuery.mockReset();
+  });
+
+  it('commits the earliest dependents of a large cascade first, and the last batch with the document', async () => {
+    mockDoc.mockImplementation((...args) => ({ id: args[args.length - 1], path: args.slice(1).join('/') }));
+    const children = Array.from({ length: 405 }, (_, i) => ({ ref: { path: `replies/r${i}` } }));
+    mockGetDocs.mockResolvedValueOnce({ docs: children.slice(0, 400) })
+      .mockResolvedValueOnce({ docs: children.slice(400) });
+
+    await safeDelete(db, 'posts', 'post-1', 'user-1', { cascade: [{ collection: 'replies', field: 'postId' }] });
+
+    expect(mockStartAfter).toHaveBeenCalledWith(children[399]);
+    expect(mockBatchCommit).toHaveBeenCalledTimes(2);
+    const deleted = mockBatchDelete.mock.calls.map(([ref]) => ref.path);
+    expect(deleted.slice(0, 5)).toEqual(['replies/r0', 'replies/r1', 'replies/r2', 'replies/r3', 'replies/r4']);
+    expect(deleted).toHaveLength(406);
+    expect(deleted[405]).toBe('posts/post-1');
+    mockGetDocs.mockImplementation(() => ({ docs: [] }));
+  });
+
+  it('rejects a cascade entry it cannot resolve', async () => {
+    await expect(safeDelete(db, 'posts', 'post-1', 'user-1', { cascade: [{ collection: 'replies' }] }))
+      .rejects.toThrow(/cascade entries need/);
+    expect(mockDeleteDoc).not.toHaveBeenCalled();
+  });
+});
+
+describe('history', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockDoc.mockImplementation((parent, ...segments) => ({ path: [parent.path, ...segments].filter(Boolean).join('/') }));
+    mockCollection.mockImplementation((parent, name) => ({ path: `${parent.path}/${name}` }));
+  });
+
+  it('commits the update and a history entry in one batch', async () => {
+    const before = { enabled: false };
+    const after = { enabled: true };
+    await safeUpdate(db, 'featureFlags', 'beta', { enabled: true }, 'user-1', {
+      history: { action: 'toggle', before, after, actorEmail: 'a@example.com' },
+    });
+    expect(mockUpdateDoc).not.toHaveBeenCalled();
+    expect(mockBatchUpdate.mock.calls[0][0].path).toBe('featureFlags/beta');
+    const [entryRef, entry] = mockBatchSet.mock.calls[0];
+    expect(entryRef.path).toBe('featureFlags/beta/history');
+    expect(entry).toEqual({
+      action: 'toggle', before, after, actor: 'user-1', actorEmail: 'a@example.com', createdAt: { type: 'timestamp' },
+    });
+    expect(mockBatchCommit).toHaveBeenCalledOnce();
+  });
+
+  it('records a delete with no after state', async () => {
+    await safeDelete(db, 'featureFlags', 'beta', 'user-1', { history: { action: 'delete', before: { enabled: true } } });
+    expect(mockDeleteDoc).not.toHaveBeenCalled();
+    expect(mockBatchDelete).toHaveBeenCalledOnce();
+    expect(mockBatchSet.mock.calls[0][1]).toMatchObject({ action: 'delete', after: null });
+  });
+
+  it('records a create through safeSet', async () => {
+    await safeSet(db, 'featureFlags', 'beta', { enabled: false }, 'user-1', { history: { action: 'create', after: { enabled: false } } });
+    expect(mockBatchSet).toHaveBeenCalledTimes(2);
+    expect(mockBatchSet.mock.calls[1][1]).toMatchObject({ action: 'create', before: null });
+  });
+
+  it('writes the entry to another subcollection when asked', async () => {
+    await safeUpdate(db, 'posts', 'p1', { title: 'New' }, 'user-1', {
+      history: { action: 'update', before: { title: 'Old' }, after: { title: 'New' }, collection: 'revisions' },
+    });
+    const [entryRef, entry] = mockBatchSet.mock.calls[0];
+    expect(entryRef.path).toBe('posts/p1/revisions');
+    expect(entry).not.toHaveProperty('collection');
+  });
+
+  it('rejects an unknown history action', async () => {
+    await expect(safeUpdate(db, 'featureFlags', 'beta', {}, 'user-1', { history: { action: 'rename' } }))
+      .rejects.toThrow(/unknown action/);
+    expect(mockBatchCommit).not.toHaveBeenCalled();
+  });
+});
+
+describe('safeVote', () => {
+  const mockTxDelete = vi.fn();
+  const stored = (data) => ({ exists: () => !!data, data: () => data });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockDoc.mockImplementation((...args) => args.slice(1).join('/'));
+    mockRunTransaction.mockImplementation((_db, fn) => fn({ get: mockTxGet, set: mockTxSet, update: mockTxUpdate, delete: mockTxDelete }));
+  });
+
+  const withVote = (target, vote) => mockTxGet.mockImplementation(async (ref) => (ref.endsWith('/votes/user-1') ? stored(vote) : stored(target)));
+
+  it('records a first vote and moves the score by it', async () => {
+    withVote({ createdBy: 'author', score: 4 }, null);
+    await expect(safeVote(db, 'posts', 'p1', 1, 'user-1')).resolves.toBe(5);
+    expect(mockTxSet).toHaveBeenCalledWith('posts/p1/votes/user-1', { value: 1, updatedAt: { type: 'timestamp' } });
+    expect(mockTxUpdate).toHaveBeenCalledWith('posts/p1', { score: { increment: 1 } });
+  });
+
+  it('moves the score by two when a vote flips', async () => {
+    withVote({ createdBy: 'author', score: 4 }, { value: 1 });
+    await expect(safeVote(db, 'posts', 'p1', -1, 'user-1')).resolves.toBe(2);
+    expect(mockTxUpdate).toHaveBeenCalledWith('posts/p1', { score: { increment: -2 } });
+  });
+
+  it('deletes the vote when it is withdrawn', async () => {
+    withVote({ createdBy: 'author', score: 4 }, { value: -1 });
+    await safeVote(db, 'posts', 'p1', 0, 'user-1');
+    expect(mockTxDelete).toHaveBeenCalledWith('posts/p1/votes/user-1');
+    expect(mockTxUpdate).toHaveBeenCalledWith('posts/p1', { score: { increment: 1 } });
+  });
+
+  it('writes nothing when the vote is unchanged', async () => {
+    withVote({ createdBy: 'author', score: 4 }, { value: 1 });
+    await expect(safeVote(db, 'posts', 'p1', 1, 'user-1')).resolves.toBe(4);
+    expect(mockTxSet).not.toHaveBeenCalled();
+    expect(mockTxUpdate).not.toHaveBeenCalled();
+  });
+
+  it('refuses votes on the caller\'s own document, checked on ownerField', async () => {
+    withVote({ createdBy: 'someone', authorId: 'user-1' }, null);
+    await expect(safeVote(db, 'posts', 'p1', 1, 'user-1', { ownerField: 'authorId' })).rejects.toThrow(/own content/);
+    expect(mockTxUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects other values and missing documents', async () => {
+    await expect(safeVote(db, 'posts', 'p1', 2, 'user-1')).rejects.toThrow(/must be 1, 0 or -1/);
+    withVote(null, null);
+    await expect(safeVote(db, 'posts', 'p1', 1, 'user-1')).rejects.toThrow(/not found/);
+  });
 });
 
 describe('safeQuery', () => {
@@ -139,4 +424,42 @@ describe('safeQuery', () => {
     expect(results[0].id).toBe('t1');
     expect(results[0].title).toBe('Task 1');
   });
+
+  it('sorts on another field when asked', async () => {
+    mockGetDocs.mockResolvedValue({ docs: [] });
+    await safeQuery(db, 'tasks', 'user-1', { orderField: 'order', sortOrder: 'asc' });
+    expect(mockOrderBy).toHaveBeenCalledWith('order', 'asc');
+  });
+
+  it('starts after the cursor when one is given', async () => {
+    mockGetDocs.mockResolvedValue({ docs: [] });
+    await safeQuery(db, 'tasks', 'user-1', { cursor: 'last-doc' });
+    expect(mockStartAfter).toHaveBeenCalledWith('last-doc');
+    expect(mockQuery.mock.calls[0]).toContainEqual({ startAfter: 'last-doc' });
+  });
+});
+
+describe('safeQueryPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  const docs = (n) => Array.from({ length: n }, (_, i) => ({ id: `t${i}`, data: () => ({ title: `Task ${i}` }) }));
+
+  it('returns the last document as nextCursor when the page is full', async () => {
+    const page = docs(2);
+    mockGetDocs.mockResolvedValue({ docs: page });
+    const result = await safeQueryPage(db, 'tasks', 'user-1', { pageSize: 2, ownerField: 'userId' });
+    expect(mockWhere).toHaveBeenCalledWith('userId', '==', 'user-1');
+    expect(mockLimit).toHaveBeenCalledWith(2);
+    expect(result.items.map(t => t.id)).toEqual(['t0', 't1']);
+    expect(result.nextCursor).toBe(page[1]);
+  });
+
+  it('returns a null nextCursor on a short page', async () => {
+    mockGetDocs.mockResolvedValue({ docs: docs(1) });
+    const result = await safeQueryPage(db, 'tasks', 'user-1', { pageSize: 2, cursor: 'prev' });
+    expect(mockStartAfter).toHaveBeenCalledWith('prev');
+    expect(result.nextCursor).toBeNull();
+  });
 });
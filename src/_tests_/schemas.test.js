@@ -1,6 +1,7 @@
 import { describe, it, expect } from 'vitest';
 import { validate } from '../guardrails/validate';
-import { SCHEMAS, parseServiceAccountJson } from '../framework/infra-setup/schemas';
+import { SCHEMAS, INFRA_CONFIG_SCHEMA, parseServiceAccountJson } from '../framework/infra-setup/schemas';
+import { USER_APP_SCHEMA } from '../firestore-utils/schemas';
 
 const projectIdSchema = { projectId: SCHEMAS.projectId };
 const githubPatSchema = { githubPat: SCHEMAS.githubPat };
@@ -117,3 +118,45 @@ describe('parseServiceAccountJson', () => {
     expect(parseServiceAccountJson(undefined).error).toBe('Service account JSON is required');
   });
 });
+
+describe('INFRA_CONFIG_SCHEMA', () => {
+  it('accepts a partial config as saveConfig writes it', () => {
+    expect(validate({
+      gcp_project_id: 'agentbase-staging',
+      github_app_installed: true,
+      firebase_staging: { projectId: 'agentbase-staging', apiKey: 'k' },
+      firebase_production: null,
+      updated_at: new Date().toISOString(),
+    }, INFRA_CONFIG_SCHEMA)).toBeNull();
+  });
+
+  it('reports nested errors by dotted path', () => {
+    expect(validate({ firebase_staging: { apiKey: 'k' } }, INFRA_CONFIG_SCHEMA))
+      .toEqual({ 'firebase_staging.projectId': 'Firebase project ID is required' });
+  });
+
+  it('rejects a malformed project ID and a non-date expiry', () => {
+    const errors = validate({ gcp_project_id: 'Bad_Id', gcp_token_expiry: 'soon' }, INFRA_CONFIG_SCHEMA);
+    expect(Object.keys(errors)).toEqual(['gcp_project_id', 'gcp_token_expiry']);
+  });
+});
+
+describe('USER_APP_SCHEMA', () => {
+  const app = {
+    user_id: 'u1',
+    app_name: 'my-app',
+    github_repo: 'octo/my-app',
+    github_repo_url: 'https://github.com/octo/my-app',
+    status: 'provisioning',
+    created_at: '2026-01-01T00:00:00.000Z',
+  };
+
+  it('accepts a new app', () => {
+    expect(validate(app, USER_APP_SCHEMA)).toBeNull();
+  });
+
+  it('rejects an unknown status and an invalid app name', () => {
+    const errors = validate({ ...app, status: 'done', app_name: 'My App' }, USER_APP_SCHEMA);
+    expect(Object.keys(errors).sort()).toEqual(['app_name', 'status']);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { tokenize, keywordsFor, queryTerms, rankPosts, highlight, snippet, MAX_KEYWORDS, MAX_QUERY_TERMS } from '../firestore-utils/search';
+import type { Post } from '../types';
+
+const post = (id: string, title: string, content: string, createdAt = '2024-01-01'): Post => ({
+  id, title, content, authorId: 'u1', authorName: 'U', replyCount: 0, createdAt: new Date(createdAt),
+});
+
+describe('search', () => {
+  it('tokenizes into lowercase words without stop words, short words or repeats', () => {
+    expect(tokenize('The Quick, quick fox — a café in Zürich!')).toEqual(['quick', 'fox', 'café', 'zürich']);
+    expect(tokenize('')).toEqual([]);
+  });
+
+  it('indexes title words first and caps the keyword count', () => {
+    expect(keywordsFor('Firebase rules', 'Writing rules for firestore')).toEqual(['firebase', 'rules', 'writing', 'firestore']);
+    const long = Array.from({ length: 200 }, (_, i) => `word${i}`).join(' ');
+    const keywords = keywordsFor('Title', long);
+    expect(keywords).toHaveLength(MAX_KEYWORDS);
+    expect(keywords[0]).toBe('title');
+  });
+
+  it('limits query terms to what array-contains-any accepts', () => {
+    const terms = queryTerms(Array.from({ length: 15 }, (_, i) => `term${i}`).join(' '));
+    expect(terms).toHaveLength(MAX_QUERY_TERMS);
+  });
+
+  it('ranks title hits above body hits and drops posts that do not match', () => {
+    const ranked = rankPosts([
+      post('body', 'Weekly notes', 'react react react'),
+      post('title', 'React tips', 'Short'),
+      post('none', 'Unrelated', 'Nothing here'),
+    ], 'react');
+    expect(ranked.map(p => p.id)).toEqual(['title', 'body']);
+  });
+
+  it('prefers the exact phrase in a title, then newer posts on a tie', () => {
+    const ranked = rankPosts([
+      post('older', 'Hooks and state', 'x', '2024-01-01'),
+      post('newer', 'State and hooks', 'x', '2024-03-01'),
+      post('phrase', 'React state hooks', 'x', '2023-01-01'),
+    ], 'state hooks');
+    expect(ranked.map(p => p.id)).toEqual(['phrase', 'newer', 'older']);
+  });
+
+  it('highlights whole-word matches case-insensitively', () => {
+    expect(highlight('React and reactive', 'react')).toEqual([
+      { text: 'React', match: true },
+      { text: ' and reactive', match: false },
+    ]);
+    expect(highlight('plain', '')).toEqual([{ text: 'plain', match: false }]);
+  });
+
+  it('cuts a snippet around the first match', () => {
+    const content = `${'a '.repeat(100)}needle${' b'.repeat(100)}`;
+    const result = snippet(content, 'needle', 20);
+    expect(result).toContain('needle');
+    expect(result.startsWith('…')).toBe(true);
+    expect(result.endsWith('…')).toBe(true);
+    expect(snippet('short text', 'needle')).toBe('short text');
+  });
+
+  it('centers the snippet on a whole-word match, not a longer word', () => {
+    const content = `category ${'x '.repeat(100)}the cat sat${' y'.repeat(100)}`;
+    const result = snippet(content, 'cat', 20);
+    expect(result).toContain('the cat sat');
+    expect(result).not.toContain('category');
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { validate } from '../guardrails/validate';
+import { POST_SCHEMA, REPLY_SCHEMA, PROFILE_SCHEMA, TASK_SCHEMA } from '../firestore-utils/schemas';
+import { FLAG_SCHEMA } from '../guardrails/feature-flags';
+import { keywordsFor } from '../firestore-utils/search';
+import { SEED_USERS, buildSeed, toValue, toFields } from '../../scripts/seed-data.js';
+
+const uids = { admin: 'admin-uid', member: 'member-uid' };
+const now = new Date('2026-03-10T12:00:00Z');
+const docs = buildSeed(uids, now);
+
+const inCollection = (name) =>
+  docs.filter(([path]) => path.split('/')[0] === name).map(([path, data]) => ({ id: path.split('/')[1], ...data }));
+
+const SCHEMAS = {
+  users: PROFILE_SCHEMA,
+  posts: POST_SCHEMA,
+  replies: REPLY_SCHEMA,
+  tasks: TASK_SCHEMA,
+  featureFlags: FLAG_SCHEMA,
+};
+
+describe('buildSeed', () => {
+  it.each(Object.keys(SCHEMAS))('writes %s that pass the app schema', (name) => {
+    const items = inCollection(name);
+    expect(items.length).toBeGreaterThan(0);
+    for (const { id, ...data } of items) {
+      expect(validate(data, SCHEMAS[name]), `${name}/${id}`).toBeNull();
+    }
+  });
+
+  it('stores the same keywords createPost() would', () => {
+    for (const post of inCollection('posts')) {
+      expect(post.keywords).toEqual(keywordsFor(post.title, post.content));
+    }
+  });
+
+  it('keeps replyCount, threading and author names consistent', () => {
+    const replies = inCollection('replies');
+    const names = Object.fromEntries(inCollection('users').map((user) => [user.id, user.displayName]));
+
+    for (const post of inCollection('posts')) {
+      expect(post.replyCount).toBe(replies.filter((reply) => reply.postId === post.id).length);
+      expect(post.authorName).toBe(names[post.authorId]);
+    }
+    for (const reply of replies) {
+      expect(reply.authorName).toBe(names[reply.authorId]);
+      if (reply.parentReplyId) {
+        const parent = replies.find((r) => r.id === reply.parentReplyId);
+        expect(parent.postId).toBe(reply.postId);
+        expect(reply.depth).toBe(parent.depth + 1);
+      }
+    }
+  });
+
+  it('records the author as owner, as safeAdd() would', () => {
+    for (const item of [...inCollection('posts'), ...inCollection('replies')]) {
+      expect(item.createdBy, item.id).toBe(item.authorId);
+      expect(item.updatedBy, item.id).toBe(item.authorId);
+    }
+    for (const task of inCollection('tasks')) {
+      expect(task.createdBy).toBe(task.userId);
+    }
+  });
+
+  it('makes only the admin account an admin', () => {
+    const admin = SEED_USERS.find((user) => user.key === 'admin');
+    expect(inCollection('admins')).toEqual([{ id: 'admin-uid', role: 'admin', email: admin.email }]);
+  });
+
+  it('gives every task its owner and a distinct order', () => {
+    const tasks = inCollection('tasks');
+    expect(tasks.every((task) => task.userId === 'admin-uid' && task.createdBy === 'admin-uid')).toBe(true);
+    expect(new Set(tasks.map((task) => task.order)).size).toBe(tasks.length);
+    expect(tasks.map((task) => task.dueDate)).toContain('2026-03-09');
+  });
+});
+
+describe('toValue', () => {
+  it('encodes values the way the Firestore REST API expects', () => {
+    expect(toValue('hi')).toEqual({ stringValue: 'hi' });
+    expect(toValue(3)).toEqual({ integerValue: '3' });
+    expect(toValue(0.5)).toEqual({ doubleValue: 0.5 });
+    expect(toValue(false)).toEqual({ booleanValue: false });
+    expect(toValue(null)).toEqual({ nullValue: null });
+    expect(toValue(now)).toEqual({ timestampValue: '2026-03-10T12:00:00.000Z' });
+    expect(toValue(['a'])).toEqual({ arrayValue: { values: [{ stringValue: 'a' }] } });
+    expect(toFields({ flag: { enabled: true } })).toEqual({
+      flag: { mapValue: { fields: { enabled: { booleanValue: true } } } },
+    });
+  });
+
+  it('refuses values Firestore cannot store', () => {
+    expect(() => toValue(() => {})).toThrow('Cannot store function');
+  });
+});
@@ -5,6 +5,8 @@ import Signup from '../signup';
 
 const mockSignUp = vi.fn();
 const mockSignInWithGoogle = vi.fn();
+const mockSignInWithGitHub = vi.fn();
+const mockSendSignInLink = vi.fn();
 const mockNavigate = vi.fn();
 const mockUseAuth = vi.fn();
 
@@ -30,8 +32,11 @@ const renderSignup = (search = '') =>
 beforeEach(() => {
   vi.clearAllMocks();
   mockUseAuth.mockReturnValue({
+    isGuest: false,
     signUp: mockSignUp,
     signInWithGoogle: mockSignInWithGoogle,
+    signInWithGitHub: mockSignInWithGitHub,
+    sendSignInLink: mockSendSignInLink,
   });
 });
 
@@ -74,7 +79,7 @@ describe('Signup', () => {
     expect(mockSignUp).not.toHaveBeenCalled();
   });
 
-  it('calls signUp and navigates on success', async () => {
+  it('calls signUp and asks to verify the email on success', async () => {
     mockSignUp.mockResolvedValue(undefined);
     renderSignup();
     fireEvent.change(screen.getByLabelText(/email/i), { target: { value: 'a@b.com' } });
@@ -83,11 +88,11 @@ describe('Signup', () => {
     fireEvent.click(screen.getByRole('button', { name: 'Sign Up' }));
     await waitFor(() => {
       expect(mockSignUp).toHaveBeenCalledWith('a@b.com', 'password');
-      expect(mockNavigate).toHaveBeenCalledWith('/');
+      expect(mockNavigate).toHaveBeenCalledWith('/verify-email?returnUrl=%2F');
     });
   });
 
-  it('navigates to returnUrl on successful signup', async () => {
+  it('carries returnUrl through email verification on successful signup', async () => {
     mockSignUp.mockResolvedValue(undefined);
     renderSignup('?returnUrl=/dashboard');
     fireEvent.change(screen.getByLabelText(/email/i), { target: { value: 'a@b.com' } });
@@ -95,7 +100,7 @@ describe('Signup', () => {
     fireEvent.change(screen.getByLabelText(/confirm password/i), { target: { value: 'password' } });
     fireEvent.click(screen.getByRole('button', { name: 'Sign Up' }));
     await waitFor(() => {
-      expect(mockNavigate).toHaveBeenCalledWith('/dashboard');
+      expect(mockNavigate).toHaveBeenCalledWith('/verify-email?returnUrl=%2Fdashboard');
     });
   });
 
@@ -159,4 +164,28 @@ describe('Signup', () => {
       expect(mockNavigate).toHaveBeenCalledWith('/profile');
     });
   });
+
+  it('navigates to returnUrl on successful GitHub signup', async () => {
+    mockSignInWithGitHub.mockResolvedValue(undefined);
+    renderSignup('?returnUrl=/profile');
+    fireEvent.click(screen.getByText(/sign up with github/i));
+    await waitFor(() => {
+      expect(mockNavigate).toHaveBeenCalledWith('/profile');
+    });
+  });
+
+  it('emails a sign-up link instead of asking for a password', async () => {
+    mockSendSignInLink.mockResolvedValue(undefined);
+    renderSignup('?returnUrl=/tasks');
+    fireEvent.change(screen.getByLabelText(/email/i), { target: { value: 'new@b.com' } });
+    fireEvent.click(screen.getByText(/email me a sign-up link/i));
+    expect(await screen.findByText('Check new@b.com for a link to finish signing up.')).toBeInTheDocument();
+    expect(mockSendSignInLink).toHaveBeenCalledWith('new@b.com', '/tasks');
+  });
+
+  it('tells a guest their activity carries over', () => {
+    mockUseAuth.mockReturnValue({ ...mockUseAuth(), isGuest: true });
+    renderSignup();
+    expect(screen.getByText(/keeps everything you did as a guest/)).toBeInTheDocument();
+  });
 });
@@ -0,0 +1,124 @@
+import { describe, it, beforeAll, afterAll } from 'vitest';
+import { readFileSync } from 'fs';
+import 'firebase/compat/storage';
+
+const PROJECT_ID = 'test-project';
+const UID_ALICE = 'alice-uid';
+const UID_BOB = 'bob-uid';
+const POST_ID = 'post-1';
+const MB = 1024 * 1024;
+
+let testEnv;
+let assertSucceeds;
+let assertFails;
+
+beforeAll(async () => {
+  try {
+    const mod = await import('@firebase/rules-unit-testing');
+    assertSucceeds = mod.assertSucceeds;
+    assertFails = mod.assertFails;
+    testEnv = await mod.initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+      storage: { rules: readFileSync('storage.rules', 'utf8') },
+    });
+    // Alice's post; storage.rules reads its authorId.
+    await testEnv.withSecurityRulesDisabled(async (ctx) => {
+      await ctx.firestore().collection('posts').doc(POST_ID).set({ title: 'T', content: 'C', authorId: UID_ALICE, authorName: 'Alice' });
+    });
+  } catch {
+    console.warn('Storage emulator not available — skipping storage rules tests.');
+    console.warn('Install Firebase CLI emulator and run: npm run test:storage-rules');
+  }
+});
+
+afterAll(async () => {
+  if (testEnv) {
+    await testEnv.cleanup();
+  }
+});
+
+const getStorage = (uid) => (uid ? testEnv.authenticatedContext(uid).storage()
+  : testEnv.unauthenticatedContext().storage());
+
+const upload = (uid, path, { size = 1024, contentType = 'image/png' } = {}) =>
+  getStorage(uid).ref(path).put(new Uint8Array(size), { contentType });
+
+const seedImage = (path) => testEnv.withSecurityRulesDisabled(async (ctx) => {
+  await ctx.storage().ref(path).put(new Uint8Array(16), { contentType: 'image/png' });
+});
+
+const seedRole = (uid, role) => testEnv.withSecurityRulesDisabled(async (ctx) => {
+  await ctx.firestore().collection('admins').doc(uid).set({ role });
+});
+
+describe('storage.rules', () => {
+  describe('post images', () => {
+    it('lets the post author upload an image into their folder', async () => {
+      if (!testEnv) return;
+      await assertSucceeds(upload(UID_ALICE, `posts/${POST_ID}/${UID_ALICE}/0`));
+    });
+
+    it('takes only the numbered slots, one per image the post can hold', async () => {
+      if (!testEnv) return;
+      await assertFails(upload(UID_ALICE, `posts/${POST_ID}/${UID_ALICE}/a.png`));
+      await assertFails(upload(UID_ALICE, `posts/${POST_ID}/${UID_ALICE}/4`));
+      await assertFails(upload(UID_ALICE, `posts/${POST_ID}/${UID_ALICE}/10`));
+    });
+
+    it('rejects uploads from signed-out users and into another user\'s folder', async () => {
+      if (!testEnv) return;
+      await assertFails(upload(null, `posts/${POST_ID}/${UID_ALICE}/1`));
+      await assertFails(upload(UID_BOB, `posts/${POST_ID}/${UID_ALICE}/1`));
+    });
+
+    it('rejects uploads to someone else\'s post or one that does not exist', async () => {
+      if (!testEnv) return;
+      await assertFails(upload(UID_BOB, `posts/${POST_ID}/${UID_BOB}/0`));
+      await assertFails(upload(UID_ALICE, `posts/missing/${UID_ALICE}/0`));
+    });
+
+    it('enforces the size limit', async () => {
+      if (!testEnv) return;
+      await assertFails(upload(UID_ALICE, `posts/${POST_ID}/${UID_ALICE}/1`, { size: 5 * MB + 1 }));
+      await assertSucceeds(upload(UID_ALICE, `posts/${POST_ID}/${UID_ALICE}/1`, { size: 5 * MB }));
+    });
+
+    it('accepts only PNG, JPEG, GIF and WebP', async () => {
+      if (!testEnv) return;
+      await assertFails(upload(UID_ALICE, `posts/${POST_ID}/${UID_ALICE}/2`, { contentType: 'image/svg+xml' }));
+      await assertFails(upload(UID_ALICE, `posts/${POST_ID}/${UID_ALICE}/2`, { contentType: 'text/html' }));
+      await assertSucceeds(upload(UID_ALICE, `posts/${POST_ID}/${UID_ALICE}/2`, { contentType: 'image/webp' }));
+    });
+
+    it('never overwrites an existing image', async () => {
+      if (!testEnv) return;
+      await seedImage(`posts/${POST_ID}/${UID_ALICE}/3`);
+      await assertFails(upload(UID_ALICE, `posts/${POST_ID}/${UID_ALICE}/3`));
+    });
+
+    it('is readable by anyone', async () => {
+      if (!testEnv) return;
+      await seedImage(`posts/${POST_ID}/${UID_ALICE}/public.png`);
+      await assertSucceeds(getStorage(null).ref(`posts/${POST_ID}/${UID_ALICE}/public.png`).getMetadata());
+    });
+
+    it('lets the uploader and moderators delete, nobody else', async () => {
+      if (!testEnv) return;
+      await seedImage(`posts/${POST_ID}/${UID_ALICE}/one.png`);
+      await seedImage(`posts/${POST_ID}/${UID_ALICE}/two.png`);
+      await assertFails(getStorage(UID_BOB).ref(`posts/${POST_ID}/${UID_ALICE}/one.png`).delete());
+      await assertSucceeds(getStorage(UID_ALICE).ref(`posts/${POST_ID}/${UID_ALICE}/one.png`).delete());
+
+      await seedRole(UID_BOB, 'editor');
+      await assertFails(getStorage(UID_BOB).ref(`posts/${POST_ID}/${UID_ALICE}/two.png`).delete());
+      await seedRole(UID_BOB, 'admin');
+      await assertSucceeds(getStorage(UID_BOB).ref(`posts/${POST_ID}/${UID_ALICE}/two.png`).delete());
+    });
+  });
+
+  it('refuses writes anywhere else', async () => {
+    if (!testEnv) return;
+    await assertFails(upload(UID_ALICE, `avatars/${UID_ALICE}.png`));
+  });
+});
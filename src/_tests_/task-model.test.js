@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { today, isOverdue, matchesFilter, parseTags, orderBetween, moveTask, sortTasks, toTask, taskCollection } from '../template/task-model';
+
+const NOW = new Date(2026, 2, 10, 23, 30);
+const list = (...orders) => orders.map((order, i) => ({ id: `t${i}`, order }));
+
+describe('task-model', () => {
+  it('formats the local day as YYYY-MM-DD', () => {
+    expect(today(NOW)).toBe('2026-03-10');
+  });
+
+  it('counts a task as overdue only after its due day and while not done', () => {
+    expect(isOverdue({ dueDate: '2026-03-09', completed: false }, NOW)).toBe(true);
+    expect(isOverdue({ dueDate: '2026-03-10', completed: false }, NOW)).toBe(false);
+    expect(isOverdue({ dueDate: '2026-03-09', completed: true }, NOW)).toBe(false);
+    expect(isOverdue({ dueDate: '', completed: false }, NOW)).toBe(false);
+  });
+
+  it('matches each filter tab', () => {
+    const done = { completed: true };
+    const open = { completed: false, dueDate: '2026-03-01' };
+    expect(matchesFilter(done, 'all', NOW)).toBe(true);
+    expect(matchesFilter(done, 'active', NOW)).toBe(false);
+    expect(matchesFilter(done, 'completed', NOW)).toBe(true);
+    expect(matchesFilter(open, 'overdue', NOW)).toBe(true);
+  });
+
+  it('cleans up free-form tags', () => {
+    expect(parseTags(' Work, urgent,, WORK ,')).toEqual(['work', 'urgent']);
+    expect(parseTags('x'.repeat(40))).toEqual(['x'.repeat(30)]);
+    expect(parseTags(Array.from({ length: 12 }, (_, i) => `t${i}`).join(','))).toHaveLength(10);
+  });
+
+  it('picks an order between neighbours, or past the end', () => {
+    expect(orderBetween(null, null)).toBe(0);
+    expect(orderBetween(null, 3)).toBe(2);
+    expect(orderBetween(3, null)).toBe(4);
+    expect(orderBetween(1, 2)).toBe(1.5);
+  });
+
+  it('moves a task in front of the target going up and behind it going down', () => {
+    const up = moveTask(list(1, 2, 3), 't2', 't0');
+    expect(up.tasks.map((t) => t.id)).toEqual(['t2', 't0', 't1']);
+    expect(up.order).toBe(0);
+
+    const down = moveTask(list(1, 2, 3), 't0', 't1');
+    expect(down.tasks.map((t) => t.id)).toEqual(['t1', 't0', 't2']);
+    expect(down.order).toBe(2.5);
+
+    expect(moveTask(list(1, 2), 't0', 't0')).toBeNull();
+    expect(moveTask(list(1, 2), 't0', 'missing')).toBeNull();
+  });
+
+  it('fills in defaults for tasks saved with only a title', () => {
+    const createdAt = new Date('2020-01-01');
+    expect(toTask({ id: 't1', title: 'Old', createdAt: { toDate: () => createdAt } })).toMatchObject({
+      completed: false, dueDate: '', priority: 'medium', tags: [], order: -createdAt.getTime(),
+    });
+  });
+
+  it('sorts tasks without an order newest first, among ordered ones', () => {
+    const at = (iso) => ({ toDate: () => new Date(iso) });
+    const tasks = [
+      toTask({ id: 'ordered', order: 0 }),
+      toTask({ id: 'older', createdAt: at('2020-01-01') }),
+      toTask({ id: 'newer', createdAt: at('2021-01-01') }),
+    ];
+    expect(sortTasks(tasks).map((t) => t.id)).toEqual(['newer', 'older', 'ordered']);
+  });
+
+  it('rejects a malformed due date or unknown priority', () => {
+    expect(taskCollection.validate({ title: 'T', dueDate: '03/10/2026' })).toEqual({ dueDate: 'Due date must be a YYYY-MM-DD date' });
+    expect(taskCollection.validate({ title: 'T', priority: 'urgent' })).toHaveProperty('priority');
+    expect(taskCollection.allowFields).toEqual(['title', 'completed', 'dueDate', 'priority', 'tags', 'order', 'userId']);
+  });
+});
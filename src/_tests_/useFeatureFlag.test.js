@@ -1,6 +1,6 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { renderHook, waitFor } from '@testing-library/react';
-import { useFeatureFlag } from '../guardrails/useFeatureFlag';
+import { renderHook, act } from '@testing-library/react';
+import { useFeatureFlag, useFeatureVariant } from '../guardrails/useFeatureFlag';
 
 const mockOnSnapshot = vi.fn();
 
@@ -37,4 +37,21 @@ describe('useFeatureFlag', () => {
     renderHook(() => useFeatureFlag({}, '', false));
     expect(mockOnSnapshot).not.toHaveBeenCalled();
   });
+
+  it('resolves a variant and reason from the flag document', () => {
+    const { result } = renderHook(() =>
+      useFeatureVariant({}, 'ab-test', false, { user: { uid: 'u1', email: 'u1@test.com' } }));
+    const onNext = mockOnSnapshot.mock.calls[0][1];
+    act(() => {
+      onNext({ exists: () => true, data: () => ({ enabled: true, allow: ['u1'], variants: ['only'] }) });
+    });
+    expect(result.current).toEqual({ enabled: true, variant: 'only', reason: 'allowed' });
+  });
+
+  it('falls back to the default when the subscription errors', () => {
+    const { result } = renderHook(() => useFeatureVariant({}, 'broken-flag', true));
+    const onError = mockOnSnapshot.mock.calls[0][2];
+    act(() => { onError(new Error('permission-denied')); });
+    expect(result.current).toEqual({ enabled: true, variant: null, reason: 'default' });
+  });
 });
@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import type { Firestore } from 'firebase/firestore';
+import { usePost, useReplies, usePosts, useMyVotes } from '../firestore-utils/usePosts';
+
+type Listener = { onChange: (value: unknown) => void; onError: (error: Error) => void; unsubscribe: ReturnType<typeof vi.fn> };
+const listeners: Record<string, Listener> = {};
+const mockGetMyVotes = vi.fn();
+
+const listen = (key: string, onChange: Listener['onChange'], onError: Listener['onError']) => {
+  const unsubscribe = vi.fn();
+  listeners[key] = { onChange, onError, unsubscribe };
+  return unsubscribe;
+};
+
+vi.mock('../firestore-utils/post-storage', () => ({
+  subscribePosts: (_db: unknown, onChange: Listener['onChange'], onError: Listener['onError']) => listen('posts', onChange, onError),
+  subscribePost: (_db: unknown, id: string, onChange: Listener['onChange'], onError: Listener['onError']) => listen(`post:${id}`, onChange, onError),
+  subscribeReplies: (_db: unknown, id: string, onChange: Listener['onChange'], onError: Listener['onError'], opts: { cursor?: string }) =>
+    listen(opts.cursor ? `replies:${id}:${opts.cursor}` : `replies:${id}`, onChange, onError),
+  getMyVotes: (...args: unknown[]) => mockGetMyVotes(...args),
+  PAGE_SIZE: 2,
+}));
+
+const db = {} as Firestore;
+const post = (id: string) => ({ id, title: id, content: 'c', authorId: 'u1', authorName: 'U', replyCount: 0, createdAt: new Date() });
+
+describe('usePosts hooks', () => {
+  beforeEach(() => {
+    for (const key of Object.keys(listeners)) delete listeners[key];
+    mockGetMyVotes.mockReset();
+  });
+
+  it('usePost is loading until the first snapshot, then live', () => {
+    const { result } = renderHook(() => usePost(db, 'p1'));
+    expect(result.current).toEqual({ post: null, loading: true, error: null });
+
+    act(() => listeners['post:p1'].onChange(post('p1')));
+    expect(result.current.loading).toBe(false);
+    expect(result.current.post?.id).toBe('p1');
+
+    act(() => listeners['post:p1'].onChange({ ...post('p1'), replyCount: 2 }));
+    expect(result.current.post?.replyCount).toBe(2);
+  });
+
+  it('usePost does not subscribe without a post id', () => {
+    const { result } = renderHook(() => usePost(db, null));
+    expect(result.current).toEqual({ post: null, loading: false, error: null });
+    expect(Object.keys(listeners)).toEqual([]);
+  });
+
+  it('switching posts unsubscribes the old listener and shows loading again', () => {
+    const { result, rerender } = renderHook(({ id }) => useReplies(db, id), { initialProps: { id: 'p1' } });
+    act(() => listeners['replies:p1'].onChange([{ id: 'r1' }]));
+    expect(result.current.replies).toHaveLength(1);
+
+    rerender({ id: 'p2' });
+    expect(listeners['replies:p1'].unsubscribe).toHaveBeenCalled();
+    expect(result.current).toMatchObject({ replies: [], loading: true, error: null, hasMore: false });
+  });
+
+  it('loads the next page after the cursor and keeps every page live', () => {
+    const { result, unmount } = renderHook(() => useReplies(db, 'p1'));
+    act(() => (listeners['replies:p1'].onChange as (...args: unknown[]) => void)([{ id: 'r1' }, { id: 'r2' }], 'cursor-r2'));
+    expect(result.current.hasMore).toBe(true);
+
+    act(() => result.current.loadMore());
+    expect(result.current.loadingMore).toBe(true);
+    act(() => (listeners['replies:p1:cursor-r2'].onChange as (...args: unknown[]) => void)([{ id: 'r3' }], null));
+    expect(result.current).toMatchObject({ hasMore: false, loadingMore: false });
+    expect(result.current.replies.map(r => r.id)).toEqual(['r1', 'r2', 'r3']);
+
+    // A reply arriving on the last page shows up without reloading.
+    act(() => (listeners['replies:p1:cursor-r2'].onChange as (...args: unknown[]) => void)([{ id: 'r3' }, { id: 'r4' }], 'cursor-r4'));
+    expect(result.current.replies.map(r => r.id)).toEqual(['r1', 'r2', 'r3', 'r4']);
+
+    unmount();
+    expect(listeners['replies:p1'].unsubscribe).toHaveBeenCalled();
+    expect(listeners['replies:p1:cursor-r2'].unsubscribe).toHaveBeenCalled();
+  });
+
+  it('exposes listener errors and unsubscribes on unmount', () => {
+    const { result, unmount } = renderHook(() => usePosts(db));
+    const error = new Error('permission-denied');
+    act(() => listeners.posts.onError(error));
+    expect(result.current).toEqual({ posts: [], loading: false, error });
+
+    unmount();
+    expect(listeners.posts.unsubscribe).toHaveBeenCalled();
+  });
+
+  it('useMyVotes loads the user\'s votes and keeps ones they cast', async () => {
+    mockGetMyVotes.mockResolvedValue({ r1: 1 });
+    const { result } = renderHook(() => useMyVotes(db, 'replies', ['r1', 'r2'], 'u1'));
+    await waitFor(() => expect(result.current.votes).toEqual({ r1: 1 }));
+    expect(mockGetMyVotes).toHaveBeenCalledWith(db, 'replies', ['r1', 'r2'], 'u1');
+
+    act(() => result.current.record('r1', 0));
+    act(() => result.current.record('r2', -1));
+    expect(result.current.votes).toEqual({ r1: 0, r2: -1 });
+  });
+
+  it('useMyVotes reads nothing when signed out', () => {
+    const { result } = renderHook(() => useMyVotes(db, 'posts', ['p1'], null));
+    expect(result.current.votes).toEqual({});
+    expect(mockGetMyVotes).not.toHaveBeenCalled();
+  });
+});
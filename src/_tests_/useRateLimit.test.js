@@ -2,6 +2,16 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { renderHook, act } from '@testing-library/react';
 import { useRateLimit } from '../guardrails/useRateLimit';
 
+const mockOnSnapshot = vi.fn();
+
+vi.mock('firebase/firestore', () => ({
+  doc: vi.fn((...args) => args.slice(1).join('/')),
+  onSnapshot: (...args) => {
+    mockOnSnapshot(...args);
+    return () => {};
+  },
+}));
+
 describe('useRateLimit', () => {
   beforeEach(() => {
     vi.useFakeTimers();
@@ -47,4 +57,89 @@ describe('useRateLimit', () => {
     act(() => { result.current.check(); });
     expect(result.current.remaining).toBe(3);
   });
+
+  const subscribedPaths = () => mockOnSnapshot.mock.calls.map(c => c[0]);
+
+  const emit = (path, data) => {
+    const call = [...mockOnSnapshot.mock.calls].reverse().find(c => c[0] === path);
+    act(() => {
+      call[1]({ exists: () => !!data, data: () => data });
+    });
+  };
+
+  describe('with a server counter', () => {
+    beforeEach(() => {
+      mockOnSnapshot.mockClear();
+    });
+
+    const COUNTER = 'rateLimitCounters/u1/actions/edit-post';
+
+    it('subscribes to the caller counter document', () => {
+      renderHook(() => useRateLimit('edit-post', 5, { db: {}, userId: 'u1' }));
+      expect(subscribedPaths()).toContain(COUNTER);
+    });
+
+    it('skips the counter subscription without a user', () => {
+      renderHook(() => useRateLimit('edit-post', 5, { db: {} }));
+      expect(subscribedPaths()).not.toContain(COUNTER);
+    });
+
+    it('blocks when the server window is full even with no local history', () => {
+      const { result } = renderHook(() => useRateLimit('edit-post', 5, { db: {}, userId: 'u1' }));
+      emit(COUNTER, { count: 5, windowStart: new Date(Date.now() - 20000) });
+      expect(result.current.canAct).toBe(false);
+      expect(result.current.resetIn).toBe(40000);
+      expect(result.current.check()).toBe(false);
+    });
+
+    it('ignores a server window that has expired', () => {
+      const { result } = renderHook(() => useRateLimit('edit-post', 5, { db: {}, userId: 'u1' }));
+      emit(COUNTER, { count: 5, windowStart: new Date(Date.now() - 61000) });
+      expect(result.current.remaining).toBe(5);
+      expect(result.current.check()).toBe(true);
+    });
+  });
+
+  describe('with a rateLimits override', () => {
+    beforeEach(() => {
+      mockOnSnapshot.mockClear();
+    });
+
+    const CONFIG = 'rateLimits/edit-post';
+
+    it('falls back to the literal default when no document exists', () => {
+      const { result } = renderHook(() => useRateLimit('edit-post', 5, { db: {} }));
+      emit(CONFIG, null);
+      expect(result.current.max).toBe(5);
+      expect(result.current.windowSeconds).toBe(60);
+    });
+
+    it('defaults an enforced action to the server limit, not the literal', () => {
+      const { result } = renderHook(() => useRateLimit('report-content', 5, { db: {} }));
+      emit('rateLimits/report-content', null);
+      expect(result.current.max).toBe(10);
+      expect(result.current.windowSeconds).toBe(3600);
+    });
+
+    it('applies the configured max and window', () => {
+      const { result } = renderHook(() => useRateLimit('edit-post', 5, { db: {} }));
+      emit(CONFIG, { max: 2, windowSeconds: 10 });
+      expect(result.current.remaining).toBe(2);
+      act(() => { result.current.check(); });
+      act(() => { result.current.check(); });
+      expect(result.current.check()).toBe(false);
+
+      act(() => { vi.advanceTimersByTime(10001); });
+      expect(result.current.check()).toBe(true);
+    });
+
+    it('never blocks a user whose role is exempt', () => {
+      const { result } = renderHook(() => useRateLimit('edit-post', 1, { db: {}, userId: 'u1' }));
+      emit(CONFIG, { max: 1, windowSeconds: 60, exemptRoles: ['admin'] });
+      emit('admins/u1', { role: 'admin' });
+      act(() => { result.current.check(); });
+      expect(result.current.check()).toBe(true);
+      expect(result.current.canAct).toBe(true);
+    });
+  });
 });
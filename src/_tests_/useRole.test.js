@@ -0,0 +1,68 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, waitFor } from '@testing-library/react';
+import { useRole, usePermission } from '../admin/useRole';
+
+const mockGetDoc = vi.fn();
+const mockUseAuth = vi.fn();
+
+vi.mock('firebase/firestore', () => ({
+  doc: vi.fn(() => 'mocked-doc-ref'),
+  getDoc: (...args) => mockGetDoc(...args),
+}));
+
+vi.mock('../firestore-utils/auth-context', () => ({
+  useAuth: () => mockUseAuth(),
+}));
+
+const USER = { uid: 'user-1' };
+
+const withRole = (data) => mockGetDoc.mockResolvedValue({ exists: () => !!data, data: () => data });
+
+describe('useRole', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockUseAuth.mockReturnValue({ user: USER });
+  });
+
+  it('reads the role from admins/{uid}', async () => {
+    withRole({ role: 'editor' });
+    const { result } = renderHook(() => useRole({}));
+    await waitFor(() => expect(result.current.checking).toBe(false));
+    expect(result.current.role).toBe('editor');
+  });
+
+  it('treats a document without a known role as no role', async () => {
+    withRole({ note: 'legacy' });
+    const { result } = renderHook(() => useRole({}));
+    await waitFor(() => expect(result.current.checking).toBe(false));
+    expect(result.current.role).toBeNull();
+  });
+
+  it('returns no role when signed out', () => {
+    mockUseAuth.mockReturnValue({ user: null });
+    const { result } = renderHook(() => useRole({}));
+    expect(result.current).toEqual({ role: null, checking: false });
+    expect(mockGetDoc).not.toHaveBeenCalled();
+  });
+});
+
+describe('usePermission', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockUseAuth.mockReturnValue({ user: USER });
+  });
+
+  it('allows what the role grants', async () => {
+    withRole({ role: 'viewer' });
+    const { result } = renderHook(() => usePermission({}, 'admin:view'));
+    await waitFor(() => expect(result.current.checking).toBe(false));
+    expect(result.current.allowed).toBe(true);
+  });
+
+  it('denies what the role does not grant', async () => {
+    withRole({ role: 'viewer' });
+    const { result } = renderHook(() => usePermission({}, 'flags:edit'));
+    await waitFor(() => expect(result.current.checking).toBe(false));
+    expect(result.current.allowed).toBe(false);
+  });
+});
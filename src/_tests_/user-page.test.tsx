@@ -0,0 +1,84 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router';
+import UserPage from '../user-page';
+
+const mockGetProfile = vi.fn();
+const mockGetPostsByAuthor = vi.fn();
+const mockGetRepliesByAuthor = vi.fn();
+
+vi.mock('../firestore-utils/profiles', () => ({
+  getProfile: (...args: unknown[]) => mockGetProfile(...args),
+}));
+
+vi.mock('../firestore-utils/post-storage', () => ({
+  getPostsByAuthor: (...args: unknown[]) => mockGetPostsByAuthor(...args),
+  getRepliesByAuthor: (...args: unknown[]) => mockGetRepliesByAuthor(...args),
+}));
+
+const post = (id: string, fields = {}) => ({
+  id, title: `Post ${id}`, content: `**Body** ${id}`, authorId: 'u9', authorName: 'Old name',
+  replyCount: 2, score: 0, createdAt: new Date('2024-06-15'), ...fields,
+});
+
+const reply = (id: string) => ({
+  id, postId: 'p1', content: `Reply ${id}`, authorId: 'u9', authorName: 'Old name',
+  depth: 0, score: 0, createdAt: new Date('2024-06-16'),
+});
+
+const renderPage = () =>
+  render(
+    <MemoryRouter initialEntries={['/u/u9']}>
+      <Routes>
+        <Route path="/u/:uid" element={<UserPage db={{} as never} />} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  mockGetProfile.mockResolvedValue({ uid: 'u9', displayName: 'Nina', bio: 'Likes trees', avatarUrl: 'https://img/n.png' });
+  mockGetPostsByAuthor.mockResolvedValue({ items: [post('p1'), post('p2', { hidden: true })], nextCursor: null });
+  mockGetRepliesByAuthor.mockResolvedValue({ items: [reply('r1')], nextCursor: null });
+});
+
+describe('UserPage', () => {
+  it('shows the profile and the user\'s visible posts', async () => {
+    renderPage();
+    expect(await screen.findByRole('heading', { name: 'Nina' })).toBeInTheDocument();
+    expect(screen.getByText('Likes trees')).toBeInTheDocument();
+    expect(await screen.findByRole('link', { name: /Post p1/ })).toHaveAttribute('href', '/post?id=p1');
+    expect(screen.getByText('Body p1')).toBeInTheDocument();
+    expect(screen.queryByText('Post p2')).not.toBeInTheDocument();
+    expect(mockGetPostsByAuthor).toHaveBeenCalledWith({}, 'u9', { cursor: null });
+  });
+
+  it('lists replies on their own tab, linking to the post', async () => {
+    renderPage();
+    fireEvent.click(await screen.findByRole('tab', { name: 'Replies' }));
+    expect(await screen.findByRole('link', { name: /Reply r1/ })).toHaveAttribute('href', '/post?id=p1');
+  });
+
+  it('loads the next page on request', async () => {
+    mockGetPostsByAuthor
+      .mockResolvedValueOnce({ items: [post('p1')], nextCursor: 'cursor-1' })
+      .mockResolvedValueOnce({ items: [post('p3')], nextCursor: null });
+    renderPage();
+    fireEvent.click(await screen.findByRole('button', { name: /load more/i }));
+    expect(await screen.findByText('Post p3')).toBeInTheDocument();
+    expect(mockGetPostsByAuthor).toHaveBeenLastCalledWith({}, 'u9', { cursor: 'cursor-1' });
+    expect(screen.getByText('Post p1')).toBeInTheDocument();
+  });
+
+  it('falls back to the name on their posts without a profile', async () => {
+    mockGetProfile.mockResolvedValue(null);
+    renderPage();
+    expect(await screen.findByRole('heading', { name: 'Old name' })).toBeInTheDocument();
+  });
+
+  it('says when there is nothing to show', async () => {
+    mockGetPostsByAuthor.mockResolvedValue({ items: [], nextCursor: null });
+    renderPage();
+    await waitFor(() => expect(screen.getByText('No posts yet.')).toBeInTheDocument());
+  });
+});
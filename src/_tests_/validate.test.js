@@ -1,4 +1,4 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 import { validate } from '../guardrails/validate';
 
 describe('validate', () => {
@@ -84,3 +84,76 @@ describe('validate', () => {
     expect(validate({ name: 'Alice', nick: '' }, s)).toBeNull();
   });
 });
+
+describe('validate — nested and cross-field', () => {
+  it('validates nested objects with dotted paths', () => {
+    const s = {
+      owner: { type: 'object', required: true, schema: { name: { type: 'string', required: true } } },
+    };
+    expect(validate({ owner: {} }, s)).toEqual({ 'owner.name': 'owner.name is required' });
+    expect(validate({ owner: 'alice' }, s)).toEqual({ owner: 'owner must be an object' });
+    expect(validate({ owner: { name: 'Alice' } }, s)).toBeNull();
+  });
+
+  it('validates array items with indexed paths', () => {
+    const s = {
+      items: {
+        type: 'array',
+        items: { type: 'object', schema: { name: { type: 'string', required: true, maxLength: 5 } } },
+      },
+    };
+    const errors = validate({ items: [{ name: 'ok' }, { name: 'ok' }, { name: 'too long' }] }, s);
+    expect(errors).toEqual({ 'items.2.name': 'items.2.name must be at most 5 characters' });
+  });
+
+  it('enforces minItems and maxItems', () => {
+    const s = { tags: { type: 'array', minItems: 1, maxItems: 2, label: 'Tags' } };
+    expect(validate({ tags: [] }, s).tags).toBe('Tags must have at least 1 items');
+    expect(validate({ tags: ['a', 'b', 'c'] }, s).tags).toBe('Tags must have at most 2 items');
+    expect(validate({ tags: 'a' }, s).tags).toBe('Tags must be a list');
+  });
+
+  it('applies item rules to primitive arrays', () => {
+    const s = { scores: { type: 'array', items: { type: 'number', min: 0 } } };
+    expect(validate({ scores: [1, -1] }, s)).toEqual({ 'scores.1': 'scores.1 must be at least 0' });
+  });
+
+  it('accepts Dates and ISO strings for date fields', () => {
+    const s = { at: { type: 'date', min: '2024-01-01T00:00:00.000Z', label: 'Date' } };
+    expect(validate({ at: '2024-06-01T00:00:00.000Z' }, s)).toBeNull();
+    expect(validate({ at: new Date('2024-06-01') }, s)).toBeNull();
+    expect(validate({ at: 'yesterday' }, s).at).toBe('Date must be a valid date');
+    expect(validate({ at: '2023-01-01T00:00:00.000Z' }, s).at).toMatch(/on or after 2024-01-01/);
+  });
+
+  it('accepts Timestamp-like values for timestamp fields', () => {
+    const s = { at: { type: 'timestamp' } };
+    expect(validate({ at: { toMillis: () => 1000 } }, s)).toBeNull();
+    expect(validate({ at: '2024-06-01' }, s).at).toBe('at must be a timestamp');
+  });
+
+  it('checks one field equals another', () => {
+    const s = {
+      password: { type: 'string', required: true, label: 'Password' },
+      confirmPassword: { type: 'string', required: true, equals: 'password', label: 'Confirmation' },
+    };
+    expect(validate({ password: 'a', confirmPassword: 'b' }, s))
+      .toEqual({ confirmPassword: 'Confirmation must match Password' });
+    expect(validate({ password: 'a', confirmPassword: 'a' }, s)).toBeNull();
+  });
+
+  it('runs custom validators with the sibling values', () => {
+    const s = {
+      start: { type: 'number' },
+      end: { type: 'number', custom: (end, data) => (end < data.start ? 'End must be after start' : null) },
+    };
+    expect(validate({ start: 5, end: 3 }, s)).toEqual({ end: 'End must be after start' });
+    expect(validate({ start: 1, end: 3 }, s)).toBeNull();
+  });
+
+  it('skips custom validators when the type check already failed', () => {
+    const custom = vi.fn(() => null);
+    validate({ n: 'x' }, { n: { type: 'number', custom } });
+    expect(custom).not.toHaveBeenCalled();
+  });
+});
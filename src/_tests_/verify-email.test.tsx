@@ -0,0 +1,89 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router';
+import VerifyEmail from '../verify-email';
+
+const mockUseAuth = vi.fn();
+const mockSendVerificationEmail = vi.fn();
+const mockReloadUser = vi.fn();
+const mockLogout = vi.fn();
+
+vi.mock('../firestore-utils/auth-context', () => ({
+  useAuth: () => mockUseAuth(),
+}));
+
+const user = { uid: 'u1', email: 'a@b.com', emailVerified: false };
+
+const renderVerify = (search = '?returnUrl=%2Fcompose-post') =>
+  render(
+    <MemoryRouter initialEntries={[`/verify-email${search}`]}>
+      <Routes>
+        <Route path="/verify-email" element={<VerifyEmail />} />
+        <Route path="/compose-post" element={<div>Compose Page</div>} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  user.emailVerified = false;
+  mockReloadUser.mockResolvedValue(undefined);
+  mockUseAuth.mockReturnValue({
+    user,
+    isVerified: false,
+    sendVerificationEmail: mockSendVerificationEmail,
+    reloadUser: mockReloadUser,
+    logout: mockLogout,
+  });
+});
+
+describe('VerifyEmail', () => {
+  it('names the address and refreshes the user on arrival', () => {
+    renderVerify();
+    expect(screen.getByRole('heading', { name: 'Verify your email' })).toBeInTheDocument();
+    expect(screen.getByText('a@b.com')).toBeInTheDocument();
+    expect(mockReloadUser).toHaveBeenCalledTimes(1);
+  });
+
+  it('goes on to returnUrl once verified', () => {
+    mockUseAuth.mockReturnValue({ ...mockUseAuth(), isVerified: true });
+    renderVerify();
+    expect(screen.getByText('Compose Page')).toBeInTheDocument();
+  });
+
+  it('resends the verification email with the same returnUrl', async () => {
+    mockSendVerificationEmail.mockResolvedValue(undefined);
+    renderVerify();
+    fireEvent.click(screen.getByRole('button', { name: 'Send verification email' }));
+    expect(await screen.findByText('Sent. Check a@b.com for the link.')).toBeInTheDocument();
+    expect(mockSendVerificationEmail).toHaveBeenCalledWith('/compose-post');
+  });
+
+  it('shows why a resend failed', async () => {
+    mockSendVerificationEmail.mockRejectedValue(new Error('Too many requests'));
+    renderVerify();
+    fireEvent.click(screen.getByRole('button', { name: 'Send verification email' }));
+    expect(await screen.findByText('Too many requests')).toBeInTheDocument();
+  });
+
+  it('says so when the email is still unverified after checking', async () => {
+    renderVerify();
+    fireEvent.click(screen.getByRole('button', { name: /verified my email/ }));
+    expect(await screen.findByText(/not verified yet/)).toBeInTheDocument();
+    expect(mockReloadUser).toHaveBeenCalledTimes(2);
+  });
+
+  it('shows no error when the check finds the email verified', async () => {
+    mockReloadUser.mockImplementation(async () => { user.emailVerified = true; });
+    renderVerify();
+    fireEvent.click(screen.getByRole('button', { name: /verified my email/ }));
+    await waitFor(() => expect(mockReloadUser).toHaveBeenCalledTimes(2));
+    expect(screen.queryByText(/not verified yet/)).not.toBeInTheDocument();
+  });
+
+  it('signs out', () => {
+    renderVerify();
+    fireEvent.click(screen.getByRole('button', { name: 'Sign out' }));
+    expect(mockLogout).toHaveBeenCalled();
+  });
+});
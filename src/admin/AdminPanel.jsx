@@ -1,9 +1,13 @@
 import { Link, useLocation, useNavigate } from 'react-router';
-import { Shield, Flag, Gauge, ArrowLeft } from 'lucide-react';
+import { Shield, Flag, Gauge, ArrowLeft, Users, AlertTriangle } from 'lucide-react';
 import { useAuth } from '../firestore-utils/auth-context';
-import { useIsAdmin } from './useIsAdmin';
+import { PERMISSIONS, hasPermission } from '../guardrails/roles';
+import { useRole } from './useRole';
 import FeatureFlags from './FeatureFlags';
 import Limits from './Limits';
+import Members from './Members';
+import ReplyCounts from './ReplyCounts';
+import Reports from './Reports';
 
 const SidebarLink = ({ to, icon: Icon, label, current }) => (
   <Link
@@ -44,7 +48,8 @@ const DashboardHome = () => (
 
 const AdminPanel = ({ db }) => {
   const { user, loading: authLoading } = useAuth();
-  const { isAdmin, checking } = useIsAdmin(db);
+  const { role, checking } = useRole(db);
+  const can = (permission) => hasPermission(role, permission);
   const location = useLocation();
   const navigate = useNavigate();
 
@@ -68,7 +73,7 @@ const AdminPanel = ({ db }) => {
     );
   }
 
-  if (!isAdmin) {
+  if (!can(PERMISSIONS.VIEW_ADMIN)) {
     return (
       <div className="min-h-screen flex items-center justify-center">
         <div className="text-center max-w-md">
@@ -77,12 +82,12 @@ const AdminPanel = ({ db }) => {
           <p className="text-gray-600 mb-4">You do not have admin privileges for this app.</p>
           {user && (
             <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 text-left text-sm">
-              <p className="font-medium text-gray-900 mb-2">To grant yourself admin access:</p>
+              <p className="font-medium text-gray-900 mb-2">To make yourself the first owner:</p>
               <ol className="list-decimal list-inside space-y-1 text-gray-600">
                 <li>Open your <span className="font-mono text-xs bg-gray-200 px-1 py-0.5 rounded">admins</span> collection</li>
                 <li>Create a new document with ID <span className="font-mono text-xs bg-gray-200 px-1 py-0.5 rounded">{user.uid}</span></li>
-                <li>Set any field (e.g. <span className="font-mono text-xs bg-gray-200 px-1 py-0.5 rounded">role: "admin"</span>)</li>
-                <li>Refresh this page</li>
+                <li>Set <span className="font-mono text-xs bg-gray-200 px-1 py-0.5 rounded">role: "owner"</span></li>
+                <li>Refresh this page — grant everyone else from Members</li>
               </ol>
               <a
                 href={`https://console.firebase.google.com/project/${import.meta.env.VITE_FIREBASE_PROJECT_ID || ''}/firestore/data/admins/${user.uid}`}
@@ -105,6 +110,8 @@ const AdminPanel = ({ db }) => {
     { path: '/admin', icon: Gauge, label: 'Dashboard' },
     { path: '/admin/feature-flags', icon: Flag, label: 'Feature Flags' },
     { path: '/admin/limits', icon: Shield, label: 'Limits' },
+    ...(can(PERMISSIONS.MANAGE_MEMBERS) ? [{ path: '/admin/members', icon: Users, label: 'Members' }] : []),
+    ...(can(PERMISSIONS.MODERATE_POSTS) ? [{ path: '/admin/reports', icon: AlertTriangle, label: 'Reports' }] : []),
   ];
 
   return (
@@ -115,7 +122,7 @@ const AdminPanel = ({ db }) => {
             <Shield className="text-indigo-600" size={28} />
             <div>
               <h1 className="text-2xl font-bold text-gray-900">Admin Panel</h1>
-              <p className="text-sm text-gray-500">{user.email}</p>
+              <p className="text-sm text-gray-500">{user.email} · {role}</p>
             </div>
           </div>
           <button
@@ -141,9 +148,12 @@ const AdminPanel = ({ db }) => {
           </nav>
 
           <div className="flex-1">
-            {section === 'feature-flags' && <FeatureFlags db={db} />}
-            {section === 'limits' && <Limits db={db} />}
+            {section === 'feature-flags' && <FeatureFlags db={db} readOnly={!can(PERMISSIONS.EDIT_FLAGS)} />}
+            {section === 'limits' && <Limits db={db} readOnly={!can(PERMISSIONS.EDIT_LIMITS)} />}
+            {section === 'members' && can(PERMISSIONS.MANAGE_MEMBERS) && <Members db={db} role={role} />}
+            {section === 'reports' && can(PERMISSIONS.MODERATE_POSTS) && <Reports db={db} />}
             {section === 'dashboard' && <DashboardHome />}
+            {section === 'dashboard' && can(PERMISSIONS.MODERATE_POSTS) && <ReplyCounts db={db} />}
           </div>
         </div>
       </div>
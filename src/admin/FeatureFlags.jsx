@@ -1,20 +1,41 @@
 import { useState, useEffect, useCallback } from 'react';
-import { collection, getDocs, doc, query, orderBy } from 'firebase/firestore';
+import { collection, getDocs, doc, query, orderBy, limit } from 'firebase/firestore';
 import { useAuth } from '../firestore-utils/auth-context';
 import { safeCreate, safeUpdate, safeDelete, safeSet } from '../guardrails/safe-firestore';
 import { useRateLimit } from '../guardrails/useRateLimit';
-import { Plus, Trash2, Loader2, ToggleLeft, ToggleRight } from 'lucide-react';
+import { validate } from '../guardrails/validate';
+import { FLAG_ALLOW_FIELDS, FLAG_ENVIRONMENTS, FLAG_SCHEMA, flagState, describeFlagState } from '../guardrails/feature-flags';
+import { Plus, Trash2, Loader2, ToggleLeft, ToggleRight, SlidersHorizontal, History, RotateCcw } from 'lucide-react';
 
-const ALLOW_FIELDS = ['enabled'];
+const parseList = (value) => [...new Set(value.split(/[\s,]+/).map(v => v.trim()).filter(Boolean))];
 
-const FeatureFlags = ({ db }) => {
+const toForm = (flag) => ({
+  rolloutPercentage: String(flag.rolloutPercentage ?? 100),
+  allow: (flag.allow || []).join('\n'),
+  deny: (flag.deny || []).join('\n'),
+  environments: flag.environments || [],
+  variants: (flag.variants || []).join(', '),
+});
+
+const formatTime = (timestamp) => {
+  const date = timestamp?.toDate ? timestamp.toDate() : null;
+  return date ? date.toLocaleString() : 'just now';
+};
+
+const FeatureFlags = ({ db, readOnly = false }) => {
   const { user } = useAuth();
   const [flags, setFlags] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [newName, setNewName] = useState('');
   const [adding, setAdding] = useState(false);
-  const rateLimit = useRateLimit('feature-flag-action', 30);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [historyFor, setHistoryFor] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const rateLimit = useRateLimit('feature-flag-action', 30, { db, userId: user?.uid });
 
   const loadFlags = useCallback(async () => {
     const ref = collection(db, 'featureFlags');
@@ -42,13 +63,49 @@ const FeatureFlags = ({ db }) => {
     return () => { mounted = false; };
   }, [loadFlags, db]);
 
+  const loadHistory = useCallback(async (flagId) => {
+    const ref = collection(db, 'featureFlags', flagId, 'history');
+    const snap = await getDocs(query(ref, orderBy('createdAt', 'desc'), limit(50)));
+    return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+  }, [db]);
+
+  const refreshHistory = async (flagId) => {
+    if (historyFor !== flagId) return;
+    try {
+      setHistory(await loadHistory(flagId));
+    } catch (err) {
+      console.error('Error loading flag history:', err);
+    }
+  };
+
+  const showHistory = async (flagId) => {
+    if (historyFor === flagId) { setHistoryFor(null); return; }
+    setHistoryFor(flagId);
+    setHistory([]);
+    setHistoryLoading(true);
+    try {
+      setHistory(await loadHistory(flagId));
+    } catch (err) {
+      console.error('Error loading flag history:', err);
+      setError('Failed to load flag history');
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  const historyOpts = (action, before, after) => ({
+    allowFields: FLAG_ALLOW_FIELDS,
+    history: { action, before, after, actorEmail: user.email },
+  });
+
   const addFlag = async () => {
     if (!newName.trim()) return;
     if (!rateLimit.check()) { setError('Rate limit exceeded'); return; }
     try {
       setAdding(true);
       setError(null);
-      await safeSet(db, 'featureFlags', newName.trim(), { enabled: false }, user.uid, { allowFields: ALLOW_FIELDS });
+      const after = flagState({ enabled: false });
+      await safeSet(db, 'featureFlags', newName.trim(), after, user.uid, historyOpts('create', null, after));
       setNewName('');
       setFlags(await loadFlags());
     } catch (err) {
@@ -59,34 +116,100 @@ const FeatureFlags = ({ db }) => {
     }
   };
 
-  const toggleFlag = async (flagId, currentValue) => {
+  const toggleFlag = async (flag) => {
     if (!rateLimit.check()) { setError('Rate limit exceeded'); return; }
     try {
-      await safeUpdate(db, 'featureFlags', flagId, { enabled: !currentValue }, user.uid, { allowFields: ALLOW_FIELDS });
-      setFlags(prev => prev.map(f => f.id === flagId ? { ...f, enabled: !currentValue } : f));
+      const before = flagState(flag);
+      const after = { ...before, enabled: !before.enabled };
+      await safeUpdate(db, 'featureFlags', flag.id, { enabled: after.enabled }, user.uid, historyOpts('toggle', before, after));
+      setFlags(prev => prev.map(f => f.id === flag.id ? { ...f, enabled: after.enabled } : f));
+      await refreshHistory(flag.id);
     } catch (err) {
       console.error('Error toggling flag:', err);
       setError('Failed to toggle flag');
     }
   };
 
-  const deleteFlag = async (flagId) => {
+  const deleteFlag = async (flag) => {
     if (!rateLimit.check()) { setError('Rate limit exceeded'); return; }
     try {
-      await safeDelete(db, 'featureFlags', flagId, user.uid);
-      setFlags(prev => prev.filter(f => f.id !== flagId));
+      await safeDelete(db, 'featureFlags', flag.id, user.uid, { history: { action: 'delete', before: flagState(flag), after: null, actorEmail: user.email } });
+      setFlags(prev => prev.filter(f => f.id !== flag.id));
+      if (historyFor === flag.id) setHistoryFor(null);
     } catch (err) {
       console.error('Error deleting flag:', err);
       setError('Failed to delete flag');
     }
   };
 
+  const startEdit = (flag) => {
+    setError(null);
+    setEditing(flag.id);
+    setForm(toForm(flag));
+  };
+
+  const toggleEnvironment = (env) => {
+    setForm(prev => ({
+      ...prev,
+      environments: prev.environments.includes(env)
+        ? prev.environments.filter(e => e !== env)
+        : [...prev.environments, env],
+    }));
+  };
+
+  const saveTargeting = async () => {
+    if (!rateLimit.check()) { setError('Rate limit exceeded'); return; }
+    const data = {
+      rolloutPercentage: Number(form.rolloutPercentage),
+      allow: parseList(form.allow),
+      deny: parseList(form.deny),
+      environments: form.environments,
+      variants: form.variants.split(',').map(v => v.trim()).filter(Boolean),
+    };
+    const errors = validate(data, FLAG_SCHEMA);
+    if (errors) { setError(Object.values(errors)[0]); return; }
+    if (new Set(data.variants).size !== data.variants.length) { setError('Variants must be unique'); return; }
+    try {
+      setSaving(true);
+      setError(null);
+      const current = flags.find(f => f.id === editing);
+      const before = flagState(current);
+      const after = flagState({ ...current, ...data });
+      await safeUpdate(db, 'featureFlags', editing, data, user.uid, historyOpts('update', before, after));
+      setFlags(prev => prev.map(f => f.id === editing ? { ...f, ...data } : f));
+      await refreshHistory(editing);
+      setEditing(null);
+    } catch (err) {
+      console.error('Error saving flag targeting:', err);
+      setError('Failed to save targeting');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const revertFlag = async (flag, entry) => {
+    if (!entry.after) return;
+    if (!rateLimit.check()) { setError('Rate limit exceeded'); return; }
+    try {
+      setError(null);
+      const after = flagState(entry.after);
+      await safeUpdate(db, 'featureFlags', flag.id, after, user.uid, historyOpts('revert', flagState(flag), after));
+      setFlags(prev => prev.map(f => f.id === flag.id ? { ...f, ...after } : f));
+      await refreshHistory(flag.id);
+    } catch (err) {
+      console.error('Error reverting flag:', err);
+      setError('Failed to revert flag');
+    }
+  };
+
   return (
     <div className="bg-white rounded-xl shadow-sm p-6">
       <h2 className="text-lg font-semibold text-gray-900 mb-4">Feature Flags</h2>
       <p className="text-sm text-gray-500 mb-6">
         Toggle features on and off in real-time. All flags are stored in Firestore and
-        replicated instantly via onSnapshot.
+        replicated instantly via onSnapshot. Use targeting to roll a flag out to a
+        percentage of users, pin specific users on or off, limit it to an environment,
+        or split users across A/B variants.
       </p>
 
       {error && (
@@ -95,24 +218,26 @@ const FeatureFlags = ({ db }) => {
         </div>
       )}
 
-      <div className="flex items-center gap-2 mb-6">
-        <input
-          type="text"
-          value={newName}
-          onChange={(e) => setNewName(e.target.value.toLowerCase().replace(/[^a-z0-9-]/g, ''))}
-          onKeyDown={(e) => e.key === 'Enter' && addFlag()}
-          placeholder="New flag name (e.g. beta-feature)"
-          className="flex-1 px-4 py-2 border-2 border-gray-200 rounded-lg focus:outline-none focus:border-indigo-400 text-sm"
-        />
-        <button
-          onClick={addFlag}
-          disabled={adding || !newName.trim()}
-          className="bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-indigo-700 disabled:opacity-50 flex items-center gap-1"
-        >
-          {adding ? <Loader2 size={16} className="animate-spin" /> : <Plus size={16} />}
-          Add
-        </button>
-      </div>
+      {!readOnly && (
+        <div className="flex items-center gap-2 mb-6">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value.toLowerCase().replace(/[^a-z0-9-]/g, ''))}
+            onKeyDown={(e) => e.key === 'Enter' && addFlag()}
+            placeholder="New flag name (e.g. beta-feature)"
+            className="flex-1 px-4 py-2 border-2 border-gray-200 rounded-lg focus:outline-none focus:border-indigo-400 text-sm"
+          />
+          <button
+            onClick={addFlag}
+            disabled={adding || !newName.trim()}
+            className="bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-indigo-700 disabled:opacity-50 flex items-center gap-1"
+          >
+            {adding ? <Loader2 size={16} className="animate-spin" /> : <Plus size={16} />}
+            Add
+          </button>
+        </div>
+      )}
 
       {loading ? (
         <div className="text-center py-8">
@@ -125,34 +250,180 @@ const FeatureFlags = ({ db }) => {
       ) : (
         <div className="space-y-2">
           {flags.map((flag) => (
-            <div key={flag.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-              <div>
-                <span className="font-medium text-gray-900 text-sm">{flag.id}</span>
-                <span className={`ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${
-                  flag.enabled ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'
-                }`}>
-                  {flag.enabled ? 'ON' : 'OFF'}
-                </span>
-              </div>
-              <div className="flex items-center gap-2">
-                <button
-                  onClick={() => toggleFlag(flag.id, flag.enabled)}
-                  className={`flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium transition-colors ${
-                    flag.enabled
-                      ? 'bg-green-100 text-green-700 hover:bg-green-200'
-                      : 'bg-gray-200 text-gray-600 hover:bg-gray-300'
-                  }`}
-                >
-                  {flag.enabled ? <ToggleRight size={16} /> : <ToggleLeft size={16} />}
-                  {flag.enabled ? 'Disable' : 'Enable'}
-                </button>
-                <button
-                  onClick={() => deleteFlag(flag.id)}
-                  className="p-1.5 text-gray-400 hover:text-red-500 transition-colors"
-                >
-                  <Trash2 size={16} />
-                </button>
+            <div key={flag.id} className="p-3 bg-gray-50 rounded-lg">
+              <div className="flex items-center justify-between">
+                <div>
+                  <span className="font-medium text-gray-900 text-sm">{flag.id}</span>
+                  <span className={`ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${
+                    flag.enabled ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'
+                  }`}>
+                    {flag.enabled ? 'ON' : 'OFF'}
+                  </span>
+                  {(flag.rolloutPercentage ?? 100) < 100 && (
+                    <span className="ml-2 text-xs text-gray-500">{flag.rolloutPercentage}% rollout</span>
+                  )}
+                  {flag.environments?.length > 0 && (
+                    <span className="ml-2 text-xs text-gray-500">{flag.environments.join(', ')} only</span>
+                  )}
+                  {flag.variants?.length > 0 && (
+                    <span className="ml-2 text-xs text-gray-500">{flag.variants.length} variants</span>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => showHistory(flag.id)}
+                    aria-label={`History for ${flag.id}`}
+                    className="p-1.5 text-gray-400 hover:text-indigo-600 transition-colors"
+                  >
+                    <History size={16} />
+                  </button>
+                  {!readOnly && (
+                    <>
+                      <button
+                        onClick={() => (editing === flag.id ? setEditing(null) : startEdit(flag))}
+                        aria-label={`Edit targeting for ${flag.id}`}
+                        className="p-1.5 text-gray-400 hover:text-indigo-600 transition-colors"
+                      >
+                        <SlidersHorizontal size={16} />
+                      </button>
+                      <button
+                        onClick={() => toggleFlag(flag)}
+                        className={`flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium transition-colors ${
+                          flag.enabled
+                            ? 'bg-green-100 text-green-700 hover:bg-green-200'
+                            : 'bg-gray-200 text-gray-600 hover:bg-gray-300'
+                        }`}
+                      >
+                        {flag.enabled ? <ToggleRight size={16} /> : <ToggleLeft size={16} />}
+                        {flag.enabled ? 'Disable' : 'Enable'}
+                      </button>
+                      <button
+                        onClick={() => deleteFlag(flag)}
+                        className="p-1.5 text-gray-400 hover:text-red-500 transition-colors"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </>
+                  )}
+                </div>
               </div>
+              {editing === flag.id && form && (
+                <div className="mt-3 pt-3 border-t border-gray-200 space-y-3">
+                  <label className="block text-xs text-gray-600">
+                    Rollout percentage
+                    <div className="flex items-center gap-3 mt-1">
+                      <input
+                        type="range"
+                        min={0}
+                        max={100}
+                        value={form.rolloutPercentage}
+                        onChange={(e) => setForm(prev => ({ ...prev, rolloutPercentage: e.target.value }))}
+                        className="flex-1"
+                      />
+                      <span className="w-12 text-right text-sm text-gray-900">{form.rolloutPercentage}%</span>
+                    </div>
+                  </label>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    <label className="block text-xs text-gray-600">
+                      Always on (uids or emails)
+                      <textarea
+                        rows={3}
+                        value={form.allow}
+                        onChange={(e) => setForm(prev => ({ ...prev, allow: e.target.value }))}
+                        className="mt-1 w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:outline-none focus:border-indigo-400 text-sm font-mono"
+                      />
+                    </label>
+                    <label className="block text-xs text-gray-600">
+                      Always off (uids or emails)
+                      <textarea
+                        rows={3}
+                        value={form.deny}
+                        onChange={(e) => setForm(prev => ({ ...prev, deny: e.target.value }))}
+                        className="mt-1 w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:outline-none focus:border-indigo-400 text-sm font-mono"
+                      />
+                    </label>
+                  </div>
+                  <div className="text-xs text-gray-600">
+                    Environments (none checked = everywhere)
+                    <div className="flex items-center gap-4 mt-1">
+                      {FLAG_ENVIRONMENTS.map(env => (
+                        <label key={env} className="flex items-center gap-1 text-sm text-gray-900">
+                          <input
+                            type="checkbox"
+                            checked={form.environments.includes(env)}
+                            onChange={() => toggleEnvironment(env)}
+                          />
+                          {env}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                  <label className="block text-xs text-gray-600">
+                    Variants (comma-separated, split evenly by user)
+                    <input
+                      type="text"
+                      value={form.variants}
+                      onChange={(e) => setForm(prev => ({ ...prev, variants: e.target.value }))}
+                      placeholder="control, treatment"
+                      className="mt-1 w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:outline-none focus:border-indigo-400 text-sm"
+                    />
+                  </label>
+                  <div className="flex items-center justify-end gap-2">
+                    <button
+                      onClick={() => setEditing(null)}
+                      className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      onClick={saveTargeting}
+                      disabled={saving}
+                      className="bg-indigo-600 text-white px-4 py-1.5 rounded-lg text-sm font-medium hover:bg-indigo-700 disabled:opacity-50 flex items-center gap-1"
+                    >
+                      {saving && <Loader2 size={14} className="animate-spin" />}
+                      Save targeting
+                    </button>
+                  </div>
+                </div>
+              )}
+              {historyFor === flag.id && (
+                <div className="mt-3 pt-3 border-t border-gray-200">
+                  <h3 className="text-xs font-medium text-gray-600 mb-2">History</h3>
+                  {historyLoading ? (
+                    <Loader2 className="animate-spin text-indigo-600" size={16} />
+                  ) : history.length === 0 ? (
+                    <p className="text-xs text-gray-500">No recorded changes yet.</p>
+                  ) : (
+                    <ol className="space-y-2">
+                      {history.map((entry) => (
+                        <li key={entry.id} className="flex items-start justify-between gap-3 text-xs">
+                          <div>
+                            <p className="text-gray-900">
+                              <span className="font-medium capitalize">{entry.action}</span>
+                              {' by '}{entry.actorEmail || entry.actor}
+                              <span className="text-gray-400"> · {formatTime(entry.createdAt)}</span>
+                            </p>
+                            <p className="text-gray-500">
+                              {entry.before ? describeFlagState(entry.before) : 'New flag'}
+                              {' → '}
+                              {describeFlagState(entry.after)}
+                            </p>
+                          </div>
+                          {entry.after && !readOnly && (
+                            <button
+                              onClick={() => revertFlag(flag, entry)}
+                              className="flex items-center gap-1 text-indigo-600 hover:text-indigo-700 whitespace-nowrap"
+                            >
+                              <RotateCcw size={12} />
+                              Revert to this state
+                            </button>
+                          )}
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                </div>
+              )}
             </div>
           ))}
         </div>
@@ -1,26 +1,134 @@
-import { Shield, Clock, DollarSign, Info } from 'lucide-react';
-
-const Limits = ({ db }) => {
-  const limits = [
-    {
-      action: 'add-task',
-      limit: '20 / minute',
-      scope: 'Per-user, client-side',
-      configurable: 'Hardcoded in Tasks.jsx',
-    },
-    {
-      action: 'add-comment',
-      limit: '10 / minute',
-      scope: 'Per-user, client-side',
-      configurable: 'Hardcoded in component',
-    },
-    {
-      action: 'create-post',
-      limit: '5 / minute',
-      scope: 'Per-user, client-side',
-      configurable: 'Hardcoded in component',
-    },
-  ];
+import { useState, useEffect, useCallback } from 'react';
+import { collection, getDocs } from 'firebase/firestore';
+import { Clock, DollarSign, Info, Loader2, Pencil, RotateCcw, Plus } from 'lucide-react';
+import { useAuth } from '../firestore-utils/auth-context';
+import { safeSet, safeDelete } from '../guardrails/safe-firestore';
+import { validate } from '../guardrails/validate';
+import { useRateLimit } from '../guardrails/useRateLimit';
+import {
+  ENFORCED_RATE_LIMITS,
+  RATE_LIMITS_COLLECTION,
+  RATE_LIMIT_SCHEMA,
+  RATE_LIMIT_ALLOW_FIELDS,
+} from '../guardrails/rate-limits';
+
+const EMPTY_FORM = { max: '', windowSeconds: '60', exemptRoles: '' };
+
+const parseRoles = (value) =>
+  value.split(',').map(r => r.trim().toLowerCase()).filter(r => /^[a-z][a-z0-9-]*$/.test(r));
+
+const Limits = ({ db, readOnly = false }) => {
+  const { user } = useAuth();
+  const [overrides, setOverrides] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [newAction, setNewAction] = useState('');
+  const rateLimit = useRateLimit('rate-limit-action', 30, { db, userId: user?.uid });
+
+  const loadOverrides = useCallback(async () => {
+    const snap = await getDocs(collection(db, RATE_LIMITS_COLLECTION));
+    return Object.fromEntries(snap.docs.map(d => [d.id, d.data()]));
+  }, [db]);
+
+  useEffect(() => {
+    if (!db) return;
+    let mounted = true;
+    loadOverrides()
+      .then((loaded) => {
+        if (mounted) setOverrides(loaded);
+      })
+      .catch((err) => {
+        if (mounted) {
+          console.error('Error loading rate limits:', err);
+          setError('Failed to load rate limits');
+        }
+      })
+      .finally(() => {
+        if (mounted) setLoading(false);
+      });
+    return () => { mounted = false; };
+  }, [loadOverrides, db]);
+
+  const actions = [...new Set([...Object.keys(ENFORCED_RATE_LIMITS), ...Object.keys(overrides)])].sort();
+
+  const rows = actions.map((action) => {
+    const enforced = ENFORCED_RATE_LIMITS[action];
+    const override = overrides[action];
+    const max = override?.max ?? enforced?.max;
+    const windowSeconds = override?.windowSeconds ?? enforced?.windowSeconds;
+    return {
+      action,
+      limit: max != null ? `${max} / ${windowSeconds}s` : 'Code default',
+      collection: enforced?.collection,
+      exemptRoles: override?.exemptRoles || [],
+      source: override ? 'Firestore' : 'Default',
+    };
+  });
+
+  const startEdit = (action) => {
+    const enforced = ENFORCED_RATE_LIMITS[action];
+    const override = overrides[action];
+    setError(null);
+    setEditing(action);
+    setForm({
+      max: String(override?.max ?? enforced?.max ?? ''),
+      windowSeconds: String(override?.windowSeconds ?? enforced?.windowSeconds ?? 60),
+      exemptRoles: (override?.exemptRoles || []).join(', '),
+    });
+  };
+
+  const addOverride = () => {
+    const action = newAction.trim();
+    if (!action) return;
+    setNewAction('');
+    startEdit(action);
+  };
+
+  const saveOverride = async () => {
+    if (!rateLimit.check()) { setError('Rate limit exceeded'); return; }
+    const data = {
+      max: Number(form.max),
+      windowSeconds: Number(form.windowSeconds),
+      exemptRoles: parseRoles(form.exemptRoles),
+    };
+    const errors = validate(data, RATE_LIMIT_SCHEMA);
+    if (errors) { setError(Object.values(errors)[0]); return; }
+    if (!Number.isInteger(data.max) || !Number.isInteger(data.windowSeconds)) {
+      setError('Max and window must be whole numbers');
+      return;
+    }
+    try {
+      setSaving(true);
+      setError(null);
+      await safeSet(db, RATE_LIMITS_COLLECTION, editing, data, user.uid, { allowFields: RATE_LIMIT_ALLOW_FIELDS });
+      setOverrides(prev => ({ ...prev, [editing]: data }));
+      setEditing(null);
+    } catch (err) {
+      console.error('Error saving rate limit:', err);
+      setError('Failed to save rate limit');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const resetOverride = async (action) => {
+    if (!rateLimit.check()) { setError('Rate limit exceeded'); return; }
+    try {
+      setError(null);
+      await safeDelete(db, RATE_LIMITS_COLLECTION, action, user.uid);
+      setOverrides((prev) => {
+        const next = { ...prev };
+        delete next[action];
+        return next;
+      });
+    } catch (err) {
+      console.error('Error resetting rate limit:', err);
+      setError('Failed to reset rate limit');
+    }
+  };
 
   return (
     <div className="space-y-6">
@@ -30,36 +138,161 @@ const Limits = ({ db }) => {
           Rate Limits
         </h2>
         <p className="text-sm text-gray-500 mb-4">
-          All rate limits use a sliding 60-second window and are enforced client-side
-          via the <code className="bg-gray-100 px-1 rounded">useRateLimit</code> hook.
+          Creates on the listed collections are refused by <code className="bg-gray-100 px-1 rounded">firestore.rules</code> once
+          the user's counter in <code className="bg-gray-100 px-1 rounded">rateLimitCounters</code> is full for the window.
+          Overrides saved here go to the <code className="bg-gray-100 px-1 rounded">rateLimits</code> collection and are read by
+          both the rules and the <code className="bg-gray-100 px-1 rounded">useRateLimit</code> hook; without one, the default
+          applies.
         </p>
 
-        <div className="overflow-x-auto">
-          <table className="w-full text-sm">
-            <thead>
-              <tr className="border-b border-gray-200">
-                <th className="text-left py-2 px-3 font-medium text-gray-600">Action</th>
-                <th className="text-left py-2 px-3 font-medium text-gray-600">Limit</th>
-                <th className="text-left py-2 px-3 font-medium text-gray-600">Scope</th>
-                <th className="text-left py-2 px-3 font-medium text-gray-600">Configured In</th>
-              </tr>
-            </thead>
-            <tbody>
-              {limits.map((limit) => (
-                <tr key={limit.action} className="border-b border-gray-100">
-                  <td className="py-2 px-3 font-medium text-gray-900">{limit.action}</td>
-                  <td className="py-2 px-3 text-gray-700">{limit.limit}</td>
-                  <td className="py-2 px-3 text-gray-500">{limit.scope}</td>
-                  <td className="py-2 px-3">
-                    <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-600">
-                      {limit.configurable}
-                    </span>
-                  </td>
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4 text-red-700 text-sm">
+            {error}
+          </div>
+        )}
+
+        {!readOnly && (
+          <div className="flex items-center gap-2 mb-4">
+            <input
+              type="text"
+              value={newAction}
+              onChange={(e) => setNewAction(e.target.value.toLowerCase().replace(/[^a-z0-9-]/g, ''))}
+              onKeyDown={(e) => e.key === 'Enter' && addOverride()}
+              placeholder="Action name (e.g. create-app)"
+              className="flex-1 px-4 py-2 border-2 border-gray-200 rounded-lg focus:outline-none focus:border-indigo-400 text-sm"
+            />
+            <button
+              onClick={addOverride}
+              disabled={!newAction.trim()}
+              className="bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-indigo-700 disabled:opacity-50 flex items-center gap-1"
+            >
+              <Plus size={16} />
+              Override
+            </button>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="text-center py-8">
+            <Loader2 className="animate-spin text-indigo-600 inline" size={24} />
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="text-left py-2 px-3 font-medium text-gray-600">Action</th>
+                  <th className="text-left py-2 px-3 font-medium text-gray-600">Limit</th>
+                  <th className="text-left py-2 px-3 font-medium text-gray-600">Enforced On</th>
+                  <th className="text-left py-2 px-3 font-medium text-gray-600">Exempt Roles</th>
+                  <th className="text-left py-2 px-3 font-medium text-gray-600">Source</th>
+                  <th className="py-2 px-3" />
                 </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.action} className="border-b border-gray-100">
+                    <td className="py-2 px-3 font-medium text-gray-900">{row.action}</td>
+                    <td className="py-2 px-3 text-gray-700">{row.limit}</td>
+                    <td className="py-2 px-3">
+                      {row.collection ? (
+                        <span className="font-mono text-xs bg-gray-100 text-gray-600 px-2 py-0.5 rounded">
+                          {row.collection}
+                        </span>
+                      ) : (
+                        <span className="text-gray-400 text-xs">Client only</span>
+                      )}
+                    </td>
+                    <td className="py-2 px-3 text-gray-500">{row.exemptRoles.join(', ') || '—'}</td>
+                    <td className="py-2 px-3">
+                      <span className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${
+                        row.source === 'Firestore' ? 'bg-indigo-100 text-indigo-700' : 'bg-gray-100 text-gray-600'
+                      }`}>
+                        {row.source}
+                      </span>
+                    </td>
+                    <td className="py-2 px-3">
+                      {!readOnly && (
+                        <div className="flex items-center justify-end gap-1">
+                          <button
+                            onClick={() => startEdit(row.action)}
+                            aria-label={`Edit ${row.action}`}
+                            className="p-1.5 text-gray-400 hover:text-indigo-600 transition-colors"
+                          >
+                            <Pencil size={16} />
+                          </button>
+                          {row.source === 'Firestore' && (
+                            <button
+                              onClick={() => resetOverride(row.action)}
+                              aria-label={`Reset ${row.action}`}
+                              className="p-1.5 text-gray-400 hover:text-red-500 transition-colors"
+                            >
+                              <RotateCcw size={16} />
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {editing && (
+          <div className="mt-4 p-4 bg-gray-50 rounded-lg">
+            <h3 className="font-medium text-gray-900 text-sm mb-3">Override for {editing}</h3>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-3">
+              <label className="text-xs text-gray-600">
+                Max actions
+                <input
+                  type="number"
+                  min={1}
+                  value={form.max}
+                  onChange={(e) => setForm(prev => ({ ...prev, max: e.target.value }))}
+                  className="mt-1 w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:outline-none focus:border-indigo-400 text-sm"
+                />
+              </label>
+              <label className="text-xs text-gray-600">
+                Window (seconds)
+                <input
+                  type="number"
+                  min={1}
+                  value={form.windowSeconds}
+                  onChange={(e) => setForm(prev => ({ ...prev, windowSeconds: e.target.value }))}
+                  className="mt-1 w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:outline-none focus:border-indigo-400 text-sm"
+                />
+              </label>
+              <label className="text-xs text-gray-600">
+                Exempt roles (comma-separated)
+                <input
+                  type="text"
+                  value={form.exemptRoles}
+                  onChange={(e) => setForm(prev => ({ ...prev, exemptRoles: e.target.value }))}
+                  placeholder="admin"
+                  className="mt-1 w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:outline-none focus:border-indigo-400 text-sm"
+                />
+              </label>
+            </div>
+            <div className="flex items-center justify-end gap-2">
+              <button
+                onClick={() => setEditing(null)}
+                className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={saveOverride}
+                disabled={saving}
+                className="bg-indigo-600 text-white px-4 py-1.5 rounded-lg text-sm font-medium hover:bg-indigo-700 disabled:opacity-50 flex items-center gap-1"
+              >
+                {saving && <Loader2 size={14} className="animate-spin" />}
+                Save
+              </button>
+            </div>
+          </div>
+        )}
       </div>
 
       <div className="bg-white rounded-xl shadow-sm p-6">
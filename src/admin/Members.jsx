@@ -0,0 +1,211 @@
+import { useState, useEffect, useCallback } from 'react';
+import { collection, getDocs } from 'firebase/firestore';
+import { Users, Loader2, Plus, Trash2 } from 'lucide-react';
+import { useAuth } from '../firestore-utils/auth-context';
+import { useRateLimit } from '../guardrails/useRateLimit';
+import { MEMBERS_COLLECTION, ROLES, ROLE_PERMISSIONS, canGrant, grantRole, revokeRole } from '../guardrails/roles';
+
+const EMPTY_FORM = { uid: '', email: '', role: 'viewer' };
+
+const Members = ({ db, role }) => {
+  const { user } = useAuth();
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const rateLimit = useRateLimit('member-action', 30, { db, userId: user?.uid });
+
+  const granter = { uid: user?.uid, role };
+  const grantable = ROLES.filter(r => canGrant(role, r));
+
+  const loadMembers = useCallback(async () => {
+    const snap = await getDocs(collection(db, MEMBERS_COLLECTION));
+    return snap.docs
+      .map(d => ({ uid: d.id, email: d.data().email || '', role: d.data().role || null }))
+      .sort((a, b) => ROLES.indexOf(a.role) - ROLES.indexOf(b.role) || a.email.localeCompare(b.email));
+  }, [db]);
+
+  useEffect(() => {
+    if (!db) return;
+    let mounted = true;
+    loadMembers()
+      .then((loaded) => {
+        if (mounted) setMembers(loaded);
+      })
+      .catch((err) => {
+        if (mounted) {
+          console.error('Error loading members:', err);
+          setError('Failed to load members');
+        }
+      })
+      .finally(() => {
+        if (mounted) setLoading(false);
+      });
+    return () => { mounted = false; };
+  }, [loadMembers, db]);
+
+  const upsert = (member) => setMembers(prev => [...prev.filter(m => m.uid !== member.uid), member]);
+
+  const addMember = async () => {
+    const uid = form.uid.trim();
+    if (!uid) return;
+    if (!rateLimit.check()) { setError('Rate limit exceeded'); return; }
+    const existing = members.find(m => m.uid === uid);
+    const member = { uid, email: form.email.trim() || existing?.email || '', role: existing?.role };
+    try {
+      setSaving(true);
+      setError(null);
+      await grantRole(db, granter, member, form.role);
+      upsert({ ...member, role: form.role });
+      setForm(EMPTY_FORM);
+    } catch (err) {
+      console.error('Error granting role:', err);
+      setError(err.message || 'Failed to grant role');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const changeRole = async (member, next) => {
+    if (!rateLimit.check()) { setError('Rate limit exceeded'); return; }
+    try {
+      setError(null);
+      await grantRole(db, granter, member, next);
+      upsert({ ...member, role: next });
+    } catch (err) {
+      console.error('Error changing role:', err);
+      setError(err.message || 'Failed to change role');
+    }
+  };
+
+  const removeMember = async (member) => {
+    if (!rateLimit.check()) { setError('Rate limit exceeded'); return; }
+    try {
+      setError(null);
+      await revokeRole(db, granter, member);
+      setMembers(prev => prev.filter(m => m.uid !== member.uid));
+    } catch (err) {
+      console.error('Error revoking role:', err);
+      setError(err.message || 'Failed to revoke role');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
+        <Users size={20} className="text-indigo-600" />
+        Members
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Roles are stored in the <code className="bg-gray-100 px-1 rounded">admins</code> collection and checked by
+        both the UI and <code className="bg-gray-100 px-1 rounded">firestore.rules</code>. Owners can grant any role;
+        admins can grant editor and viewer. Nobody can change their own role.
+      </p>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4 text-red-700 text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-2 mb-4">
+        <input
+          type="text"
+          value={form.uid}
+          onChange={(e) => setForm(prev => ({ ...prev, uid: e.target.value }))}
+          placeholder="User ID"
+          className="px-4 py-2 border-2 border-gray-200 rounded-lg focus:outline-none focus:border-indigo-400 text-sm"
+        />
+        <input
+          type="email"
+          value={form.email}
+          onChange={(e) => setForm(prev => ({ ...prev, email: e.target.value }))}
+          placeholder="Email (for display)"
+          className="px-4 py-2 border-2 border-gray-200 rounded-lg focus:outline-none focus:border-indigo-400 text-sm"
+        />
+        <select
+          value={form.role}
+          onChange={(e) => setForm(prev => ({ ...prev, role: e.target.value }))}
+          aria-label="Role"
+          className="px-4 py-2 border-2 border-gray-200 rounded-lg focus:outline-none focus:border-indigo-400 text-sm"
+        >
+          {grantable.map(r => <option key={r} value={r}>{r}</option>)}
+        </select>
+        <button
+          onClick={addMember}
+          disabled={saving || !form.uid.trim()}
+          className="bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-indigo-700 disabled:opacity-50 flex items-center justify-center gap-1"
+        >
+          {saving ? <Loader2 size={16} className="animate-spin" /> : <Plus size={16} />}
+          Grant
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-8">
+          <Loader2 className="animate-spin text-indigo-600 inline" size={24} />
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200">
+                <th className="text-left py-2 px-3 font-medium text-gray-600">Member</th>
+                <th className="text-left py-2 px-3 font-medium text-gray-600">Role</th>
+                <th className="text-left py-2 px-3 font-medium text-gray-600">Permissions</th>
+                <th className="py-2 px-3" />
+              </tr>
+            </thead>
+            <tbody>
+              {members.map((member) => {
+                const editable = member.uid !== user?.uid && (!member.role || canGrant(role, member.role));
+                return (
+                  <tr key={member.uid} className="border-b border-gray-100">
+                    <td className="py-2 px-3">
+                      <p className="font-medium text-gray-900">{member.email || member.uid}</p>
+                      {member.email && <p className="text-xs text-gray-400 font-mono">{member.uid}</p>}
+                    </td>
+                    <td className="py-2 px-3">
+                      {editable ? (
+                        <select
+                          value={member.role || ''}
+                          onChange={(e) => changeRole(member, e.target.value)}
+                          aria-label={`Role for ${member.email || member.uid}`}
+                          className="px-2 py-1 border border-gray-200 rounded text-sm"
+                        >
+                          {!member.role && <option value="">none</option>}
+                          {grantable.map(r => <option key={r} value={r}>{r}</option>)}
+                        </select>
+                      ) : (
+                        <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-indigo-100 text-indigo-700">
+                          {member.role || 'none'}
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-2 px-3 text-gray-500 text-xs">
+                      {(ROLE_PERMISSIONS[member.role] || []).join(', ') || '—'}
+                    </td>
+                    <td className="py-2 px-3 text-right">
+                      {editable && member.role && (
+                        <button
+                          onClick={() => removeMember(member)}
+                          aria-label={`Revoke ${member.email || member.uid}`}
+                          className="p-1.5 text-gray-400 hover:text-red-500 transition-colors"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Members;
@@ -0,0 +1,76 @@
+import { useState } from 'react';
+import { MessageCircle, Loader2 } from 'lucide-react';
+import { useAuth } from '../firestore-utils/auth-context';
+import { useRateLimit } from '../guardrails/useRateLimit';
+import { reconcileReplyCounts } from '../firestore-utils/post-storage';
+
+// Recounts every post's replies and fixes any replyCount that has drifted.
+const ReplyCounts = ({ db }) => {
+  const { user } = useAuth();
+  const [running, setRunning] = useState(false);
+  const [fixes, setFixes] = useState(null);
+  const [error, setError] = useState(null);
+  const rateLimit = useRateLimit('reconcile-replies', 5, { db, userId: user?.uid });
+
+  const run = async () => {
+    if (!user) return;
+    if (!rateLimit.check()) { setError('Rate limit exceeded'); return; }
+    setRunning(true);
+    setError(null);
+    setFixes(null);
+    try {
+      setFixes(await reconcileReplyCounts(db, user.uid));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 mt-6">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h3 className="font-medium text-gray-900 flex items-center gap-2">
+            <MessageCircle size={18} className="text-indigo-600" />
+            Reply counts
+          </h3>
+          <p className="text-sm text-gray-600 mt-1">Recount replies on every post and fix counts that have drifted.</p>
+        </div>
+        <button
+          onClick={run}
+          disabled={running}
+          className="bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-indigo-700 disabled:opacity-50 flex items-center gap-1"
+        >
+          {running && <Loader2 size={16} className="animate-spin" />}
+          Recount
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 mt-4 text-red-700 text-sm">
+          {error}
+        </div>
+      )}
+
+      {fixes && (
+        <div className="mt-4 text-sm text-gray-700">
+          {fixes.length === 0 ? (
+            <p>All reply counts are correct.</p>
+          ) : (
+            <>
+              <p className="mb-2">Fixed {fixes.length} {fixes.length === 1 ? 'post' : 'posts'}:</p>
+              <ul className="space-y-1 font-mono text-xs">
+                {fixes.map(fix => (
+                  <li key={fix.postId}>{fix.postId}: {fix.before} → {fix.after}</li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReplyCounts;
@@ -0,0 +1,145 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router';
+import { AlertTriangle, Loader2, EyeOff, Eye, Trash2, X } from 'lucide-react';
+import { useAuth } from '../firestore-utils/auth-context';
+import { useRateLimit } from '../guardrails/useRateLimit';
+import { getPost, getReply } from '../firestore-utils/post-storage';
+import { getOpenReports, moderate } from '../firestore-utils/moderation';
+import { markdownToText } from '../firestore-utils/markdown';
+
+const REASON_LABELS = { spam: 'Spam', harassment: 'Harassment', 'off-topic': 'Off-topic', other: 'Other' };
+
+// Open reports, one card per reported item, oldest report first. The item is
+// loaded alongside so moderators see what they are acting on; null means it
+// has been deleted since.
+const loadQueue = async (db) => {
+  const reports = await getOpenReports(db);
+  const byTarget = new Map();
+  for (const report of reports) {
+    if (!byTarget.has(report.targetId)) byTarget.set(report.targetId, { ...report, reports: [] });
+    byTarget.get(report.targetId).reports.push(report);
+  }
+  const items = [...byTarget.values()];
+  const targets = await Promise.all(items.map(item =>
+    (item.targetType === 'posts' ? getPost(db, item.targetId) : getReply(db, item.targetId))));
+  return items.map((item, i) => ({ ...item, target: targets[i] }));
+};
+
+const Reports = ({ db }) => {
+  const { user } = useAuth();
+  const [queue, setQueue] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const rateLimit = useRateLimit('moderate', 60, { db, userId: user?.uid });
+
+  useEffect(() => {
+    let mounted = true;
+    loadQueue(db)
+      .then((loaded) => {
+        if (mounted) setQueue(loaded);
+      })
+      .catch((err) => {
+        console.error('Error loading reports:', err);
+        if (mounted) {
+          setQueue([]);
+          setError('Failed to load reports');
+        }
+      });
+    return () => { mounted = false; };
+  }, [db]);
+
+  const act = async (item, action) => {
+    if (!user) return;
+    if (action === 'delete' && !window.confirm(`Delete this ${item.targetType === 'posts' ? 'post and its replies' : 'reply'}?`)) return;
+    if (!rateLimit.check()) { setError('Rate limit exceeded'); return; }
+    setBusy(item.targetId);
+    setError(null);
+    try {
+      await moderate(db, item, action, user.uid);
+      setQueue(current => current.filter(other => other.targetId !== item.targetId));
+    } catch (err) {
+      console.error(`Error moderating ${item.targetId}:`, err);
+      setError(err.message || 'Moderation failed');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const actionButton = (item, action, Icon, label, className) => (
+    <button
+      onClick={() => act(item, action)}
+      disabled={busy === item.targetId}
+      className={`flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm font-medium disabled:opacity-50 ${className}`}
+    >
+      <Icon size={14} />
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6">
+      <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2 mb-1">
+        <AlertTriangle size={20} className="text-indigo-600" />
+        Reports
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">Posts and replies users have reported. Every action closes all reports on the item.</p>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4 text-red-700 text-sm">
+          {error}
+        </div>
+      )}
+
+      {queue === null ? (
+        <div className="flex justify-center py-8">
+          <Loader2 size={24} className="animate-spin text-gray-400" />
+        </div>
+      ) : queue.length === 0 ? (
+        <p className="text-sm text-gray-500 py-4">No open reports.</p>
+      ) : (
+        <ul className="space-y-4">
+          {queue.map(item => (
+            <li key={item.targetId} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex items-center justify-between gap-4 mb-2 text-sm">
+                <span className="font-medium text-gray-900">
+                  {item.targetType === 'posts' ? 'Post' : 'Reply'}
+                  {item.target?.hidden && <span className="ml-2 text-xs text-amber-700 bg-amber-50 px-2 py-0.5 rounded">hidden</span>}
+                </span>
+                <Link to={`/post?id=${item.postId}`} className="text-indigo-600 hover:text-indigo-700">View post</Link>
+              </div>
+
+              {item.target ? (
+                <blockquote className="text-sm text-gray-700 border-l-2 border-gray-200 pl-3 mb-3">
+                  {item.target.title && <p className="font-medium">{item.target.title}</p>}
+                  <p className="line-clamp-3">{markdownToText(item.target.content)}</p>
+                  <p className="text-xs text-gray-500 mt-1">by {item.target.authorName}</p>
+                </blockquote>
+              ) : (
+                <p className="text-sm italic text-gray-500 mb-3">This item has already been deleted.</p>
+              )}
+
+              <ul className="text-xs text-gray-600 space-y-1 mb-3">
+                {item.reports.map(report => (
+                  <li key={report.id}>
+                    <span className="font-medium">{REASON_LABELS[report.reason] || report.reason}</span>
+                    {report.details && <span>: {report.details}</span>}
+                    <span className="text-gray-400"> · {report.createdAt.toLocaleDateString()}</span>
+                  </li>
+                ))}
+              </ul>
+
+              <div className="flex flex-wrap gap-2">
+                {item.target && !item.target.hidden && actionButton(item, 'hide', EyeOff, 'Hide', 'bg-amber-100 text-amber-800 hover:bg-amber-200')}
+                {item.target?.hidden && actionButton(item, 'restore', Eye, 'Restore', 'bg-green-100 text-green-800 hover:bg-green-200')}
+                {item.target && actionButton(item, 'delete', Trash2, 'Delete', 'bg-red-100 text-red-700 hover:bg-red-200')}
+                {actionButton(item, 'dismiss', X, 'Dismiss', 'bg-gray-100 text-gray-700 hover:bg-gray-200')}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default Reports;
@@ -1,34 +0,0 @@
-import { useState, useEffect } from 'react';
-import { doc, getDoc } from 'firebase/firestore';
-import { useAuth } from '../firestore-utils/auth-context';
-
-export const useIsAdmin = (db) => {
-  const { user } = useAuth();
-  const [isAdmin, setIsAdmin] = useState(false);
-  const [checking, setChecking] = useState(true);
-
-  useEffect(() => {
-    if (!user || !db) return;
-
-    let mounted = true;
-    const check = async () => {
-      try {
-        const ref = doc(db, 'admins', user.uid);
-        const snap = await getDoc(ref);
-        if (mounted) setIsAdmin(snap.exists());
-      } catch {
-        if (mounted) setIsAdmin(false);
-      } finally {
-        if (mounted) setChecking(false);
-      }
-    };
-    check();
-    return () => { mounted = false; };
-  }, [db, user]);
-
-  if (!user || !db) {
-    return { isAdmin: false, checking: false };
-  }
-
-  return { isAdmin, checking };
-};
@@ -0,0 +1,40 @@
+import { useState, useEffect } from 'react';
+import { doc, getDoc } from 'firebase/firestore';
+import { useAuth } from '../firestore-utils/auth-context';
+import { MEMBERS_COLLECTION, hasPermission, isRole } from '../guardrails/roles';
+
+export const useRole = (db) => {
+  const { user } = useAuth();
+  const [role, setRole] = useState(null);
+  const [checking, setChecking] = useState(true);
+
+  useEffect(() => {
+    if (!user || !db) return;
+
+    let mounted = true;
+    const check = async () => {
+      try {
+        const snap = await getDoc(doc(db, MEMBERS_COLLECTION, user.uid));
+        const value = snap.exists() ? snap.data().role : null;
+        if (mounted) setRole(isRole(value) ? value : null);
+      } catch {
+        if (mounted) setRole(null);
+      } finally {
+        if (mounted) setChecking(false);
+      }
+    };
+    check();
+    return () => { mounted = false; };
+  }, [db, user]);
+
+  if (!user || !db) {
+    return { role: null, checking: false };
+  }
+
+  return { role, checking };
+};
+
+export const usePermission = (db, permission) => {
+  const { role, checking } = useRole(db);
+  return { allowed: hasPermission(role, permission), role, checking };
+};
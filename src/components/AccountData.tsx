@@ -0,0 +1,126 @@
+import { useState, FormEvent } from 'react';
+import { Firestore } from 'firebase/firestore';
+import type { User } from 'firebase/auth';
+import { Download, Trash2 } from 'lucide-react';
+import { exportMyData, exportFileName, deleteMyAccount } from '../firestore-utils/account-data';
+
+interface AccountDataProps {
+  db: Firestore;
+  user: User;
+  onDeleted: () => void;
+}
+
+const CONFIRM_WORD = 'DELETE';
+
+// "Download my data" and "Delete my account" on /profile.
+export const AccountData: React.FC<AccountDataProps> = ({ db, user, onDeleted }) => {
+  const [downloading, setDownloading] = useState(false);
+  const [confirming, setConfirming] = useState(false);
+  const [confirmText, setConfirmText] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    setError(null);
+    try {
+      const data = await exportMyData(db, user);
+      const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = exportFileName(user.uid);
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting data:', err);
+      setError('Failed to gather your data');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleDelete = async (e: FormEvent) => {
+    e.preventDefault();
+    if (confirmText !== CONFIRM_WORD) return;
+    setDeleting(true);
+    setError(null);
+    try {
+      await deleteMyAccount(db, user);
+      onDeleted();
+    } catch (err) {
+      console.error('Error deleting account:', err);
+      setError((err as { code?: string }).code === 'auth/requires-recent-login'
+        ? 'For your security, deleting your account needs a recent sign-in. Sign out, sign back in and try again.'
+        : 'Failed to delete your account. Try again to finish removing what is left.');
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && <p role="alert" className="text-sm text-red-600">{error}</p>}
+
+      <div>
+        <p className="text-gray-600 text-sm mb-2">
+          A JSON file with your profile, posts, replies, tasks, apps, reports you filed, preferences and infrastructure settings.
+        </p>
+        <button
+          onClick={handleDownload}
+          disabled={downloading || deleting}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+        >
+          <Download size={18} />
+          {downloading ? 'Preparing...' : 'Download my data'}
+        </button>
+      </div>
+
+      <div className="border-t border-gray-200 pt-4">
+        {!confirming ? (
+          <button
+            onClick={() => setConfirming(true)}
+            className="text-red-600 hover:text-red-700 font-medium flex items-center gap-2"
+          >
+            <Trash2 size={18} />
+            Delete my account
+          </button>
+        ) : (
+          <form onSubmit={handleDelete} aria-label="Delete account" className="space-y-3">
+            <p className="text-sm text-gray-700">
+              This permanently deletes your posts (with their replies and images), your replies elsewhere,
+              your tasks, apps, preferences, infrastructure settings and profile, then your sign-in.
+              It cannot be undone.
+            </p>
+            <label htmlFor="confirmDelete" className="block text-sm font-medium text-gray-700">
+              Type {CONFIRM_WORD} to confirm
+            </label>
+            <input
+              id="confirmDelete"
+              type="text"
+              autoComplete="off"
+              value={confirmText}
+              onChange={(e) => setConfirmText(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500"
+            />
+            <div className="flex gap-3">
+              <button
+                type="submit"
+                disabled={deleting || confirmText !== CONFIRM_WORD}
+                className="bg-red-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-red-700 disabled:opacity-50"
+              >
+                {deleting ? 'Deleting...' : 'Delete permanently'}
+              </button>
+              <button
+                type="button"
+                disabled={deleting}
+                onClick={() => { setConfirming(false); setConfirmText(''); }}
+                className="px-4 py-2 rounded-lg font-medium text-gray-700 hover:bg-gray-100"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,22 @@
+interface AvatarProps {
+  name: string;
+  url?: string;
+  size?: number;
+}
+
+// The profile picture, or the name's first letter when there is none.
+export const Avatar: React.FC<AvatarProps> = ({ name, url, size = 40 }) => {
+  const style = { width: size, height: size };
+  if (url) {
+    return <img src={url} alt="" style={style} className="rounded-full object-cover bg-gray-100 shrink-0" referrerPolicy="no-referrer" />;
+  }
+  return (
+    <span
+      aria-hidden="true"
+      style={{ ...style, fontSize: size / 2.5 }}
+      className="rounded-full bg-blue-100 text-blue-700 font-semibold inline-flex items-center justify-center shrink-0"
+    >
+      {name.charAt(0).toUpperCase() || '?'}
+    </span>
+  );
+};
@@ -0,0 +1,57 @@
+import { useState } from 'react';
+import { Link, useLocation } from 'react-router';
+import { Github } from 'lucide-react';
+import { useAuth } from '../firestore-utils/auth-context';
+
+// Guests can write but not publish (firestore.rules, isRegistered). The
+// compose pages keep their text in useDraft, so it is still there after
+// signing up by email or verifying the new account, in this tab.
+export const GuestUpgrade: React.FC = () => {
+  const { signInWithGitHub, signInWithGoogle } = useAuth();
+  const location = useLocation();
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  const upgrade = async (link: () => Promise<void>) => {
+    setError(null);
+    setBusy(true);
+    try {
+      await link();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not create your account');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const returnUrl = encodeURIComponent(location.pathname + location.search);
+
+  return (
+    <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-6 text-sm text-amber-800">
+      <p>You are browsing as a guest. Keep writing: create an account to publish, and your draft is kept in this tab.</p>
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          onClick={() => upgrade(signInWithGitHub)}
+          disabled={busy}
+          className="bg-gray-900 text-white px-3 py-1.5 rounded-lg font-medium hover:bg-gray-800 disabled:opacity-50 flex items-center gap-1"
+        >
+          <Github size={16} />
+          Continue with GitHub
+        </button>
+        <button
+          type="button"
+          onClick={() => upgrade(signInWithGoogle)}
+          disabled={busy}
+          className="bg-white border border-gray-300 text-gray-700 px-3 py-1.5 rounded-lg font-medium hover:bg-gray-50 disabled:opacity-50"
+        >
+          Continue with Google
+        </button>
+        <Link to={`/signup?returnUrl=${returnUrl}`} className="text-blue-600 hover:text-blue-700 font-medium">
+          Sign up with email
+        </Link>
+      </div>
+      {error && <p className="mt-2 text-red-600">{error}</p>}
+    </div>
+  );
+};
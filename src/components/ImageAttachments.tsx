@@ -0,0 +1,86 @@
+import { ChangeEvent } from 'react';
+import { ImagePlus, X } from 'lucide-react';
+
+interface ImageAttachmentsProps {
+  files: File[];
+  max: number;
+  maxBytes: number;
+  accept: string[];
+  // Fraction uploaded per file, in the same order, while publishing.
+  progress?: number[] | null;
+  disabled?: boolean;
+  onAdd: (files: File[]) => void;
+  onRemove: (index: number) => void;
+}
+
+const formatSize = (bytes: number) =>
+  (bytes < 1024 * 1024 ? `${Math.ceil(bytes / 1024)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`);
+
+// The picked files with their size, a remove button, and an upload bar once
+// progress is passed.
+export const ImageAttachments: React.FC<ImageAttachmentsProps> = ({
+  files, max, maxBytes, accept, progress, disabled = false, onAdd, onRemove,
+}) => {
+  const pick = (e: ChangeEvent<HTMLInputElement>) => {
+    onAdd(Array.from(e.target.files || []));
+    e.target.value = '';
+  };
+
+  return (
+    <div>
+      <span className="block text-sm font-medium text-gray-700 mb-2">Images</span>
+      {files.length > 0 && (
+        <ul className="space-y-2 mb-3">
+          {files.map((file, i) => (
+            <li key={`${file.name}-${i}`} className="border border-gray-200 rounded-lg px-3 py-2 text-sm">
+              <div className="flex items-center justify-between gap-3">
+                <span className="truncate text-gray-800">{file.name}</span>
+                <span className="flex items-center gap-2 shrink-0 text-gray-500">
+                  {formatSize(file.size)}
+                  {!progress && (
+                    <button
+                      type="button"
+                      onClick={() => onRemove(i)}
+                      disabled={disabled}
+                      aria-label={`Remove ${file.name}`}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                    >
+                      <X size={14} />
+                    </button>
+                  )}
+                </span>
+              </div>
+              {progress && (
+                <div
+                  role="progressbar"
+                  aria-label={`Uploading ${file.name}`}
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                  aria-valuenow={Math.round((progress[i] || 0) * 100)}
+                  className="mt-2 h-1.5 bg-gray-100 rounded-full overflow-hidden"
+                >
+                  <div className="h-full bg-blue-600 transition-all" style={{ width: `${(progress[i] || 0) * 100}%` }} />
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {files.length < max && (
+        <label className={`inline-flex items-center gap-2 text-sm font-medium text-blue-600 ${disabled ? 'opacity-50' : 'cursor-pointer hover:text-blue-700'}`}>
+          <ImagePlus size={16} />
+          Add images
+          <input
+            type="file"
+            accept={accept.join(',')}
+            multiple
+            disabled={disabled}
+            onChange={pick}
+            className="sr-only"
+          />
+        </label>
+      )}
+      <p className="text-xs text-gray-500 mt-1">Up to {max} PNG, JPEG, GIF or WebP images, {formatSize(maxBytes)} each.</p>
+    </div>
+  );
+};
@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react';
+import { Firestore } from 'firebase/firestore';
+import { getImageUrl, imagesPath } from '../firestore-utils/post-images';
+
+interface ImageGalleryProps {
+  db: Firestore;
+  postId: string;
+  paths: string[];
+}
+
+// A post's attached images, each linking to the full-size file. Paths outside
+// the post's own folder are ignored, and an image whose URL cannot be
+// resolved (e.g. deleted from Storage) is left out.
+export const ImageGallery: React.FC<ImageGalleryProps> = ({ db, postId, paths }) => {
+  const [urls, setUrls] = useState<(string | null)[]>([]);
+  const key = paths.join('\n');
+
+  useEffect(() => {
+    let mounted = true;
+    const own = key.split('\n').filter(path => path.startsWith(`${imagesPath(postId)}/`));
+    Promise.all(own.map(path => getImageUrl(db, path).catch((err) => {
+      console.error(`Error loading image ${path}:`, err);
+      return null;
+    }))).then((resolved) => {
+      if (mounted) setUrls(resolved);
+    });
+    return () => { mounted = false; };
+  }, [db, postId, key]);
+
+  const shown = urls.filter((url): url is string => !!url);
+  if (shown.length === 0) return null;
+
+  return (
+    <div className={`grid gap-2 mt-6 ${shown.length === 1 ? 'grid-cols-1' : 'grid-cols-2'}`}>
+      {shown.map((url, i) => (
+        <a key={url} href={url} target="_blank" rel="noopener noreferrer" className="block">
+          <img
+            src={url}
+            alt={`Image ${i + 1} of ${shown.length}`}
+            loading="lazy"
+            className="w-full max-h-96 object-cover rounded-lg border border-gray-200"
+          />
+        </a>
+      ))}
+    </div>
+  );
+};
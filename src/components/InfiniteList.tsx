@@ -0,0 +1,61 @@
+import { ReactNode, useEffect, useRef } from 'react';
+import { Loader2 } from 'lucide-react';
+
+interface InfiniteListProps<T> {
+  items: T[];
+  getKey: (item: T) => string;
+  renderItem: (item: T) => ReactNode;
+  hasMore: boolean;
+  loadingMore: boolean;
+  onLoadMore: () => void;
+  className?: string;
+}
+
+// Renders items and asks for the next page when the end of the list scrolls
+// into view. The "Load more" button covers keyboard users and browsers
+// without IntersectionObserver.
+export const InfiniteList = <T,>({
+  items,
+  getKey,
+  renderItem,
+  hasMore,
+  loadingMore,
+  onLoadMore,
+  className = 'space-y-4',
+}: InfiniteListProps<T>) => {
+  const sentinel = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    const node = sentinel.current;
+    if (!node || !hasMore || loadingMore || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) onLoadMore();
+    }, { rootMargin: '200px' });
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [hasMore, loadingMore, onLoadMore]);
+
+  return (
+    <>
+      <div className={className}>
+        {items.map(item => (
+          <div key={getKey(item)}>{renderItem(item)}</div>
+        ))}
+      </div>
+      {hasMore && (
+        <div ref={sentinel} className="flex justify-center py-6">
+          {loadingMore ? (
+            <Loader2 className="animate-spin text-blue-600" size={24} />
+          ) : (
+            <button onClick={onLoadMore} className="text-blue-600 hover:text-blue-700 font-medium">
+              Load more
+            </button>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default InfiniteList;
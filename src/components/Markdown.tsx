@@ -0,0 +1,64 @@
+import { Fragment } from 'react';
+import { parseMarkdown } from '../firestore-utils/markdown';
+import type { Inline } from '../firestore-utils/markdown';
+
+interface MarkdownProps {
+  source: string;
+  // Previews sit inside clickable cards, where a nested link is invalid, so
+  // links render as their text.
+  preview?: boolean;
+  className?: string;
+}
+
+const renderInline = (nodes: Inline[], preview: boolean) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'code':
+      return <code key={index} className="px-1 py-0.5 rounded bg-gray-100 font-mono text-[0.9em]">{node.text}</code>;
+    case 'strong':
+      return <strong key={index}>{renderInline(node.children, preview)}</strong>;
+    case 'em':
+      return <em key={index}>{renderInline(node.children, preview)}</em>;
+    case 'link':
+      return preview
+        ? <span key={index} className="text-blue-600">{renderInline(node.children, preview)}</span>
+        : (
+          <a key={index} href={node.href} target="_blank" rel="noopener nofollow" className="text-blue-600 underline hover:text-blue-700">
+            {renderInline(node.children, preview)}
+          </a>
+        );
+    default:
+      return <Fragment key={index}>{node.text}</Fragment>;
+  }
+});
+
+// Renders post and reply content. Everything comes out as React elements
+// built from parseMarkdown(), never as HTML.
+export const Markdown: React.FC<MarkdownProps> = ({ source, preview = false, className = '' }) => (
+  <div className={`space-y-3 break-words ${className}`}>
+    {parseMarkdown(source).map((block, index) => {
+      if (block.type === 'code') {
+        return (
+          <pre key={index} className="p-3 rounded-lg bg-gray-900 text-gray-100 text-sm overflow-x-auto">
+            <code className={block.lang ? `language-${block.lang}` : undefined}>{block.text}</code>
+          </pre>
+        );
+      }
+      if (block.type === 'list') {
+        const items = block.items.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item, preview)}</li>);
+        return block.ordered
+          ? <ol key={index} start={block.start} className="list-decimal pl-6 space-y-1">{items}</ol>
+          : <ul key={index} className="list-disc pl-6 space-y-1">{items}</ul>;
+      }
+      return (
+        <p key={index}>
+          {block.lines.map((line, lineIndex) => (
+            <Fragment key={lineIndex}>
+              {lineIndex > 0 && <br />}
+              {renderInline(line, preview)}
+            </Fragment>
+          ))}
+        </p>
+      );
+    })}
+  </div>
+);
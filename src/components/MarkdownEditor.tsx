@@ -0,0 +1,65 @@
+import { useState } from 'react';
+import { Markdown } from './Markdown';
+
+interface MarkdownEditorProps {
+  id: string;
+  label: string;
+  value: string;
+  onChange: (value: string) => void;
+  rows: number;
+  placeholder?: string;
+  maxLength?: number;
+}
+
+// A textarea with a Preview tab that shows the content as it will be
+// published.
+export const MarkdownEditor: React.FC<MarkdownEditorProps> = ({ id, label, value, onChange, rows, placeholder, maxLength }) => {
+  const [previewing, setPreviewing] = useState(false);
+
+  const tab = (name: string, active: boolean, select: boolean) => (
+    <button
+      type="button"
+      role="tab"
+      aria-selected={active}
+      onClick={() => setPreviewing(select)}
+      className={`px-3 py-1 rounded-md font-medium ${active ? 'bg-gray-100 text-gray-900' : 'text-gray-500 hover:text-gray-700'}`}
+    >
+      {name}
+    </button>
+  );
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <label htmlFor={id} className="block text-sm font-medium text-gray-700">
+          {label}
+        </label>
+        <div className="flex gap-1 text-sm" role="tablist">
+          {tab('Write', !previewing, false)}
+          {tab('Preview', previewing, true)}
+        </div>
+      </div>
+      {previewing ? (
+        <div className="min-h-[8rem] px-4 py-3 border border-gray-200 rounded-lg text-gray-800" aria-label={`${label} preview`}>
+          {value.trim() ? <Markdown source={value} /> : <p className="text-gray-400">Nothing to preview.</p>}
+        </div>
+      ) : (
+        <textarea
+          id={id}
+          rows={rows}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          required
+          maxLength={maxLength}
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg
+                   focus:ring-2 focus:ring-blue-500 focus:border-blue-500
+                   placeholder-gray-400 resize-y"
+          placeholder={placeholder}
+        />
+      )}
+      <p className="mt-1 text-xs text-gray-500">
+        Markdown: **bold**, *italic*, `code`, ``` fenced blocks ```, lists and [links](https://example.com).
+      </p>
+    </div>
+  );
+};
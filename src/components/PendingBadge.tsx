@@ -0,0 +1,10 @@
+import { CloudOff } from 'lucide-react';
+
+// Marks a document with writes Firestore has not confirmed yet
+// (hasPendingWrites), e.g. made while offline.
+export const PendingBadge: React.FC = () => (
+  <span className="ml-2 inline-flex items-center gap-1 text-amber-600" title="Saved on this device, waiting to sync">
+    <CloudOff size={14} aria-hidden="true" />
+    Pending sync
+  </span>
+);
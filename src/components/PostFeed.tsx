@@ -0,0 +1,225 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router';
+import { Search, MessageCircle, Loader2, ArrowUp } from 'lucide-react';
+import { Firestore } from 'firebase/firestore';
+import type { Post } from '../types';
+import type { PageCursor } from '../guardrails/define-collection';
+import { getPosts, searchPosts } from '../firestore-utils/post-storage';
+import type { PostSort } from '../firestore-utils/post-storage';
+import { highlight, snippet } from '../firestore-utils/search';
+import { markdownToText } from '../firestore-utils/markdown';
+import { InfiniteList } from './InfiniteList';
+import { Markdown } from './Markdown';
+
+export const SEARCH_DELAY_MS = 300;
+
+// The value, once it has stopped changing for delayMs.
+const useDebouncedValue = <T,>(value: T, delayMs: number): T => {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delayMs);
+    return () => clearTimeout(timer);
+  }, [value, delayMs]);
+  return debounced;
+};
+
+const Highlighted: React.FC<{ text: string; query: string }> = ({ text, query }) => (
+  <>
+    {highlight(text, query).map((part, index) => (part.match
+      ? <mark key={index} className="bg-yellow-100 text-inherit rounded px-0.5">{part.text}</mark>
+      : <span key={index}>{part.text}</span>))}
+  </>
+);
+
+// Posts a moderator has hidden stay stored but never list.
+const visible = (posts: Post[]) => posts.filter(post => !post.hidden);
+
+interface Feed {
+  sort: PostSort | null;
+  posts: Post[];
+  nextCursor: PageCursor | null;
+  loadingMore: boolean;
+  error: string | null;
+}
+
+const SORTS: { value: PostSort; label: string }[] = [
+  { value: 'new', label: 'New' },
+  { value: 'top', label: 'Top' },
+];
+
+interface Results {
+  query: string;
+  posts: Post[];
+  error: string | null;
+}
+
+interface PostFeedProps {
+  db: Firestore;
+}
+
+// Posts, newest or highest scored first, or ranked search results once the
+// user types.
+const PostFeed: React.FC<PostFeedProps> = ({ db }) => {
+  const navigate = useNavigate();
+  const [searchQuery, setSearchQuery] = useState('');
+  const debouncedQuery = useDebouncedValue(searchQuery.trim(), SEARCH_DELAY_MS);
+  const [sort, setSort] = useState<PostSort>('new');
+  const [feed, setFeed] = useState<Feed>({ sort: null, posts: [], nextCursor: null, loadingMore: false, error: null });
+  const [results, setResults] = useState<Results>({ query: '', posts: [], error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    getPosts(db, { sort })
+      .then(({ items, nextCursor }) => {
+        if (!cancelled) setFeed({ sort, posts: visible(items), nextCursor, loadingMore: false, error: null });
+      })
+      .catch((err) => {
+        console.error('Error loading posts:', err);
+        if (!cancelled) setFeed({ sort, posts: [], nextCursor: null, loadingMore: false, error: 'Failed to load posts' });
+      });
+    return () => { cancelled = true; };
+  }, [db, sort]);
+
+  useEffect(() => {
+    if (!debouncedQuery) return;
+    let cancelled = false;
+    searchPosts(db, debouncedQuery)
+      .then((posts) => {
+        if (!cancelled) setResults({ query: debouncedQuery, posts: visible(posts), error: null });
+      })
+      .catch((err) => {
+        console.error('Error searching posts:', err);
+        if (!cancelled) setResults({ query: debouncedQuery, posts: [], error: 'Search failed' });
+      });
+    return () => { cancelled = true; };
+  }, [db, debouncedQuery]);
+
+  const loadMore = useCallback(async () => {
+    if (!feed.sort || !feed.nextCursor || feed.loadingMore) return;
+    const { sort: pageSort, nextCursor: cursor } = feed;
+    setFeed(f => ({ ...f, loadingMore: true }));
+    try {
+      const { items, nextCursor } = await getPosts(db, { cursor, sort: pageSort });
+      // Drop the page if the sort changed while it loaded.
+      setFeed(f => (f.sort === pageSort ? { ...f, posts: [...f.posts, ...visible(items)], nextCursor, loadingMore: false } : f));
+    } catch (err) {
+      console.error('Error loading posts:', err);
+      setFeed(f => (f.sort === pageSort ? { ...f, loadingMore: false, error: 'Failed to load posts' } : f));
+    }
+  }, [db, feed]);
+
+  const feedLoaded = feed.sort === sort;
+
+  const searching = !!searchQuery.trim();
+  const searchLoading = searching && (searchQuery.trim() !== debouncedQuery || results.query !== debouncedQuery);
+  const error = searching ? (searchLoading ? null : results.error) : (feedLoaded ? feed.error : null);
+
+  const renderPost = (post: Post) => (
+    <button
+      onClick={() => navigate(`/post?id=${post.id}`)}
+      className="w-full bg-white rounded-xl shadow-sm p-6 text-left hover:shadow-md transition-shadow"
+    >
+      <h3 className="font-semibold text-gray-900 mb-1">
+        {searching ? <Highlighted text={post.title} query={debouncedQuery} /> : post.title}
+      </h3>
+      {searching ? (
+        <p className="text-sm text-gray-600 mb-3">
+          <Highlighted text={snippet(markdownToText(post.content), debouncedQuery)} query={debouncedQuery} />
+        </p>
+      ) : (
+        <Markdown source={post.content} preview className="text-sm text-gray-600 mb-3 max-h-24 overflow-hidden" />
+      )}
+      <div className="flex items-center gap-4 text-xs text-gray-500">
+        <span className="flex items-center gap-1" aria-label="Score">
+          <ArrowUp size={14} />
+          {post.score}
+        </span>
+        <span>{post.authorName}</span>
+        <span>{post.createdAt.toLocaleDateString()}</span>
+        <span className="flex items-center gap-1">
+          <MessageCircle size={14} />
+          {post.replyCount}
+        </span>
+      </div>
+    </button>
+  );
+
+  return (
+    <section className="mt-12">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <h2 className="text-2xl font-bold text-gray-900">{searching ? 'Search results' : sort === 'top' ? 'Top posts' : 'Recent posts'}</h2>
+        <button
+          onClick={() => navigate('/compose-post')}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-blue-700"
+        >
+          New post
+        </button>
+      </div>
+
+      <div className="flex items-center gap-3 mb-6">
+        <div className="relative flex-1">
+          <Search size={18} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="search"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            placeholder="Search posts"
+            aria-label="Search posts"
+            className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        {!searching && (
+          <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm" role="group" aria-label="Sort posts">
+            {SORTS.map(option => (
+              <button
+                key={option.value}
+                onClick={() => setSort(option.value)}
+                aria-pressed={sort === option.value}
+                className={`px-3 py-2 font-medium ${sort === option.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4 text-red-700 text-sm">
+          {error}
+        </div>
+      )}
+
+      {searching ? (
+        searchLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 size={24} className="animate-spin text-gray-400" />
+          </div>
+        ) : !error && results.posts.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">No posts match “{debouncedQuery}”.</p>
+        ) : (
+          <div className="space-y-4">
+            {results.posts.map(post => <div key={post.id}>{renderPost(post)}</div>)}
+          </div>
+        )
+      ) : !feedLoaded ? (
+        <div className="flex justify-center py-8">
+          <Loader2 size={24} className="animate-spin text-gray-400" />
+        </div>
+      ) : !error && feed.posts.length === 0 ? (
+        <p className="text-center text-gray-500 py-8">No posts yet.</p>
+      ) : (
+        <InfiniteList
+          items={feed.posts}
+          getKey={post => post.id}
+          renderItem={renderPost}
+          hasMore={!!feed.nextCursor}
+          loadingMore={feed.loadingMore}
+          onLoadMore={loadMore}
+        />
+      )}
+    </section>
+  );
+};
+
+export default PostFeed;
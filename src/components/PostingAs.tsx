@@ -0,0 +1,17 @@
+import { Link } from 'react-router';
+import type { UserProfile } from '../types';
+import { Avatar } from './Avatar';
+
+// Who a post or reply will be signed as; the name comes from the profile.
+export const PostingAs: React.FC<{ profile: UserProfile | null }> = ({ profile }) => {
+  if (!profile) return null;
+  return (
+    <div className="flex items-center gap-2 text-sm text-gray-600 mb-6">
+      <Avatar name={profile.displayName} url={profile.avatarUrl} size={24} />
+      <span>
+        Posting as <span className="font-medium text-gray-900">{profile.displayName}</span>
+      </span>
+      <Link to="/profile" className="text-blue-600 hover:text-blue-700">Edit profile</Link>
+    </div>
+  );
+};
@@ -0,0 +1,103 @@
+import { useState, FormEvent } from 'react';
+import { Link } from 'react-router';
+import { Firestore } from 'firebase/firestore';
+import type { UserProfile } from '../types';
+import { saveProfile } from '../firestore-utils/profiles';
+import { PROFILE_SCHEMA } from '../firestore-utils/schemas';
+import { Avatar } from './Avatar';
+
+interface ProfileEditorProps {
+  db: Firestore;
+  profile: UserProfile;
+  onSaved: (profile: UserProfile) => void;
+}
+
+// Name, bio and avatar as shown on /u/:uid and on new posts and replies.
+// Existing posts keep the name they were written with.
+export const ProfileEditor: React.FC<ProfileEditorProps> = ({ db, profile, onSaved }) => {
+  const [displayName, setDisplayName] = useState(profile.displayName);
+  const [bio, setBio] = useState(profile.bio);
+  const [avatarUrl, setAvatarUrl] = useState(profile.avatarUrl || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [saved, setSaved] = useState(false);
+
+  const handleSubmit = async (e: FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setSaved(false);
+    try {
+      await saveProfile(db, profile.uid, { displayName, bio, avatarUrl });
+      onSaved({
+        uid: profile.uid,
+        displayName: displayName.trim(),
+        bio: bio.trim(),
+        avatarUrl: avatarUrl.trim() || undefined,
+      });
+      setSaved(true);
+    } catch (err) {
+      console.error('Error saving profile:', err);
+      setError((err as Error).message || 'Failed to save profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+  return (
+    <form onSubmit={handleSubmit} aria-label="Public profile" className="space-y-4">
+      <div className="flex items-center gap-3">
+        <Avatar name={displayName || profile.displayName} url={avatarUrl.trim() || undefined} size={48} />
+        <Link to={`/u/${profile.uid}`} className="text-sm text-blue-600 hover:text-blue-700">View public profile</Link>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {saved && <p className="text-sm text-green-700">Profile saved.</p>}
+
+      <div>
+        <label htmlFor="displayName" className="block text-sm font-medium text-gray-700 mb-1">Display name</label>
+        <input
+          id="displayName"
+          type="text"
+          required
+          maxLength={PROFILE_SCHEMA.displayName.maxLength}
+          value={displayName}
+          onChange={(e) => setDisplayName(e.target.value)}
+          className={inputClass}
+        />
+      </div>
+      <div>
+        <label htmlFor="bio" className="block text-sm font-medium text-gray-700 mb-1">Bio</label>
+        <textarea
+          id="bio"
+          rows={3}
+          maxLength={PROFILE_SCHEMA.bio.maxLength}
+          value={bio}
+          onChange={(e) => setBio(e.target.value)}
+          className={inputClass}
+        />
+      </div>
+      <div>
+        <label htmlFor="avatarUrl" className="block text-sm font-medium text-gray-700 mb-1">Avatar URL</label>
+        <input
+          id="avatarUrl"
+          type="url"
+          maxLength={PROFILE_SCHEMA.avatarUrl.maxLength}
+          value={avatarUrl}
+          onChange={(e) => setAvatarUrl(e.target.value)}
+          placeholder="https://..."
+          className={inputClass}
+        />
+      </div>
+      <button
+        type="submit"
+        disabled={saving}
+        className="bg-blue-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50"
+      >
+        {saving ? 'Saving...' : 'Save profile'}
+      </button>
+    </form>
+  );
+};
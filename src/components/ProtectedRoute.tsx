@@ -29,6 +29,25 @@ export const RequireAuth: React.FC<RequireAuthProps> = ({ children }) => {
   return <>{children}</>;
 };
 
+interface RequireVerifiedProps {
+  children: ReactNode;
+}
+
+// RequireAuth, plus a confirmed email: firestore.rules only lets verified
+// users post (isVerified). Guests pass, since the compose pages show them
+// how to create an account instead.
+export const RequireVerified: React.FC<RequireVerifiedProps> = ({ children }) => {
+  const { user, isGuest, isVerified } = useAuth();
+  const location = useLocation();
+
+  if (user && !isGuest && !isVerified) {
+    const returnUrl = encodeURIComponent(location.pathname + location.search);
+    return <Navigate to={`/verify-email?returnUrl=${returnUrl}`} replace />;
+  }
+
+  return <RequireAuth>{children}</RequireAuth>;
+};
+
 interface RedirectIfAuthedProps {
   children: ReactNode;
 }
@@ -45,7 +64,8 @@ export const RedirectIfAuthed: React.FC<RedirectIfAuthedProps> = ({ children })
     );
   }
 
-  if (user) {
+  // Guests stay: /login and /signup are where they upgrade to an account.
+  if (user && !user.isAnonymous) {
     // If a returnUrl is present (user was trying to reach a protected route),
     // send them there; otherwise default to /profile for the /login landing flow.
     const params = new URLSearchParams(location.search);
@@ -0,0 +1,95 @@
+import { useState, FormEvent } from 'react';
+import { Flag } from 'lucide-react';
+import type { ReportReason } from '../types';
+
+const REASONS: { value: ReportReason; label: string }[] = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'harassment', label: 'Harassment or abuse' },
+  { value: 'off-topic', label: 'Off-topic' },
+  { value: 'other', label: 'Something else' },
+];
+
+interface ReportButtonProps {
+  label: string;
+  // Resolves to whether the report was stored; false keeps the form open.
+  onReport: (reason: ReportReason, details: string) => Promise<boolean>;
+}
+
+// A flag that opens a short form: pick a reason, optionally explain.
+export const ReportButton: React.FC<ReportButtonProps> = ({ label, onReport }) => {
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState<ReportReason>('spam');
+  const [details, setDetails] = useState('');
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const submit = async (e: FormEvent) => {
+    e.preventDefault();
+    setSending(true);
+    const reported = await onReport(reason, details);
+    setSending(false);
+    if (reported) {
+      setSent(true);
+      setOpen(false);
+    }
+  };
+
+  if (sent) return <span className="text-xs text-gray-500">Reported</span>;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        aria-label={`Report ${label}`}
+        aria-expanded={open}
+        className="p-1 text-gray-400 hover:text-red-600"
+      >
+        <Flag size={16} />
+      </button>
+      {open && (
+        <form
+          onSubmit={submit}
+          aria-label={`Report this ${label}`}
+          className="absolute right-0 z-10 mt-2 w-72 bg-white border border-gray-200 rounded-lg shadow-lg p-4 space-y-3 text-sm"
+        >
+          <fieldset className="space-y-1">
+            <legend className="font-medium text-gray-900 mb-1">Why are you reporting this {label}?</legend>
+            {REASONS.map(option => (
+              <label key={option.value} className="flex items-center gap-2 text-gray-700">
+                <input
+                  type="radio"
+                  name="reason"
+                  value={option.value}
+                  checked={reason === option.value}
+                  onChange={() => setReason(option.value)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </fieldset>
+          <textarea
+            aria-label="Details"
+            rows={3}
+            maxLength={500}
+            value={details}
+            onChange={(e) => setDetails(e.target.value)}
+            placeholder="Anything the moderators should know (optional)"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <div className="flex justify-end gap-3">
+            <button type="button" onClick={() => setOpen(false)} className="text-gray-600 hover:text-gray-800 font-medium">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={sending}
+              className="bg-red-600 text-white px-3 py-1.5 rounded-lg font-medium hover:bg-red-700 disabled:opacity-50"
+            >
+              {sending ? 'Sending...' : 'Report'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
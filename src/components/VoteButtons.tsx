@@ -0,0 +1,35 @@
+import { ChevronUp, ChevronDown } from 'lucide-react';
+import type { VoteValue } from '../guardrails/define-collection';
+
+interface VoteButtonsProps {
+  score: number;
+  myVote: VoteValue;
+  // Without onVote (signed out, or the user's own content) only the score shows.
+  onVote?: (value: VoteValue) => void;
+  disabled?: boolean;
+  label: string;
+}
+
+// Up and down arrows around the score. Clicking the arrow already chosen
+// withdraws the vote.
+export const VoteButtons: React.FC<VoteButtonsProps> = ({ score, myVote, onVote, disabled = false, label }) => {
+  const button = (value: 1 | -1, Icon: typeof ChevronUp, name: string, active: string) => (
+    <button
+      onClick={() => onVote?.(myVote === value ? 0 : value)}
+      disabled={disabled || !onVote}
+      aria-label={`${name} ${label}`}
+      aria-pressed={myVote === value}
+      className={`p-1 rounded disabled:cursor-default ${myVote === value ? active : 'text-gray-400'} ${onVote ? 'hover:bg-gray-100' : ''}`}
+    >
+      <Icon size={20} />
+    </button>
+  );
+
+  return (
+    <div className="flex flex-col items-center text-sm">
+      {button(1, ChevronUp, 'Upvote', 'text-orange-600')}
+      <span className="font-semibold text-gray-700" aria-label={`${label} score`}>{score}</span>
+      {button(-1, ChevronDown, 'Downvote', 'text-blue-600')}
+    </div>
+  );
+};
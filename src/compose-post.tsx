@@ -1,23 +1,65 @@
 import { useState, FormEvent } from 'react';
 import { useNavigate } from 'react-router';
 import { useAuth } from './firestore-utils/auth-context';
-import { createPost } from './firestore-utils/post-storage';
+import { createPost, attachImages } from './firestore-utils/post-storage';
+import { uploadPostImage, imageError, IMAGE_TYPES, MAX_IMAGE_BYTES } from './firestore-utils/post-images';
+import { MAX_POST_IMAGES } from './firestore-utils/schemas';
 import { useRateLimit } from './guardrails/useRateLimit';
+import { useOwnProfile } from './firestore-utils/useProfile';
+import { useDraft } from './firestore-utils/useDraft';
 import { Firestore } from 'firebase/firestore';
+import { MarkdownEditor } from './components/MarkdownEditor';
+import { ImageAttachments } from './components/ImageAttachments';
+import { PostingAs } from './components/PostingAs';
+import { GuestUpgrade } from './components/GuestUpgrade';
 
 interface ComposePostProps {
   db: Firestore;
 }
 
 const ComposePost: React.FC<ComposePostProps> = ({ db }) => {
-  const [title, setTitle] = useState('');
-  const [content, setContent] = useState('');
+  const [title, setTitle, clearTitle] = useDraft('title');
+  const [content, setContent, clearContent] = useDraft('content');
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [images, setImages] = useState<File[]>([]);
+  const [progress, setProgress] = useState<number[] | null>(null);
+  // Set when the post went up but some images did not.
+  const [publishedId, setPublishedId] = useState<string | null>(null);
 
-  const { user } = useAuth();
+  const { user, isGuest } = useAuth();
   const navigate = useNavigate();
-  const rateLimit = useRateLimit('create-post', 10);
+  const { profile } = useOwnProfile(db);
+  const rateLimit = useRateLimit('create-post', 10, { db, userId: user?.uid });
+
+  const addImages = (files: File[]) => {
+    const problem = files.map(imageError).find(Boolean);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    if (images.length + files.length > MAX_POST_IMAGES) {
+      setError(`A post can have at most ${MAX_POST_IMAGES} images`);
+      return;
+    }
+    setError(null);
+    setImages([...images, ...files]);
+  };
+
+  // storage.rules only accepts uploads to a post the uploader wrote, so the
+  // images go up once the post exists. Resolves to how many failed.
+  const uploadImages = async (postId: string): Promise<number> => {
+    setProgress(images.map(() => 0));
+    const results = await Promise.allSettled(images.map((file, i) =>
+      uploadPostImage(db, postId, i, file, user!.uid, (fraction) =>
+        setProgress(current => current && current.map((value, j) => (j === i ? fraction : value))))));
+    const paths = results.flatMap(result => (result.status === 'fulfilled' ? [result.value] : []));
+    results.forEach((result) => {
+      if (result.status === 'rejected') console.error('Error uploading image:', result.reason);
+    });
+    if (paths.length > 0) await attachImages(db, postId, paths, user!.uid);
+    return images.length - paths.length;
+  };
 
   const handleSubmit = async (e: FormEvent): Promise<void> => {
     e.preventDefault();
@@ -39,9 +81,23 @@ const ComposePost: React.FC<ComposePostProps> = ({ db }) => {
       const postId = await createPost(db, {
         title: title.trim(),
         content: content.trim(),
-        authorId: user!.uid,
-        authorName: user!.email || 'Anonymous',
       }, user!.uid);
+      clearTitle();
+      clearContent();
+
+      if (images.length > 0) {
+        let failed = images.length;
+        try {
+          failed = await uploadImages(postId);
+        } catch (err) {
+          console.error('Error attaching images:', err);
+        }
+        if (failed > 0) {
+          setPublishedId(postId);
+          setError(`Your post was published, but ${failed} of ${images.length} images could not be uploaded.`);
+          return;
+        }
+      }
 
       navigate(`/post?id=${postId}`);
     } catch (err) {
@@ -86,9 +142,19 @@ const ComposePost: React.FC<ComposePostProps> = ({ db }) => {
           {error && (
             <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
               <p className="text-red-600">{error}</p>
+              {publishedId && (
+                <button
+                  onClick={() => navigate(`/post?id=${publishedId}`)}
+                  className="mt-2 text-blue-600 hover:text-blue-700 font-medium"
+                >
+                  View post
+                </button>
+              )}
             </div>
           )}
 
+          {isGuest ? <GuestUpgrade /> : <PostingAs profile={profile} />}
+
           <form onSubmit={handleSubmit} className="space-y-6">
             <div>
               <label 
@@ -111,25 +177,25 @@ const ComposePost: React.FC<ComposePostProps> = ({ db }) => {
               />
             </div>
 
-            <div>
-              <label 
-                htmlFor="content" 
-                className="block text-sm font-medium text-gray-700 mb-2"
-              >
-                Content
-              </label>
-              <textarea
-                id="content"
-                rows={12}
-                value={content}
-                onChange={(e) => setContent(e.target.value)}
-                required
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg 
-                         focus:ring-2 focus:ring-blue-500 focus:border-blue-500
-                         placeholder-gray-400 resize-y"
-                placeholder="Provide more details..."
-              />
-            </div>
+            <MarkdownEditor
+              id="content"
+              label="Content"
+              rows={12}
+              value={content}
+              onChange={setContent}
+              placeholder="Provide more details..."
+            />
+
+            <ImageAttachments
+              files={images}
+              max={MAX_POST_IMAGES}
+              maxBytes={MAX_IMAGE_BYTES}
+              accept={IMAGE_TYPES}
+              progress={progress}
+              disabled={isSubmitting}
+              onAdd={addImages}
+              onRemove={(index) => setImages(images.filter((_, i) => i !== index))}
+            />
 
             <div className="flex items-center justify-between">
               <button
@@ -141,9 +207,9 @@ const ComposePost: React.FC<ComposePostProps> = ({ db }) => {
               </button>
               <button
                 type="submit"
-                disabled={isSubmitting}
+                disabled={isSubmitting || !!publishedId || isGuest}
                 className={`px-6 py-3 rounded-full text-white font-medium
-                         ${isSubmitting 
+                         ${isSubmitting || isGuest 
                            ? 'bg-blue-400 cursor-not-allowed' 
                            : 'bg-blue-600 hover:bg-blue-700'
                          }`}
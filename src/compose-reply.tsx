@@ -1,10 +1,16 @@
 import { useState, useEffect, FormEvent } from 'react';
 import { useNavigate, useSearchParams } from 'react-router';
 import { useAuth } from './firestore-utils/auth-context';
-import { getPost, addReply } from './firestore-utils/post-storage';
+import { getPost, getReply, addReply } from './firestore-utils/post-storage';
 import { useRateLimit } from './guardrails/useRateLimit';
+import { useOwnProfile } from './firestore-utils/useProfile';
+import { useDraft } from './firestore-utils/useDraft';
 import { Firestore } from 'firebase/firestore';
-import type { Post } from './types';
+import { Markdown } from './components/Markdown';
+import { MarkdownEditor } from './components/MarkdownEditor';
+import { PostingAs } from './components/PostingAs';
+import { GuestUpgrade } from './components/GuestUpgrade';
+import type { Post, Reply } from './types';
 
 interface ComposeReplyProps {
   db: Firestore;
@@ -14,22 +20,30 @@ const ComposeReply: React.FC<ComposeReplyProps> = ({ db }) => {
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
   const postId = searchParams.get('id');
+  // Set when answering a reply rather than the post itself.
+  const parentId = searchParams.get('parent');
 
-  const [content, setContent] = useState('');
+  const [content, setContent, clearContent] = useDraft('content');
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [post, setPost] = useState<Post | null>(null);
+  const [parent, setParent] = useState<Reply | null>(null);
   const [loading, setLoading] = useState(true);
 
-  const { user } = useAuth();
-  const rateLimit = useRateLimit('add-reply', 20);
+  const { user, isGuest } = useAuth();
+  const { profile } = useOwnProfile(db);
+  const rateLimit = useRateLimit('add-reply', 20, { db, userId: user?.uid });
 
   useEffect(() => {
     const loadPost = async (): Promise<void> => {
       try {
         if (postId) {
-          const fetchedPost = await getPost(db, postId);
+          const [fetchedPost, fetchedParent] = await Promise.all([
+            getPost(db, postId),
+            parentId ? getReply(db, parentId) : Promise.resolve(null),
+          ]);
           setPost(fetchedPost);
+          setParent(fetchedParent && fetchedParent.postId === postId ? fetchedParent : null);
         }
       } catch (err) {
         console.error('Error loading post:', err);
@@ -42,7 +56,7 @@ const ComposeReply: React.FC<ComposeReplyProps> = ({ db }) => {
     if (postId) {
       loadPost();
     }
-  }, [db, postId]);
+  }, [db, postId, parentId]);
 
   const handleSubmit = async (e: FormEvent): Promise<void> => {
     e.preventDefault();
@@ -61,11 +75,8 @@ const ComposeReply: React.FC<ComposeReplyProps> = ({ db }) => {
     setError(null);
 
     try {
-      await addReply(db, postId!, {
-        content: content.trim(),
-        authorId: user!.uid,
-        authorName: user!.email || 'Anonymous',
-      }, user!.uid);
+      await addReply(db, postId!, content.trim(), user!.uid, parent?.id);
+      clearContent();
 
       navigate(`/post?id=${postId}`);
     } catch (err) {
@@ -100,11 +111,11 @@ const ComposeReply: React.FC<ComposeReplyProps> = ({ db }) => {
     );
   }
 
-  if (!post) {
+  if (!post || (parentId && !parent)) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <div className="text-center">
-          <p className="text-gray-600">Post not found</p>
+          <p className="text-gray-600">{post ? 'Reply not found' : 'Post not found'}</p>
         </div>
       </div>
     );
@@ -123,6 +134,12 @@ const ComposeReply: React.FC<ComposeReplyProps> = ({ db }) => {
         <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
           <h2 className="text-sm font-medium text-gray-500 mb-1">Replying to</h2>
           <h3 className="text-lg font-semibold text-gray-900">{post.title}</h3>
+          {parent && (
+            <blockquote className="mt-3 pl-4 border-l-2 border-gray-200 text-sm text-gray-700">
+              <p className="font-medium text-gray-500 mb-1">{parent.authorName} wrote:</p>
+              <Markdown source={parent.content} className="max-h-32 overflow-hidden" />
+            </blockquote>
+          )}
         </div>
 
         <div className="bg-white rounded-lg shadow-sm p-8">
@@ -136,26 +153,17 @@ const ComposeReply: React.FC<ComposeReplyProps> = ({ db }) => {
             </div>
           )}
 
+          {isGuest ? <GuestUpgrade /> : <PostingAs profile={profile} />}
+
           <form onSubmit={handleSubmit} className="space-y-6">
-            <div>
-              <label 
-                htmlFor="reply-content" 
-                className="block text-sm font-medium text-gray-700 mb-2"
-              >
-                Write your reply
-              </label>
-              <textarea
-                id="reply-content"
-                rows={10}
-                value={content}
-                onChange={(e) => setContent(e.target.value)}
-                required
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg 
-                         focus:ring-2 focus:ring-blue-500 focus:border-blue-500
-                         placeholder-gray-400 resize-y"
-                placeholder="Share your thoughts..."
-              />
-            </div>
+            <MarkdownEditor
+              id="reply-content"
+              label="Write your reply"
+              rows={10}
+              value={content}
+              onChange={setContent}
+              placeholder="Share your thoughts..."
+            />
 
             <div className="flex items-center justify-between">
               <button
@@ -167,9 +175,9 @@ const ComposeReply: React.FC<ComposeReplyProps> = ({ db }) => {
               </button>
               <button
                 type="submit"
-                disabled={isSubmitting}
+                disabled={isSubmitting || isGuest}
                 className={`px-6 py-3 rounded-full text-white font-medium
-                         ${isSubmitting 
+                         ${isSubmitting || isGuest 
                            ? 'bg-blue-400 cursor-not-allowed' 
                            : 'bg-blue-600 hover:bg-blue-700'
                          }`}
@@ -4,6 +4,7 @@ import { useNavigate } from 'react-router';
 import { doc, getDoc, Firestore } from 'firebase/firestore';
 import { safeSet, safeUpdate } from './guardrails/safe-firestore';
 import { validate } from './guardrails/validate';
+import { USER_APP_SCHEMA } from './firestore-utils/schemas';
 import { useRateLimit } from './guardrails/useRateLimit';
 import { 
   Check, AlertTriangle, Loader2, Github, Server, 
@@ -15,7 +16,7 @@ interface CreateAppProps {
 }
 
 const APPS_COLLECTION = 'user_apps';
-const ALLOW_FIELDS = ['user_id', 'app_name', 'app_description', 'github_repo', 'github_repo_url', 'gcp_project_id', 'discord_webhook', 'discord_channel_id', 'status', 'vm_ip', 'vm_name', 'error'];
+const ALLOW_FIELDS = ['user_id', 'app_name', 'app_description', 'github_repo', 'github_repo_url', 'gcp_project_id', 'discord_webhook', 'discord_channel_id', 'status', 'vm_ip', 'vm_name', 'error', 'created_at'];
 
 const STEPS = [
   { id: 1, title: 'App Details', icon: '1' },
@@ -39,7 +40,7 @@ const CreateApp: React.FC<CreateAppProps> = ({ db }) => {
   const [creating, setCreating] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
-  const rateLimit = useRateLimit('create-app', 5);
+  const rateLimit = useRateLimit('create-app', 5, { db, userId: user?.uid });
 
   useEffect(() => {
     const loadInfraConfig = async (): Promise<void> => {
@@ -256,12 +257,10 @@ npm start
         discord_webhook: discordWebhook,
         discord_channel_id: discordChannelId,
         status: 'provisioning',
+        created_at: new Date().toISOString(),
       };
 
-      const errors = validate(appData, {
-        user_id: { type: 'string', required: true },
-        app_name: { type: 'string', required: true, minLength: 3, maxLength: 50 },
-      });
+      const errors = validate(appData, USER_APP_SCHEMA);
       if (errors) { setError(Object.values(errors)[0] as string); setCreating(false); return; }
 
       await safeSet(db, APPS_COLLECTION, `${user.uid}_${appName}`, appData, user.uid, { allowFields: ALLOW_FIELDS });
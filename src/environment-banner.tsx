@@ -1,12 +1,14 @@
 import { ReactNode } from 'react';
+import { usingEmulators, EMULATOR_PROJECT_ID } from './firebase';
 
 interface BannerProps {
-  type: 'localhost' | 'staging' | 'production';
+  type: 'emulator' | 'localhost' | 'staging' | 'production';
   children: ReactNode;
 }
 
 const Banner: React.FC<BannerProps> = ({ type, children }) => {
   const colors: Record<string, string> = {
+    emulator: 'bg-purple-600',
     localhost: 'bg-yellow-500',
     staging: 'bg-orange-500',
     production: 'bg-blue-600'
@@ -31,6 +33,15 @@ const EnvironmentBanner: React.FC = () => {
     return v.substring(0, 7);
   };
 
+  // Checked first: the emulators are usually run on localhost too.
+  if (usingEmulators) {
+    return (
+      <Banner type="emulator">
+        EMULATOR | DB: {EMULATOR_PROJECT_ID} | v{formatVersion(version)}
+      </Banner>
+    );
+  }
+
   if (isLocalhost) {
     return (
       <Banner type="localhost">
@@ -1,18 +1,55 @@
 import { initializeApp, FirebaseApp } from 'firebase/app';
-import { getFirestore, Firestore } from 'firebase/firestore';
+import {
+  getFirestore,
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  connectFirestoreEmulator,
+  Firestore,
+} from 'firebase/firestore';
+import { getAuth, connectAuthEmulator, Auth } from 'firebase/auth';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
 import { initializeAppCheck, ReCaptchaV3Provider, AppCheck } from 'firebase/app-check';
 
 const rawEnv = (import.meta.env.VITE_APP_ENV || '').trim().toLowerCase();
 const VALID_ENVS = ['production', 'staging', 'development'];
 if (rawEnv && !VALID_ENVS.includes(rawEnv)) {
-  console.warn(`Invalid VITE_APP_ENV "${rawEnv}" — expected "production" or "staging". Falling back to staging.`);
+  console.warn(`Invalid VITE_APP_ENV "${rawEnv}" — expected "production", "staging" or "development". Falling back to staging.`);
 }
 const isProduction = rawEnv === 'production';
 const suffix = isProduction ? 'PRODUCTION' : 'STAGING';
 
+// development talks to the local emulators (`npm run emulators`, seeded by
+// `npm run seed`) instead of a real project; VITE_USE_FIREBASE_EMULATOR set
+// to 'true' or 'false' overrides that in any environment.
+const emulatorFlag = import.meta.env.VITE_USE_FIREBASE_EMULATOR;
+export const usingEmulators = emulatorFlag ? emulatorFlag === 'true' : rawEnv === 'development';
+
+// A demo- project id keeps the emulators from reaching any real resource.
+// The ports are the ones in firebase.json.
+export const EMULATOR_PROJECT_ID = 'demo-secureagentbase';
+const EMULATOR_HOST = '127.0.0.1';
+export const EMULATOR_PORTS = { auth: 9099, firestore: 8080, storage: 9199 };
+
+// Opt-in: keep Firestore's cache in IndexedDB, shared by every open tab, so
+// pages load from it and writes queue across reloads while offline. Off, the
+// cache lives in memory and queued writes are lost when the tab closes.
+export const persistenceEnabled = import.meta.env.VITE_FIRESTORE_PERSISTENCE === 'true';
+
 const appCheckSiteKey = import.meta.env[`VITE_FIREBASE_APP_CHECK_SITE_KEY_${suffix}`] as string | undefined;
 
-export const firebaseConfig = {
+// The emulators accept any API key, so none of this needs `npm run setup`.
+const emulatorConfig = {
+  apiKey: 'demo-api-key',
+  authDomain: `${EMULATOR_PROJECT_ID}.firebaseapp.com`,
+  projectId: EMULATOR_PROJECT_ID,
+  storageBucket: `${EMULATOR_PROJECT_ID}.appspot.com`,
+  messagingSenderId: '0',
+  appId: 'demo-app',
+  measurementId: undefined as string | undefined,
+};
+
+export const firebaseConfig = usingEmulators ? emulatorConfig : {
   apiKey: import.meta.env[`VITE_FIREBASE_API_KEY_${suffix}`] as string,
   authDomain: import.meta.env[`VITE_FIREBASE_AUTH_DOMAIN_${suffix}`] as string,
   projectId: import.meta.env[`VITE_FIREBASE_PROJECT_ID_${suffix}`] as string,
@@ -24,12 +61,17 @@ export const firebaseConfig = {
 
 let app: FirebaseApp | null = null;
 let db: Firestore | null = null;
+let auth: Auth | null = null;
 let appCheck: AppCheck | null = null;
 
 export const getFirebaseApp = (): FirebaseApp => {
   if (!app) {
     app = initializeApp(firebaseConfig);
-    if (appCheckSiteKey) {
+    if (usingEmulators) {
+      // post-images.ts reaches Storage through getStorage(db.app), which
+      // returns this same instance.
+      connectStorageEmulator(getStorage(app), EMULATOR_HOST, EMULATOR_PORTS.storage);
+    } else if (appCheckSiteKey) {
       appCheck = initializeAppCheck(app, {
         provider: new ReCaptchaV3Provider(appCheckSiteKey),
         isTokenAutoRefreshEnabled: true,
@@ -41,7 +83,22 @@ export const getFirebaseApp = (): FirebaseApp => {
 
 export const getFirebaseDb = (): Firestore => {
   if (!db) {
-    db = getFirestore(getFirebaseApp());
+    db = persistenceEnabled
+      ? initializeFirestore(getFirebaseApp(), {
+        localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+      })
+      : getFirestore(getFirebaseApp());
+    if (usingEmulators) connectFirestoreEmulator(db, EMULATOR_HOST, EMULATOR_PORTS.firestore);
   }
   return db;
 };
+
+export const getFirebaseAuth = (): Auth => {
+  if (!auth) {
+    auth = getAuth(getFirebaseApp());
+    if (usingEmulators) {
+      connectAuthEmulator(auth, `http://${EMULATOR_HOST}:${EMULATOR_PORTS.auth}`, { disableWarnings: true });
+    }
+  }
+  return auth;
+};
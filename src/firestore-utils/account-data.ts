@@ -0,0 +1,105 @@
+import { collection, doc, getDoc, getDocs, query, where, Firestore, DocumentData } from 'firebase/firestore';
+import { deleteUser, User } from 'firebase/auth';
+import { safeDelete } from '../guardrails/safe-firestore';
+import { clearOperatorSecrets } from '../guardrails/secret-storage';
+import { deletePost, deleteReply } from './post-storage';
+
+// Everything stored about a user, for "Download my data" and "Delete my
+// account" on /profile. Owned collections and the field naming the owner;
+// the per-user documents below are keyed by uid.
+const OWNED: Record<string, string> = {
+  posts: 'authorId',
+  replies: 'authorId',
+  tasks: 'userId',
+  user_apps: 'user_id',
+  reports: 'createdBy',
+};
+
+const PER_USER = ['users', 'userPreferences', 'infra_configs'];
+
+export interface DataExport {
+  exportedAt: string;
+  uid: string;
+  email: string | null;
+  collections: Record<string, DocumentData[] | DocumentData | null>;
+}
+
+// Timestamps become ISO strings rather than {seconds, nanoseconds}.
+const plain = (value: unknown): unknown => {
+  if (Array.isArray(value)) return value.map(plain);
+  if (value && typeof value === 'object') {
+    if (typeof (value as { toDate?: unknown }).toDate === 'function') {
+      return (value as { toDate(): Date }).toDate().toISOString();
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, plain(field)]));
+  }
+  return value;
+};
+
+const ownedDocs = async (db: Firestore, collectionName: string, userId: string): Promise<DocumentData[]> => {
+  const snapshot = await getDocs(query(collection(db, collectionName), where(OWNED[collectionName], '==', userId)));
+  return snapshot.docs.map(d => ({ id: d.id, ...(plain(d.data()) as DocumentData) }));
+};
+
+export const exportMyData = async (db: Firestore, user: Pick<User, 'uid' | 'email'>): Promise<DataExport> => {
+  const collections: DataExport['collections'] = {};
+  for (const name of Object.keys(OWNED)) {
+    collections[name] = await ownedDocs(db, name, user.uid);
+  }
+  for (const name of PER_USER) {
+    const snapshot = await getDoc(doc(db, name, user.uid));
+    collections[name] = snapshot.exists() ? (plain(snapshot.data()) as DocumentData) : null;
+  }
+  return { exportedAt: new Date().toISOString(), uid: user.uid, email: user.email, collections };
+};
+
+export const exportFileName = (uid: string, now = new Date()) =>
+  `my-data-${uid}-${now.toISOString().slice(0, 10)}.json`;
+
+// Firebase refuses deleteUser() about five minutes after sign-in
+// (auth/requires-recent-login). Checking before anything is deleted, with
+// time to spare for the deletes, avoids leaving a live account with no data.
+const RECENT_SIGN_IN_MS = 3 * 60 * 1000;
+
+const signedInRecently = (user: User, now = Date.now()): boolean => {
+  const at = Date.parse(user.metadata?.lastSignInTime ?? '');
+  return Number.isFinite(at) && now - at < RECENT_SIGN_IN_MS;
+};
+
+// Deletes the user's documents, then the Auth user. Posts go first: each one
+// takes its images, replies (anyone's), revisions and votes with it. Replies
+// left on other people's posts are deleted one by one, and threads below them
+// move up a level (see buildReplyTree).
+//
+// Some things stay. Votes on other people's content sit at votes/{uid} under
+// each post or reply, with no field to query them by, and their value stays
+// in those scores. Reports the user filed are kept for the moderators, with
+// createdBy still naming the uid. Rate-limit counters cannot be deleted.
+//
+// A failure part way leaves the rest in place; calling again, after signing
+// in again if need be, picks up what is left.
+export const deleteMyAccount = async (db: Firestore, user: User): Promise<void> => {
+  if (!signedInRecently(user)) {
+    throw Object.assign(new Error('Sign in again before deleting your account'), { code: 'auth/requires-recent-login' });
+  }
+  const userId = user.uid;
+
+  for (const post of await ownedDocs(db, 'posts', userId)) {
+    await deletePost(db, post.id, userId);
+  }
+  for (const reply of await ownedDocs(db, 'replies', userId)) {
+    await deleteReply(db, reply.postId, reply.id, userId);
+  }
+  for (const name of ['tasks', 'user_apps']) {
+    for (const item of await ownedDocs(db, name, userId)) {
+      await safeDelete(db, name, item.id, userId);
+    }
+  }
+  for (const name of PER_USER) {
+    await safeDelete(db, name, userId, userId);
+  }
+
+  clearOperatorSecrets();
+  localStorage.removeItem(`beta_enabled_${userId}`);
+  await deleteUser(user);
+};
@@ -1,11 +1,24 @@
-import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
-import { 
-  signInWithEmailAndPassword, 
-  signOut, 
+import React, { createContext, useContext, useState, useEffect, useReducer, useRef, ReactNode } from 'react';
+import {
+  signInWithEmailAndPassword,
+  signOut,
   onAuthStateChanged,
   createUserWithEmailAndPassword,
   signInWithPopup,
+  signInWithCredential,
+  signInAnonymously,
+  sendSignInLinkToEmail,
+  sendPasswordResetEmail,
+  sendEmailVerification,
+  isSignInWithEmailLink,
+  signInWithEmailLink,
+  linkWithPopup,
+  linkWithCredential,
   GoogleAuthProvider,
+  GithubAuthProvider,
+  EmailAuthProvider,
+  AuthCredential,
+  AuthError,
   User,
   Auth
 } from 'firebase/auth';
@@ -21,14 +34,40 @@ export const useAuth = (): AuthContextType => {
   return context;
 };
 
+// The address an email sign-in link was sent to, so the link can be
+// finished without asking for it again when opened in the same browser.
+export const EMAIL_LINK_STORAGE_KEY = 'emailForSignIn';
+
+const POPUP_PROVIDERS = {
+  google: {
+    name: 'Google',
+    create: () => new GoogleAuthProvider(),
+    credentialFromError: (err: AuthError) => GoogleAuthProvider.credentialFromError(err),
+  },
+  github: {
+    name: 'GitHub',
+    create: () => new GithubAuthProvider(),
+    credentialFromError: (err: AuthError) => GithubAuthProvider.credentialFromError(err),
+  },
+};
+
 interface AuthProviderProps {
   auth: Auth;
   children: ReactNode;
 }
 
+// Guests (signInAsGuest) are anonymous Firebase users. Signing up or in
+// while a guest links the new credential to that user instead of replacing
+// it, so the uid, and anything written under it, carries over.
 export const AuthProvider: React.FC<AuthProviderProps> = ({ auth, children }) => {
   const [user, setUser] = useState<User | null>(null);
   const [loading, setLoading] = useState(true);
+  // Linking changes the current user in place, which onAuthStateChanged does
+  // not report; this re-renders consumers so isGuest updates.
+  const [, userChanged] = useReducer((n: number) => n + 1, 0);
+  // A credential Firebase refused because its email already has an account
+  // under another provider; linked once the user signs in that way.
+  const pendingLink = useRef<AuthCredential | null>(null);
 
   useEffect(() => {
     const unsubscribe = onAuthStateChanged(auth, (user) => {
@@ -38,29 +77,140 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ auth, children }) =>
     return unsubscribe;
   }, [auth]);
 
+  const guest = (): User | null => (auth.currentUser?.isAnonymous ? auth.currentUser : null);
+
+  const finishSignIn = async (signedIn: User): Promise<void> => {
+    if (pendingLink.current) {
+      try {
+        await linkWithCredential(signedIn, pendingLink.current);
+      } catch (err) {
+        console.error('Error linking pending credential:', err);
+      }
+      pendingLink.current = null;
+    }
+    userChanged();
+  };
+
   const signIn = async (email: string, password: string): Promise<void> => {
-    await signInWithEmailAndPassword(auth, email, password);
+    const result = await signInWithEmailAndPassword(auth, email, password);
+    await finishSignIn(result.user);
   };
 
+  // Passwords prove nothing about the address, so a verification email
+  // goes out straight away; see isVerified. The account exists even if that
+  // send fails, and /verify-email can send it again.
   const signUp = async (email: string, password: string): Promise<void> => {
-    await createUserWithEmailAndPassword(auth, email, password);
+    const current = guest();
+    const result = current
+      ? await linkWithCredential(current, EmailAuthProvider.credential(email, password))
+      : await createUserWithEmailAndPassword(auth, email, password);
+    try {
+      await sendEmailVerification(result.user, { url: `${window.location.origin}/verify-email` });
+    } catch (err) {
+      console.error('Error sending verification email:', err);
+    }
+    userChanged();
+  };
+
+  const signInWithProvider = async (key: keyof typeof POPUP_PROVIDERS): Promise<void> => {
+    const { name, create, credentialFromError } = POPUP_PROVIDERS[key];
+    const current = guest();
+    try {
+      const result = current ? await linkWithPopup(current, create()) : await signInWithPopup(auth, create());
+      await finishSignIn(result.user);
+    } catch (err) {
+      const code = (err as AuthError).code;
+      const credential = credentialFromError(err as AuthError);
+      if (code === 'auth/credential-already-in-use' && credential) {
+        // That account exists already; switch to it. The guest's own
+        // writes stay under the abandoned anonymous uid.
+        const result = await signInWithCredential(auth, credential);
+        await finishSignIn(result.user);
+        return;
+      }
+      if (code === 'auth/account-exists-with-different-credential' && credential) {
+        pendingLink.current = credential;
+        const email = (err as AuthError).customData?.email;
+        throw new Error(`${email || 'This email'} already has an account that uses a different sign-in method. Sign in that way and ${name} will be linked to it.`);
+      }
+      throw err;
+    }
+  };
+
+  const signInWithGoogle = (): Promise<void> => signInWithProvider('google');
+
+  const signInWithGitHub = (): Promise<void> => signInWithProvider('github');
+
+  const signInAsGuest = async (): Promise<void> => {
+    await signInAnonymously(auth);
+  };
+
+  // The link leads back to /login, which calls completeSignInLink().
+  const sendSignInLink = async (email: string, returnUrl?: string): Promise<void> => {
+    const query = returnUrl ? `?returnUrl=${encodeURIComponent(returnUrl)}` : '';
+    await sendSignInLinkToEmail(auth, email, {
+      url: `${window.location.origin}/login${query}`,
+      handleCodeInApp: true,
+    });
+    localStorage.setItem(EMAIL_LINK_STORAGE_KEY, email);
+  };
+
+  const isSignInLink = (url: string): boolean => isSignInWithEmailLink(auth, url);
+
+  // Resolves false without signing in when the link was opened in another
+  // browser and no email was given: ask for it, then call again.
+  const completeSignInLink = async (url: string, email?: string): Promise<boolean> => {
+    const address = email || localStorage.getItem(EMAIL_LINK_STORAGE_KEY);
+    if (!address) return false;
+    const current = guest();
+    const result = current
+      ? await linkWithCredential(current, EmailAuthProvider.credentialWithLink(address, url))
+      : await signInWithEmailLink(auth, address, url);
+    localStorage.removeItem(EMAIL_LINK_STORAGE_KEY);
+    await finishSignIn(result.user);
+    return true;
+  };
+
+  const resetPassword = async (email: string): Promise<void> => {
+    await sendPasswordResetEmail(auth, email, { url: `${window.location.origin}/login` });
+  };
+
+  const sendVerificationEmail = async (returnUrl?: string): Promise<void> => {
+    if (!auth.currentUser) throw new Error('Sign in to verify your email');
+    const query = returnUrl ? `?returnUrl=${encodeURIComponent(returnUrl)}` : '';
+    await sendEmailVerification(auth.currentUser, { url: `${window.location.origin}/verify-email${query}` });
   };
 
-  const signInWithGoogle = async (): Promise<void> => {
-    const provider = new GoogleAuthProvider();
-    await signInWithPopup(auth, provider);
+  // Verifying happens on Firebase's page, so the signed-in user and their ID
+  // token (read by firestore.rules as email_verified) are stale until this.
+  const reloadUser = async (): Promise<void> => {
+    if (!auth.currentUser) return;
+    await auth.currentUser.reload();
+    await auth.currentUser.getIdToken(true);
+    userChanged();
   };
 
   const logout = async (): Promise<void> => {
+    pendingLink.current = null;
     await signOut(auth);
   };
 
   const value: AuthContextType = {
     user,
     loading,
+    isGuest: !!user?.isAnonymous,
+    isVerified: !!user && !user.isAnonymous && user.emailVerified,
     signIn,
     signUp,
     signInWithGoogle,
+    signInWithGitHub,
+    signInAsGuest,
+    sendSignInLink,
+    isSignInLink,
+    completeSignInLink,
+    resetPassword,
+    sendVerificationEmail,
+    reloadUser,
     logout
   };
 
@@ -0,0 +1,29 @@
+// How post text becomes search keywords. Plain JavaScript so that
+// scripts/seed-data.js can import it too; search.ts re-exports it for the app.
+
+// Keeps the keywords field well under the document size limit; firestore.rules
+// enforces the same cap through POST_SCHEMA.
+export const MAX_KEYWORDS = 100;
+export const MAX_TOKEN_LENGTH = 40;
+
+export const words = (text) => (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u);
+
+export const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'i', 'if', 'in',
+  'into', 'is', 'it', 'its', 'of', 'on', 'or', 'so', 'that', 'the', 'their', 'then', 'there', 'this',
+  'to', 'was', 'we', 'were', 'will', 'with', 'you', 'your',
+]);
+
+// Lowercased words, in first-seen order, without duplicates or stop words.
+export const tokenize = (text) => {
+  const seen = new Set();
+  for (const word of words(text)) {
+    if (word.length < 2 || word.length > MAX_TOKEN_LENGTH || STOP_WORDS.has(word)) continue;
+    seen.add(word);
+  }
+  return [...seen];
+};
+
+// Title words come first so they survive the cap on long posts.
+export const keywordsFor = (title, content) =>
+  [...new Set([...tokenize(title), ...tokenize(content)])].slice(0, MAX_KEYWORDS);
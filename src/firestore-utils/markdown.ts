@@ -0,0 +1,146 @@
+// The Markdown subset posts and replies are written in: paragraphs, fenced
+// code blocks, bullet and numbered lists, inline code, bold, italics and
+// links. parseMarkdown() returns a tree that <Markdown> renders as React
+// elements, so nothing is ever injected as HTML; raw tags in the text are
+// dropped rather than escaped.
+
+export type Inline =
+  | { type: 'text'; text: string }
+  | { type: 'code'; text: string }
+  | { type: 'strong'; children: Inline[] }
+  | { type: 'em'; children: Inline[] }
+  | { type: 'link'; href: string; children: Inline[] };
+
+export type Block =
+  | { type: 'paragraph'; lines: Inline[][] }
+  | { type: 'code'; lang: string; text: string }
+  | { type: 'list'; ordered: boolean; start: number; items: Inline[][] };
+
+// Only these schemes become links; anything else (javascript:, data:, ...)
+// stays as its label text.
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+const HTML = /<!--[\s\S]*?(?:-->|$)|<\/?[A-Za-z][^>]*>/g;
+
+export const stripHtml = (text: string): string => text.replace(HTML, '');
+
+export const isSafeUrl = (url: string): boolean => SAFE_URL.test(url);
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)[^`]*$/;
+const BULLET = /^ {0,3}[-*+]\s+(.*)$/;
+const NUMBERED = /^ {0,3}(\d{1,9})[.)]\s+(.*)$/;
+
+const INLINE_CODE = /^(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/;
+// URLs may hold one level of balanced parentheses, as Wikipedia links do.
+const LINK = /^\[([^\]\n]+)\]\(\s*((?:[^\s()]|\([^\s()]*\))+)\s*\)/;
+const STRONG = /^(\*\*|__)(?=\S)([\s\S]*?\S)\1/;
+const EM = /^(\*|_)(?=\S)([\s\S]*?\S)\1(?![\w*])/;
+
+const pushText = (nodes: Inline[], text: string) => {
+  const last = nodes[nodes.length - 1];
+  if (last?.type === 'text') last.text += text;
+  else nodes.push({ type: 'text', text });
+};
+
+const inline = (source: string): Inline[] => {
+  const nodes: Inline[] = [];
+  let index = 0;
+  while (index < source.length) {
+    const rest = source.slice(index);
+    const prev = source[index - 1] ?? '';
+    let found: RegExpMatchArray | null;
+    if ((found = rest.match(INLINE_CODE))) {
+      nodes.push({ type: 'code', text: found[2] });
+    } else if ((found = rest.match(LINK))) {
+      const children = inline(found[1]);
+      if (isSafeUrl(found[2])) nodes.push({ type: 'link', href: found[2], children });
+      else nodes.push(...children);
+    } else if ((found = rest.match(STRONG))) {
+      nodes.push({ type: 'strong', children: inline(found[2]) });
+    } else if (!/\w/.test(prev) && (found = rest.match(EM))) {
+      nodes.push({ type: 'em', children: inline(found[2]) });
+    } else {
+      // Plain text runs up to the next character that could open markup.
+      const plain = rest.match(/^[\s\S][^`[*_]*/)![0];
+      pushText(nodes, plain);
+      index += plain.length;
+      continue;
+    }
+    index += found[0].length;
+  }
+  return nodes;
+};
+
+// Tags go before parsing so markup inside them cannot leak out; code spans
+// keep theirs, since they render as literal text.
+export const parseInline = (source: string): Inline[] => {
+  let text = '';
+  let last = 0;
+  for (const span of source.matchAll(new RegExp(INLINE_CODE.source.slice(1), 'g'))) {
+    text += stripHtml(source.slice(last, span.index)) + span[0];
+    last = span.index! + span[0].length;
+  }
+  return inline(text + stripHtml(source.slice(last)));
+};
+
+export const parseMarkdown = (source: string): Block[] => {
+  const lines = (source || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks: Block[] = [];
+  let paragraph: string[] = [];
+  let list: { ordered: boolean; start: number; items: string[] } | null = null;
+
+  const flush = () => {
+    if (paragraph.length) {
+      const parsed = paragraph.map(line => parseInline(line.trim())).filter(line => line.length > 0);
+      if (parsed.length) blocks.push({ type: 'paragraph', lines: parsed });
+      paragraph = [];
+    }
+    if (list) {
+      blocks.push({ type: 'list', ordered: list.ordered, start: list.start, items: list.items.map(item => parseInline(item.trim())) });
+      list = null;
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fence = line.match(FENCE);
+    if (fence) {
+      flush();
+      const body: string[] = [];
+      const close = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+      for (i++; i < lines.length && !close.test(lines[i]); i++) body.push(lines[i]);
+      blocks.push({ type: 'code', lang: fence[2], text: body.join('\n') });
+      continue;
+    }
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+    const bullet = line.match(BULLET);
+    const numbered = bullet ? null : line.match(NUMBERED);
+    if (bullet || numbered) {
+      const ordered = !!numbered;
+      if (paragraph.length || (list && list.ordered !== ordered)) flush();
+      if (!list) list = { ordered, start: numbered ? Number(numbered[1]) : 1, items: [] };
+      list.items.push(bullet ? bullet[1] : numbered![2]);
+      continue;
+    }
+    // A line under a list item continues it.
+    if (list) list.items[list.items.length - 1] += ` ${line.trim()}`;
+    else paragraph.push(line);
+  }
+  flush();
+  return blocks;
+};
+
+const inlineText = (nodes: Inline[]): string =>
+  nodes.map(node => ('children' in node ? inlineText(node.children) : node.text)).join('');
+
+// The words without the markup, for search snippets and anywhere else that
+// shows content as a single line of text.
+export const markdownToText = (source: string): string =>
+  parseMarkdown(source).map((block) => {
+    if (block.type === 'code') return block.text;
+    if (block.type === 'list') return block.items.map(inlineText).join('\n');
+    return block.lines.map(inlineText).join('\n');
+  }).join('\n\n');
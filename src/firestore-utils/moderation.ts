@@ -0,0 +1,107 @@
+import {
+  collection,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
+  Firestore,
+  DocumentData,
+  QueryDocumentSnapshot,
+} from 'firebase/firestore';
+import type { Report, ReportReason, ReportStatus } from '../types';
+import { defineCollection } from '../guardrails/define-collection';
+import { REPORT_SCHEMA } from './schemas';
+import { setHidden, deletePost, deleteReply } from './post-storage';
+import type { VoteTarget } from './post-storage';
+
+// Users report posts and replies into reports/; members with posts:moderate
+// work through the open ones in the admin panel. Every moderator action
+// closes all open reports on the item, recording what was done; deleting a
+// post closes those on its replies too, since they go with it.
+
+interface ReportData {
+  targetType: VoteTarget;
+  targetId: string;
+  postId: string;
+  reason: ReportReason;
+  details?: string;
+  status: ReportStatus;
+}
+
+export const reports = defineCollection<ReportData>('reports', REPORT_SCHEMA, { rateLimit: 'report-content' });
+
+export type ReportTarget = Pick<ReportData, 'targetType' | 'targetId' | 'postId'>;
+
+export const reportContent = async (
+  db: Firestore,
+  target: ReportTarget,
+  reason: ReportReason,
+  details: string,
+  userId: string,
+): Promise<string> =>
+  reports.create(db, { ...target, reason, details: details.trim(), status: 'open' }, userId);
+
+const mapDocToReport = (docSnap: QueryDocumentSnapshot<DocumentData>): Report => {
+  const data = docSnap.data();
+  return {
+    id: docSnap.id,
+    targetType: data.targetType,
+    targetId: data.targetId,
+    postId: data.postId,
+    reason: data.reason,
+    details: data.details || '',
+    status: data.status,
+    createdBy: data.createdBy,
+    createdAt: data.createdAt?.toDate() || new Date(),
+  };
+};
+
+export const QUEUE_LIMIT = 100;
+
+// Oldest first, so nothing waits behind a stream of new reports.
+export const getOpenReports = async (db: Firestore, maxReports = QUEUE_LIMIT): Promise<Report[]> => {
+  const snapshot = await getDocs(query(
+    collection(db, 'reports'),
+    where('status', '==', 'open'),
+    orderBy('createdAt', 'asc'),
+    limit(maxReports),
+  ));
+  return snapshot.docs.map(mapDocToReport);
+};
+
+export type ModerationAction = 'hide' | 'restore' | 'delete' | 'dismiss';
+
+const OUTCOME: Record<ModerationAction, ReportStatus> = {
+  hide: 'hidden',
+  restore: 'restored',
+  delete: 'deleted',
+  dismiss: 'dismissed',
+};
+
+// field is 'targetId' for reports on one item, or 'postId' for every report
+// on a post and its replies.
+const closeReports = async (db: Firestore, field: 'targetId' | 'postId', id: string, status: ReportStatus, userId: string) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'reports'),
+    where(field, '==', id),
+    where('status', '==', 'open'),
+  ));
+  await Promise.all(snapshot.docs.map(docSnap =>
+    reports.update(db, docSnap.id, { status }, userId, { requireOwnership: false })));
+};
+
+// Acts on the reported item, then closes its open reports. Resolves to the
+// status they were closed with.
+export const moderate = async (db: Firestore, report: Report, action: ModerationAction, userId: string): Promise<ReportStatus> => {
+  const { targetType, targetId, postId } = report;
+  if (action === 'hide' || action === 'restore') {
+    await setHidden(db, targetType, targetId, action === 'hide', userId);
+  } else if (action === 'delete') {
+    if (targetType === 'posts') await deletePost(db, targetId, userId, { moderator: true });
+    else await deleteReply(db, postId, targetId, userId, { moderator: true });
+  }
+  const wholeThread = action === 'delete' && targetType === 'posts';
+  await closeReports(db, wholeThread ? 'postId' : 'targetId', targetId, OUTCOME[action], userId);
+  return OUTCOME[action];
+};
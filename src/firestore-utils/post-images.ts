@@ -0,0 +1,78 @@
+import {
+  getStorage,
+  ref,
+  uploadBytesResumable,
+  getDownloadURL,
+  deleteObject,
+  listAll,
+  FirebaseStorage,
+  StorageReference,
+} from 'firebase/storage';
+import type { Firestore } from 'firebase/firestore';
+import { MAX_POST_IMAGES } from './schemas';
+
+// Images attached to a post live in Storage under posts/{postId}/{uid}/ and
+// the post keeps their paths in its images field. storage.rules enforces the
+// same size and type limits, and only lets the post's author upload. Each
+// image takes one of MAX_POST_IMAGES numbered slots, which the rules never
+// let be overwritten, so a post can hold no more files than it can show.
+
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+export const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// The bucket of the app the Firestore instance belongs to.
+const bucket = (db: Firestore): FirebaseStorage => getStorage(db.app);
+
+export const imagesPath = (postId: string, userId?: string) =>
+  (userId ? `posts/${postId}/${userId}` : `posts/${postId}`);
+
+// A reason the file cannot be attached, or null when it can.
+export const imageError = (file: File): string | null => {
+  if (!IMAGE_TYPES.includes(file.type)) return `${file.name} is not a PNG, JPEG, GIF or WebP image`;
+  if (file.size > MAX_IMAGE_BYTES) return `${file.name} is larger than ${MAX_IMAGE_BYTES / (1024 * 1024)} MB`;
+  return null;
+};
+
+// Resolves to the object's path once uploaded into slot, from 0 to
+// MAX_POST_IMAGES - 1. onProgress gets the fraction sent so far, from 0 to 1.
+export const uploadPostImage = (
+  db: Firestore,
+  postId: string,
+  slot: number,
+  file: File,
+  userId: string,
+  onProgress?: (fraction: number) => void,
+): Promise<string> => {
+  const problem = imageError(file);
+  if (problem) return Promise.reject(new Error(problem));
+  if (!Number.isInteger(slot) || slot < 0 || slot >= MAX_POST_IMAGES) {
+    return Promise.reject(new Error(`A post can have at most ${MAX_POST_IMAGES} images`));
+  }
+
+  const target = ref(bucket(db), `${imagesPath(postId, userId)}/${slot}`);
+  const task = uploadBytesResumable(target, file, { contentType: file.type });
+  return new Promise((resolve, reject) => {
+    task.on(
+      'state_changed',
+      (snapshot) => onProgress?.(snapshot.totalBytes ? snapshot.bytesTransferred / snapshot.totalBytes : 0),
+      reject,
+      () => resolve(target.fullPath),
+    );
+  });
+};
+
+export const getImageUrl = (db: Firestore, path: string): Promise<string> =>
+  getDownloadURL(ref(bucket(db), path));
+
+const deleteAll = async (folder: StorageReference): Promise<void> => {
+  const listing = await listAll(folder);
+  await Promise.all([
+    ...listing.items.map(item => deleteObject(item)),
+    ...listing.prefixes.map(deleteAll),
+  ]);
+};
+
+// Everything under posts/{postId}/, including uploads that never made it
+// into the post's images field.
+export const deletePostImages = async (db: Firestore, postId: string): Promise<void> =>
+  deleteAll(ref(bucket(db), imagesPath(postId)));
@@ -2,18 +2,28 @@ import {
   collection,
   getDoc,
   getDocs,
+  getCountFromServer,
   doc,
   query,
   orderBy,
   limit,
+  startAfter,
   where,
+  onSnapshot,
   Firestore,
+  Unsubscribe,
   DocumentData,
-  QueryDocumentSnapshot
+  QueryConstraint,
+  QueryDocumentSnapshot,
+  QuerySnapshot
 } from 'firebase/firestore';
 import type { Post, Reply } from '../types';
-import { validate } from '../guardrails/validate';
-import { safeCreate, safeUpdate } from '../guardrails/safe-firestore';
+import { defineCollection } from '../guardrails/define-collection';
+import type { Page, PageCursor, PageOptions, VoteValue } from '../guardrails/define-collection';
+import { POST_SCHEMA, REPLY_SCHEMA, MAX_REPLY_DEPTH, MAX_POST_IMAGES } from './schemas';
+import { deletePostImages } from './post-images';
+import { keywordsFor, queryTerms, rankPosts } from './search';
+import { getProfile, authorFields } from './profiles';
 
 interface PostData {
   title: string;
@@ -30,21 +40,23 @@ interface ReplyData {
   authorPhoto?: string;
 }
 
-const POST_SCHEMA = {
-  title: { type: 'string', required: true, minLength: 1, maxLength: 200, label: 'Title' },
-  content: { type: 'string', required: true, minLength: 1, maxLength: 3000, label: 'Content' },
-  authorId: { type: 'string', required: true, label: 'Author ID' },
-  authorName: { type: 'string', required: true, maxLength: 100, label: 'Author name' },
-};
-
-const REPLY_SCHEMA = {
-  content: { type: 'string', required: true, minLength: 1, maxLength: 2000, label: 'Content' },
-  authorId: { type: 'string', required: true, label: 'Author ID' },
-  authorName: { type: 'string', required: true, maxLength: 100, label: 'Author name' },
-};
+export const posts = defineCollection<PostData & {
+  replyCount?: number;
+  score?: number;
+  keywords?: string[];
+  images?: string[];
+  edited?: boolean;
+  hidden?: boolean;
+}>('posts', POST_SCHEMA, { rateLimit: 'create-post' });
 
-const POST_ALLOW_FIELDS = ['title', 'content', 'authorId', 'authorName', 'authorPhoto', 'replyCount'];
-const REPLY_ALLOW_FIELDS = ['content', 'authorId', 'authorName', 'authorPhoto', 'postId'];
+export const replies = defineCollection<ReplyData & {
+  postId: string;
+  parentReplyId?: string;
+  depth?: number;
+  score?: number;
+  edited?: boolean;
+  hidden?: boolean;
+}>('replies', REPLY_SCHEMA, { rateLimit: 'add-reply' });
 
 const mapDocToPost = (docSnap: QueryDocumentSnapshot<DocumentData>): Post => {
   const data = docSnap.data();
@@ -56,6 +68,11 @@ const mapDocToPost = (docSnap: QueryDocumentSnapshot<DocumentData>): Post => {
     authorName: data.authorName,
     authorPhoto: data.authorPhoto,
     replyCount: data.replyCount || 0,
+    score: data.score || 0,
+    edited: data.edited === true,
+    hidden: data.hidden === true,
+    images: data.images || [],
+    pending: docSnap.metadata?.hasPendingWrites === true,
     createdAt: data.createdAt?.toDate() || new Date()
   };
 };
@@ -65,125 +82,366 @@ const mapDocToReply = (docSnap: QueryDocumentSnapshot<DocumentData>): Reply => {
   return {
     id: docSnap.id,
     postId: data.postId,
+    parentReplyId: data.parentReplyId || null,
+    depth: data.depth || 0,
     content: data.content,
     authorId: data.authorId,
     authorName: data.authorName,
     authorPhoto: data.authorPhoto,
+    score: data.score || 0,
+    edited: data.edited === true,
+    hidden: data.hidden === true,
+    pending: docSnap.metadata?.hasPendingWrites === true,
     createdAt: data.createdAt?.toDate() || new Date()
   };
 };
 
-export const createPost = async (db: Firestore, postData: PostData, userId: string): Promise<string> => {
-  const errors = validate(postData, POST_SCHEMA);
-  if (errors) throw new Error(Object.values(errors)[0] as string);
-  return safeCreate(db, 'posts', postData, userId, { allowFields: POST_ALLOW_FIELDS });
+// Live listeners also fire when a local write is confirmed, so `pending`
+// clears once the server has it.
+const WITH_METADATA = { includeMetadataChanges: true };
+
+// The author's name and avatar come from their profile in users/{uid};
+// firestore.rules refuses posts and replies that do not match it.
+const authorOf = async (db: Firestore, userId: string) => {
+  const profile = await getProfile(db, userId);
+  if (!profile) throw new Error('Set up your profile before posting');
+  return { authorId: userId, ...authorFields(profile) };
 };
 
+export type NewPost = Pick<PostData, 'title' | 'content'>;
+
+// score starts at 0 rather than missing, so the post shows up in the "top"
+// ordering, which skips documents without the field.
+export const createPost = async (db: Firestore, postData: NewPost, userId: string): Promise<string> =>
+  posts.create(db, {
+    ...postData,
+    ...await authorOf(db, userId),
+    score: 0,
+    keywords: keywordsFor(postData.title, postData.content),
+  }, userId);
+
+export const PAGE_SIZE = 20;
+
+const paged = (pageSize: number, cursor?: PageCursor | null): QueryConstraint[] =>
+  cursor ? [startAfter(cursor), limit(pageSize)] : [limit(pageSize)];
+
+export type PostSort = 'new' | 'top';
+
+export interface PostPageOptions extends PageOptions {
+  sort?: PostSort;
+}
+
+// "top" is highest score first, newest first among equals.
+const postsOrder = (sort: PostSort): QueryConstraint[] =>
+  sort === 'top' ? [orderBy('score', 'desc'), orderBy('createdAt', 'desc')] : [orderBy('createdAt', 'desc')];
+
+const postsQuery = (db: Firestore, pageSize: number, cursor?: PageCursor | null, sort: PostSort = 'new') =>
+  query(collection(db, 'posts'), ...postsOrder(sort), ...paged(pageSize, cursor));
+
+const repliesQuery = (db: Firestore, postId: string, pageSize: number, cursor?: PageCursor | null) =>
+  query(collection(db, 'replies'), where('postId', '==', postId), orderBy('createdAt', 'asc'), ...paged(pageSize, cursor));
+
+// A full page may have more after it; a short one is the end.
+const toPage = <T>(
+  snapshot: QuerySnapshot<DocumentData>,
+  map: (docSnap: QueryDocumentSnapshot<DocumentData>) => T,
+  pageSize: number,
+): Page<T> => ({
+  items: snapshot.docs.map(map),
+  nextCursor: snapshot.docs.length === pageSize ? snapshot.docs[snapshot.docs.length - 1] : null,
+});
+
 export const getPost = async (db: Firestore, postId: string): Promise<Post | null> => {
-  const postDoc = doc(db, 'posts', postId);
-  const snapshot = await getDoc(postDoc);
-
-  if (snapshot.exists()) {
-    const data = snapshot.data();
-    return {
-      id: snapshot.id,
-      title: data.title,
-      content: data.content,
-      authorId: data.authorId,
-      authorName: data.authorName,
-      authorPhoto: data.authorPhoto,
-      replyCount: data.replyCount || 0,
-      createdAt: data.createdAt?.toDate() || new Date()
-    };
-  }
-  return null;
+  const snapshot = await getDoc(doc(db, 'posts', postId));
+  return snapshot.exists() ? mapDocToPost(snapshot as QueryDocumentSnapshot<DocumentData>) : null;
 };
 
-export const getPosts = async (db: Firestore, maxPosts = 50): Promise<Post[]> => {
-  const postsRef = collection(db, 'posts');
-  const q = query(
-    postsRef,
-    orderBy('createdAt', 'desc'),
-    limit(maxPosts)
+// Newest first, or by score with sort 'top'. Pass the previous page's
+// nextCursor, with the same sort, to read the next one.
+export const getPosts = async (
+  db: Firestore,
+  { pageSize = PAGE_SIZE, cursor, sort = 'new' }: PostPageOptions = {},
+): Promise<Page<Post>> => {
+  const snapshot = await getDocs(postsQuery(db, pageSize, cursor, sort));
+  return toPage(snapshot, mapDocToPost, pageSize);
+};
+
+// Live versions of the getters. Each calls onChange with the current result
+// straight away and again on every change, until unsubscribed.
+export const subscribePosts = (
+  db: Firestore,
+  onChange: (posts: Post[]) => void,
+  onError?: (error: Error) => void,
+  maxPosts = 50,
+): Unsubscribe =>
+  onSnapshot(
+    postsQuery(db, maxPosts),
+    WITH_METADATA,
+    (snapshot) => onChange(snapshot.docs.map(mapDocToPost)),
+    (error) => onError?.(error),
   );
 
-  const snapshot = await getDocs(q);
-  return snapshot.docs.map(docSnap => {
-    const data = docSnap.data();
-    return {
-      id: docSnap.id,
-      title: data.title,
-      content: data.content,
-      authorId: data.authorId,
-      authorName: data.authorName,
-      authorPhoto: data.authorPhoto,
-      replyCount: data.replyCount || 0,
-      createdAt: data.createdAt?.toDate() || new Date()
-    };
-  });
+export const subscribePost = (
+  db: Firestore,
+  postId: string,
+  onChange: (post: Post | null) => void,
+  onError?: (error: Error) => void,
+): Unsubscribe =>
+  onSnapshot(
+    doc(db, 'posts', postId),
+    WITH_METADATA,
+    (snapshot) => onChange(snapshot.exists() ? mapDocToPost(snapshot as QueryDocumentSnapshot<DocumentData>) : null),
+    (error) => onError?.(error),
+  );
+
+// One live page of replies, starting after opts.cursor. Replies are oldest
+// first, so new ones land on the last page while it still has room.
+export const subscribeReplies = (
+  db: Firestore,
+  postId: string,
+  onChange: (replies: Reply[], nextCursor: PageCursor | null) => void,
+  onError?: (error: Error) => void,
+  { pageSize = PAGE_SIZE, cursor }: PageOptions = {},
+): Unsubscribe =>
+  onSnapshot(
+    repliesQuery(db, postId, pageSize, cursor),
+    WITH_METADATA,
+    (snapshot) => {
+      const page = toPage(snapshot, mapDocToReply, pageSize);
+      onChange(page.items, page.nextCursor);
+    },
+    (error) => onError?.(error),
+  );
+
+// A user's posts or replies, newest first, for their profile page.
+const byAuthorQuery = (db: Firestore, target: VoteTarget, authorId: string, pageSize: number, cursor?: PageCursor | null) =>
+  query(collection(db, target), where('authorId', '==', authorId), orderBy('createdAt', 'desc'), ...paged(pageSize, cursor));
+
+export const getPostsByAuthor = async (
+  db: Firestore,
+  authorId: string,
+  { pageSize = PAGE_SIZE, cursor }: PageOptions = {},
+): Promise<Page<Post>> => {
+  const snapshot = await getDocs(byAuthorQuery(db, 'posts', authorId, pageSize, cursor));
+  return toPage(snapshot, mapDocToPost, pageSize);
 };
 
+export const getRepliesByAuthor = async (
+  db: Firestore,
+  authorId: string,
+  { pageSize = PAGE_SIZE, cursor }: PageOptions = {},
+): Promise<Page<Reply>> => {
+  const snapshot = await getDocs(byAuthorQuery(db, 'replies', authorId, pageSize, cursor));
+  return toPage(snapshot, mapDocToReply, pageSize);
+};
+
+export const SEARCH_LIMIT = 50;
+
+// Posts sharing any word with the query, best match first. Firestore only
+// filters on the keywords index; the ranking happens in rankPosts().
 export const searchPosts = async (db: Firestore, searchQuery: string): Promise<Post[]> => {
-  const postsRef = collection(db, 'posts');
-  const q = query(
-    postsRef,
-    where('title', '>=', searchQuery),
-    where('title', '<=', searchQuery + '\uf8ff'),
-    orderBy('title'),
-    limit(20)
-  );
+  const terms = queryTerms(searchQuery);
+  if (terms.length === 0) return [];
+  const snapshot = await getDocs(query(
+    collection(db, 'posts'),
+    where('keywords', 'array-contains-any', terms),
+    limit(SEARCH_LIMIT)
+  ));
+  return rankPosts(snapshot.docs.map(mapDocToPost), searchQuery);
+};
 
-  const snapshot = await getDocs(q);
-  return snapshot.docs.map(docSnap => {
-    const data = docSnap.data();
-    return {
-      id: docSnap.id,
-      title: data.title,
-      content: data.content,
-      authorId: data.authorId,
-      authorName: data.authorName,
-      authorPhoto: data.authorPhoto,
-      replyCount: data.replyCount || 0,
-      createdAt: data.createdAt?.toDate() || new Date()
-    };
-  });
+export const getReply = async (db: Firestore, replyId: string): Promise<Reply | null> => {
+  const snapshot = await getDoc(doc(db, 'replies', replyId));
+  return snapshot.exists() ? mapDocToReply(snapshot as QueryDocumentSnapshot<DocumentData>) : null;
 };
 
-export const addReply = async (db: Firestore, postId: string, replyData: ReplyData, userId: string): Promise<string> => {
-  const errors = validate(replyData, REPLY_SCHEMA);
-  if (errors) throw new Error(Object.values(errors)[0] as string);
+// The reply, the add-reply rate-limit counter and the post's replyCount are
+// written in one transaction. firestore.rules lets any signed-in user add
+// exactly one to replyCount, and only for a reply of that post the same commit
+// creates.
+// parentReplyId answers another reply on the same post instead of the post.
+export const addReply = async (
+  db: Firestore,
+  postId: string,
+  content: string,
+  userId: string,
+  parentReplyId?: string | null,
+): Promise<string> => {
+  let threading = {};
+  if (parentReplyId) {
+    const parent = await getReply(db, parentReplyId);
+    if (!parent || parent.postId !== postId) throw new Error('The reply you are answering no longer exists');
+    if (parent.depth >= MAX_REPLY_DEPTH) throw new Error('This thread is nested too deeply to reply to');
+    threading = { parentReplyId, depth: parent.depth + 1 };
+  }
+  const author = await authorOf(db, userId);
+  return replies.create(db, { content, ...author, postId, depth: 0, ...threading, score: 0 }, userId, {
+    increment: { collection: 'posts', docId: postId, field: 'replyCount' },
+  });
+};
 
-  const docId = await safeCreate(db, 'replies', { ...replyData, postId }, userId, { allowFields: REPLY_ALLOW_FIELDS });
+export interface ReplyNode {
+  reply: Reply;
+  children: ReplyNode[];
+}
 
-  const postDoc = doc(db, 'posts', postId);
-  const postSnapshot = await getDoc(postDoc);
-  if (postSnapshot.exists()) {
-    const currentCount = postSnapshot.data().replyCount || 0;
-    await safeUpdate(db, 'posts', postId, { replyCount: currentCount + 1 }, userId, { allowFields: POST_ALLOW_FIELDS });
+// Nests replies under their parents, keeping the given (oldest first) order
+// at every level. A reply whose parent is gone or not loaded yet is shown at
+// the top level rather than dropped.
+export const buildReplyTree = (replyList: Reply[]): ReplyNode[] => {
+  const nodes = new Map<string, ReplyNode>(replyList.map(reply => [reply.id, { reply, children: [] }]));
+  const roots: ReplyNode[] = [];
+  for (const node of nodes.values()) {
+    const parent = node.reply.parentReplyId ? nodes.get(node.reply.parentReplyId) : undefined;
+    (parent && parent !== node ? parent.children : roots).push(node);
   }
+  return roots;
+};
+
+export type PostEdit = Pick<PostData, 'title' | 'content'>;
 
-  return docId;
+// Each edit stores the previous and new text in {collection}/{id}/revisions,
+// in the same batch as the change, and marks the document as edited.
+const revision = (before: object, after: object) =>
+  ({ action: 'update' as const, before, after, collection: 'revisions' });
+
+// Author only. Keywords are rebuilt so search sees the new text.
+export const updatePost = async (db: Firestore, postId: string, changes: PostEdit, userId: string): Promise<void> => {
+  const post = await getPost(db, postId);
+  if (!post) throw new Error('Post not found');
+  await posts.update(db, postId, {
+    ...changes,
+    keywords: keywordsFor(changes.title, changes.content),
+    edited: true,
+  }, userId, {
+    history: revision({ title: post.title, content: post.content }, changes),
+  });
 };
 
-export const getReplies = async (db: Firestore, postId: string): Promise<Reply[]> => {
-  const repliesRef = collection(db, 'replies');
-  const q = query(
-    repliesRef,
-    where('postId', '==', postId),
-    orderBy('createdAt', 'asc')
-  );
+// Author only. Records the Storage paths from uploadPostImage() on the post;
+// uploads happen after createPost(), since storage.rules checks the post's
+// author.
+export const attachImages = async (db: Firestore, postId: string, paths: string[], userId: string): Promise<void> => {
+  if (paths.length > MAX_POST_IMAGES) throw new Error(`A post can have at most ${MAX_POST_IMAGES} images`);
+  await posts.update(db, postId, { images: paths }, userId);
+};
+
+export interface DeleteOptions {
+  // A member with posts:moderate removing someone else's content.
+  moderator?: boolean;
+}
+
+// Author or moderator. Attached images go first, then replies, their
+// revisions and votes, and the post's own, the last 400 of them in the same
+// commit as the post. The rules let the author remove other users' content
+// only in that commit, so a thread bigger than that needs a moderator.
+export const deletePost = async (db: Firestore, postId: string, userId: string, { moderator = false }: DeleteOptions = {}): Promise<void> => {
+  await deletePostImages(db, postId);
+  await posts.remove(db, postId, userId, {
+    requireOwnership: !moderator,
+    cascade: [
+      { collection: 'replies', field: 'postId', cascade: [{ subcollection: 'revisions' }, { subcollection: 'votes' }] },
+      { subcollection: 'revisions' },
+      { subcollection: 'votes' },
+    ],
+  });
+};
+
+export const updateReply = async (db: Firestore, replyId: string, content: string, userId: string): Promise<void> => {
+  const reply = await getReply(db, replyId);
+  if (!reply) throw new Error('Reply not found');
+  await replies.update(db, replyId, { content, edited: true }, userId, {
+    history: revision({ content: reply.content }, { content }),
+  });
+};
 
-  const snapshot = await getDocs(q);
-  return snapshot.docs.map(docSnap => {
-    const data = docSnap.data();
-    return {
-      id: docSnap.id,
-      postId: data.postId,
-      content: data.content,
-      authorId: data.authorId,
-      authorName: data.authorName,
-      authorPhoto: data.authorPhoto,
-      createdAt: data.createdAt?.toDate() || new Date()
-    };
+// Author or moderator. Takes one off the post's replyCount in the same commit;
+// firestore.rules accepts the decrement only alongside the reply's delete.
+export const deleteReply = async (
+  db: Firestore,
+  postId: string,
+  replyId: string,
+  userId: string,
+  { moderator = false }: DeleteOptions = {},
+): Promise<void> =>
+  replies.remove(db, replyId, userId, {
+    requireOwnership: !moderator,
+    cascade: [{ subcollection: 'revisions' }, { subcollection: 'votes' }],
+    decrement: { collection: 'posts', docId: postId, field: 'replyCount' },
   });
+
+export type VoteTarget = 'posts' | 'replies';
+
+// Moderator only; firestore.rules refuses a hidden change from anyone else,
+// the author included.
+export const setHidden = async (db: Firestore, target: VoteTarget, docId: string, hidden: boolean, userId: string): Promise<void> =>
+  (target === 'posts' ? posts : replies).update(db, docId, { hidden }, userId, { requireOwnership: false });
+
+// One vote per user per post or reply; 0 withdraws it. Resolves to the new
+// score. Authors cannot vote on their own content.
+export const vote = async (db: Firestore, target: VoteTarget, docId: string, value: VoteValue, userId: string): Promise<number> =>
+  (target === 'posts' ? posts : replies).vote(db, docId, value, userId);
+
+// The user's current votes on the given posts or replies, keyed by id;
+// documents they have not voted on are left out.
+export const getMyVotes = async (
+  db: Firestore,
+  target: VoteTarget,
+  docIds: string[],
+  userId: string,
+): Promise<Record<string, VoteValue>> => {
+  const snapshots = await Promise.all(docIds.map(id => getDoc(doc(db, target, id, 'votes', userId))));
+  const votes: Record<string, VoteValue> = {};
+  snapshots.forEach((snapshot, i) => {
+    if (snapshot.exists()) votes[docIds[i]] = snapshot.data().value;
+  });
+  return votes;
+};
+
+export interface ReplyCountFix {
+  postId: string;
+  before: number;
+  after: number;
+}
+
+// Recounts a post's replies and rewrites replyCount if it has drifted, e.g.
+// from counts written before addReply was transactional. Returns the fix, or
+// null when the count was already right. Needs a member with posts:moderate;
+// firestore.rules keeps replyCount out of the author's own edits.
+const recount = async (db: Firestore, postId: string, before: number, userId: string): Promise<ReplyCountFix | null> => {
+  const counted = await getCountFromServer(query(collection(db, 'replies'), where('postId', '==', postId)));
+  const after = counted.data().count;
+  if (before === after) return null;
+
+  await posts.update(db, postId, { replyCount: after }, userId, { requireOwnership: false });
+  return { postId, before, after };
+};
+
+export const reconcileReplyCount = async (db: Firestore, postId: string, userId: string): Promise<ReplyCountFix | null> => {
+  const post = await getPost(db, postId);
+  return post ? recount(db, postId, post.replyCount, userId) : null;
+};
+
+// Walks every post a page at a time; one aggregate read per post.
+export const reconcileReplyCounts = async (db: Firestore, userId: string, pageSize = 50): Promise<ReplyCountFix[]> => {
+  const fixes: ReplyCountFix[] = [];
+  let cursor: PageCursor | null = null;
+  do {
+    const page: Page<Post> = await getPosts(db, { pageSize, cursor });
+    for (const post of page.items) {
+      const fix = await recount(db, post.id, post.replyCount, userId);
+      if (fix) fixes.push(fix);
+    }
+    cursor = page.nextCursor;
+  } while (cursor);
+  return fixes;
+};
+
+export const getReplies = async (
+  db: Firestore,
+  postId: string,
+  { pageSize = PAGE_SIZE, cursor }: PageOptions = {},
+): Promise<Page<Reply>> => {
+  const snapshot = await getDocs(repliesQuery(db, postId, pageSize, cursor));
+  return toPage(snapshot, mapDocToReply, pageSize);
 };
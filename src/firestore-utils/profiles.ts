@@ -0,0 +1,68 @@
+import { doc, getDoc, Firestore } from 'firebase/firestore';
+import type { User } from 'firebase/auth';
+import { safeSet, safeUpdate } from '../guardrails/safe-firestore';
+import { validate } from '../guardrails/validate';
+import type { UserProfile } from '../types';
+import { PROFILE_SCHEMA } from './schemas';
+
+// Public profiles in users/{uid}. createPost() and addReply() copy the name
+// and avatar from here, and firestore.rules checks that they match.
+
+export type ProfileEdit = Pick<UserProfile, 'displayName' | 'bio' | 'avatarUrl'>;
+
+export const getProfile = async (db: Firestore, userId: string): Promise<UserProfile | null> => {
+  const snapshot = await getDoc(doc(db, 'users', userId));
+  if (!snapshot.exists()) return null;
+  const data = snapshot.data();
+  return {
+    uid: userId,
+    displayName: data.displayName,
+    bio: data.bio || '',
+    avatarUrl: data.avatarUrl || undefined,
+  };
+};
+
+// The first save creates the document; later ones update it, so createdAt
+// stays the time the profile was made.
+export const saveProfile = async (db: Firestore, userId: string, profile: ProfileEdit): Promise<void> => {
+  const clean = {
+    displayName: profile.displayName.trim(),
+    bio: profile.bio.trim(),
+    avatarUrl: profile.avatarUrl?.trim() || '',
+  };
+  const errors = validate(clean, PROFILE_SCHEMA);
+  if (errors) throw new Error(Object.values(errors)[0] as string);
+  const opts = { allowFields: Object.keys(PROFILE_SCHEMA) };
+  const existing = await getDoc(doc(db, 'users', userId));
+  if (existing.exists()) {
+    await safeUpdate(db, 'users', userId, clean, userId, opts);
+  } else {
+    await safeSet(db, 'users', userId, clean, userId, opts);
+  }
+};
+
+// What a new profile starts as: the sign-in provider's name, else the part
+// of the email before the @. Never the full address, which would be public.
+export const defaultProfile = (user: Pick<User, 'displayName' | 'email' | 'photoURL'>): ProfileEdit => {
+  const name = user.displayName?.trim() || user.email?.split('@')[0] || 'Member';
+  return {
+    displayName: name.slice(0, PROFILE_SCHEMA.displayName.maxLength),
+    bio: '',
+    avatarUrl: user.photoURL?.startsWith('https://') ? user.photoURL : undefined,
+  };
+};
+
+// The user's profile, created from defaultProfile() the first time.
+export const ensureProfile = async (db: Firestore, user: User): Promise<UserProfile> => {
+  const existing = await getProfile(db, user.uid);
+  if (existing) return existing;
+  const profile = defaultProfile(user);
+  await saveProfile(db, user.uid, profile);
+  return { uid: user.uid, ...profile };
+};
+
+// The author fields posts and replies carry.
+export const authorFields = (profile: UserProfile): { authorName: string; authorPhoto?: string } =>
+  (profile.avatarUrl
+    ? { authorName: profile.displayName, authorPhoto: profile.avatarUrl }
+    : { authorName: profile.displayName });
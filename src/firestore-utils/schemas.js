@@ -0,0 +1,119 @@
+// validate() schemas for the public collections. post-storage.ts builds its
+// repositories from these, and scripts/generate-rules.js turns them into the
+// isValidPost/isValidReply/isValidReport/isValidProfile/isValidTask functions in
+// firestore.rules — edit here, then run `npm run rules:generate`.
+
+// Images a post can carry; post-images.ts holds the per-file limits.
+export const MAX_POST_IMAGES = 4;
+
+export const POST_SCHEMA = {
+  title: { type: 'string', required: true, minLength: 1, maxLength: 200, label: 'Title' },
+  content: { type: 'string', required: true, minLength: 1, maxLength: 3000, label: 'Content' },
+  authorId: { type: 'string', required: true, label: 'Author ID' },
+  authorName: { type: 'string', required: true, maxLength: 100, label: 'Author name' },
+  authorPhoto: { type: 'string', label: 'Author photo' },
+  replyCount: { type: 'number', min: 0, label: 'Reply count' },
+  score: { type: 'number', label: 'Score' },
+  keywords: { type: 'array', maxItems: 100, label: 'Keywords' },
+  images: { type: 'array', maxItems: MAX_POST_IMAGES, label: 'Images' },
+  edited: { type: 'boolean', label: 'Edited' },
+  hidden: { type: 'boolean', label: 'Hidden' },
+};
+
+// A direct reply to the post has depth 0; replies nest at most this deep.
+export const MAX_REPLY_DEPTH = 4;
+
+export const REPLY_SCHEMA = {
+  content: { type: 'string', required: true, minLength: 1, maxLength: 2000, label: 'Content' },
+  authorId: { type: 'string', required: true, label: 'Author ID' },
+  authorName: { type: 'string', required: true, maxLength: 100, label: 'Author name' },
+  authorPhoto: { type: 'string', label: 'Author photo' },
+  postId: { type: 'string', required: true, label: 'Post ID' },
+  parentReplyId: { type: 'string', label: 'Parent reply' },
+  depth: { type: 'number', min: 0, max: MAX_REPLY_DEPTH, label: 'Depth' },
+  score: { type: 'number', label: 'Score' },
+  edited: { type: 'boolean', label: 'Edited' },
+  hidden: { type: 'boolean', label: 'Hidden' },
+};
+
+export const REPORT_REASONS = ['spam', 'harassment', 'off-topic', 'other'];
+
+// A report starts open; a moderator closes it with the action they took.
+export const REPORT_STATUSES = ['open', 'hidden', 'restored', 'deleted', 'dismissed'];
+
+// reports/{id}: one user flagging a post or reply for the moderation queue.
+export const REPORT_SCHEMA = {
+  targetType: { type: 'string', required: true, oneOf: ['posts', 'replies'], label: 'Reported item' },
+  targetId: { type: 'string', required: true, minLength: 1, label: 'Reported item ID' },
+  postId: { type: 'string', required: true, minLength: 1, label: 'Post ID' },
+  reason: { type: 'string', required: true, oneOf: REPORT_REASONS, label: 'Reason' },
+  details: { type: 'string', maxLength: 500, label: 'Details' },
+  status: { type: 'string', required: true, oneOf: REPORT_STATUSES, label: 'Status' },
+};
+
+// users/{uid}: the public profile. Posts and replies copy displayName and
+// avatarUrl into authorName and authorPhoto when written.
+export const PROFILE_SCHEMA = {
+  displayName: { type: 'string', required: true, minLength: 1, maxLength: 50, label: 'Display name' },
+  bio: { type: 'string', maxLength: 300, label: 'Bio' },
+  avatarUrl: {
+    type: 'string',
+    maxLength: 500,
+    pattern: /^https:\/\/\S+$/,
+    message: 'Avatar must be an https:// image URL',
+    label: 'Avatar',
+  },
+};
+
+export const TASK_PRIORITIES = ['low', 'medium', 'high'];
+export const MAX_TASK_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+
+// tasks/{id}: the template-mode Tasks page (src/template/task-model.js).
+// dueDate is a calendar day, YYYY-MM-DD, so it means the same day in every
+// time zone. order sorts the list ascending; reordering rewrites only the
+// moved task's value. The owner field, userId, is added by defineCollection.
+export const TASK_SCHEMA = {
+  title: { type: 'string', required: true, minLength: 1, maxLength: 200, label: 'Task title' },
+  completed: { type: 'boolean', label: 'Completed' },
+  dueDate: {
+    type: 'string',
+    pattern: /^\d{4}-\d{2}-\d{2}$/,
+    message: 'Due date must be a YYYY-MM-DD date',
+    label: 'Due date',
+  },
+  priority: { type: 'string', oneOf: TASK_PRIORITIES, label: 'Priority' },
+  tags: { type: 'array', maxItems: MAX_TASK_TAGS, label: 'Tags' },
+  order: { type: 'number', label: 'Order' },
+};
+
+// The user_apps/{uid_appName} document (UserApp in src/types/models.ts).
+// create-app.tsx validates against this before the first write; it is not
+// mirrored into firestore.rules.
+export const USER_APP_SCHEMA = {
+  user_id: { type: 'string', required: true, label: 'User ID' },
+  app_name: {
+    type: 'string',
+    required: true,
+    minLength: 3,
+    maxLength: 50,
+    pattern: /^[a-z0-9-]+$/,
+    message: 'App name may only contain lowercase letters, numbers, and hyphens',
+    label: 'App name',
+  },
+  app_description: { type: 'string', maxLength: 500, label: 'App description' },
+  github_repo: { type: 'string', required: true, label: 'GitHub repo' },
+  github_repo_url: { type: 'url', required: true, label: 'GitHub repo URL' },
+  discord_webhook: { type: 'url', label: 'Discord webhook' },
+  status: { type: 'string', required: true, oneOf: ['provisioning', 'ready', 'provisioning_failed'], label: 'Status' },
+  created_at: { type: 'date', required: true, label: 'Created at' },
+};
+
+// Rule function name → schema, in the order they are written to firestore.rules.
+export const RULES_SCHEMAS = {
+  isValidPost: POST_SCHEMA,
+  isValidReply: REPLY_SCHEMA,
+  isValidReport: REPORT_SCHEMA,
+  isValidProfile: PROFILE_SCHEMA,
+  isValidTask: TASK_SCHEMA,
+};
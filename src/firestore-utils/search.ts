@@ -0,0 +1,83 @@
+import type { Post } from '../types';
+import { words, tokenize, keywordsFor, MAX_KEYWORDS } from './keywords';
+
+export { tokenize, keywordsFor, MAX_KEYWORDS };
+
+// Keyword search over posts. createPost() stores keywordsFor(title, content)
+// on the post; searchPosts() matches query tokens with array-contains-any and
+// rankPosts() orders the hits here, since Firestore has no relevance sort.
+// firestore.rules cannot check that keywords match the text, so an author can
+// stuff them: rankPosts() scores the title and content only and drops hits
+// that contain none of the terms. Never rank on keywords.
+
+// Firestore allows at most this many values in one array-contains-any.
+export const MAX_QUERY_TERMS = 10;
+
+export const queryTerms = (searchQuery: string): string[] => tokenize(searchQuery).slice(0, MAX_QUERY_TERMS);
+
+const countOf = (list: string[], term: string) => list.filter(word => word === term).length;
+
+// A title hit is worth three body hits, repeats in the body add up to a
+// point, and the whole query appearing verbatim in the title earns a bonus.
+export const scorePost = (post: Pick<Post, 'title' | 'content'>, terms: string[], phrase = ''): number => {
+  const titleWords = words(post.title);
+  const contentWords = words(post.content);
+  let score = 0;
+  for (const term of terms) {
+    if (titleWords.includes(term)) score += 3;
+    score += Math.min(countOf(contentWords, term), 3) / 3;
+  }
+  if (phrase && terms.length > 1 && post.title.toLowerCase().includes(phrase.toLowerCase().trim())) score += 2;
+  return score;
+};
+
+export const rankPosts = (posts: Post[], searchQuery: string): Post[] => {
+  const terms = queryTerms(searchQuery);
+  if (terms.length === 0) return [];
+  return posts
+    .map(post => ({ post, score: scorePost(post, terms, searchQuery) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || b.post.createdAt.getTime() - a.post.createdAt.getTime())
+    .map(({ post }) => post);
+};
+
+export interface HighlightPart {
+  text: string;
+  match: boolean;
+}
+
+const escapeRegExp = (value: string) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Any of the terms as a whole word, the same way the keyword index matches.
+const termPattern = (terms: string[]): RegExp =>
+  new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+// Splits text into plain and matching parts for rendering <mark>s.
+export const highlight = (text: string, searchQuery: string): HighlightPart[] => {
+  const terms = queryTerms(searchQuery);
+  if (!text || terms.length === 0) return text ? [{ text, match: false }] : [];
+  const pattern = termPattern(terms);
+  const parts: HighlightPart[] = [];
+  let last = 0;
+  for (const found of text.matchAll(pattern)) {
+    const start = found.index ?? 0;
+    if (start > last) parts.push({ text: text.slice(last, start), match: false });
+    parts.push({ text: found[0], match: true });
+    last = start + found[0].length;
+  }
+  if (last < text.length) parts.push({ text: text.slice(last), match: false });
+  return parts;
+};
+
+// A window of content around the first match highlight() would mark, so
+// results show why they hit.
+export const snippet = (content: string, searchQuery: string, radius = 80): string => {
+  const terms = queryTerms(searchQuery);
+  const first = terms.length > 0 ? (content || '').search(termPattern(terms)) : -1;
+  if (first < 0 || content.length <= radius * 2) {
+    return content.length > radius * 2 ? `${content.slice(0, radius * 2)}…` : content;
+  }
+  const start = Math.max(0, first - radius);
+  const end = Math.min(content.length, first + radius);
+  return `${start > 0 ? '…' : ''}${content.slice(start, end)}${end < content.length ? '…' : ''}`;
+};
@@ -0,0 +1,48 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useLocation } from 'react-router';
+
+// A compose field kept in sessionStorage under the page's route, so the text
+// survives leaving the page in this tab: a guest signing up by email, or a
+// new account sent to /verify-email first. clear() once it is published.
+export const draftKey = (route: string, field: string): string => `draft:${route}:${field}`;
+
+const read = (key: string): string => {
+  try {
+    return sessionStorage.getItem(key) ?? '';
+  } catch {
+    return '';
+  }
+};
+
+export const useDraft = (field: string): [string, (value: string) => void, () => void] => {
+  const location = useLocation();
+  const key = draftKey(location.pathname + location.search, field);
+  // Remembers which route the text belongs to, so moving to another post
+  // loads that post's draft instead of carrying this one over.
+  const [draft, setDraft] = useState(() => ({ key, value: read(key) }));
+  const value = draft.key === key ? draft.value : read(key);
+
+  useEffect(() => {
+    try {
+      if (value) sessionStorage.setItem(key, value);
+      else sessionStorage.removeItem(key);
+    } catch {
+      // Storage can be full or blocked; the draft then lives only in state.
+    }
+  }, [key, value]);
+
+  const setValue = useCallback((next: string) => setDraft({ key, value: next }), [key]);
+
+  // Removes the stored copy straight away: callers usually navigate next,
+  // and the effect above would not run again once the page unmounts.
+  const clear = useCallback(() => {
+    try {
+      sessionStorage.removeItem(key);
+    } catch {
+      // Nothing was stored.
+    }
+    setDraft({ key, value: '' });
+  }, [key]);
+
+  return [value, setValue, clear];
+};
@@ -0,0 +1,20 @@
+import { useSyncExternalStore } from 'react';
+
+// Whether the browser reports a network connection. navigator.onLine can
+// say online behind a captive portal, but offline is reliable, which is the
+// case the UI hints at.
+const subscribe = (onChange: () => void) => {
+  window.addEventListener('online', onChange);
+  window.addEventListener('offline', onChange);
+  return () => {
+    window.removeEventListener('online', onChange);
+    window.removeEventListener('offline', onChange);
+  };
+};
+
+const getSnapshot = () => navigator.onLine;
+
+// Server rendering has no navigator; assume online.
+const getServerSnapshot = () => true;
+
+export const useOnlineStatus = (): boolean => useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
@@ -0,0 +1,157 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { Firestore, Unsubscribe } from 'firebase/firestore';
+import type { Post, Reply } from '../types';
+import type { Page, PageCursor, VoteValue } from '../guardrails/define-collection';
+import { subscribePosts, subscribePost, subscribeReplies, getMyVotes, PAGE_SIZE } from './post-storage';
+import type { VoteTarget } from './post-storage';
+
+// Live views over post-storage. State remembers which key it was loaded for,
+// so switching to another post reads as loading until its first snapshot
+// arrives, and the listener is torn down on unmount or when the key changes.
+
+interface Live<T> {
+  key: string | null;
+  value: T;
+  error: Error | null;
+}
+
+const initial = <T>(value: T): Live<T> => ({ key: null, value, error: null });
+
+export const usePosts = (db: Firestore, maxPosts = 50) => {
+  const key = String(maxPosts);
+  const [state, setState] = useState<Live<Post[]>>(() => initial([]));
+
+  useEffect(() => {
+    if (!db) return;
+    return subscribePosts(
+      db,
+      (posts) => setState({ key, value: posts, error: null }),
+      (error) => setState({ key, value: [], error }),
+      maxPosts,
+    );
+  }, [db, key, maxPosts]);
+
+  return { posts: state.value, loading: !!db && state.key !== key, error: state.error };
+};
+
+export const usePost = (db: Firestore, postId: string | null) => {
+  const [state, setState] = useState<Live<Post | null>>(() => initial(null));
+
+  useEffect(() => {
+    if (!db || !postId) return;
+    return subscribePost(
+      db,
+      postId,
+      (post) => setState({ key: postId, value: post, error: null }),
+      (error) => setState({ key: postId, value: null, error }),
+    );
+  }, [db, postId]);
+
+  if (!db || !postId) return { post: null, loading: false, error: null };
+  const current = state.key === postId;
+  return { post: current ? state.value : null, loading: !current, error: current ? state.error : null };
+};
+
+interface ReplyPages {
+  key: string | null;
+  pages: (Page<Reply> | undefined)[];
+  requested: number;
+  error: Error | null;
+}
+
+// Replies load a page at a time, and every loaded page keeps its own live
+// listener anchored on the previous page's last reply. A reply can briefly
+// sit on two pages after a deletion shifts a boundary, hence the de-dupe.
+export const useReplies = (db: Firestore, postId: string | null, pageSize = PAGE_SIZE) => {
+  const key = db && postId ? `${postId}:${pageSize}` : null;
+  const [state, setState] = useState<ReplyPages>({ key: null, pages: [], requested: 0, error: null });
+  const listeners = useRef<Unsubscribe[]>([]);
+
+  const listen = useCallback((index: number, cursor: PageCursor | null) => {
+    if (!key || !postId) return;
+    const fresh = (s: ReplyPages): ReplyPages => (s.key === key ? s : { key, pages: [], requested: 1, error: null });
+    listeners.current[index] = subscribeReplies(
+      db,
+      postId,
+      (items, nextCursor) => setState((s) => {
+        const base = fresh(s);
+        const pages = [...base.pages];
+        pages[index] = { items, nextCursor };
+        return { ...base, pages, error: null };
+      }),
+      (error) => setState((s) => ({ ...fresh(s), error })),
+      { pageSize, cursor },
+    );
+  }, [db, postId, pageSize, key]);
+
+  useEffect(() => {
+    listen(0, null);
+    return () => {
+      listeners.current.forEach(unsubscribe => unsubscribe?.());
+      listeners.current = [];
+    };
+  }, [listen]);
+
+  const current = state.key === key ? state : null;
+  const pages = current?.pages ?? [];
+  const loaded = pages.filter(Boolean).length;
+  const nextCursor = pages[pages.length - 1]?.nextCursor ?? null;
+  const loadingMore = !!current && current.requested > loaded;
+
+  const loadMore = useCallback(() => {
+    if (!nextCursor || loadingMore) return;
+    const index = pages.length;
+    setState((s) => ({ ...s, requested: index + 1 }));
+    listen(index, nextCursor);
+  }, [nextCursor, loadingMore, pages.length, listen]);
+
+  const replies: Reply[] = [];
+  const seen = new Set<string>();
+  for (const reply of pages.flatMap(page => page?.items ?? [])) {
+    if (seen.has(reply.id)) continue;
+    seen.add(reply.id);
+    replies.push(reply);
+  }
+
+  return {
+    replies,
+    loading: !!key && !current?.pages[0] && !current?.error,
+    error: current?.error ?? null,
+    hasMore: !!nextCursor,
+    loadingMore,
+    loadMore,
+  };
+};
+
+interface Votes {
+  key: string | null;
+  votes: Record<string, VoteValue>;
+}
+
+// The signed-in user's votes on the given posts or replies. record() keeps a
+// vote they just cast, so the arrows update without re-reading every vote.
+export const useMyVotes = (db: Firestore, target: VoteTarget, ids: string[], userId?: string | null) => {
+  const idList = ids.join(',');
+  const key = db && userId && idList ? `${userId}:${idList}` : null;
+  const [loaded, setLoaded] = useState<Votes>({ key: null, votes: {} });
+  const [cast, setCast] = useState<Votes>({ key: null, votes: {} });
+
+  useEffect(() => {
+    if (!key || !userId) return;
+    let cancelled = false;
+    getMyVotes(db, target, idList.split(','), userId)
+      .then((votes) => { if (!cancelled) setLoaded({ key, votes }); })
+      .catch((error) => console.error('Error loading votes:', error));
+    return () => { cancelled = true; };
+  }, [db, target, idList, userId, key]);
+
+  const record = useCallback((id: string, value: VoteValue) => {
+    setCast((c) => ({ key: userId ?? null, votes: { ...(c.key === userId ? c.votes : {}), [id]: value } }));
+  }, [userId]);
+
+  const votes = {
+    ...(loaded.key === key ? loaded.votes : {}),
+    ...(userId && cast.key === userId ? cast.votes : {}),
+  };
+  return { votes, record };
+};
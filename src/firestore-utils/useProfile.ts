@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+import { Firestore } from 'firebase/firestore';
+import type { UserProfile } from '../types';
+import { useAuth } from './auth-context';
+import { ensureProfile } from './profiles';
+
+// The signed-in user's profile, created with defaults on first use so there
+// is always one for createPost() and addReply() to copy the author from.
+export const useOwnProfile = (db: Firestore) => {
+  const { user } = useAuth();
+  const uid = user?.uid ?? null;
+  const [state, setState] = useState<{ uid: string | null; profile: UserProfile | null; error: Error | null }>(
+    { uid: null, profile: null, error: null },
+  );
+
+  // Keyed on the uid, so a new user object for the same account does not reload it.
+  useEffect(() => {
+    if (!db || !user) return;
+    let mounted = true;
+    ensureProfile(db, user)
+      .then((profile) => {
+        if (mounted) setState({ uid: user.uid, profile, error: null });
+      })
+      .catch((error) => {
+        console.error('Error loading profile:', error);
+        if (mounted) setState({ uid: user.uid, profile: null, error });
+      });
+    return () => { mounted = false; };
+  }, [db, uid]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const current = !!uid && state.uid === uid;
+  return {
+    profile: current ? state.profile : null,
+    loading: !!uid && !current,
+    error: current ? state.error : null,
+    // For the profile editor, after a save.
+    setProfile: (profile: UserProfile) => setState({ uid: profile.uid, profile, error: null }),
+  };
+};
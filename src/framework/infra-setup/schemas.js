@@ -54,6 +54,28 @@ export const SCHEMAS = {
   },
 };
 
+const firebaseProjectSchema = {
+  projectId: { type: 'string', required: true, label: 'Firebase project ID' },
+};
+
+/**
+ * The infra_configs/{uid} document (InfraConfig in src/types/models.ts).
+ * saveConfig() merges partial updates, so every field is optional here.
+ */
+export const INFRA_CONFIG_SCHEMA = {
+  gcp_project_id: { ...SCHEMAS.projectId, required: false },
+  gcp_connected: { type: 'boolean', label: 'GCP connected' },
+  gcp_token_expiry: { type: 'date', label: 'GCP token expiry' },
+  github_app_installed: { type: 'boolean', label: 'GitHub app installed' },
+  github_repo: { type: 'string', maxLength: 200, label: 'GitHub repo' },
+  vm_ip: { type: 'string', maxLength: 45, label: 'VM IP' },
+  firebase_staging: { type: 'object', schema: firebaseProjectSchema, label: 'Firebase staging config' },
+  firebase_production: { type: 'object', schema: firebaseProjectSchema, label: 'Firebase production config' },
+  sm_secrets: { type: 'object', label: 'Secret Manager references' },
+  discord_bot_added: { type: 'boolean', label: 'Discord bot added' },
+  updated_at: { type: 'date', label: 'Updated at' },
+};
+
 /**
  * Validates a raw service-account key (as pasted or uploaded) and returns the
  * parsed object, or an error message. Use before storing the key or using it
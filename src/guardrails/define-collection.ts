@@ -0,0 +1,226 @@
+import {
+  collection,
+  onSnapshot,
+  query,
+  where,
+  orderBy,
+  limit,
+  Firestore,
+  DocumentData,
+  QueryConstraint,
+  QueryDocumentSnapshot,
+  Unsubscribe,
+} from 'firebase/firestore';
+import { validate } from './validate';
+import { safeCreate, safeUpdate, safeDelete, safeQuery, safeQueryPage, safeVote } from './safe-firestore';
+
+// One declaration per collection: the schema is the allowlist, every write is
+// validated against it, and ownership checks and owner-scoped reads all use
+// the same owner field. firestore.rules must check that field as well.
+
+export type OwnerField = 'createdBy' | 'userId' | 'user_id';
+
+export interface FieldRules {
+  type?: 'string' | 'number' | 'boolean' | 'email' | 'url' | 'date' | 'timestamp' | 'object' | 'array';
+  required?: boolean;
+  minLength?: number;
+  maxLength?: number;
+  min?: number | string | Date;
+  max?: number | string | Date;
+  pattern?: RegExp;
+  message?: string;
+  oneOf?: unknown[];
+  label?: string;
+  schema?: Schema;
+  items?: FieldRules;
+  minItems?: number;
+  maxItems?: number;
+  equals?: string;
+  custom?: (value: unknown, siblings: Record<string, unknown>) => string | null;
+}
+
+export type Schema = Record<string, FieldRules>;
+
+export interface CollectionOptions {
+  ownerField?: OwnerField;
+  rateLimit?: string;
+}
+
+export interface QueryOptions {
+  maxResults?: number;
+  // Field to sort on; defaults to createdAt.
+  orderField?: string;
+  sortOrder?: 'asc' | 'desc';
+  cursor?: PageCursor | null;
+}
+
+// The last document of a page; the next page starts after it.
+export type PageCursor = QueryDocumentSnapshot<DocumentData>;
+
+export interface Page<T> {
+  items: T[];
+  nextCursor: PageCursor | null;
+}
+
+export interface PageOptions {
+  pageSize?: number;
+  cursor?: PageCursor | null;
+  orderField?: string;
+  sortOrder?: 'asc' | 'desc';
+}
+
+export interface CounterField {
+  collection: string;
+  docId: string;
+  field: string;
+}
+
+export interface CreateOptions {
+  // Adds one to a counter on another document in the same commit.
+  increment?: CounterField;
+}
+
+export interface HistoryEntry {
+  action: 'create' | 'update' | 'toggle' | 'delete' | 'revert';
+  before?: unknown;
+  after?: unknown;
+  actorEmail?: string;
+  // Subcollection the entry goes in; defaults to 'history'.
+  collection?: string;
+}
+
+export interface WriteOptions {
+  requireOwnership?: boolean;
+  // Written in the same batch as the change.
+  history?: HistoryEntry;
+}
+
+// Documents deleted before the one they depend on: top-level docs whose
+// field holds its id, or one of its subcollections.
+export type CascadeRule =
+  | { collection: string; field: string; cascade?: CascadeRule[] }
+  | { subcollection: string; cascade?: CascadeRule[] };
+
+export interface RemoveOptions extends WriteOptions {
+  // Takes one off a counter on another document in the same commit.
+  decrement?: CounterField;
+  cascade?: CascadeRule[];
+}
+
+export type VoteValue = 1 | 0 | -1;
+
+export interface StoredFields {
+  id: string;
+  createdBy: string;
+  updatedBy: string;
+  createdAt?: { toDate(): Date };
+  updatedAt?: { toDate(): Date };
+}
+
+export type Stored<T> = T & StoredFields;
+
+export interface Repository<T> {
+  name: string;
+  schema: Schema;
+  allowFields: string[];
+  ownerField: OwnerField;
+  validate(data: Partial<T>): Record<string, string> | null;
+  create(db: Firestore, data: T, userId: string, opts?: CreateOptions): Promise<string>;
+  update(db: Firestore, docId: string, data: Partial<T>, userId: string, opts?: WriteOptions): Promise<void>;
+  remove(db: Firestore, docId: string, userId: string, opts?: RemoveOptions): Promise<void>;
+  // Sets (1, -1) or clears (0) the caller's vote and resolves to the new score.
+  vote(db: Firestore, docId: string, value: VoteValue, userId: string): Promise<number>;
+  query(db: Firestore, userId: string, opts?: QueryOptions): Promise<Stored<T>[]>;
+  queryPage(db: Firestore, userId: string, opts?: PageOptions): Promise<Page<Stored<T>>>;
+  subscribe(
+    db: Firestore,
+    userId: string,
+    onChange: (docs: Stored<T>[]) => void,
+    onError?: (error: Error) => void,
+    opts?: QueryOptions,
+  ): Unsubscribe;
+}
+
+const throwFirst = (errors: Record<string, string> | null) => {
+  if (errors) throw new Error(Object.values(errors)[0]);
+};
+
+// Updates only carry the fields being changed, so only those are checked.
+const partialSchema = (schema: Schema, data: object): Schema =>
+  Object.fromEntries(Object.entries(schema).filter(([field]) => field in data));
+
+export const defineCollection = <T extends object>(
+  name: string,
+  schema: Schema,
+  options: CollectionOptions = {},
+): Repository<T> => {
+  const ownerField = options.ownerField || 'createdBy';
+  const allowFields = Object.keys(schema);
+  if (ownerField !== 'createdBy' && !allowFields.includes(ownerField)) allowFields.push(ownerField);
+
+  const owned = (data: object, userId: string) =>
+    ownerField === 'createdBy' ? data : { ...data, [ownerField]: userId };
+
+  return {
+    name,
+    schema,
+    allowFields,
+    ownerField,
+
+    validate: (data) => validate(data, schema),
+
+    create: async (db, data, userId, opts = {}) => {
+      throwFirst(validate(data, schema));
+      return safeCreate(db, name, owned(data, userId), userId, {
+        allowFields,
+        rateLimit: options.rateLimit,
+        increment: opts.increment,
+      });
+    },
+
+    update: async (db, docId, data, userId, opts = {}) => {
+      throwFirst(validate(data, partialSchema(schema, data)));
+      const fields = allowFields.filter(field => field !== ownerField);
+      await safeUpdate(db, name, docId, data, userId, {
+        allowFields: fields,
+        ownerField,
+        requireOwnership: opts.requireOwnership ?? true,
+        history: opts.history,
+      });
+    },
+
+    remove: async (db, docId, userId, opts = {}) => {
+      await safeDelete(db, name, docId, userId, {
+        ownerField,
+        requireOwnership: opts.requireOwnership ?? true,
+        history: opts.history,
+        decrement: opts.decrement,
+        cascade: opts.cascade,
+      });
+    },
+
+    vote: async (db, docId, value, userId) =>
+      safeVote(db, name, docId, value, userId, { ownerField }),
+
+    query: async (db, userId, opts = {}) =>
+      safeQuery(db, name, userId, { ...opts, ownerField }) as Promise<Stored<T>[]>,
+
+    queryPage: async (db, userId, opts = {}) =>
+      safeQueryPage(db, name, userId, { ...opts, ownerField }) as Promise<Page<Stored<T>>>,
+
+    subscribe: (db, userId, onChange, onError, opts = {}) => {
+      if (!userId) throw new Error(`${name}.subscribe: userId is required`);
+      const constraints: QueryConstraint[] = [
+        where(ownerField, '==', userId),
+        orderBy(opts.orderField || 'createdAt', opts.sortOrder === 'asc' ? 'asc' : 'desc'),
+      ];
+      if (opts.maxResults) constraints.push(limit(opts.maxResults));
+
+      return onSnapshot(
+        query(collection(db, name), ...constraints),
+        (snapshot) => onChange(snapshot.docs.map(d => ({ id: d.id, ...(d.data() as DocumentData) }) as Stored<T>)),
+        (error) => onError?.(error),
+      );
+    },
+  };
+};
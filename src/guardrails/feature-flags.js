@@ -0,0 +1,87 @@
+// Resolves a featureFlags/{name} document for one user. Flags written before
+// rollouts existed only carry `enabled`, and still resolve the same way.
+//
+// Optional fields:
+//   rolloutPercentage  0–100, bucketed by a stable hash of flag name + uid
+//   allow / deny       uids or emails that are always on / always off
+//   environments       e.g. ['staging'] — empty or missing means everywhere
+//   variants           e.g. ['control', 'treatment'] — split evenly by uid
+
+export const FLAG_ENVIRONMENTS = ['development', 'staging', 'production'];
+
+export const FLAG_SCHEMA = {
+  rolloutPercentage: { type: 'number', required: true, min: 0, max: 100, label: 'Rollout percentage' },
+};
+
+export const FLAG_ALLOW_FIELDS = ['enabled', 'rolloutPercentage', 'allow', 'deny', 'environments', 'variants'];
+
+const rawEnv = (import.meta.env.VITE_APP_ENV || '').trim().toLowerCase();
+export const APP_ENVIRONMENT = rawEnv === 'production' || rawEnv === 'development' ? rawEnv : 'staging';
+
+// FNV-1a, 32-bit. Stable across sessions and devices, which is all a
+// rollout bucket needs — it is not a security boundary.
+export const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+export const rolloutBucket = (flagName, uid) => hashString(`${flagName}:${uid}`) % 100;
+
+const matchesUser = (list, uid, email) =>
+  Array.isArray(list) && list.some(entry => entry === uid || (!!email && entry.toLowerCase() === email.toLowerCase()));
+
+const pickVariant = (flagName, flag, uid) => {
+  const variants = Array.isArray(flag.variants) ? flag.variants : [];
+  if (variants.length === 0) return null;
+  if (!uid) return variants[0];
+  return variants[hashString(`${flagName}:variant:${uid}`) % variants.length];
+};
+
+export const evaluateFlag = (flagName, flag, { uid, email, environment = APP_ENVIRONMENT, defaultValue = false } = {}) => {
+  if (!flag) return { enabled: defaultValue, variant: null, reason: 'default' };
+
+  const on = (reason) => ({ enabled: true, variant: pickVariant(flagName, flag, uid), reason });
+  const off = (reason) => ({ enabled: false, variant: null, reason });
+
+  // A flag doc that never set `enabled` falls back to the caller's default.
+  if (!(flag.enabled ?? defaultValue)) return off('disabled');
+  if (Array.isArray(flag.environments) && flag.environments.length > 0 && !flag.environments.includes(environment)) {
+    return off('environment');
+  }
+  if (matchesUser(flag.deny, uid, email)) return off('denied');
+  if (matchesUser(flag.allow, uid, email)) return on('allowed');
+
+  const percentage = flag.rolloutPercentage ?? 100;
+  if (percentage >= 100) return on('enabled');
+  if (!uid || percentage <= 0) return off('rollout');
+  return rolloutBucket(flagName, uid) < percentage ? on('rollout') : off('rollout');
+};
+
+// The editable part of a flag with every default filled in. History entries
+// store this shape, so reverting to one restores fields that were absent.
+export const flagState = (flag) => {
+  if (!flag) return null;
+  return {
+    enabled: !!flag.enabled,
+    rolloutPercentage: flag.rolloutPercentage ?? 100,
+    allow: flag.allow || [],
+    deny: flag.deny || [],
+    environments: flag.environments || [],
+    variants: flag.variants || [],
+  };
+};
+
+export const describeFlagState = (state) => {
+  if (!state) return 'Deleted';
+  const parts = [state.enabled ? 'ON' : 'OFF'];
+  if (state.rolloutPercentage < 100) parts.push(`${state.rolloutPercentage}% rollout`);
+  if (state.environments.length > 0) parts.push(`${state.environments.join(', ')} only`);
+  if (state.allow.length > 0) parts.push(`${state.allow.length} allowed`);
+  if (state.deny.length > 0) parts.push(`${state.deny.length} denied`);
+  if (state.variants.length > 0) parts.push(`variants: ${state.variants.join(', ')}`);
+  return parts.join(' · ');
+};
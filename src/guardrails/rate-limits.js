@@ -0,0 +1,57 @@
+// Server-enforced rate limits. The max/window here are the defaults and must
+// match rateLimitDefaults() in firestore.rules — the rules refuse a create on
+// the listed collection unless the same write bumps the caller's counter at
+// rateLimitCounters/{uid}/actions/{action} and the count stays within max.
+export const ENFORCED_RATE_LIMITS = {
+  'create-post': { collection: 'posts', max: 10, windowSeconds: 60 },
+  'add-reply': { collection: 'replies', max: 20, windowSeconds: 60 },
+  'add-task': { collection: 'tasks', max: 20, windowSeconds: 60 },
+  'report-content': { collection: 'reports', max: 10, windowSeconds: 3600 },
+};
+
+export const RATE_LIMIT_COUNTERS = 'rateLimitCounters';
+
+// Admin-editable overrides live at rateLimits/{action}. A missing document
+// means the caller's literal default (or ENFORCED_RATE_LIMITS) applies.
+export const RATE_LIMITS_COLLECTION = 'rateLimits';
+
+export const RATE_LIMIT_SCHEMA = {
+  max: { type: 'number', required: true, min: 1, max: 10000, label: 'Max' },
+  windowSeconds: { type: 'number', required: true, min: 1, max: 86400, label: 'Window' },
+};
+
+export const RATE_LIMIT_ALLOW_FIELDS = ['max', 'windowSeconds', 'exemptRoles'];
+
+export const resolveRateLimit = (config, fallbackMax, fallbackWindowSeconds = 60) => ({
+  max: Number.isInteger(config?.max) ? config.max : fallbackMax,
+  windowSeconds: Number.isInteger(config?.windowSeconds) ? config.windowSeconds : fallbackWindowSeconds,
+  exemptRoles: Array.isArray(config?.exemptRoles) ? config.exemptRoles : [],
+});
+
+export const isExemptRole = (limit, role) => !!role && limit.exemptRoles.includes(role);
+
+export const counterPath = (userId, action) => [RATE_LIMIT_COUNTERS, userId, 'actions', action];
+
+const toMillis = (value) => {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return typeof value === 'number' ? value : null;
+};
+
+// Reads a counter document the same way the rules do: a window that started
+// more than windowSeconds ago is over, so its count no longer applies.
+export const readCounterWindow = (counter, max, windowSeconds, now = Date.now()) => {
+  const windowMs = windowSeconds * 1000;
+  const start = toMillis(counter?.windowStart);
+  if (start == null || start + windowMs <= now) {
+    return { active: false, count: 0, remaining: max, resetIn: 0 };
+  }
+  const count = counter.count || 0;
+  return {
+    active: true,
+    count,
+    remaining: Math.max(0, max - count),
+    resetIn: Math.max(0, start + windowMs - now),
+  };
+};
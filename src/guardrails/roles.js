@@ -0,0 +1,56 @@
+import { safeSet, safeDelete } from './safe-firestore';
+
+// Roles live in admins/{uid}.role. ROLE_PERMISSIONS must match
+// rolePermissions() in firestore.rules — the UI hides what the rules refuse.
+export const MEMBERS_COLLECTION = 'admins';
+
+export const ROLES = ['owner', 'admin', 'editor', 'viewer'];
+
+export const PERMISSIONS = {
+  VIEW_ADMIN: 'admin:view',
+  EDIT_FLAGS: 'flags:edit',
+  EDIT_LIMITS: 'limits:edit',
+  MANAGE_MEMBERS: 'members:manage',
+  MODERATE_POSTS: 'posts:moderate',
+};
+
+export const ROLE_PERMISSIONS = {
+  owner: ['admin:view', 'flags:edit', 'limits:edit', 'members:manage', 'posts:moderate'],
+  admin: ['admin:view', 'flags:edit', 'limits:edit', 'members:manage', 'posts:moderate'],
+  editor: ['admin:view', 'flags:edit'],
+  viewer: ['admin:view'],
+};
+
+export const ROLE_ALLOW_FIELDS = ['role', 'email'];
+
+export const isRole = (role) => ROLES.includes(role);
+
+export const hasPermission = (role, permission) =>
+  isRole(role) && ROLE_PERMISSIONS[role].includes(permission);
+
+// Owners can grant or revoke any role; admins only the roles below them.
+// Nobody changes their own role, so the last owner cannot lock themselves out.
+export const canGrant = (granterRole, targetRole) => {
+  if (!hasPermission(granterRole, PERMISSIONS.MANAGE_MEMBERS) || !isRole(targetRole)) return false;
+  if (granterRole === 'owner') return true;
+  return ROLES.indexOf(targetRole) > ROLES.indexOf(granterRole);
+};
+
+// granter is { uid, role }; member is { uid, email, role } where role is the
+// member's current role, if any. The rules repeat every check below.
+export const grantRole = async (db, granter, member, role) => {
+  if (!isRole(role)) throw new Error(`Unknown role "${role}"`);
+  if (member.uid === granter.uid) throw new Error('You cannot change your own role');
+  if (!canGrant(granter.role, role)) throw new Error(`You cannot grant the ${role} role`);
+  if (member.role && !canGrant(granter.role, member.role)) {
+    throw new Error(`You cannot change a member who is ${member.role}`);
+  }
+  const data = { role, email: member.email || '' };
+  return safeSet(db, MEMBERS_COLLECTION, member.uid, data, granter.uid, { allowFields: ROLE_ALLOW_FIELDS });
+};
+
+export const revokeRole = async (db, granter, member) => {
+  if (member.uid === granter.uid) throw new Error('You cannot change your own role');
+  if (!canGrant(granter.role, member.role)) throw new Error(`You cannot revoke the ${member.role} role`);
+  await safeDelete(db, MEMBERS_COLLECTION, member.uid, granter.uid);
+};
@@ -0,0 +1,121 @@
+// Turns validate() schemas into firestore.rules functions so the client and
+// the rules enforce the same limits. scripts/generate-rules.js writes the
+// output between the markers below; never edit that region by hand.
+
+export const BEGIN_MARKER = '// BEGIN GENERATED SCHEMA VALIDATORS — npm run rules:generate';
+export const END_MARKER = '// END GENERATED SCHEMA VALIDATORS';
+
+const quote = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+const literal = (value) => (typeof value === 'string' ? quote(value) : String(value));
+
+// Rules' matches() must match the whole string; validate() uses RegExp#test,
+// which matches anywhere unless the pattern is anchored.
+const fullMatch = (pattern) => {
+  let source = pattern.source;
+  const start = source.startsWith('^');
+  const end = source.endsWith('$') && !source.endsWith('\\$');
+  if (start) source = source.slice(1);
+  if (end) source = source.slice(0, -1);
+  return `${start ? '' : '.*'}(${source})${end ? '' : '.*'}`;
+};
+
+const EMAIL_PATTERN = '[^\\s@]+@[^\\s@]+[.][^\\s@]+';
+
+const fieldChecks = (parent, field, rules) => {
+  const ref = `${parent}.${field}`;
+  const type = rules.type || 'string';
+  const checks = [];
+
+  switch (type) {
+    case 'string':
+      checks.push(`${ref} is string`);
+      if (rules.required) checks.push(`${ref}.size() >= ${Math.max(1, rules.minLength ?? 1)}`);
+      else if (rules.minLength != null) checks.push(`${ref}.size() >= ${rules.minLength}`);
+      if (rules.maxLength != null) checks.push(`${ref}.size() <= ${rules.maxLength}`);
+      if (rules.pattern) checks.push(`${ref}.matches(${quote(fullMatch(rules.pattern))})`);
+      break;
+    case 'email':
+      checks.push(`${ref} is string`, `${ref}.matches(${quote(EMAIL_PATTERN)})`);
+      break;
+    case 'number':
+      checks.push(`${ref} is number`);
+      if (rules.min != null) checks.push(`${ref} >= ${rules.min}`);
+      if (rules.max != null) checks.push(`${ref} <= ${rules.max}`);
+      break;
+    case 'boolean':
+      checks.push(`${ref} is bool`);
+      break;
+    case 'timestamp':
+      if (rules.min != null || rules.max != null) throw unsupported(field, 'timestamp bounds');
+      checks.push(`${ref} is timestamp`);
+      break;
+    case 'object':
+      checks.push(`${ref} is map`);
+      if (rules.schema) {
+        checks.push(...Object.entries(rules.schema).flatMap(([sub, subRules]) => fieldClause(ref, sub, subRules)));
+      }
+      break;
+    case 'array':
+      // Rules have no loops, so per-item rules cannot be expressed.
+      if (rules.items) throw unsupported(field, 'array item rules');
+      checks.push(`${ref} is list`);
+      if (rules.minItems != null) checks.push(`${ref}.size() >= ${rules.minItems}`);
+      if (rules.maxItems != null) checks.push(`${ref}.size() <= ${rules.maxItems}`);
+      break;
+    default:
+      throw unsupported(field, `type "${type}"`);
+  }
+
+  if (rules.oneOf) checks.push(`${ref} in [${rules.oneOf.map(literal).join(', ')}]`);
+  if (rules.equals) checks.push(`${ref} == ${parent}.${rules.equals}`);
+  if (rules.custom) throw unsupported(field, 'a custom validator');
+  return checks;
+};
+
+const unsupported = (field, what) =>
+  new Error(`rules-from-schema: ${field} uses ${what}, which has no rules equivalent`);
+
+// validate() skips optional fields that are missing, null or '', so the
+// generated clause does too.
+const fieldClause = (parent, field, rules) => {
+  const checks = fieldChecks(parent, field, rules);
+  if (rules.required) return checks;
+  const empty = `${parent}.get(${quote(field)}, null) == null`;
+  const blank = (rules.type || 'string') === 'string' ? ` || ${parent}.${field} == ''` : '';
+  return [`(${empty}${blank} || (${checks.join(' && ')}))`];
+};
+
+export const schemaToRule = (name, schema) => {
+  const clauses = Object.entries(schema).flatMap(([field, rules]) => fieldClause('data', field, rules));
+  return [
+    `    function ${name}(data) {`,
+    `      return ${clauses.join('\n        && ')};`,
+    '    }',
+  ].join('\n');
+};
+
+export const renderGeneratedRegion = (schemas) => [
+  `    ${BEGIN_MARKER}`,
+  '    // Source: src/firestore-utils/schemas.js',
+  ...Object.entries(schemas).flatMap(([name, schema]) => ['', schemaToRule(name, schema)]),
+  '',
+  `    ${END_MARKER}`,
+].join('\n');
+
+const findRegion = (rules) => {
+  const start = rules.indexOf(`    ${BEGIN_MARKER}`);
+  const end = rules.indexOf(END_MARKER);
+  if (start === -1 || end === -1 || end < start) {
+    throw new Error('firestore.rules has no generated schema validator region');
+  }
+  return { start, end: end + END_MARKER.length };
+};
+
+export const replaceGeneratedRegion = (rules, region) => {
+  const { start, end } = findRegion(rules);
+  return rules.slice(0, start) + region + rules.slice(end);
+};
+
+export const isRegionCurrent = (rules, schemas) =>
+  replaceGeneratedRegion(rules, renderGeneratedRegion(schemas)) === rules;
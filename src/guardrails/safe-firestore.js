@@ -1,7 +1,8 @@
-import { collection, addDoc, updateDoc, deleteDoc, getDoc, getDocs, doc, setDoc, query, where, orderBy, limit, serverTimestamp, Firestore } from 'firebase/firestore';
+import { collection, addDoc, updateDoc, deleteDoc, getDoc, getDocs, doc, setDoc, query, where, orderBy, limit, startAfter, serverTimestamp, increment, runTransaction, writeBatch, Firestore } from 'firebase/firestore';
+import { ENFORCED_RATE_LIMITS, RATE_LIMITS_COLLECTION, counterPath, readCounterWindow, resolveRateLimit, isExemptRole } from './rate-limits';
 
 const AUDIT_FIELDS = ['createdBy', 'updatedBy', 'createdAt', 'updatedAt'];
-const RESERVED_FIELDS = ['createdAt', 'updatedAt', 'replyCount'];
+const RESERVED_FIELDS = ['createdAt', 'updatedAt', 'replyCount', 'score'];
 
 const stripReserved = (data) => {
   const clean = { ...data };
@@ -18,6 +19,29 @@ const filterFields = (data, allowFields) => {
   return clean;
 };
 
+const HISTORY_ACTIONS = ['create', 'update', 'toggle', 'delete', 'revert'];
+
+// Commits the write and an entry in {collection}/{docId}/history in one batch,
+// so the audit trail cannot miss a change. firestore.rules keeps entries
+// immutable once written. history.collection names another subcollection,
+// e.g. a post's revisions.
+const commitWithHistory = async (db, ref, userId, history, write) => {
+  if (!HISTORY_ACTIONS.includes(history.action)) throw new Error(`history: unknown action "${history.action}"`);
+  const entry = {
+    action: history.action,
+    before: history.before ?? null,
+    after: history.after ?? null,
+    actor: userId,
+    createdAt: serverTimestamp(),
+  };
+  if (history.actorEmail) entry.actorEmail = history.actorEmail;
+
+  const batch = writeBatch(db);
+  write(batch);
+  batch.set(doc(collection(ref, history.collection || 'history')), entry);
+  await batch.commit();
+};
+
 export const safeSet = async (db, collectionName, docId, data, userId, opts = {}) => {
   if (!userId) throw new Error('safeSet: userId is required');
   if (!docId) throw new Error('safeSet: docId is required');
@@ -33,10 +57,64 @@ export const safeSet = async (db, collectionName, docId, data, userId, opts = {}
   };
 
   const ref = doc(db, collectionName, docId);
+  if (opts.history) {
+    await commitWithHistory(db, ref, userId, opts.history, (batch) => batch.set(ref, docData, { merge: opts.merge || false }));
+    return docId;
+  }
   await setDoc(ref, docData, { merge: opts.merge || false });
   return docId;
 };
 
+// opts.increment = { collection, docId, field } adds one to a counter on
+// another document in the same commit as the create, e.g. a post's
+// replyCount, and names the new document in lastAdded so firestore.rules can
+// match the bump to it. A blind increment() cannot lose a concurrent bump the
+// way read-then-write can. safeDelete's opts.decrement is the reverse.
+const incrementCounter = (db, write, bump, by = 1, extra = {}) => {
+  if (!bump) return;
+  if (!bump.collection || !bump.docId || !bump.field) {
+    throw new Error(`${by > 0 ? 'safeCreate: increment' : 'safeDelete: decrement'} needs collection, docId and field`);
+  }
+  write.update(doc(db, bump.collection, bump.docId), { [bump.field]: increment(by), ...extra });
+};
+
+// Creates the document and bumps the caller's rate-limit counter in one
+// transaction, which is what firestore.rules checks for on rate-limited
+// collections. The counter names the new document in lastCreated, so one
+// bump cannot cover several creates. Throws before writing when the window is already full, unless
+// the rateLimits/{action} override exempts the caller's role.
+const createWithRateLimit = async (db, collectionName, docData, userId, action, bump) => {
+  const defaults = ENFORCED_RATE_LIMITS[action];
+  if (!defaults) throw new Error(`safeCreate: unknown rate limit "${action}"`);
+  if (defaults.collection !== collectionName) throw new Error(`safeCreate: rate limit "${action}" does not apply to ${collectionName}`);
+
+  const configRef = doc(db, RATE_LIMITS_COLLECTION, action);
+  const counterRef = doc(db, ...counterPath(userId, action));
+  const ref = doc(collection(db, collectionName));
+  await runTransaction(db, async (tx) => {
+    const configSnap = await tx.get(configRef);
+    const limit = resolveRateLimit(configSnap.exists() ? configSnap.data() : null, defaults.max, defaults.windowSeconds);
+    let exempt = false;
+    if (limit.exemptRoles.length > 0) {
+      const adminSnap = await tx.get(doc(db, 'admins', userId));
+      exempt = adminSnap.exists() && isExemptRole(limit, adminSnap.data().role);
+    }
+
+    const counterSnap = await tx.get(counterRef);
+    const counter = counterSnap.exists() ? counterSnap.data() : null;
+    const current = readCounterWindow(counter, limit.max, limit.windowSeconds);
+    if (!exempt && current.remaining <= 0) {
+      throw new Error(`Rate limit reached. Try again in ${Math.ceil(current.resetIn / 1000)}s.`);
+    }
+    tx.set(counterRef, current.active
+      ? { count: current.count + 1, windowStart: counter.windowStart, updatedAt: serverTimestamp(), lastCreated: ref.id }
+      : { count: 1, windowStart: serverTimestamp(), updatedAt: serverTimestamp(), lastCreated: ref.id });
+    tx.set(ref, docData);
+    incrementCounter(db, tx, bump, 1, { lastAdded: ref.id });
+  });
+  return ref.id;
+};
+
 export const safeCreate = async (db, collectionName, data, userId, opts = {}) => {
   if (!userId) throw new Error('safeCreate: userId is required');
   if (!data || typeof data !== 'object') throw new Error('safeCreate: data must be an object');
@@ -50,6 +128,17 @@ export const safeCreate = async (db, collectionName, data, userId, opts = {}) =>
     updatedAt: serverTimestamp(),
   };
 
+  if (opts.rateLimit) return createWithRateLimit(db, collectionName, docData, userId, opts.rateLimit, opts.increment);
+
+  if (opts.increment) {
+    const ref = doc(collection(db, collectionName));
+    const batch = writeBatch(db);
+    batch.set(ref, docData);
+    incrementCounter(db, batch, opts.increment, 1, { lastAdded: ref.id });
+    await batch.commit();
+    return ref.id;
+  }
+
   const ref = collection(db, collectionName);
   const docRef = await addDoc(ref, docData);
   return docRef.id;
@@ -70,13 +159,48 @@ export const safeUpdate = async (db, collectionName, docId, data, userId, opts =
     const ref = doc(db, collectionName, docId);
     const snap = await getDoc(ref);
     if (!snap.exists()) throw new Error(`Document ${docId} not found`);
-    if (snap.data().createdBy !== userId) throw new Error('You do not have permission to update this document');
+    if (snap.data()[opts.ownerField || 'createdBy'] !== userId) throw new Error('You do not have permission to update this document');
   }
 
   const ref = doc(db, collectionName, docId);
+  if (opts.history) {
+    await commitWithHistory(db, ref, userId, opts.history, (batch) => batch.update(ref, docData));
+    return;
+  }
   await updateDoc(ref, docData);
 };
 
+const CASCADE_BATCH_SIZE = 400;
+
+// Everything that hangs off a document, each dependent's own dependents
+// before it: { collection, field } is every top-level doc whose field holds
+// its id, { subcollection } is a subcollection under it, and either can carry
+// a nested cascade of its own.
+const collectDependents = async (db, ref, cascade) => {
+  const found = [];
+  for (const dependent of cascade) {
+    if (!dependent.subcollection && !(dependent.collection && dependent.field)) {
+      throw new Error('safeDelete: cascade entries need a subcollection, or a collection and field');
+    }
+    const source = dependent.subcollection
+      ? collection(ref, dependent.subcollection)
+      : query(collection(db, dependent.collection), where(dependent.field, '==', ref.id));
+
+    let cursor = null;
+    for (;;) {
+      const page = cursor ? [startAfter(cursor), limit(CASCADE_BATCH_SIZE)] : [limit(CASCADE_BATCH_SIZE)];
+      const snapshot = await getDocs(query(source, ...page));
+      for (const child of snapshot.docs) {
+        if (dependent.cascade) found.push(...await collectDependents(db, child.ref, dependent.cascade));
+        found.push(child.ref);
+      }
+      if (snapshot.docs.length < CASCADE_BATCH_SIZE) break;
+      cursor = snapshot.docs[snapshot.docs.length - 1];
+    }
+  }
+  return found;
+};
+
 export const safeDelete = async (db, collectionName, docId, userId, opts = {}) => {
   if (!userId) throw new Error('safeDelete: userId is required');
   if (!docId) throw new Error('safeDelete: docId is required');
@@ -85,23 +209,102 @@ export const safeDelete = async (db, collectionName, docId, userId, opts = {}) =
     const ref = doc(db, collectionName, docId);
     const snap = await getDoc(ref);
     if (!snap.exists()) throw new Error(`Document ${docId} not found`);
-    if (snap.data().createdBy !== userId) throw new Error('You do not have permission to delete this document');
+    if (snap.data()[opts.ownerField || 'createdBy'] !== userId) throw new Error('You do not have permission to delete this document');
   }
 
   const ref = doc(db, collectionName, docId);
+
+  // Dependents go first, a batch at a time, so a failure part way leaves the
+  // document in place to delete again. The last batch of them commits with
+  // the document itself: firestore.rules lets an author remove other users'
+  // content under theirs, e.g. replies to their post, only in that commit.
+  const dependents = opts.cascade ? await collectDependents(db, ref, opts.cascade) : [];
+  const withDocument = dependents.slice(-CASCADE_BATCH_SIZE);
+  const before = dependents.slice(0, dependents.length - withDocument.length);
+  for (let i = 0; i < before.length; i += CASCADE_BATCH_SIZE) {
+    const batch = writeBatch(db);
+    for (const dependent of before.slice(i, i + CASCADE_BATCH_SIZE)) batch.delete(dependent);
+    await batch.commit();
+  }
+
+  // The counter records which document went, so firestore.rules can check
+  // the decrement matches a real delete in the same commit.
+  const write = (batch) => {
+    for (const dependent of withDocument) batch.delete(dependent);
+    batch.delete(ref);
+    incrementCounter(db, batch, opts.decrement, -1, { lastRemoved: docId });
+  };
+  if (opts.history) {
+    await commitWithHistory(db, ref, userId, opts.history, write);
+    return;
+  }
+  if (opts.decrement || withDocument.length > 0) {
+    const batch = writeBatch(db);
+    write(batch);
+    await batch.commit();
+    return;
+  }
   await deleteDoc(ref);
 };
 
-export const safeQuery = async (db, collectionName, userId, opts = {}) => {
-  if (!userId) throw new Error('safeQuery: userId is required');
+export const VOTE_VALUES = [1, 0, -1];
+
+// Sets (1 or -1) or clears (0) the caller's vote in
+// {collection}/{docId}/votes/{userId} and moves the document's score by the
+// difference, in one transaction. The vote doc is keyed by user, so nobody
+// holds more than one vote per document; firestore.rules checks the score
+// moves by exactly the vote's change and that nobody votes on their own.
+export const safeVote = async (db, collectionName, docId, value, userId, opts = {}) => {
+  if (!userId) throw new Error('safeVote: userId is required');
+  if (!docId) throw new Error('safeVote: docId is required');
+  if (!VOTE_VALUES.includes(value)) throw new Error('safeVote: value must be 1, 0 or -1');
+
+  const ref = doc(db, collectionName, docId);
+  const voteRef = doc(db, collectionName, docId, 'votes', userId);
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists()) throw new Error(`Document ${docId} not found`);
+    if (snap.data()[opts.ownerField || 'createdBy'] === userId) throw new Error('You cannot vote on your own content');
 
+    const voteSnap = await tx.get(voteRef);
+    const before = voteSnap.exists() ? voteSnap.data().value : 0;
+    if (before === value) return snap.data().score || 0;
+
+    if (value === 0) tx.delete(voteRef);
+    else tx.set(voteRef, { value, updatedAt: serverTimestamp() });
+    tx.update(ref, { score: increment(value - before) });
+    return (snap.data().score || 0) + value - before;
+  });
+};
+
+// Newest first unless opts.orderField names another field to sort on.
+// Firestore leaves out documents that do not have that field.
+const ownedQuery = (db, collectionName, userId, opts, maxResults) => {
   const constraints = [];
-  constraints.push(where('createdBy', '==', userId));
-  constraints.push(orderBy('createdAt', opts.sortOrder === 'asc' ? 'asc' : 'desc'));
-  if (opts.maxResults) constraints.push(limit(opts.maxResults));
+  constraints.push(where(opts.ownerField || 'createdBy', '==', userId));
+  constraints.push(orderBy(opts.orderField || 'createdAt', opts.sortOrder === 'asc' ? 'asc' : 'desc'));
+  if (opts.cursor) constraints.push(startAfter(opts.cursor));
+  if (maxResults) constraints.push(limit(maxResults));
+  return query(collection(db, collectionName), ...constraints);
+};
 
-  const ref = collection(db, collectionName);
-  const q = query(ref, ...constraints);
-  const snapshot = await getDocs(q);
+// opts.cursor is the nextCursor of a previous safeQueryPage call; results
+// start after that document.
+export const safeQuery = async (db, collectionName, userId, opts = {}) => {
+  if (!userId) throw new Error('safeQuery: userId is required');
+
+  const snapshot = await getDocs(ownedQuery(db, collectionName, userId, opts, opts.maxResults));
   return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
 };
+
+// One page of safeQuery results. nextCursor is null once a short page shows
+// there is nothing left to read.
+export const safeQueryPage = async (db, collectionName, userId, opts = {}) => {
+  if (!userId) throw new Error('safeQueryPage: userId is required');
+  const pageSize = opts.pageSize || 20;
+
+  const snapshot = await getDocs(ownedQuery(db, collectionName, userId, opts, pageSize));
+  const items = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+  const nextCursor = snapshot.docs.length === pageSize ? snapshot.docs[snapshot.docs.length - 1] : null;
+  return { items, nextCursor };
+};
@@ -10,9 +10,11 @@
 //   closes. It is never written to localStorage.
 // - None of these secrets are ever written to Firestore (GHSA-x49w).
 //
-// cleanup: clearOperatorSecrets() is called on full disconnect/reset and on
-// sign-out so a different operator on the same browser profile cannot inherit
-// the previous operator's tokens.
+// cleanup: clearOperatorSecrets() is called on full disconnect/reset, on
+// sign-out and by deleteMyAccount() so a different operator on the same
+// browser profile cannot inherit the previous operator's tokens. It lives here
+// rather than in src/framework/infra-setup/ because copied apps drop the
+// wizard but keep account deletion.
 
 export const SECRET_KEYS = {
   discordBotToken: 'wz_discord_bot_token',
@@ -1,13 +1,12 @@
-import { useState, useEffect } from 'react';
-import { doc, getDoc, onSnapshot, Firestore } from 'firebase/firestore';
+import { useState, useEffect, useMemo } from 'react';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { evaluateFlag } from './feature-flags';
 
 const cache = new Map();
 
-export const useFeatureFlag = (db, flagName, defaultValue = false) => {
-  const [enabled, setEnabled] = useState(() => {
-    if (cache.has(flagName)) return cache.get(flagName);
-    return defaultValue;
-  });
+export const useFeatureVariant = (db, flagName, defaultValue = false, opts = {}) => {
+  const { user } = opts;
+  const [flag, setFlag] = useState(() => cache.get(flagName) ?? null);
 
   useEffect(() => {
     if (!db || !flagName) return;
@@ -15,15 +14,23 @@ export const useFeatureFlag = (db, flagName, defaultValue = false) => {
     const ref = doc(db, 'featureFlags', flagName);
 
     const unsub = onSnapshot(ref, (snap) => {
-      const value = snap.exists() ? snap.data().enabled ?? defaultValue : defaultValue;
-      cache.set(flagName, value);
-      setEnabled(value);
+      const data = snap.exists() ? snap.data() : null;
+      cache.set(flagName, data);
+      setFlag(data);
     }, () => {
-      setEnabled(defaultValue);
+      setFlag(null);
     });
 
     return unsub;
-  }, [db, flagName, defaultValue]);
+  }, [db, flagName]);
 
-  return enabled;
+  const uid = user?.uid;
+  const email = user?.email;
+  return useMemo(
+    () => evaluateFlag(flagName, flag, { uid, email, defaultValue }),
+    [flagName, flag, uid, email, defaultValue],
+  );
 };
+
+export const useFeatureFlag = (db, flagName, defaultValue = false, opts = {}) =>
+  useFeatureVariant(db, flagName, defaultValue, opts).enabled;
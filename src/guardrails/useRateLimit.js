@@ -1,29 +1,115 @@
-import { useState, useRef, useCallback } from 'react';
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { ENFORCED_RATE_LIMITS, RATE_LIMITS_COLLECTION, counterPath, readCounterWindow, resolveRateLimit, isExemptRole } from './rate-limits';
 
-const getWindow = (counts, maxPerMinute) => {
+const UNLIMITED = { remaining: Infinity, resetIn: 0 };
+
+// Actions firestore.rules enforces default to the server's limit, so the UI
+// never allows what the rules refuse; maxPerMinute covers client-only ones.
+const resolveLimit = (config, action, maxPerMinute) => {
+  const enforced = ENFORCED_RATE_LIMITS[action];
+  return enforced
+    ? resolveRateLimit(config, enforced.max, enforced.windowSeconds)
+    : resolveRateLimit(config, maxPerMinute);
+};
+
+const getWindow = (counts, limit, server) => {
   const now = Date.now();
-  const windowStart = now - 60000;
+  const windowMs = limit.windowSeconds * 1000;
+  const windowStart = now - windowMs;
   const active = counts.filter(t => t > windowStart);
-  return {
+  const local = {
     active,
-    remaining: Math.max(0, maxPerMinute - active.length),
-    resetIn: active.length === 0 ? 0 : Math.max(0, 60000 - (now - active[0])),
+    remaining: Math.max(0, limit.max - active.length),
+    resetIn: active.length === 0 ? 0 : Math.max(0, windowMs - (now - active[0])),
   };
+  if (!server) return local;
+
+  // The server counter survives reloads and other tabs, so whichever of the
+  // two windows is tighter wins.
+  const enforced = readCounterWindow(server, limit.max, limit.windowSeconds, now);
+  if (enforced.remaining >= local.remaining) return local;
+  return { active, remaining: enforced.remaining, resetIn: enforced.resetIn };
 };
 
-export const useRateLimit = (action, maxPerMinute = 10) => {
+export const useRateLimit = (action, maxPerMinute = 10, opts = {}) => {
+  const { db, userId } = opts;
   const counts = useRef([]);
-  const [state, setState] = useState(() => getWindow([], maxPerMinute));
+  const server = useRef(null);
+  const [config, setConfig] = useState(null);
+  const [role, setRole] = useState(null);
+  const limit = resolveLimit(config, action, maxPerMinute);
+  const exempt = isExemptRole(limit, role);
+  const limitRef = useRef(limit);
+  const [state, setState] = useState(() => getWindow([], limit, null));
+
+  useEffect(() => {
+    limitRef.current = limit;
+  });
+
+  useEffect(() => {
+    if (!db || !action) return;
+
+    const ref = doc(db, RATE_LIMITS_COLLECTION, action);
+
+    const unsub = onSnapshot(ref, (snap) => {
+      const next = snap.exists() ? snap.data() : null;
+      setConfig(next);
+      setState(getWindow(counts.current, resolveLimit(next, action, maxPerMinute), server.current));
+    }, () => {
+      setConfig(null);
+    });
+
+    return unsub;
+  }, [db, action, maxPerMinute]);
+
+  const watchRole = limit.exemptRoles.length > 0;
+
+  useEffect(() => {
+    if (!db || !userId || !watchRole) return;
+
+    const unsub = onSnapshot(doc(db, 'admins', userId), (snap) => {
+      setRole(snap.exists() ? snap.data().role ?? null : null);
+    }, () => {
+      setRole(null);
+    });
+
+    return unsub;
+  }, [db, userId, watchRole]);
+
+  useEffect(() => {
+    if (!db || !userId || !action) return;
+
+    const ref = doc(db, ...counterPath(userId, action));
+
+    const unsub = onSnapshot(ref, (snap) => {
+      server.current = snap.exists() ? snap.data({ serverTimestamps: 'estimate' }) : null;
+      setState(getWindow(counts.current, limitRef.current, server.current));
+    }, () => {
+      server.current = null;
+    });
+
+    return unsub;
+  }, [db, userId, action]);
 
   const check = useCallback(() => {
+    if (exempt) return true;
     const now = Date.now();
-    const windowStart = now - 60000;
+    const windowStart = now - limitRef.current.windowSeconds * 1000;
     counts.current = counts.current.filter(t => t > windowStart);
-    if (counts.current.length >= maxPerMinute) return false;
+    if (getWindow(counts.current, limitRef.current, server.current).remaining <= 0) return false;
     counts.current.push(now);
-    setState(getWindow(counts.current, maxPerMinute));
+    setState(getWindow(counts.current, limitRef.current, server.current));
     return true;
-  }, [maxPerMinute]);
+  }, [exempt]);
 
-  return { canAct: state.remaining > 0, check, remaining: state.remaining, resetIn: state.resetIn };
+  const current = exempt ? UNLIMITED : state;
+  return {
+    canAct: current.remaining > 0,
+    check,
+    remaining: current.remaining,
+    resetIn: current.resetIn,
+    max: limit.max,
+    windowSeconds: limit.windowSeconds,
+  };
 };
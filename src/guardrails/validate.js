@@ -1,3 +1,17 @@
+const toMillis = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string') return Date.parse(value);
+  if (typeof value === 'number') return value;
+  if (value && typeof value.toMillis === 'function') return value.toMillis();
+  return NaN;
+};
+
+const checkDateRange = (ms, field, rules) => {
+  if (rules.min != null && ms < toMillis(rules.min)) return `${field} must be on or after ${new Date(toMillis(rules.min)).toISOString()}`;
+  if (rules.max != null && ms > toMillis(rules.max)) return `${field} must be on or before ${new Date(toMillis(rules.max)).toISOString()}`;
+  return null;
+};
+
 const RULES = {
   string: (value, field, rules) => {
     if (typeof value !== 'string') return `${field} must be a string`;
@@ -26,30 +40,80 @@ const RULES = {
     try { new URL(value); return null; }
     catch { return `${field} is not a valid URL`; }
   },
+  // A Date or an ISO-8601 string, as stored in created_at/updated_at fields.
+  date: (value, field, rules) => {
+    const ms = value instanceof Date || typeof value === 'string' ? toMillis(value) : NaN;
+    if (isNaN(ms)) return `${field} must be a valid date`;
+    return checkDateRange(ms, field, rules);
+  },
+  // A Firestore Timestamp (anything with toMillis()) or a Date.
+  timestamp: (value, field, rules) => {
+    const ms = value instanceof Date || typeof value?.toMillis === 'function' ? toMillis(value) : NaN;
+    if (isNaN(ms)) return `${field} must be a timestamp`;
+    return checkDateRange(ms, field, rules);
+  },
 };
 
-export const validate = (data, schema) => {
-  const errors = {};
-  for (const [field, rules] of Object.entries(schema)) {
-    const value = data[field];
-    const label = rules.label || field;
+const isBlank = (value) => value === undefined || value === null || value === '';
 
-    if (rules.required && (value === undefined || value === null || value === '')) {
-      errors[field] = `${label} is required`;
-      continue;
-    }
-    if (value === undefined || value === null || value === '') continue;
+// Nested errors are keyed by dotted path (`items.2.name`); the path is also
+// the default label, so the message says which entry failed.
+const validateField = (value, rules, path, siblings, schema, errors) => {
+  const label = rules.label || path;
 
-    const type = rules.type || 'string';
-    const validator = RULES[type];
-    if (!validator) continue;
+  if (isBlank(value)) {
+    if (rules.required) errors[path] = `${label} is required`;
+    return;
+  }
 
+  const type = rules.type || 'string';
+  if (type === 'object') {
+    if (typeof value !== 'object' || Array.isArray(value) || value instanceof Date) {
+      errors[path] = `${label} must be an object`;
+      return;
+    }
+    if (rules.schema) validateInto(value, rules.schema, `${path}.`, errors);
+  } else if (type === 'array') {
+    if (!Array.isArray(value)) {
+      errors[path] = `${label} must be a list`;
+      return;
+    }
+    if (rules.minItems != null && value.length < rules.minItems) errors[path] = `${label} must have at least ${rules.minItems} items`;
+    else if (rules.maxItems != null && value.length > rules.maxItems) errors[path] = `${label} must have at most ${rules.maxItems} items`;
+    if (rules.items) {
+      value.forEach((item, i) => validateField(item, rules.items, `${path}.${i}`, value, null, errors));
+    }
+  } else {
+    const validator = RULES[type];
+    if (!validator) return;
     const error = validator(value, label, rules);
-    if (error) errors[field] = error;
+    if (error) errors[path] = error;
+  }
 
-    if (rules.oneOf && !rules.oneOf.includes(value)) {
-      errors[field] = `${label} must be one of: ${rules.oneOf.join(', ')}`;
-    }
+  if (rules.oneOf && !rules.oneOf.includes(value)) {
+    errors[path] = `${label} must be one of: ${rules.oneOf.join(', ')}`;
+  }
+  if (errors[path]) return;
+
+  if (rules.equals && value !== siblings[rules.equals]) {
+    const other = schema?.[rules.equals]?.label || rules.equals;
+    errors[path] = rules.message || `${label} must match ${other}`;
+    return;
+  }
+  if (rules.custom) {
+    const error = rules.custom(value, siblings);
+    if (error) errors[path] = error;
+  }
+};
+
+const validateInto = (data, schema, prefix, errors) => {
+  for (const [field, rules] of Object.entries(schema)) {
+    validateField(data[field], rules, `${prefix}${field}`, data, schema, errors);
   }
+};
+
+export const validate = (data, schema) => {
+  const errors = {};
+  validateInto(data, schema, '', errors);
   return Object.keys(errors).length > 0 ? errors : null;
 };
@@ -2,12 +2,12 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import { AuthProvider } from './firestore-utils/auth-context';
-import { getFirebaseApp, getFirebaseDb } from './firebase';
+import { getFirebaseDb, getFirebaseAuth } from './firebase';
 
 import * as Sentry from '@sentry/react';
 
-import { getAuth, connectAuthEmulator, Auth } from 'firebase/auth';
-import { connectFirestoreEmulator, Firestore } from 'firebase/firestore';
+import { Auth } from 'firebase/auth';
+import { Firestore } from 'firebase/firestore';
 
 if (import.meta.env.VITE_SENTRY_DSN) {
   Sentry.init({
@@ -26,14 +26,8 @@ if (import.meta.env.VITE_SENTRY_DSN) {
   });
 }
 
-const app = getFirebaseApp();
 const db: Firestore = getFirebaseDb();
-const auth: Auth = getAuth(app);
-
-if (import.meta.env.VITE_USE_FIREBASE_EMULATOR === 'true') {
-  connectFirestoreEmulator(db, 'localhost', 8080);
-  connectAuthEmulator(auth, 'http://localhost:9099');
-}
+const auth: Auth = getFirebaseAuth();
 
 const root = ReactDOM.createRoot(document.getElementById('root')!);
 root.render(
@@ -14,7 +14,7 @@ import {
   createDeployServiceAccount, grantFirebaseRoles, grantPoolAccessToSA,
   smWriteSecret
 } from './framework/infra-setup/api';
-import { SCHEMAS } from './framework/infra-setup/schemas';
+import { SCHEMAS, INFRA_CONFIG_SCHEMA } from './framework/infra-setup/schemas';
 import { StepHeader } from './framework/infra-setup/steps';
 import { useWizardProgress } from './framework/infra-setup/useWizardProgress';
 
@@ -69,7 +69,7 @@ const FORM_PROGRESS_KEY = 'infra_form_progress';
 // Operator-entered secrets: never written to Firestore (GHSA-x49w). Discord
 // bot token + GitHub PAT persist to sessionStorage AND localStorage so a fresh
 // tab restores steps 1-2 without a GCP token; the SA key is
-// sessionStorage-only. See secret-storage.js.
+// sessionStorage-only. See src/guardrails/secret-storage.js.
 
 
 
@@ -2543,6 +2543,9 @@ const [discordBotAdded, setDiscordBotAdded] = useState(false);
       updated_at: new Date().toISOString(),
     };
 
+    const errors = validate(finalData, INFRA_CONFIG_SCHEMA);
+    if (errors) throw new Error(Object.values(errors)[0] as string);
+
     if (user) {
       await safeSet(db, INFRA_COLLECTION, user.uid, finalData, user.uid, {
         allowFields: [
@@ -1,5 +1,6 @@
-import { useState, FormEvent } from 'react';
+import { useState, useEffect, FormEvent } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router';
+import { Github, Mail } from 'lucide-react';
 import { useAuth } from './firestore-utils/auth-context';
 import { LEGAL_URLS } from './legal-urls';
 
@@ -8,7 +9,13 @@ const Login: React.FC = () => {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { signIn, signInWithGoogle } = useAuth();
+  const [notice, setNotice] = useState('');
+  // Opened from an email sign-in link in a browser that did not send it.
+  const [confirmLinkEmail, setConfirmLinkEmail] = useState(false);
+  const {
+    isGuest, signIn, signInWithGoogle, signInWithGitHub, signInAsGuest, sendSignInLink, isSignInLink, completeSignInLink,
+    resetPassword,
+  } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -18,35 +25,80 @@ const Login: React.FC = () => {
     navigate(returnUrl);
   };
 
-  const handleSubmit = async (e: FormEvent): Promise<void> => {
-    e.preventDefault();
+  const attempt = async (action: () => Promise<void>, fallback: string): Promise<void> => {
     setError('');
+    setNotice('');
     setLoading(true);
 
     try {
-      await signIn(email, password);
-      handleSuccess();
+      await action();
     } catch (err) {
-      setError(err instanceof Error ? err.message : 'Login failed');
+      setError(err instanceof Error ? err.message : fallback);
     } finally {
       setLoading(false);
     }
   };
 
-  const handleGoogleLogin = async (): Promise<void> => {
-    setError('');
-    setLoading(true);
+  const finishLink = (linkEmail?: string) => attempt(async () => {
+    if (await completeSignInLink(window.location.href, linkEmail)) handleSuccess();
+    else setConfirmLinkEmail(true);
+  }, 'Sign-in link failed');
 
-    try {
-      await signInWithGoogle();
+  useEffect(() => {
+    if (isSignInLink(window.location.href)) finishLink();
+    // Only on arrival from the link.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const handleSubmit = async (e: FormEvent): Promise<void> => {
+    e.preventDefault();
+    if (confirmLinkEmail) {
+      await finishLink(email);
+      return;
+    }
+    await attempt(async () => {
+      await signIn(email, password);
       handleSuccess();
-    } catch (err) {
-      setError(err instanceof Error ? err.message : 'Google login failed');
-    } finally {
-      setLoading(false);
+    }, 'Login failed');
+  };
+
+  const handleGoogleLogin = () => attempt(async () => {
+    await signInWithGoogle();
+    handleSuccess();
+  }, 'Google login failed');
+
+  const handleGitHubLogin = () => attempt(async () => {
+    await signInWithGitHub();
+    handleSuccess();
+  }, 'GitHub login failed');
+
+  const handleEmailLink = () => {
+    if (!email.trim()) {
+      setError('Enter your email to get a sign-in link');
+      return;
+    }
+    return attempt(async () => {
+      await sendSignInLink(email.trim(), new URLSearchParams(location.search).get('returnUrl') || undefined);
+      setNotice(`Check ${email.trim()} for a sign-in link.`);
+    }, 'Could not send the sign-in link');
+  };
+
+  const handleForgotPassword = () => {
+    if (!email.trim()) {
+      setError('Enter your email to reset your password');
+      return;
     }
+    return attempt(async () => {
+      await resetPassword(email.trim());
+      setNotice(`If ${email.trim()} has an account, a link to reset its password is on the way.`);
+    }, 'Could not send the password reset email');
   };
 
+  const handleGuest = () => attempt(async () => {
+    await signInAsGuest();
+    handleSuccess();
+  }, 'Guest sign-in failed');
+
   return (
     <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
       <div className="max-w-md w-full bg-white rounded-lg shadow-md p-8">
@@ -58,6 +110,18 @@ const Login: React.FC = () => {
           </div>
         )}
 
+        {notice && (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded mb-4">
+            {notice}
+          </div>
+        )}
+
+        {confirmLinkEmail && (
+          <p className="text-sm text-gray-600 mb-4">
+            Enter the email address the sign-in link was sent to.
+          </p>
+        )}
+
         <form onSubmit={handleSubmit} noValidate className="space-y-4">
           <div>
             <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
@@ -74,27 +138,39 @@ const Login: React.FC = () => {
             />
           </div>
 
-          <div>
-            <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
-              Password
-            </label>
-            <input
-              id="password"
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              required
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
-              placeholder="••••••••"
-            />
-          </div>
+          {!confirmLinkEmail && (
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                  Password
+                </label>
+                <button
+                  type="button"
+                  onClick={handleForgotPassword}
+                  disabled={loading}
+                  className="text-sm text-blue-600 hover:text-blue-700 font-medium disabled:opacity-50"
+                >
+                  Forgot password?
+                </button>
+              </div>
+              <input
+                id="password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+                placeholder="••••••••"
+              />
+            </div>
+          )}
 
           <button
             type="submit"
             disabled={loading}
             className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
           >
-            {loading ? 'Signing in...' : 'Sign In'}
+            {loading ? 'Signing in...' : confirmLinkEmail ? 'Finish signing in' : 'Sign In'}
           </button>
         </form>
 
@@ -124,6 +200,36 @@ const Login: React.FC = () => {
             </svg>
             Sign in with Google
           </button>
+
+          <button
+            onClick={handleGitHubLogin}
+            disabled={loading}
+            className="w-full mt-3 bg-gray-900 text-white py-2 px-4 rounded-lg font-medium hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+          >
+            <Github size={20} />
+            Sign in with GitHub
+          </button>
+
+          {!confirmLinkEmail && (
+            <button
+              onClick={handleEmailLink}
+              disabled={loading}
+              className="w-full mt-3 bg-white border border-gray-300 text-gray-700 py-2 px-4 rounded-lg font-medium hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+            >
+              <Mail size={20} />
+              Email me a sign-in link
+            </button>
+          )}
+
+          {!isGuest && (
+            <button
+              onClick={handleGuest}
+              disabled={loading}
+              className="w-full mt-3 text-gray-600 py-2 px-4 text-sm font-medium hover:text-gray-800 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Continue as guest
+            </button>
+          )}
         </div>
 
         <p className="mt-6 text-center text-sm text-gray-600">
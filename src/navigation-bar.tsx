@@ -2,7 +2,8 @@ import { LogOut, User, CheckSquare } from 'lucide-react';
 import { useNavigate, NavigateFunction, Link } from 'react-router';
 import { useAuth } from './firestore-utils/auth-context';
 import { useNotification } from './firestore-utils/notification-context';
-import { useIsAdmin } from './admin/useIsAdmin';
+import { usePermission } from './admin/useRole';
+import { PERMISSIONS } from './guardrails/roles';
 import { Firestore } from 'firebase/firestore';
 
 const isAppMode = import.meta.env.VITE_APP_MODE === 'true';
@@ -16,9 +17,9 @@ interface NavigationBarProps {
 const NavigationBar: React.FC<NavigationBarProps> = ({ navigate: navigationOverride, db }) => {
   const defaultNavigate = useNavigate();
   const navigate = navigationOverride || defaultNavigate;
-  const { user, logout } = useAuth();
+  const { user, isGuest, logout } = useAuth();
   const { addNotification } = useNotification();
-  const { isAdmin } = useIsAdmin(db);
+  const { allowed: canViewAdmin } = usePermission(db, PERMISSIONS.VIEW_ADMIN);
 
   const handleLogout = async (): Promise<void> => {
     try {
@@ -52,7 +53,7 @@ const NavigationBar: React.FC<NavigationBarProps> = ({ navigate: navigationOverr
                 Tasks
               </Link>
             )}
-            {isAdmin && (
+            {canViewAdmin && (
               <Link to="/admin" className="text-gray-600 hover:text-indigo-600 text-sm font-medium flex items-center gap-1">
                 Admin
               </Link>
@@ -62,6 +63,14 @@ const NavigationBar: React.FC<NavigationBarProps> = ({ navigate: navigationOverr
             </Link>
             {user ? (
               <>
+                {isGuest && (
+                  <button
+                    onClick={() => navigate(`/signup?returnUrl=${encodeURIComponent(window.location.pathname)}`)}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-full text-sm font-medium hover:bg-blue-700"
+                  >
+                    Sign Up
+                  </button>
+                )}
                 <button 
                   onClick={() => navigate('/profile')}
                   className="flex items-center space-x-1 text-gray-600 hover:text-blue-600 text-sm font-medium"
@@ -0,0 +1,20 @@
+import { WifiOff } from 'lucide-react';
+import { useOnlineStatus } from './firestore-utils/useOnlineStatus';
+import { persistenceEnabled } from './firebase';
+
+// Pinned to the bottom so it never covers EnvironmentBanner at the top.
+const OfflineBanner: React.FC = () => {
+  const online = useOnlineStatus();
+  if (online) return null;
+
+  return (
+    <div role="status" className="bg-gray-800 text-center p-2 text-white font-medium fixed w-full bottom-0 z-[9999] flex items-center justify-center gap-2">
+      <WifiOff size={18} />
+      {persistenceEnabled
+        ? 'You are offline. Changes are saved on this device and sync when you reconnect.'
+        : 'You are offline. Changes sync when you reconnect; keep this tab open until then.'}
+    </div>
+  );
+};
+
+export default OfflineBanner;
@@ -1,9 +1,28 @@
-import { useState, useEffect } from 'react';
-import { useSearchParams, useNavigate } from 'react-router';
-import { MessageCircle } from 'lucide-react';
-import { getPost, getReplies } from './firestore-utils/post-storage';
+import { useEffect, useState } from 'react';
+import { useSearchParams, useNavigate, Link } from 'react-router';
+import { MessageCircle, Pencil, Trash2 } from 'lucide-react';
+import { usePost, useReplies, useMyVotes } from './firestore-utils/usePosts';
+import { updatePost, deletePost, updateReply, deleteReply, vote, buildReplyTree } from './firestore-utils/post-storage';
+import type { VoteTarget, ReplyNode } from './firestore-utils/post-storage';
+import type { VoteValue } from './guardrails/define-collection';
+import { useAuth } from './firestore-utils/auth-context';
+import { useRateLimit } from './guardrails/useRateLimit';
 import { Firestore } from 'firebase/firestore';
-import type { Post, Reply } from './types';
+import { InfiniteList } from './components/InfiniteList';
+import { VoteButtons } from './components/VoteButtons';
+import { Markdown } from './components/Markdown';
+import { ReportButton } from './components/ReportButton';
+import { ImageGallery } from './components/ImageGallery';
+import { Avatar } from './components/Avatar';
+import { PendingBadge } from './components/PendingBadge';
+import { reportContent } from './firestore-utils/moderation';
+import type { ReportTarget } from './firestore-utils/moderation';
+import type { Reply, ReportReason } from './types';
+import { MAX_REPLY_DEPTH } from './firestore-utils/schemas';
+
+// Every reply below these nodes, however deep.
+const threadSize = (nodes: ReplyNode[]): number =>
+  nodes.reduce((total, node) => total + 1 + threadSize(node.children), 0);
 
 interface PostProps {
   db: Firestore;
@@ -14,43 +33,35 @@ const Post: React.FC<PostProps> = ({ db }) => {
   const navigate = useNavigate();
   const postId = searchParams.get('id');
 
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState<string | null>(null);
-  const [post, setPost] = useState<Post | null>(null);
-  const [replies, setReplies] = useState<Reply[]>([]);
+  const { user, isGuest } = useAuth();
+  const rateLimit = useRateLimit('edit-post', 20, { db, userId: user?.uid });
+  const voteLimit = useRateLimit('vote', 30, { db, userId: user?.uid });
+  const reportLimit = useRateLimit('report-content', 10, { db, userId: user?.uid });
+  const [postDraft, setPostDraft] = useState<{ title: string; content: string } | null>(null);
+  const [replyDraft, setReplyDraft] = useState<{ id: string; content: string } | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [actionError, setActionError] = useState<string | null>(null);
+  const [collapsed, setCollapsed] = useState<Set<string>>(() => new Set());
+
+  const { post, loading: postLoading, error: postError } = usePost(db, postId);
+  const {
+    replies, loading: repliesLoading, error: repliesError, hasMore, loadingMore, loadMore,
+  } = useReplies(db, postId);
+  const postVotes = useMyVotes(db, 'posts', postId ? [postId] : [], user?.uid);
+  const replyVotes = useMyVotes(db, 'replies', replies.map(reply => reply.id), user?.uid);
+  const replyTree = buildReplyTree(replies);
 
   useEffect(() => {
-    const loadPost = async (): Promise<void> => {
-      try {
-        setLoading(true);
-        setError(null);
-
-        if (!postId) {
-          setError('No post specified');
-          return;
-        }
-
-        const fetchedPost = await getPost(db, postId);
-        
-        if (!fetchedPost) {
-          setError('Post not found');
-          return;
-        }
-
-        setPost(fetchedPost);
-        
-        const fetchedReplies = await getReplies(db, postId);
-        setReplies(fetchedReplies);
-      } catch (err) {
-        console.error('Error loading post:', err);
-        setError('Failed to load post');
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    loadPost();
-  }, [db, postId]);
+    const failure = postError || repliesError;
+    if (failure) console.error('Error loading post:', failure);
+  }, [postError, repliesError]);
+
+  const loading = postLoading || repliesLoading;
+  let error: string | null = null;
+  if (!postId) error = 'No post specified';
+  else if (postError || repliesError) error = 'Failed to load post';
+  else if (!loading && !post) error = 'Post not found';
+  else if (post?.hidden) error = 'This post was hidden by a moderator';
 
   const formatDate = (timestamp: Date | undefined): string => {
     if (!timestamp) return '';
@@ -58,6 +69,221 @@ const Post: React.FC<PostProps> = ({ db }) => {
     return date.toLocaleDateString();
   };
 
+  // Edits and deletes are author-only; the live listeners pick up the result.
+  const run = async (action: () => Promise<void>, failure: string): Promise<boolean> => {
+    if (!user) return false;
+    if (!rateLimit.check()) {
+      setActionError(`Rate limit. Try again in ${Math.ceil(rateLimit.resetIn / 1000)}s.`);
+      return false;
+    }
+    setSaving(true);
+    setActionError(null);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      console.error(`${failure}:`, err);
+      setActionError(`${failure}. Please try again.`);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const savePost = async () => {
+    if (!postDraft || !postId) return;
+    if (!postDraft.title.trim() || !postDraft.content.trim()) {
+      setActionError('Title and content are required');
+      return;
+    }
+    const changes = { title: postDraft.title.trim(), content: postDraft.content.trim() };
+    if (await run(() => updatePost(db, postId, changes, user!.uid), 'Failed to save post')) setPostDraft(null);
+  };
+
+  const removePost = async () => {
+    if (!postId || !confirm('Delete this post and all of its replies?')) return;
+    if (await run(() => deletePost(db, postId, user!.uid), 'Failed to delete post')) navigate('/');
+  };
+
+  const saveReply = async () => {
+    if (!replyDraft) return;
+    if (!replyDraft.content.trim()) {
+      setActionError('Reply cannot be empty');
+      return;
+    }
+    const { id, content } = replyDraft;
+    if (await run(() => updateReply(db, id, content.trim(), user!.uid), 'Failed to save reply')) setReplyDraft(null);
+  };
+
+  const removeReply = async (reply: Reply) => {
+    if (!postId || !confirm('Delete this reply?')) return;
+    await run(() => deleteReply(db, postId, reply.id, user!.uid), 'Failed to delete reply');
+  };
+
+  const castVote = async (target: VoteTarget, id: string, value: VoteValue) => {
+    if (!user) return;
+    if (!voteLimit.check()) {
+      setActionError(`Rate limit. Try again in ${Math.ceil(voteLimit.resetIn / 1000)}s.`);
+      return;
+    }
+    setActionError(null);
+    try {
+      await vote(db, target, id, value, user.uid);
+      (target === 'posts' ? postVotes : replyVotes).record(id, value);
+    } catch (err) {
+      console.error('Failed to save vote:', err);
+      setActionError('Failed to save vote. Please try again.');
+    }
+  };
+
+  const fileReport = async (target: ReportTarget, reason: ReportReason, details: string): Promise<boolean> => {
+    if (!user) return false;
+    if (!reportLimit.check()) {
+      setActionError(`Rate limit. Try again in ${Math.ceil(reportLimit.resetIn / 1000)}s.`);
+      return false;
+    }
+    setActionError(null);
+    try {
+      await reportContent(db, target, reason, details, user.uid);
+      return true;
+    } catch (err) {
+      console.error('Failed to send report:', err);
+      setActionError('Failed to send report. Please try again.');
+      return false;
+    }
+  };
+
+  // Signed-in users vote on everyone's content but their own.
+  const voteHandler = (target: VoteTarget, id: string, authorId: string) =>
+    user && user.uid !== authorId ? (value: VoteValue) => castVote(target, id, value) : undefined;
+
+  const toggleThread = (id: string) => setCollapsed(current => {
+    const next = new Set(current);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  });
+
+  // Top-level replies get a card; answers nest under their parent with a
+  // rule down the left, and a collapsed thread hides all of them.
+  const renderReply = ({ reply, children }: ReplyNode, nested = false): React.ReactNode => {
+    const threadHidden = collapsed.has(reply.id);
+    return (
+      <div className={nested ? 'flex gap-4' : 'bg-white rounded-lg shadow-sm p-6 flex gap-4'}>
+        {/* Guests are throwaway uids, so firestore.rules takes votes and
+            reports from registered users only. */}
+        {!reply.hidden && !isGuest && (
+          <VoteButtons
+            label="reply"
+            score={reply.score}
+            myVote={replyVotes.votes[reply.id] ?? 0}
+            onVote={voteHandler('replies', reply.id, reply.authorId)}
+          />
+        )}
+        <div className="flex-1 min-w-0">
+          {reply.hidden ? (
+            <p className="text-sm italic text-gray-500">This reply was hidden by a moderator.</p>
+          ) : (
+            <>
+              <div className="flex items-center text-sm text-gray-500 mb-3">
+                <Link to={`/u/${reply.authorId}`} className="flex items-center gap-2 font-medium mr-2 hover:text-gray-900">
+                  <Avatar name={reply.authorName} url={reply.authorPhoto} size={20} />
+                  {reply.authorName}
+                </Link>
+                <span className="mx-2">•</span>
+                <span>{formatDate(reply.createdAt)}</span>
+                {reply.edited && <span className="ml-2 italic">(edited)</span>}
+                {reply.pending && <PendingBadge />}
+                {user?.uid === reply.authorId && replyDraft?.id !== reply.id && (
+                  <div className="ml-auto flex items-center gap-1">
+                    <button
+                      onClick={() => setReplyDraft({ id: reply.id, content: reply.content })}
+                      aria-label="Edit reply"
+                      className="p-1 text-gray-500 hover:text-blue-600"
+                    >
+                      <Pencil size={16} />
+                    </button>
+                    <button
+                      onClick={() => removeReply(reply)}
+                      disabled={saving}
+                      aria-label="Delete reply"
+                      className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-50"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                )}
+                {user && !isGuest && user.uid !== reply.authorId && (
+                  <div className="ml-auto">
+                    <ReportButton
+                      label="reply"
+                      onReport={(reason, details) => fileReport({ targetType: 'replies', targetId: reply.id, postId: reply.postId }, reason, details)}
+                    />
+                  </div>
+                )}
+              </div>
+              {replyDraft?.id === reply.id ? (
+                <div className="space-y-3">
+                  <textarea
+                    aria-label="Reply"
+                    rows={4}
+                    value={replyDraft.content}
+                    onChange={(e) => setReplyDraft({ ...replyDraft, content: e.target.value })}
+                    maxLength={2000}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-y"
+                  />
+                  <div className="flex justify-end gap-3">
+                    <button onClick={() => setReplyDraft(null)} className="text-gray-600 hover:text-gray-800 font-medium">
+                      Cancel
+                    </button>
+                    <button
+                      onClick={saveReply}
+                      disabled={saving}
+                      className="bg-blue-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {saving ? 'Saving...' : 'Save'}
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <Markdown source={reply.content} className="text-gray-800" />
+              )}
+            </>
+          )}
+          <div className="flex items-center gap-4 mt-3 text-sm">
+            {!reply.hidden && reply.depth < MAX_REPLY_DEPTH && (
+              <button
+                onClick={() => navigate(`/compose-reply?id=${postId}&parent=${reply.id}`)}
+                className="text-gray-500 hover:text-blue-600 font-medium"
+              >
+                Reply
+              </button>
+            )}
+            {children.length > 0 && (
+              <button
+                onClick={() => toggleThread(reply.id)}
+                aria-expanded={!threadHidden}
+                className="text-gray-500 hover:text-blue-600"
+              >
+                {threadHidden ? `Show ${threadSize(children)} more` : 'Hide replies'}
+              </button>
+            )}
+          </div>
+          {children.length > 0 && !threadHidden && (
+            <div className="mt-4 ml-1 pl-4 border-l-2 border-gray-100 space-y-4">
+              {children.map(child => (
+                <div key={child.reply.id}>{renderReply(child, true)}</div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  // Until every page is loaded, the post's stored count is the only total.
+  const replyTotal = hasMore && post ? Math.max(post.replyCount, replies.length) : replies.length;
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -92,25 +318,106 @@ const Post: React.FC<PostProps> = ({ db }) => {
           ← Back to posts
         </button>
 
-        <article className="bg-white rounded-lg shadow-sm p-8 mb-6">
-          <h1 className="text-3xl font-bold text-gray-900 mb-4">
-            {post.title}
-          </h1>
-          
-          <div className="flex items-center text-sm text-gray-500 mb-6">
-            <span className="font-medium mr-2">{post.authorName}</span>
-            <span className="mx-2">•</span>
-            <span>{formatDate(post.createdAt)}</span>
+        {actionError && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
+            <p className="text-red-600">{actionError}</p>
           </div>
+        )}
 
-          <div className="prose max-w-none text-gray-800 whitespace-pre-wrap">
-            {post.content}
-          </div>
+        <article className="bg-white rounded-lg shadow-sm p-8 mb-6">
+          {postDraft ? (
+            <div className="space-y-4">
+              <input
+                aria-label="Title"
+                value={postDraft.title}
+                onChange={(e) => setPostDraft({ ...postDraft, title: e.target.value })}
+                maxLength={200}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-xl font-semibold"
+              />
+              <textarea
+                aria-label="Content"
+                rows={10}
+                value={postDraft.content}
+                onChange={(e) => setPostDraft({ ...postDraft, content: e.target.value })}
+                maxLength={3000}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-y"
+              />
+              <div className="flex justify-end gap-3">
+                <button onClick={() => setPostDraft(null)} className="text-gray-600 hover:text-gray-800 font-medium">
+                  Cancel
+                </button>
+                <button
+                  onClick={savePost}
+                  disabled={saving}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              <div className="flex items-start justify-between gap-4 mb-4">
+                <div className="flex items-start gap-4">
+                  {!isGuest && (
+                    <VoteButtons
+                      label="post"
+                      score={post.score}
+                      myVote={postVotes.votes[post.id] ?? 0}
+                      onVote={voteHandler('posts', post.id, post.authorId)}
+                    />
+                  )}
+                  <h1 className="text-3xl font-bold text-gray-900">
+                    {post.title}
+                  </h1>
+                </div>
+                {user?.uid === post.authorId && (
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <button
+                      onClick={() => setPostDraft({ title: post.title, content: post.content })}
+                      aria-label="Edit post"
+                      className="p-2 text-gray-500 hover:text-blue-600"
+                    >
+                      <Pencil size={18} />
+                    </button>
+                    <button
+                      onClick={removePost}
+                      disabled={saving}
+                      aria-label="Delete post"
+                      className="p-2 text-gray-500 hover:text-red-600 disabled:opacity-50"
+                    >
+                      <Trash2 size={18} />
+                    </button>
+                  </div>
+                )}
+                {user && !isGuest && user.uid !== post.authorId && (
+                  <ReportButton
+                    label="post"
+                    onReport={(reason, details) => fileReport({ targetType: 'posts', targetId: post.id, postId: post.id }, reason, details)}
+                  />
+                )}
+              </div>
+
+              <div className="flex items-center text-sm text-gray-500 mb-6">
+                <Link to={`/u/${post.authorId}`} className="flex items-center gap-2 font-medium mr-2 hover:text-gray-900">
+                  <Avatar name={post.authorName} url={post.authorPhoto} size={24} />
+                  {post.authorName}
+                </Link>
+                <span className="mx-2">•</span>
+                <span>{formatDate(post.createdAt)}</span>
+                {post.edited && <span className="ml-2 italic">(edited)</span>}
+                {post.pending && <PendingBadge />}
+              </div>
+
+              <Markdown source={post.content} className="text-gray-800" />
+              {post.images && post.images.length > 0 && <ImageGallery db={db} postId={post.id} paths={post.images} />}
+            </>
+          )}
         </article>
 
         <div className="flex justify-between items-center mb-4">
           <h2 className="text-xl font-semibold text-gray-900">
-            {replies.length} {replies.length === 1 ? 'Reply' : 'Replies'}
+            {replyTotal} {replyTotal === 1 ? 'Reply' : 'Replies'}
           </h2>
           
           <button
@@ -133,20 +440,14 @@ const Post: React.FC<PostProps> = ({ db }) => {
             </button>
           </div>
         ) : (
-          <div className="space-y-4">
-            {replies.map(reply => (
-              <div key={reply.id} className="bg-white rounded-lg shadow-sm p-6">
-                <div className="flex items-center text-sm text-gray-500 mb-3">
-                  <span className="font-medium mr-2">{reply.authorName}</span>
-                  <span className="mx-2">•</span>
-                  <span>{formatDate(reply.createdAt)}</span>
-                </div>
-                <div className="text-gray-800 whitespace-pre-wrap">
-                  {reply.content}
-                </div>
-              </div>
-            ))}
-          </div>
+          <InfiniteList
+            items={replyTree}
+            getKey={node => node.reply.id}
+            hasMore={hasMore}
+            loadingMore={loadingMore}
+            onLoadMore={loadMore}
+            renderItem={node => renderReply(node)}
+          />
         )}
       </div>
     </div>
@@ -3,6 +3,9 @@ import { useAuth } from './firestore-utils/auth-context';
 import { useNavigate } from 'react-router';
 import { useNotification } from './firestore-utils/notification-context';
 import { getUserPreferences, setUserBetaPreference } from './firestore-utils/user-preferences';
+import { useOwnProfile } from './firestore-utils/useProfile';
+import { ProfileEditor } from './components/ProfileEditor';
+import { AccountData } from './components/AccountData';
 import { Shield, ExternalLink, Loader2 } from 'lucide-react';
 import { Firestore } from 'firebase/firestore';
 
@@ -14,6 +17,7 @@ const Profile: React.FC<ProfileProps> = ({ db }) => {
   const { user, logout, loading: authLoading } = useAuth();
   const navigate = useNavigate();
   const { addNotification } = useNotification();
+  const { profile, setProfile } = useOwnProfile(db);
   const [betaEnabled, setBetaEnabled] = useState(false);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -69,6 +73,11 @@ const Profile: React.FC<ProfileProps> = ({ db }) => {
     }
   };
 
+  const handleDeleted = (): void => {
+    addNotification('Your account has been deleted', 'success');
+    navigate('/');
+  };
+
   return (
     <div className="max-w-2xl mx-auto p-6">
       <h1 className="text-2xl font-bold mb-6">Profile</h1>
@@ -80,6 +89,16 @@ const Profile: React.FC<ProfileProps> = ({ db }) => {
         </p>
       </div>
 
+      <div className="bg-white rounded-lg shadow p-6 mb-6">
+        <h2 className="text-lg font-semibold mb-1">Public Profile</h2>
+        <p className="text-gray-600 text-sm mb-4">Shown on your posts and replies. Your email is never shown.</p>
+        {profile ? (
+          <ProfileEditor key={profile.uid} db={db} profile={profile} onSaved={setProfile} />
+        ) : (
+          <Loader2 className="animate-spin text-blue-600" size={24} />
+        )}
+      </div>
+
       <div className="bg-white rounded-lg shadow p-6">
         <h2 className="text-lg font-semibold mb-4">Beta Program</h2>
         <p className="text-gray-600 mb-4">
@@ -122,6 +141,13 @@ const Profile: React.FC<ProfileProps> = ({ db }) => {
         </button>
       </div>
 
+      {user && (
+        <div className="bg-white rounded-lg shadow p-6 mt-6">
+          <h2 className="text-lg font-semibold mb-4">Your Data</h2>
+          <AccountData db={db} user={user} onDeleted={handleDeleted} />
+        </div>
+      )}
+
       <div className="mt-6">
         <button
           onClick={handleLogout}
@@ -1,5 +1,6 @@
 import { useState, FormEvent } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router';
+import { Github, Mail } from 'lucide-react';
 import { useAuth } from './firestore-utils/auth-context';
 import { LEGAL_URLS } from './legal-urls';
 
@@ -9,7 +10,8 @@ const Signup: React.FC = () => {
   const [confirmPassword, setConfirmPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { signUp, signInWithGoogle } = useAuth();
+  const [linkSentTo, setLinkSentTo] = useState('');
+  const { isGuest, signUp, signInWithGoogle, signInWithGitHub, sendSignInLink } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -37,7 +39,10 @@ const Signup: React.FC = () => {
 
     try {
       await signUp(email, password);
-      handleSuccess();
+      // signUp sent a verification email; /verify-email moves on to
+      // returnUrl once it is confirmed.
+      const returnUrl = new URLSearchParams(location.search).get('returnUrl') || '/';
+      navigate(`/verify-email?returnUrl=${encodeURIComponent(returnUrl)}`);
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Signup failed');
     } finally {
@@ -59,6 +64,39 @@ const Signup: React.FC = () => {
     }
   };
 
+  const handleGitHubSignup = async (): Promise<void> => {
+    setError('');
+    setLoading(true);
+
+    try {
+      await signInWithGitHub();
+      handleSuccess();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'GitHub signup failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Passwordless: the account is created when the link is opened (/login).
+  const handleEmailLink = async (): Promise<void> => {
+    setError('');
+    if (!email.trim()) {
+      setError('Enter your email to get a sign-up link');
+      return;
+    }
+    setLoading(true);
+
+    try {
+      await sendSignInLink(email.trim(), new URLSearchParams(location.search).get('returnUrl') || undefined);
+      setLinkSentTo(email.trim());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not send the sign-up link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
       <div className="max-w-md w-full bg-white rounded-lg shadow-md p-8">
@@ -70,6 +108,18 @@ const Signup: React.FC = () => {
           </div>
         )}
 
+        {linkSentTo && (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded mb-4">
+            Check {linkSentTo} for a link to finish signing up.
+          </div>
+        )}
+
+        {isGuest && (
+          <p className="text-sm text-gray-600 mb-4">
+            You are using a guest account. Signing up keeps everything you did as a guest.
+          </p>
+        )}
+
         <form onSubmit={handleSubmit} noValidate className="space-y-4">
           <div>
             <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
@@ -153,6 +203,24 @@ const Signup: React.FC = () => {
             </svg>
             Sign up with Google
           </button>
+
+          <button
+            onClick={handleGitHubSignup}
+            disabled={loading}
+            className="w-full mt-3 bg-gray-900 text-white py-2 px-4 rounded-lg font-medium hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+          >
+            <Github size={20} />
+            Sign up with GitHub
+          </button>
+
+          <button
+            onClick={handleEmailLink}
+            disabled={loading}
+            className="w-full mt-3 bg-white border border-gray-300 text-gray-700 py-2 px-4 rounded-lg font-medium hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+          >
+            <Mail size={20} />
+            Email me a sign-up link instead
+          </button>
         </div>
 
         <p className="mt-6 text-center text-sm text-gray-600">
@@ -1,10 +1,11 @@
 import { useNavigate } from 'react-router';
 import { useAuth } from '../../firestore-utils/auth-context';
 import { Shield, User, Info, CheckCircle } from 'lucide-react';
+import PostFeed from '../../components/PostFeed';
 
 const appName = import.meta.env.VITE_APP_NAME || 'Your App';
 
-const Dashboard = () => {
+const Dashboard = ({ db }) => {
   const navigate = useNavigate();
   const { user } = useAuth();
 
@@ -91,6 +92,8 @@ const Dashboard = () => {
             </button>
           ))}
         </div>
+
+        {db && <PostFeed db={db} />}
       </div>
     </div>
   );
@@ -1,42 +1,87 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../../firestore-utils/auth-context';
-import { safeCreate, safeUpdate, safeDelete, safeQuery } from '../../guardrails/safe-firestore';
-import { validate } from '../../guardrails/validate';
 import { useRateLimit } from '../../guardrails/useRateLimit';
-import { Plus, Trash2, Loader2, CheckCircle, Circle } from 'lucide-react';
+import { useOnlineStatus } from '../../firestore-utils/useOnlineStatus';
+import { InfiniteList } from '../../components/InfiniteList';
+import { PendingBadge } from '../../components/PendingBadge';
+import { TASK_PRIORITIES } from '../../firestore-utils/schemas';
+import {
+  taskCollection,
+  TASK_ORDER,
+  TASK_FILTERS,
+  matchesFilter,
+  isOverdue,
+  parseTags,
+  moveTask,
+  orderBetween,
+  sortTasks,
+  toTask,
+} from '../task-model';
+import { Plus, Trash2, Loader2, CheckCircle, Circle, GripVertical, ChevronUp, ChevronDown, Calendar } from 'lucide-react';
 
-const TASK_SCHEMA = {
-  title: { type: 'string', required: true, minLength: 1, maxLength: 200, label: 'Task title' },
+const PAGE_SIZE = 50;
+
+const PRIORITY_STYLES = {
+  high: 'bg-red-100 text-red-700',
+  medium: 'bg-yellow-100 text-yellow-800',
+  low: 'bg-gray-100 text-gray-600',
 };
 
-const ALLOW_FIELDS = ['title', 'completed'];
+const EMPTY_MESSAGES = {
+  all: 'No tasks yet. Add one above!',
+  active: 'Nothing left to do.',
+  completed: 'No completed tasks yet.',
+  overdue: 'Nothing overdue.',
+};
 
 const Tasks = ({ db }) => {
   const { user } = useAuth();
   const [tasks, setTasks] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
   const [newTitle, setNewTitle] = useState('');
+  const [newDueDate, setNewDueDate] = useState('');
+  const [newPriority, setNewPriority] = useState('medium');
+  const [newTags, setNewTags] = useState('');
   const [adding, setAdding] = useState(false);
-  const rateLimit = useRateLimit('add-task', 20);
-
-  const loadTasks = useCallback(async () => {
-    if (!user) return [];
-    const results = await safeQuery(db, 'tasks', user.uid, { maxResults: 100 });
-    return results.map((d) => ({
-      id: d.id,
-      title: d.title || '',
-      completed: d.completed || false,
-      createdAt: d.createdAt?.toDate ? d.createdAt.toDate() : new Date(),
-    }));
+  const [filter, setFilter] = useState('all');
+  const [dragId, setDragId] = useState(null);
+  // Ids of tasks with a write Firestore has not confirmed. Offline, the
+  // write promise stays open until the connection is back.
+  const [pending, setPending] = useState(() => new Set());
+  const online = useOnlineStatus();
+  const rateLimit = useRateLimit('add-task', 20, { db, userId: user?.uid });
+
+  const loadPage = useCallback(async (cursor) => {
+    const page = await taskCollection.queryPage(db, user.uid, { ...TASK_ORDER, pageSize: PAGE_SIZE, cursor });
+    return { items: page.items.map(toTask), nextCursor: page.nextCursor };
   }, [db, user]);
 
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    try {
+      setLoadingMore(true);
+      const page = await loadPage(nextCursor);
+      setTasks((prev) => sortTasks([...prev, ...page.items]));
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      console.error('Error loading tasks:', err);
+      setError('Failed to load tasks');
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [loadPage, nextCursor, loadingMore]);
+
   useEffect(() => {
     if (!user) return;
     let mounted = true;
-    loadTasks()
-      .then((loaded) => {
-        if (mounted) setTasks(loaded);
+    loadPage(null)
+      .then((page) => {
+        if (!mounted) return;
+        setTasks(sortTasks(page.items));
+        setNextCursor(page.nextCursor);
       })
       .catch((err) => {
         if (mounted) {
@@ -48,15 +93,50 @@ const Tasks = ({ db }) => {
         if (mounted) setLoading(false);
       });
     return () => { mounted = false; };
-  }, [loadTasks, user]);
+  }, [loadPage, user]);
+
+  const markPending = (taskId, isPending) => setPending((prev) => {
+    const next = new Set(prev);
+    if (isPending) next.add(taskId);
+    else next.delete(taskId);
+    return next;
+  });
+
+  // Shows the change to `task` straight away, marks it pending until the
+  // write is confirmed, and puts just that task back if it fails. Other
+  // changes made meanwhile (several can wait while offline) are kept.
+  const optimistic = async (task, change, write, message) => {
+    setError(null);
+    setTasks((prev) => sortTasks(change(prev)));
+    markPending(task.id, true);
+    try {
+      await write();
+    } catch (err) {
+      console.error(`${message}:`, err);
+      setTasks((prev) => sortTasks([...prev.filter((t) => t.id !== task.id), task]));
+      setError(message);
+    } finally {
+      markPending(task.id, false);
+    }
+  };
 
+  // Creating goes through a rate-limit transaction, which needs the server.
   const addTask = async () => {
-    if (!user || !newTitle.trim()) return;
+    if (!user || !newTitle.trim() || !online) return;
     if (!rateLimit.check()) {
       setError(`Rate limit reached. Try again in ${Math.ceil(rateLimit.resetIn / 1000)}s.`);
       return;
     }
-    const errors = validate({ title: newTitle.trim() }, TASK_SCHEMA);
+    // New tasks go to the top of the list.
+    const data = {
+      title: newTitle.trim(),
+      completed: false,
+      dueDate: newDueDate,
+      priority: newPriority,
+      tags: parseTags(newTags),
+      order: orderBetween(null, tasks[0]?.order),
+    };
+    const errors = taskCollection.validate(data);
     if (errors) {
       setError(Object.values(errors)[0]);
       return;
@@ -64,9 +144,12 @@ const Tasks = ({ db }) => {
     try {
       setAdding(true);
       setError(null);
-      await safeCreate(db, 'tasks', { title: newTitle.trim(), completed: false }, user.uid, { allowFields: ALLOW_FIELDS });
+      const id = await taskCollection.create(db, data, user.uid);
+      setTasks((prev) => [toTask({ ...data, id }), ...prev]);
       setNewTitle('');
-      setTasks(await loadTasks());
+      setNewDueDate('');
+      setNewPriority('medium');
+      setNewTags('');
     } catch (err) {
       console.error('Error adding task:', err);
       setError('Failed to add task');
@@ -75,26 +158,29 @@ const Tasks = ({ db }) => {
     }
   };
 
-  const toggleTask = async (task) => {
-    try {
-      setError(null);
-      await safeUpdate(db, 'tasks', task.id, { completed: !task.completed }, user.uid, { allowFields: ALLOW_FIELDS, requireOwnership: true });
-      setTasks(await loadTasks());
-    } catch (err) {
-      console.error('Error toggling task:', err);
-      setError('Failed to update task');
-    }
-  };
+  const toggleTask = (task) => optimistic(
+    task,
+    (prev) => prev.map((t) => (t.id === task.id ? { ...t, completed: !task.completed } : t)),
+    () => taskCollection.update(db, task.id, { completed: !task.completed }, user.uid),
+    'Failed to update task',
+  );
 
-  const deleteTask = async (taskId) => {
-    try {
-      setError(null);
-      await safeDelete(db, 'tasks', taskId, user.uid, { requireOwnership: true });
-      setTasks(await loadTasks());
-    } catch (err) {
-      console.error('Error deleting task:', err);
-      setError('Failed to delete task');
-    }
+  const deleteTask = (task) => optimistic(
+    task,
+    (prev) => prev.filter((t) => t.id !== task.id),
+    () => taskCollection.remove(db, task.id, user.uid),
+    'Failed to delete task',
+  );
+
+  const reorder = (taskId, targetId) => {
+    const moved = moveTask(tasks, taskId, targetId);
+    if (!moved) return;
+    optimistic(
+      tasks.find((t) => t.id === taskId),
+      (prev) => prev.map((t) => (t.id === taskId ? { ...t, order: moved.order } : t)),
+      () => taskCollection.update(db, taskId, { order: moved.order }, user.uid),
+      'Failed to reorder tasks',
+    );
   };
 
   const handleKeyDown = (e) => {
@@ -114,6 +200,11 @@ const Tasks = ({ db }) => {
     );
   }
 
+  // Filters apply to the tasks loaded so far; "Load more" keeps paging
+  // through the full list in order.
+  const visible = tasks.filter((task) => matchesFilter(task, filter));
+  const inputClass = 'px-3 py-2 border-2 border-gray-200 rounded-lg focus:outline-none focus:border-blue-400';
+
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="max-w-2xl mx-auto px-4 py-8">
@@ -125,23 +216,76 @@ const Tasks = ({ db }) => {
           </div>
         )}
 
-        <div className="flex items-center gap-2 mb-6">
-          <input
-            type="text"
-            value={newTitle}
-            onChange={(e) => setNewTitle(e.target.value)}
-            onKeyDown={handleKeyDown}
-            placeholder="Add a new task..."
-            className="flex-1 px-4 py-2 border-2 border-gray-200 rounded-lg focus:outline-none focus:border-blue-400"
-          />
-          <button
-            onClick={addTask}
-            disabled={adding || !newTitle.trim()}
-            className="bg-blue-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 flex items-center gap-1"
-          >
-            {adding ? <Loader2 size={18} className="animate-spin" /> : <Plus size={18} />}
-            Add
-          </button>
+        <div className="bg-white rounded-lg shadow-sm p-4 mb-6 space-y-3">
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={newTitle}
+              onChange={(e) => setNewTitle(e.target.value)}
+              onKeyDown={handleKeyDown}
+              placeholder="Add a new task..."
+              className={`flex-1 ${inputClass}`}
+            />
+            <button
+              onClick={addTask}
+              disabled={adding || !newTitle.trim() || !online}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 flex items-center gap-1"
+            >
+              {adding ? <Loader2 size={18} className="animate-spin" /> : <Plus size={18} />}
+              Add
+            </button>
+          </div>
+          {!online && (
+            <p className="text-sm text-gray-500">New tasks need a connection. Changes to existing tasks sync when you are back online.</p>
+          )}
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <label className="flex items-center gap-1 text-gray-600">
+              Due
+              <input
+                type="date"
+                aria-label="Due date"
+                value={newDueDate}
+                onChange={(e) => setNewDueDate(e.target.value)}
+                className={inputClass}
+              />
+            </label>
+            <label className="flex items-center gap-1 text-gray-600">
+              Priority
+              <select
+                aria-label="Priority"
+                value={newPriority}
+                onChange={(e) => setNewPriority(e.target.value)}
+                className={inputClass}
+              >
+                {TASK_PRIORITIES.map((p) => <option key={p} value={p}>{p}</option>)}
+              </select>
+            </label>
+            <input
+              type="text"
+              aria-label="Tags"
+              value={newTags}
+              onChange={(e) => setNewTags(e.target.value)}
+              onKeyDown={handleKeyDown}
+              placeholder="Tags, comma separated"
+              className={`flex-1 min-w-40 ${inputClass}`}
+            />
+          </div>
+        </div>
+
+        <div role="tablist" className="flex border-b border-gray-200 mb-4">
+          {TASK_FILTERS.map(({ id, label }) => (
+            <button
+              key={id}
+              role="tab"
+              aria-selected={filter === id}
+              onClick={() => setFilter(id)}
+              className={`px-4 py-2 text-sm font-medium border-b-2 ${
+                filter === id ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
         </div>
 
         {loading ? (
@@ -149,44 +293,101 @@ const Tasks = ({ db }) => {
             <Loader2 className="animate-spin text-blue-600 inline" size={32} />
             <p className="mt-2 text-gray-600">Loading tasks...</p>
           </div>
-        ) : tasks.length === 0 ? (
+        ) : visible.length === 0 && !nextCursor ? (
           <div className="text-center py-12 bg-white rounded-lg shadow">
             <CheckCircle className="text-gray-300 mx-auto mb-2" size={48} />
-            <p className="text-gray-500">No tasks yet. Add one above!</p>
+            <p className="text-gray-500">{EMPTY_MESSAGES[filter]}</p>
           </div>
         ) : (
-          <div className="space-y-2">
-            {tasks.map((task) => (
-              <div
-                key={task.id}
-                className="bg-white rounded-lg shadow-sm p-4 flex items-center gap-3 hover:shadow-md transition-shadow"
-              >
-                <button
-                  onClick={() => toggleTask(task)}
-                  className="flex-shrink-0"
-                >
-                  {task.completed ? (
-                    <CheckCircle className="text-green-500" size={22} />
-                  ) : (
-                    <Circle className="text-gray-400" size={22} />
-                  )}
-                </button>
-                <span
-                  className={`flex-1 ${
-                    task.completed ? 'line-through text-gray-400' : 'text-gray-900'
+          <InfiniteList
+            items={visible}
+            getKey={(task) => task.id}
+            hasMore={!!nextCursor}
+            loadingMore={loadingMore}
+            onLoadMore={loadMore}
+            className="space-y-2"
+            renderItem={(task) => {
+              const index = visible.indexOf(task);
+              const overdue = isOverdue(task);
+              return (
+                <div
+                  draggable
+                  onDragStart={() => setDragId(task.id)}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={(e) => {
+                    e.preventDefault();
+                    if (dragId) reorder(dragId, task.id);
+                    setDragId(null);
+                  }}
+                  onDragEnd={() => setDragId(null)}
+                  data-testid={`task-${task.id}`}
+                  className={`bg-white rounded-lg shadow-sm p-4 flex items-center gap-3 hover:shadow-md transition-shadow ${
+                    dragId === task.id ? 'opacity-50' : ''
                   }`}
                 >
-                  {task.title}
-                </span>
-                <button
-                  onClick={() => deleteTask(task.id)}
-                  className="text-gray-400 hover:text-red-500 transition-colors"
-                >
-                  <Trash2 size={18} />
-                </button>
-              </div>
-            ))}
-          </div>
+                  <GripVertical className="text-gray-300 cursor-grab flex-shrink-0" size={18} aria-hidden="true" />
+                  <button
+                    onClick={() => toggleTask(task)}
+                    aria-label={task.completed ? `Mark ${task.title} as not done` : `Mark ${task.title} as done`}
+                    className="flex-shrink-0"
+                  >
+                    {task.completed ? (
+                      <CheckCircle className="text-green-500" size={22} />
+                    ) : (
+                      <Circle className="text-gray-400" size={22} />
+                    )}
+                  </button>
+                  <div className="flex-1 min-w-0">
+                    <span
+                      className={task.completed ? 'line-through text-gray-400' : 'text-gray-900'}
+                    >
+                      {task.title}
+                    </span>
+                    <div className="flex flex-wrap items-center gap-2 mt-1 text-xs">
+                      <span className={`px-2 py-0.5 rounded-full font-medium ${PRIORITY_STYLES[task.priority] || PRIORITY_STYLES.medium}`}>
+                        {task.priority}
+                      </span>
+                      {task.dueDate && (
+                        <span className={`flex items-center gap-1 ${overdue ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                          <Calendar size={12} />
+                          {overdue ? `Overdue · ${task.dueDate}` : task.dueDate}
+                        </span>
+                      )}
+                      {task.tags.map((tag) => (
+                        <span key={tag} className="px-2 py-0.5 rounded-full bg-blue-50 text-blue-700">#{tag}</span>
+                      ))}
+                      {pending.has(task.id) && <PendingBadge />}
+                    </div>
+                  </div>
+                  <div className="flex flex-col">
+                    <button
+                      onClick={() => reorder(task.id, visible[index - 1].id)}
+                      disabled={index === 0}
+                      aria-label={`Move ${task.title} up`}
+                      className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                    >
+                      <ChevronUp size={16} />
+                    </button>
+                    <button
+                      onClick={() => reorder(task.id, visible[index + 1].id)}
+                      disabled={index === visible.length - 1}
+                      aria-label={`Move ${task.title} down`}
+                      className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                    >
+                      <ChevronDown size={16} />
+                    </button>
+                  </div>
+                  <button
+                    onClick={() => deleteTask(task)}
+                    aria-label={`Delete ${task.title}`}
+                    className="text-gray-400 hover:text-red-500 transition-colors"
+                  >
+                    <Trash2 size={18} />
+                  </button>
+                </div>
+              );
+            }}
+          />
         )}
       </div>
     </div>
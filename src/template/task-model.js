@@ -0,0 +1,90 @@
+import { defineCollection } from '../guardrails/define-collection';
+import { TASK_SCHEMA, MAX_TASK_TAGS, MAX_TAG_LENGTH } from '../firestore-utils/schemas';
+
+// firestore.rules scopes tasks by userId, so that is the owner field. Writes
+// go through safeCreate/safeUpdate/safeDelete with TASK_SCHEMA's fields as
+// the allowlist.
+export const taskCollection = defineCollection('tasks', TASK_SCHEMA, { ownerField: 'userId', rateLimit: 'add-task' });
+
+// Pages come newest first, and sortTasks() puts the loaded tasks in their
+// saved order. Sorting on `order` in the query would leave out every task
+// saved before that field existed, since Firestore skips documents without it.
+export const TASK_ORDER = { orderField: 'createdAt', sortOrder: 'desc' };
+
+export const sortTasks = (tasks) => [...tasks].sort((a, b) => a.order - b.order);
+
+export const TASK_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'active', label: 'Active' },
+  { id: 'completed', label: 'Completed' },
+  { id: 'overdue', label: 'Overdue' },
+];
+
+// The local calendar day as YYYY-MM-DD, the format of dueDate.
+export const today = (now = new Date()) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+// Due before today and not done. A task due today is not overdue yet.
+export const isOverdue = (task, now = new Date()) =>
+  !task.completed && !!task.dueDate && task.dueDate < today(now);
+
+export const matchesFilter = (task, filter, now = new Date()) => {
+  switch (filter) {
+    case 'active': return !task.completed;
+    case 'completed': return task.completed;
+    case 'overdue': return isOverdue(task, now);
+    default: return true;
+  }
+};
+
+// "Work, urgent, work" → ['work', 'urgent']: trimmed, lowercased, no repeats,
+// each cut to MAX_TAG_LENGTH and at most MAX_TASK_TAGS of them.
+export const parseTags = (text) => {
+  const tags = text
+    .split(',')
+    .map((tag) => tag.trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return [...new Set(tags)].slice(0, MAX_TASK_TAGS);
+};
+
+// An order value that sorts between two neighbours; either may be missing
+// at the ends of the list.
+export const orderBetween = (before, after) => {
+  if (before == null && after == null) return 0;
+  if (before == null) return after - 1;
+  if (after == null) return before + 1;
+  return (before + after) / 2;
+};
+
+// Moves a task to where `targetId` is: in front of it when moving up the
+// list, behind it when moving down. Returns the reordered list and the
+// moved task's new order, the only value that needs saving; null when
+// either task is not in the list or they are the same task.
+export const moveTask = (tasks, taskId, targetId) => {
+  const from = tasks.findIndex((t) => t.id === taskId);
+  const to = tasks.findIndex((t) => t.id === targetId);
+  if (from < 0 || to < 0 || from === to) return null;
+
+  const rest = tasks.filter((t) => t.id !== taskId);
+  const order = orderBetween(rest[to - 1]?.order, rest[to]?.order);
+  const moved = { ...tasks[from], order };
+  return { tasks: [...rest.slice(0, to), moved, ...rest.slice(to)], order };
+};
+
+// A task without `order` sorts by its negated createdAt millis, which keeps
+// older tasks newest first, as they were listed before ordering existed.
+export const toTask = (d) => {
+  const createdAt = d.createdAt?.toDate ? d.createdAt.toDate() : new Date();
+  return {
+    id: d.id,
+    title: d.title || '',
+    completed: d.completed || false,
+    dueDate: d.dueDate || '',
+    priority: d.priority || 'medium',
+    tags: d.tags || [],
+    order: d.order ?? -createdAt.getTime(),
+    createdAt,
+  };
+};
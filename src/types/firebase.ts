@@ -11,9 +11,21 @@ export interface AppUser extends User {
 export interface AuthContextType {
   user: AppUser | null;
   loading: boolean;
+  // Signed in anonymously; see signInAsGuest.
+  isGuest: boolean;
+  // Has a confirmed email; firestore.rules requires it to post (isVerified).
+  isVerified: boolean;
   signIn: (email: string, password: string) => Promise<void>;
   signUp: (email: string, password: string) => Promise<void>;
   signInWithGoogle: () => Promise<void>;
+  signInWithGitHub: () => Promise<void>;
+  signInAsGuest: () => Promise<void>;
+  sendSignInLink: (email: string, returnUrl?: string) => Promise<void>;
+  isSignInLink: (url: string) => boolean;
+  completeSignInLink: (url: string, email?: string) => Promise<boolean>;
+  resetPassword: (email: string) => Promise<void>;
+  sendVerificationEmail: (returnUrl?: string) => Promise<void>;
+  reloadUser: () => Promise<void>;
   logout: () => Promise<void>;
 }
 
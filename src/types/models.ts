@@ -6,16 +6,48 @@ export interface Post {
   authorName: string;
   authorPhoto?: string;
   replyCount: number;
+  score: number;
+  edited?: boolean;
+  // Set by a moderator; the post stays stored but is not shown.
+  hidden?: boolean;
+  // Storage paths of attached images, under posts/{id}/.
+  images?: string[];
+  // Changed on this device and not yet confirmed by the server.
+  pending?: boolean;
   createdAt: Date;
 }
 
 export interface Reply {
   id: string;
   postId: string;
+  // The reply this answers, or null for a direct reply to the post.
+  parentReplyId: string | null;
+  depth: number;
   content: string;
   authorId: string;
   authorName: string;
   authorPhoto?: string;
+  score: number;
+  edited?: boolean;
+  hidden?: boolean;
+  pending?: boolean;
+  createdAt: Date;
+}
+
+export type ReportReason = 'spam' | 'harassment' | 'off-topic' | 'other';
+
+export type ReportStatus = 'open' | 'hidden' | 'restored' | 'deleted' | 'dismissed';
+
+export interface Report {
+  id: string;
+  targetType: 'posts' | 'replies';
+  targetId: string;
+  // The post the item belongs to (the item itself for a post), for linking.
+  postId: string;
+  reason: ReportReason;
+  details: string;
+  status: ReportStatus;
+  createdBy: string;
   createdAt: Date;
 }
 
@@ -51,6 +83,14 @@ export interface InfraConfig {
   service_account_key?: string;
 }
 
+// users/{uid}; public to signed-in users.
+export interface UserProfile {
+  uid: string;
+  displayName: string;
+  bio: string;
+  avatarUrl?: string;
+}
+
 export interface UserPreferences {
   beta_enabled?: boolean;
 }
@@ -0,0 +1,180 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router';
+import { Firestore } from 'firebase/firestore';
+import { getProfile } from './firestore-utils/profiles';
+import { getPostsByAuthor, getRepliesByAuthor } from './firestore-utils/post-storage';
+import { markdownToText } from './firestore-utils/markdown';
+import type { Page, PageCursor, PageOptions } from './guardrails/define-collection';
+import { InfiniteList } from './components/InfiniteList';
+import { Avatar } from './components/Avatar';
+import type { Post, Reply, UserProfile } from './types';
+
+interface UserPageProps {
+  db: Firestore;
+}
+
+type Tab = 'posts' | 'replies';
+
+interface Listing<T> {
+  items: T[];
+  cursor: PageCursor | null;
+  done: boolean;
+  loading: boolean;
+}
+
+const empty = <T,>(): Listing<T> => ({ items: [], cursor: null, done: false, loading: true });
+
+// Newest first, a page at a time; content hidden by a moderator is left out.
+const usePaged = <T extends { hidden?: boolean }>(
+  fetchPage: (opts: PageOptions) => Promise<Page<T>>,
+  onError: (error: Error) => void,
+) => {
+  const [listing, setListing] = useState<Listing<T>>(empty);
+
+  const load = useCallback(async (cursor: PageCursor | null) => {
+    setListing(current => ({ ...current, loading: true }));
+    try {
+      const page = await fetchPage({ cursor });
+      setListing(current => ({
+        items: [...(cursor ? current.items : []), ...page.items.filter(item => !item.hidden)],
+        cursor: page.nextCursor,
+        done: !page.nextCursor,
+        loading: false,
+      }));
+    } catch (err) {
+      onError(err as Error);
+      setListing(current => ({ ...current, done: true, loading: false }));
+    }
+  }, [fetchPage, onError]);
+
+  useEffect(() => {
+    setListing(empty());
+    load(null);
+  }, [load]);
+
+  return { ...listing, loadMore: () => load(listing.cursor) };
+};
+
+const UserPage: React.FC<UserPageProps> = ({ db }) => {
+  const { uid = '' } = useParams();
+  const navigate = useNavigate();
+  const [profile, setProfile] = useState<UserProfile | null | undefined>(undefined);
+  const [tab, setTab] = useState<Tab>('posts');
+  const [error, setError] = useState<string | null>(null);
+
+  const onError = useCallback((err: Error) => {
+    console.error(`Error loading activity for ${uid}:`, err);
+    setError('Failed to load activity');
+  }, [uid]);
+  const fetchPosts = useCallback((opts: PageOptions) => getPostsByAuthor(db, uid, opts), [db, uid]);
+  const fetchReplies = useCallback((opts: PageOptions) => getRepliesByAuthor(db, uid, opts), [db, uid]);
+  const posts = usePaged<Post>(fetchPosts, onError);
+  const replies = usePaged<Reply>(fetchReplies, onError);
+
+  useEffect(() => {
+    let mounted = true;
+    getProfile(db, uid)
+      .then((loaded) => {
+        if (mounted) setProfile(loaded);
+      })
+      .catch((err) => {
+        console.error(`Error loading profile ${uid}:`, err);
+        if (mounted) setProfile(null);
+      });
+    return () => { mounted = false; };
+  }, [db, uid]);
+
+  // Without a profile, fall back to the name on their latest post or reply.
+  const name = profile?.displayName || posts.items[0]?.authorName || replies.items[0]?.authorName || 'Unknown user';
+
+  const tabButton = (value: Tab, label: string) => (
+    <button
+      role="tab"
+      aria-selected={tab === value}
+      onClick={() => setTab(value)}
+      className={`px-4 py-2 text-sm font-medium border-b-2 ${
+        tab === value ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-600 hover:text-gray-900'
+      }`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-3xl mx-auto px-4 py-8">
+        <button onClick={() => navigate('/')} className="text-blue-600 hover:text-blue-700 mb-4">
+          ← Back to posts
+        </button>
+
+        <section className="bg-white rounded-lg shadow-sm p-6 mb-6 flex items-start gap-4">
+          {profile === undefined ? (
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          ) : (
+            <>
+              <Avatar name={name} url={profile?.avatarUrl} size={64} />
+              <div>
+                <h1 className="text-2xl font-bold text-gray-900">{name}</h1>
+                {profile?.bio && <p className="text-gray-700 mt-2 whitespace-pre-line">{profile.bio}</p>}
+              </div>
+            </>
+          )}
+        </section>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-600">{error}</p>
+          </div>
+        )}
+
+        <div role="tablist" className="flex border-b border-gray-200 mb-4">
+          {tabButton('posts', 'Posts')}
+          {tabButton('replies', 'Replies')}
+        </div>
+
+        {tab === 'posts' ? (
+          !posts.loading && posts.items.length === 0 ? (
+            <p className="text-gray-500 py-6 text-center">No posts yet.</p>
+          ) : (
+            <InfiniteList
+              items={posts.items}
+              getKey={post => post.id}
+              hasMore={!posts.done}
+              loadingMore={posts.loading}
+              onLoadMore={posts.loadMore}
+              renderItem={post => (
+                <Link to={`/post?id=${post.id}`} className="block bg-white rounded-lg shadow-sm p-4 hover:shadow-md">
+                  <h2 className="font-semibold text-gray-900">{post.title}</h2>
+                  <p className="text-sm text-gray-600 line-clamp-2 mt-1">{markdownToText(post.content)}</p>
+                  <p className="text-xs text-gray-500 mt-2">
+                    {post.createdAt.toLocaleDateString()} · {post.replyCount} {post.replyCount === 1 ? 'reply' : 'replies'}
+                  </p>
+                </Link>
+              )}
+            />
+          )
+        ) : (
+          !replies.loading && replies.items.length === 0 ? (
+            <p className="text-gray-500 py-6 text-center">No replies yet.</p>
+          ) : (
+            <InfiniteList
+              items={replies.items}
+              getKey={reply => reply.id}
+              hasMore={!replies.done}
+              loadingMore={replies.loading}
+              onLoadMore={replies.loadMore}
+              renderItem={reply => (
+                <Link to={`/post?id=${reply.postId}`} className="block bg-white rounded-lg shadow-sm p-4 hover:shadow-md">
+                  <p className="text-sm text-gray-800 line-clamp-3">{markdownToText(reply.content)}</p>
+                  <p className="text-xs text-gray-500 mt-2">{reply.createdAt.toLocaleDateString()}</p>
+                </Link>
+              )}
+            />
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UserPage;
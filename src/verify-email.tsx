@@ -0,0 +1,103 @@
+import { useState, useEffect } from 'react';
+import { Navigate, useLocation } from 'react-router';
+import { useAuth } from './firestore-utils/auth-context';
+
+// Where RequireVerified sends signed-in users whose email is not confirmed,
+// and where the verification email's continue link lands.
+const VerifyEmail: React.FC = () => {
+  const { user, isVerified, sendVerificationEmail, reloadUser, logout } = useAuth();
+  const location = useLocation();
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const returnUrl = new URLSearchParams(location.search).get('returnUrl') || '/';
+
+  // The link may have been opened in another tab; pick that up on arrival.
+  useEffect(() => {
+    reloadUser().catch(err => console.error('Error reloading user:', err));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  if (isVerified) {
+    return <Navigate to={returnUrl} replace />;
+  }
+
+  const attempt = async (action: () => Promise<void>, fallback: string): Promise<void> => {
+    setError('');
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : fallback);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSend = () => attempt(async () => {
+    await sendVerificationEmail(returnUrl);
+    setSent(true);
+  }, 'Could not send the verification email');
+
+  const handleCheck = () => attempt(async () => {
+    await reloadUser();
+    // reload() updates the same User object in place.
+    if (!user?.emailVerified) {
+      setError('Your email is not verified yet. Open the link in the email, then try again.');
+    }
+  }, 'Could not check your verification status');
+
+  const address = user?.email || 'your email address';
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-md p-8">
+        <h1 className="text-2xl font-bold text-center mb-6">Verify your email</h1>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+
+        {sent && (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded mb-4">
+            Sent. Check {address} for the link.
+          </div>
+        )}
+
+        <p className="text-gray-600 mb-6">
+          Posting and replying need a confirmed email address. Open the verification link sent to{' '}
+          <span className="font-medium text-gray-900">{address}</span>, then come back here.
+        </p>
+
+        <div className="space-y-3">
+          <button
+            onClick={handleCheck}
+            disabled={busy}
+            className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            I&apos;ve verified my email
+          </button>
+          <button
+            onClick={handleSend}
+            disabled={busy}
+            className="w-full bg-white border border-gray-300 text-gray-700 py-2 px-4 rounded-lg font-medium hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Send verification email
+          </button>
+          <button
+            onClick={() => logout()}
+            disabled={busy}
+            className="w-full text-gray-600 py-2 px-4 text-sm font-medium hover:text-gray-800 disabled:opacity-50"
+          >
+            Sign out
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
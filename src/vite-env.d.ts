@@ -30,6 +30,7 @@ interface ImportMetaEnv {
   readonly VITE_FIREBASE_MEASUREMENT_ID_STAGING: string;
   readonly VITE_FIREBASE_MEASUREMENT_ID_PRODUCTION: string;
   readonly VITE_USE_FIREBASE_EMULATOR: string;
+  readonly VITE_FIRESTORE_PERSISTENCE: string;
   readonly PROD: boolean;
 }
 